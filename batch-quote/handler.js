@@ -0,0 +1,322 @@
+const { runWithLvisBudget, remainingLvisBudgetMs } = require('../shared/lvis-client');
+const { getOAuthToken } = require('../shared/auth');
+const { priceQuickQuote } = require('../quick-quote/handler');
+const { createJob, getJob, getJobItems, updateJob, countResult, saveResult, getResults, dispatchJob } = require('./job-manager');
+const constants = require('../shared/constants');
+const { validate, validationErrorResponse } = require('../shared/validation');
+const { parseBody, describeError } = require('../shared/responses');
+const schemas = require('../shared/request-schemas');
+const logger = require('../shared/logger');
+
+/**
+ * Batch quick quotes
+ *
+ * Each item is a quick quote request body, priced by the quick quote pipeline
+ * and answered with the status code and body POST /quick-quote would give it.
+ * Items run Concurrency at a time, share the process's OAuth token and ask
+ * ProductList once per county and transaction. POST .../batch answers up to
+ * BATCH_QUOTE.MAX_ITEMS items at once, in at most BATCH_QUOTE.MAX_SYNC_ROUNDS
+ * rounds; POST .../batch/jobs queues up to BATCH_QUOTE.MAX_JOB_ITEMS and is
+ * polled with GET .../batch/jobs/{jobId}.
+ */
+
+// Item outcomes
+const SUCCEEDED = 'succeeded';
+const FAILED = 'failed';
+const { RUNNING, COMPLETED, FAILED: JOB_FAILED } = constants.BATCH_JOB_STATUSES;
+
+// A job run stops taking items this long before the Lambda times out and continues in a new invocation
+const CONTINUE_BEFORE_TIMEOUT_MS = Number(process.env.BATCH_JOB_RESERVE_MS) || 15000;
+// A job item's LVIS calls get less than that, so an item started before the deadline is saved before the timeout
+const ITEM_BUDGET_MS = Math.max(CONTINUE_BEFORE_TIMEOUT_MS - 3000, 1000);
+
+/**
+ * Price one item
+ * @returns {Promise<Object>} { index, reference, status, statusCode, quote | error }
+ */
+async function quoteItem(item, index, { productListCache }) {
+    // Reference is the caller's own ID for the item (a file number), echoed back
+    const reference = item?.Reference;
+    const result = { index, ...(reference !== undefined && { reference }) };
+
+    const { value: request, errors } = validate(schemas.quickQuote, item);
+    if (errors.length) {
+        logger.warn('Invalid batch quote item', { errors });
+        return { ...result, status: FAILED, statusCode: 400, error: { error: 'Invalid request', errors } };
+    }
+
+    try {
+        const quote = await priceQuickQuote(request, { productListCache });
+        return { ...result, status: SUCCEEDED, statusCode: 200, quote };
+    } catch (error) {
+        logger.error('Batch quote item failed', { error });
+        return { ...result, status: FAILED, ...describeError(error, error.message || 'Failed to process quick quote') };
+    }
+}
+
+/**
+ * Price items with bounded concurrency
+ * @param {Array} items - Quick quote request bodies
+ * @param {Object} [options]
+ * @param {Number} [options.concurrency] - Items priced at once
+ * @param {Array} [options.indexes] - Items to price, in order (a continued job's unfinished ones); default all
+ * @param {Number} [options.itemBudgetMs] - Time each item's LVIS calls get
+ * @param {Boolean} [options.retryTimeouts] - Retry LVIS calls that timed out within the item's budget
+ * @param {Function} [options.shouldStop] - () => Boolean, checked before each item after the first is started
+ * @param {Function} [options.onResult] - async (result) => undefined, called as each item finishes
+ * @returns {Promise<Object>} { results (by item index), remaining: indexes not started }
+ */
+async function runBatch(items, {
+    concurrency = constants.BATCH_QUOTE.DEFAULT_CONCURRENCY,
+    indexes = items.map((item, index) => index),
+    itemBudgetMs,
+    retryTimeouts = false,
+    shouldStop = () => false,
+    onResult = async () => {}
+} = {}) {
+    // One token for the whole batch; a token that cannot be had fails the batch, not every item
+    await getOAuthToken();
+
+    const productListCache = new Map();
+    const correlationId = logger.getCorrelationId() || undefined;
+    const context = logger.getContext();
+    const results = [];
+    let started = 0;
+
+    async function worker() {
+        // The first item always starts, so a run that continues itself always gets somewhere
+        while (started < indexes.length && (started === 0 || !shouldStop())) {
+            const index = indexes[started++];
+            const price = () => quoteItem(items[index], index, { productListCache });
+            const result = await logger.runWithContext(
+                { correlationId, ...context, batchItem: index },
+                () => (itemBudgetMs ? runWithLvisBudget({ timeoutMs: itemBudgetMs, retryTimeouts }, price) : price())
+            );
+            results[index] = result;
+            await onResult(result);
+        }
+    }
+
+    const workers = Math.min(concurrency, indexes.length);
+    await Promise.all(Array.from({ length: workers }, worker));
+    return { results, remaining: indexes.slice(started) };
+}
+
+function summarize(results) {
+    return {
+        total: results.length,
+        succeeded: results.filter(result => result.status === SUCCEEDED).length,
+        failed: results.filter(result => result.status === FAILED).length
+    };
+}
+
+/**
+ * POST /quick-quote/batch
+ */
+async function handleBatchQuote(event) {
+    const { body, response } = parseBody(event, 'batch quote');
+    if (response) return response;
+
+    const { value: request, errors } = validate(schemas.batchQuote, body);
+    if (errors.length) {
+        logger.warn('Invalid batch quote request', { errors });
+        return validationErrorResponse(errors, constants.CORS_HEADERS);
+    }
+
+    const { Items, Concurrency } = request;
+    const rounds = Math.ceil(Items.length / Concurrency);
+    if (rounds > constants.BATCH_QUOTE.MAX_SYNC_ROUNDS) {
+        const maxItems = Concurrency * constants.BATCH_QUOTE.MAX_SYNC_ROUNDS;
+        return validationErrorResponse([{
+            field: 'Items',
+            message: `At most ${maxItems} items are priced in one request at Concurrency ${Concurrency}; raise Concurrency or queue them with POST .../batch/jobs`
+        }], constants.CORS_HEADERS);
+    }
+
+    try {
+        // Each round of items gets an equal share of the request's LVIS budget, so a slow
+        // item cannot use up the time of the items after it
+        const { results } = await runBatch(Items, {
+            concurrency: Concurrency,
+            itemBudgetMs: Math.floor(remainingLvisBudgetMs() / rounds)
+        });
+        const summary = summarize(results);
+        logger.info('Batch quote calculated', summary);
+
+        return {
+            statusCode: 200,
+            headers: constants.CORS_HEADERS,
+            body: JSON.stringify({ ...summary, results }),
+        };
+    } catch (error) {
+        logger.error('Batch quote failed', { error });
+        return {
+            statusCode: 500,
+            headers: constants.CORS_HEADERS,
+            body: JSON.stringify({ error: 'Failed to process batch quote', details: error.message }),
+        };
+    }
+}
+
+/**
+ * Price a job's remaining items, continuing in a new invocation when the Lambda is about to time out
+ * Items with a saved result are done, so a continued or retried run prices
+ * only the rest and counts from what is saved.
+ * @param {String} jobId
+ * @param {Object} [lambdaContext] - Lambda context; without one the run has no deadline
+ */
+async function runBatchQuoteJob(jobId, lambdaContext) {
+    const job = await getJob(jobId);
+    if (!job || job.status === COMPLETED || job.status === JOB_FAILED) {
+        logger.warn('Batch quote job not runnable', { jobId, status: job?.status || null });
+        return;
+    }
+
+    const deadline = lambdaContext?.getRemainingTimeInMillis
+        ? Date.now() + lambdaContext.getRemainingTimeInMillis() - CONTINUE_BEFORE_TIMEOUT_MS
+        : Infinity;
+
+    try {
+        const items = await getJobItems(job);
+        // Counted from the saved results, so an item a timed-out run saved but did not count is counted once
+        const saved = await getResults(jobId, { offset: 0, limit: job.total, attributes: ['index', 'status'] });
+        const { total: completed, succeeded, failed } = summarize(saved);
+        const done = new Set(saved.map(result => result.index));
+        const pending = items.map((item, index) => index).filter(index => !done.has(index));
+
+        // Set before this run counts any item; from here on items only add to the counts
+        await updateJob(jobId, {
+            status: RUNNING,
+            completed,
+            succeeded,
+            failed,
+            ...(!job.startedAt && { startedAt: new Date().toISOString() })
+        });
+        logger.info('Batch quote job running', { jobId, pending: pending.length, total: job.total });
+
+        const { remaining } = await runBatch(items, {
+            concurrency: job.concurrency,
+            indexes: pending,
+            itemBudgetMs: ITEM_BUDGET_MS,
+            retryTimeouts: true,
+            shouldStop: () => Date.now() > deadline,
+            onResult: async result => {
+                await saveResult(jobId, result);
+                await countResult(jobId, result.status);
+            }
+        });
+
+        if (remaining.length) {
+            logger.info('Batch quote job continuing in a new invocation', { jobId, remaining: remaining.length });
+            await dispatchJob(jobId, runBatchQuoteJob);
+            return;
+        }
+
+        await updateJob(jobId, { status: COMPLETED, completedAt: new Date().toISOString() });
+        logger.info('Batch quote job completed', { jobId });
+    } catch (error) {
+        // Marked failed rather than rethrown, so the caller polling the job sees why it stopped
+        logger.error('Batch quote job failed', { jobId, error });
+        await updateJob(jobId, { status: JOB_FAILED, error: error.message });
+    }
+}
+
+/**
+ * POST /quick-quote/batch/jobs
+ */
+async function handleCreateBatchQuoteJob(event) {
+    const { body, response } = parseBody(event, 'batch quote job');
+    if (response) return response;
+
+    const { value: request, errors } = validate(schemas.batchQuoteJob, body);
+    if (errors.length) {
+        logger.warn('Invalid batch quote job request', { errors });
+        return validationErrorResponse(errors, constants.CORS_HEADERS);
+    }
+
+    try {
+        const job = await createJob({ items: request.Items, concurrency: request.Concurrency });
+        await dispatchJob(job.jobId, runBatchQuoteJob);
+
+        return {
+            statusCode: 202,
+            headers: constants.CORS_HEADERS,
+            body: JSON.stringify({
+                jobId: job.jobId,
+                status: job.status,
+                total: job.total,
+                createdAt: job.createdAt
+            }),
+        };
+    } catch (error) {
+        logger.error('Failed to start batch quote job', { error });
+        return {
+            statusCode: 500,
+            headers: constants.CORS_HEADERS,
+            body: JSON.stringify({ error: 'Failed to start batch quote job', details: error.message }),
+        };
+    }
+}
+
+/**
+ * GET /quick-quote/batch/jobs/{jobId}
+ * Progress, plus the results of items offset..offset+limit that are done
+ */
+async function getBatchQuoteJob(event) {
+    const jobId = event.pathParameters?.jobId;
+
+    const { value: page, errors } = validate(schemas.batchQuoteJobResults, event.queryStringParameters || {});
+    if (errors.length) {
+        return validationErrorResponse(errors, constants.CORS_HEADERS);
+    }
+
+    try {
+        const job = await getJob(jobId);
+        if (!job) {
+            return {
+                statusCode: 404,
+                headers: constants.CORS_HEADERS,
+                body: JSON.stringify({ error: 'Batch quote job not found or expired' }),
+            };
+        }
+
+        const limit = Math.max(Math.min(page.limit, job.total - page.offset), 0);
+        const results = await getResults(jobId, { offset: page.offset, limit });
+
+        return {
+            statusCode: 200,
+            headers: constants.CORS_HEADERS,
+            body: JSON.stringify({
+                jobId,
+                status: job.status,
+                total: job.total,
+                completed: job.completed,
+                succeeded: job.succeeded,
+                failed: job.failed,
+                ...(job.error && { error: job.error }),
+                createdAt: job.createdAt,
+                updatedAt: job.updatedAt,
+                ...(job.startedAt && { startedAt: job.startedAt }),
+                ...(job.completedAt && { completedAt: job.completedAt }),
+                offset: page.offset,
+                results,
+                nextOffset: page.offset + limit < job.total ? page.offset + limit : null
+            }),
+        };
+    } catch (error) {
+        logger.error('Failed to get batch quote job', { jobId, error });
+        return {
+            statusCode: 500,
+            headers: constants.CORS_HEADERS,
+            body: JSON.stringify({ error: 'Failed to get batch quote job', details: error.message }),
+        };
+    }
+}
+
+module.exports = {
+    handleBatchQuote,
+    handleCreateBatchQuoteJob,
+    getBatchQuoteJob,
+    runBatchQuoteJob,
+    runBatch
+};
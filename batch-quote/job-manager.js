@@ -0,0 +1,219 @@
+const { v4: uuidv4 } = require('uuid');
+const { createSessionStore } = require('../shared/session-store');
+const constants = require('../shared/constants');
+const logger = require('../shared/logger');
+
+/**
+ * Batch quote jobs and their results
+ *
+ * A job holds its progress counters and how many input records it has; its
+ * inputs are stored in chunks (BatchQuoteInputs, keyed "<jobId>:<chunk>") and
+ * each item's result is its own record (BatchQuoteResults, keyed
+ * "<jobId>:<index>"), so a job of up to a thousand quotes stays under the
+ * DynamoDB item size limit. A saved result also marks its item done. All three
+ * tables use the backend selected by SESSION_STORE and expire with the
+ * session TTL.
+ *
+ * Jobs run in a separate invocation of this Lambda (BATCH_JOB_RUNNER=lambda,
+ * the default on Lambda) or in this process (inline, the default elsewhere).
+ */
+
+const RUNNERS = ['lambda', 'inline'];
+
+const jobStore = createSessionStore({ tableName: constants.TABLES.BATCH_QUOTE_JOBS, keyName: 'jobId' });
+const inputStore = createSessionStore({ tableName: constants.TABLES.BATCH_QUOTE_INPUTS, keyName: 'chunkId' });
+const resultStore = createSessionStore({ tableName: constants.TABLES.BATCH_QUOTE_RESULTS, keyName: 'resultId' });
+
+function expiresAt() {
+    return Math.floor(Date.now() / 1000) + (constants.SESSION_TTL_HOURS * 60 * 60);
+}
+
+function resultId(jobId, index) {
+    return `${jobId}:${index}`;
+}
+
+function chunkId(jobId, chunk) {
+    return `${jobId}:${chunk}`;
+}
+
+/**
+ * Split items into runs whose JSON stays under BATCH_QUOTE.MAX_INPUT_CHUNK_BYTES
+ */
+function chunkItems(items) {
+    const chunks = [];
+    let size = Infinity;
+
+    items.forEach(item => {
+        const itemSize = Buffer.byteLength(JSON.stringify(item) || '');
+        if (size + itemSize > constants.BATCH_QUOTE.MAX_INPUT_CHUNK_BYTES) {
+            chunks.push([]);
+            size = 0;
+        }
+        chunks[chunks.length - 1].push(item);
+        size += itemSize;
+    });
+    return chunks;
+}
+
+/**
+ * Create a queued job
+ * @param {Object} params
+ * @param {Array} params.items - Quick quote inputs
+ * @param {Number} params.concurrency - Quotes priced at once
+ * @returns {Promise<Object>} The job
+ */
+async function createJob({ items, concurrency }) {
+    const now = new Date().toISOString();
+    const jobId = uuidv4();
+    const ttl = expiresAt();
+    const chunks = chunkItems(items);
+    const job = {
+        jobId,
+        status: constants.BATCH_JOB_STATUSES.QUEUED,
+        // Inputs are read back with getJobItems()
+        inputChunks: chunks.length,
+        concurrency,
+        total: items.length,
+        completed: 0,
+        succeeded: 0,
+        failed: 0,
+        createdAt: now,
+        updatedAt: now,
+        ttl
+    };
+
+    try {
+        // The inputs are in place before the job that points at them
+        await Promise.all(chunks.map((chunk, index) => inputStore.put({
+            chunkId: chunkId(jobId, index),
+            jobId,
+            items: chunk,
+            ttl
+        })));
+        await jobStore.put(job);
+        logger.info('Batch quote job created', { jobId: job.jobId, total: job.total, backend: jobStore.backend });
+        return job;
+    } catch (error) {
+        logger.error('Failed to create batch quote job', { error });
+        throw error;
+    }
+}
+
+/**
+ * @returns {Promise<Object|null>} The job, or null when missing or expired
+ */
+async function getJob(jobId) {
+    const job = await jobStore.get(jobId);
+
+    // Expired jobs are treated as missing (DynamoDB TTL deletion is not immediate)
+    if (!job || (job.ttl && job.ttl < Math.floor(Date.now() / 1000))) {
+        return null;
+    }
+    return job;
+}
+
+/**
+ * A job's quick quote inputs, in item order
+ * @param {Object} job - getJob() result
+ * @returns {Promise<Array>}
+ */
+async function getJobItems(job) {
+    // Jobs queued before inputs were stored in chunks
+    if (job.items) return job.items;
+
+    const chunks = await Promise.all(Array.from({ length: job.inputChunks },
+        (_, index) => inputStore.get(chunkId(job.jobId, index))));
+    if (chunks.some(chunk => !chunk)) {
+        throw new Error(`Inputs of batch quote job ${job.jobId} are missing`);
+    }
+    return chunks.flatMap(chunk => chunk.items);
+}
+
+async function updateJob(jobId, updates) {
+    try {
+        await jobStore.update(jobId, { ...updates, updatedAt: new Date().toISOString() });
+    } catch (error) {
+        logger.error('Failed to update batch quote job', { jobId, error });
+        throw error;
+    }
+}
+
+/**
+ * Count a finished item in its job's progress
+ * Concurrent items add to the counters rather than write them, so the counts never go back.
+ * @param {String} jobId
+ * @param {String} status - The item's status, succeeded or failed
+ */
+async function countResult(jobId, status) {
+    try {
+        await jobStore.increment(jobId, { completed: 1, [status]: 1 }, { updatedAt: new Date().toISOString() });
+    } catch (error) {
+        logger.error('Failed to count batch quote result', { jobId, error });
+        throw error;
+    }
+}
+
+/**
+ * Store one item's result (see runBatch); a saved result marks the item done
+ */
+async function saveResult(jobId, result) {
+    await resultStore.put({ resultId: resultId(jobId, result.index), jobId, ...result, ttl: expiresAt() });
+}
+
+/**
+ * Results for a range of items, in item order; items not yet priced are left out
+ * @param {String} jobId
+ * @param {Object} range
+ * @param {Number} range.offset
+ * @param {Number} range.limit
+ * @param {Array} [range.attributes] - Read only these result fields, e.g. ['index', 'status']
+ * @returns {Promise<Array>}
+ */
+async function getResults(jobId, { offset, limit, attributes }) {
+    const keys = Array.from({ length: limit }, (_, i) => resultId(jobId, offset + i));
+    const records = await resultStore.getMany(keys, { attributes });
+
+    return records
+        .filter(Boolean)
+        .map(({ resultId: id, jobId: job, ttl, ...result }) => result);
+}
+
+/**
+ * Hand a job to a worker without waiting for it
+ * @param {String} jobId
+ * @param {Function} run - async (jobId) => undefined, used by the inline runner
+ *                         (the Lambda runner's invocation calls it from index.js)
+ */
+async function dispatchJob(jobId, run) {
+    const runner = process.env.BATCH_JOB_RUNNER || (process.env.AWS_LAMBDA_FUNCTION_NAME ? 'lambda' : 'inline');
+    if (!RUNNERS.includes(runner)) {
+        throw new Error(`Unknown BATCH_JOB_RUNNER "${runner}" (expected one of: ${RUNNERS.join(', ')})`);
+    }
+
+    if (runner === 'inline') {
+        const correlationId = logger.getCorrelationId() || undefined;
+        setImmediate(() => logger.runWithContext({ correlationId, jobId }, () => run(jobId))
+            .catch(error => logger.error('Batch quote job failed', { jobId, error })));
+        return;
+    }
+
+    // The event is recognized by index.js and never reaches the router
+    const AWS = require('aws-sdk');
+    await new AWS.Lambda().invoke({
+        FunctionName: process.env.AWS_LAMBDA_FUNCTION_NAME,
+        InvocationType: 'Event',
+        Payload: JSON.stringify({ batchQuoteJobId: jobId, correlationId: logger.getCorrelationId() })
+    }).promise();
+    logger.info('Batch quote job dispatched', { jobId });
+}
+
+module.exports = {
+    createJob,
+    getJob,
+    getJobItems,
+    updateJob,
+    countResult,
+    saveResult,
+    getResults,
+    dispatchJob
+};
@@ -0,0 +1,143 @@
+const { formatAmount, sumAmounts } = require('../shared/fee-parser');
+const { priceQuickQuote } = require('../quick-quote/handler');
+const { prorate } = require('../shared/proration');
+const constants = require('../shared/constants');
+const { validate, validationErrorResponse } = require('../shared/validation');
+const { parseBody, errorResponse } = require('../shared/responses');
+const schemas = require('../shared/request-schemas');
+const logger = require('../shared/logger');
+
+/**
+ * Buyer cash to close
+ *
+ * The purchase is priced exactly like a quick quote; its BuyerFee lines (title,
+ * settlement, recording, transfer taxes) are the buyer's closing costs. The
+ * down payment, prepaid interest, escrow deposits, prorations and earnest
+ * money are worked out from the request.
+ */
+
+/**
+ * Interest on the first lien from the closing date through the end of its month
+ * @returns {Object|null} { LoanAmount, InterestRate, Days, DailyInterest, Amount }, null without a rate or loan
+ */
+function prepaidInterest(loanAmount, interestRate, closingDate) {
+    if (!loanAmount || !interestRate) return null;
+
+    const [year, month, day] = closingDate.split('-').map(Number);
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const days = daysInMonth - day + 1;
+    // Daily interest on a 365-day year, kept to the cent as lenders disclose it
+    const dailyInterest = Math.round(loanAmount * interestRate / 365) / 100;
+
+    return {
+        LoanAmount: formatAmount(loanAmount),
+        InterestRate: interestRate,
+        Days: days,
+        DailyInterest: formatAmount(dailyInterest),
+        Amount: formatAmount(dailyInterest * days)
+    };
+}
+
+/**
+ * Categorized cash-to-close breakdown for a priced purchase
+ * @param {Object} request - validate() value for schemas.cashToClose
+ * @param {Object} quote - priceQuickQuote() result
+ */
+function buildCashToClose(request, quote) {
+    const { SalesContractAmount, NoteAmount, Loans, InterestRate, Escrows = [], Prorations = [], EarnestMoney } = request;
+    const isCashPurchase = request.LoanPurposeType === constants.LOAN_PURPOSE_TYPES.CASH_PURCHASE;
+
+    // Loans replace NoteAmount; the first lien carries the prepaid interest
+    const firstLien = isCashPurchase ? 0 : (Loans && Loans.length ? Loans[0].NoteAmount : NoteAmount);
+    const loanAmount = isCashPurchase ? 0
+        : Loans && Loans.length ? Loans.reduce((sum, loan) => sum + loan.NoteAmount, 0)
+        : NoteAmount;
+    const downPayment = Math.max(SalesContractAmount - loanAmount, 0);
+
+    const closingCosts = quote.rateCalcGuideResponse
+        .filter(fee => parseFloat(fee.BuyerFee))
+        .map(fee => ({
+            Description: fee.DisclosureFeeName || fee.FeeDescription,
+            DisclosureSection: fee.DisclosureSection,
+            Amount: fee.BuyerFee
+        }));
+    const interest = prepaidInterest(firstLien, InterestRate, quote.closingDate);
+    const escrowDeposits = Escrows.map(({ Description, AnnualAmount, Months }) => ({
+        Description,
+        AnnualAmount: formatAmount(AnnualAmount),
+        Months,
+        Amount: formatAmount(Math.round(AnnualAmount * Months / 12 * 100) / 100)
+    }));
+    // What the buyer owes the seller is added; what the seller owes the buyer comes off
+    const prorations = Prorations.map(proration => prorate(proration, quote.closingDate));
+    const credits = EarnestMoney ? [{ Description: 'Earnest money deposit', Amount: formatAmount(EarnestMoney) }] : [];
+
+    const totals = {
+        closingCosts: sumAmounts(closingCosts),
+        prepaidInterest: interest ? parseFloat(interest.Amount) : 0,
+        escrowDeposits: sumAmounts(escrowDeposits),
+        prorations: sumAmounts(prorations),
+        credits: sumAmounts(credits)
+    };
+    const cashToClose = downPayment + totals.closingCosts + totals.prepaidInterest
+        + totals.escrowDeposits + totals.prorations - totals.credits;
+
+    return {
+        transactionType: quote.transactionType,
+        propertyType: quote.propertyType,
+        closingDate: quote.closingDate,
+        rateEffectiveDate: quote.rateEffectiveDate,
+        stateCode: quote.stateCode,
+        city: quote.city,
+        county: quote.county,
+        salePrice: formatAmount(SalesContractAmount),
+        loanAmount: formatAmount(loanAmount),
+        downPayment: formatAmount(downPayment),
+        closingCosts,
+        prepaidInterest: interest,
+        escrowDeposits,
+        prorations,
+        credits,
+        payerAllocation: quote.payerAllocation,
+        totalClosingCosts: formatAmount(totals.closingCosts),
+        totalPrepaidInterest: formatAmount(totals.prepaidInterest),
+        totalEscrowDeposits: formatAmount(totals.escrowDeposits),
+        totalProrations: formatAmount(totals.prorations),
+        totalCredits: formatAmount(totals.credits),
+        cashToClose: formatAmount(cashToClose)
+    };
+}
+
+/**
+ * POST /cash-to-close
+ */
+async function handleCashToClose(event) {
+    const { body, response } = parseBody(event, 'cash to close');
+    if (response) return response;
+
+    const { value: request, errors } = validate(schemas.cashToClose, body);
+    if (errors.length) {
+        logger.warn('Invalid cash to close request', { errors });
+        return validationErrorResponse(errors, constants.CORS_HEADERS);
+    }
+
+    try {
+        const quote = await priceQuickQuote(request);
+        const breakdown = buildCashToClose(request, quote);
+
+        logger.info('Cash to close calculated', { closingCostCount: breakdown.closingCosts.length });
+
+        return {
+            statusCode: 200,
+            headers: constants.CORS_HEADERS,
+            body: JSON.stringify(breakdown),
+        };
+    } catch (error) {
+        return errorResponse(error, { description: 'cash to close', message: 'Failed to process cash to close' });
+    }
+}
+
+module.exports = {
+    buildCashToClose,
+    handleCashToClose
+};
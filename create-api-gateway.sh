@@ -37,63 +37,75 @@ else
     echo "📌 Using existing API: $API_ID"
 fi
 
-# Get root resource ID
-ROOT_ID=$(aws apigateway get-resources --rest-api-id $API_ID --query 'items[?path==`/`].id' --output text)
-
-# Create /fee-calculator resource if it doesn't exist
-RESOURCE_ID=$(aws apigateway get-resources --rest-api-id $API_ID --query "items[?pathPart=='fee-calculator'].id" --output text)
-if [ -z "$RESOURCE_ID" ]; then
-    echo "📁 Creating /fee-calculator resource..."
-    RESOURCE_ID=$(aws apigateway create-resource \
-        --rest-api-id $API_ID \
-        --parent-id $ROOT_ID \
-        --path-part "fee-calculator" \
-        --query 'id' \
-        --output text)
-fi
-
-# Create /fee-calculator/quick-quote resource
-QUICK_QUOTE_ID=$(aws apigateway get-resources --rest-api-id $API_ID --query "items[?pathPart=='quick-quote'].id" --output text)
-if [ -z "$QUICK_QUOTE_ID" ]; then
-    echo "📁 Creating /fee-calculator/quick-quote resource..."
-    QUICK_QUOTE_ID=$(aws apigateway create-resource \
-        --rest-api-id $API_ID \
-        --parent-id $RESOURCE_ID \
-        --path-part "quick-quote" \
-        --query 'id' \
-        --output text)
-fi
+# Look up a resource by its full path, creating it (and any missing parents) first; prints its ID
+ensure_resource() {
+    local FULL_PATH=$1
+    local ID=$(aws apigateway get-resources --rest-api-id $API_ID --query "items[?path=='$FULL_PATH'].id" --output text)
+
+    if [ -z "$ID" ]; then
+        local PARENT_PATH=${FULL_PATH%/*}
+        local PARENT_ID=$(ensure_resource "${PARENT_PATH:-/}")
+        echo "📁 Creating $FULL_PATH resource..." >&2
+        ID=$(aws apigateway create-resource \
+            --rest-api-id $API_ID \
+            --parent-id $PARENT_ID \
+            --path-part "${FULL_PATH##*/}" \
+            --query 'id' \
+            --output text)
+    fi
+    echo $ID
+}
 
-# Create /fee-calculator/official-quote resource
-OFFICIAL_QUOTE_ID=$(aws apigateway get-resources --rest-api-id $API_ID --query "items[?pathPart=='official-quote'].id" --output text)
-if [ -z "$OFFICIAL_QUOTE_ID" ]; then
-    echo "📁 Creating /fee-calculator/official-quote resource..."
-    OFFICIAL_QUOTE_ID=$(aws apigateway create-resource \
-        --rest-api-id $API_ID \
-        --parent-id $RESOURCE_ID \
-        --path-part "official-quote" \
-        --query 'id' \
-        --output text)
-fi
+# Every route in index.js, as "METHOD PATH" below /fee-calculator
+ROUTES=("POST /")
+for VERSION in "" "/v1" "/v2"; do
+    ROUTES+=(
+        "POST $VERSION/quick-quote"
+        "POST $VERSION/quick-quote/compare"
+        "POST $VERSION/quick-quote/batch"
+        "POST $VERSION/quick-quote/batch/jobs"
+        "GET $VERSION/quick-quote/batch/jobs/{jobId}"
+        "POST $VERSION/seller-net-sheet"
+        "POST $VERSION/cash-to-close"
+        "GET $VERSION/locations"
+        "GET $VERSION/property-types"
+        "GET $VERSION/transaction-types"
+    )
+done
+# Original official quote flow (unversioned and /v1)
+for VERSION in "" "/v1"; do
+    for STEP in "" "/start" "/submit" "/status"; do
+        ROUTES+=("POST $VERSION/official-quote$STEP")
+    done
+done
+# L2 official quote flow
+for BASE in "/official-quote-v2" "/v2/official-quote"; do
+    ROUTES+=(
+        "POST $BASE"
+        "GET $BASE/sessions/{sessionId}"
+        "GET $BASE/sessions/{sessionId}/exchanges"
+    )
+done
 
 # Function to create method and integration
 create_method() {
     local RESOURCE_ID=$1
     local PATH_NAME=$2
+    local HTTP_METHOD=${3:-POST}
 
-    echo "🔧 Setting up POST method for $PATH_NAME..."
+    echo "🔧 Setting up $HTTP_METHOD method for $PATH_NAME..."
 
     # Delete existing method if it exists
     aws apigateway delete-method \
         --rest-api-id $API_ID \
         --resource-id $RESOURCE_ID \
-        --http-method POST 2>/dev/null || true
+        --http-method $HTTP_METHOD 2>/dev/null || true
 
-    # Create POST method
+    # Create the method
     aws apigateway put-method \
         --rest-api-id $API_ID \
         --resource-id $RESOURCE_ID \
-        --http-method POST \
+        --http-method $HTTP_METHOD \
         --authorization-type NONE \
         --no-api-key-required > /dev/null
 
@@ -101,7 +113,7 @@ create_method() {
     aws apigateway put-integration \
         --rest-api-id $API_ID \
         --resource-id $RESOURCE_ID \
-        --http-method POST \
+        --http-method $HTTP_METHOD \
         --type AWS_PROXY \
         --integration-http-method POST \
         --uri "arn:aws:apigateway:$REGION:lambda:path/2015-03-31/functions/$LAMBDA_ARN/invocations" > /dev/null
@@ -110,7 +122,7 @@ create_method() {
     aws apigateway put-method-response \
         --rest-api-id $API_ID \
         --resource-id $RESOURCE_ID \
-        --http-method POST \
+        --http-method $HTTP_METHOD \
         --status-code 200 \
         --response-models '{"application/json": "Empty"}' \
         --response-parameters '{"method.response.header.Access-Control-Allow-Origin": false}' > /dev/null
@@ -119,7 +131,7 @@ create_method() {
     aws apigateway put-integration-response \
         --rest-api-id $API_ID \
         --resource-id $RESOURCE_ID \
-        --http-method POST \
+        --http-method $HTTP_METHOD \
         --status-code 200 \
         --response-parameters '{"method.response.header.Access-Control-Allow-Origin": "'"'"'*'"'"'"}' \
         --response-templates '{"application/json": ""}' > /dev/null
@@ -153,7 +165,8 @@ create_method() {
         --response-parameters '{
             "method.response.header.Access-Control-Allow-Headers": false,
             "method.response.header.Access-Control-Allow-Methods": false,
-            "method.response.header.Access-Control-Allow-Origin": false
+            "method.response.header.Access-Control-Allow-Origin": false,
+            "method.response.header.Access-Control-Expose-Headers": false
         }' > /dev/null
 
     aws apigateway put-integration-response \
@@ -162,16 +175,21 @@ create_method() {
         --http-method OPTIONS \
         --status-code 200 \
         --response-parameters '{
-            "method.response.header.Access-Control-Allow-Headers": "'"'"'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token'"'"'",
-            "method.response.header.Access-Control-Allow-Methods": "'"'"'POST,OPTIONS'"'"'",
-            "method.response.header.Access-Control-Allow-Origin": "'"'"'*'"'"'"
+            "method.response.header.Access-Control-Allow-Headers": "'"'"'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,X-Correlation-Id'"'"'",
+            "method.response.header.Access-Control-Allow-Methods": "'"'""$HTTP_METHOD,OPTIONS""'"'",
+            "method.response.header.Access-Control-Allow-Origin": "'"'"'*'"'"'",
+            "method.response.header.Access-Control-Expose-Headers": "'"'"'X-Correlation-Id'"'"'"
         }' \
         --response-templates '{"application/json": ""}' > /dev/null
 }
 
 # Create methods for each endpoint
-create_method $QUICK_QUOTE_ID "/fee-calculator/quick-quote"
-create_method $OFFICIAL_QUOTE_ID "/fee-calculator/official-quote"
+for ROUTE in "${ROUTES[@]}"; do
+    HTTP_METHOD=${ROUTE%% *}
+    ROUTE_PATH=/fee-calculator${ROUTE#* }
+    ROUTE_PATH=${ROUTE_PATH%/}
+    create_method "$(ensure_resource "$ROUTE_PATH")" "$ROUTE_PATH" $HTTP_METHOD
+done
 
 # Grant API Gateway permission to invoke Lambda
 echo "🔑 Adding Lambda invoke permissions..."
@@ -196,7 +214,17 @@ echo "✅ API Gateway setup complete!"
 echo ""
 echo "🔗 API Endpoints:"
 echo "  Quick Quote:    $INVOKE_URL/fee-calculator/quick-quote"
+echo "  Compare:        $INVOKE_URL/fee-calculator/quick-quote/compare"
+echo "  Batch Quote:    $INVOKE_URL/fee-calculator/quick-quote/batch"
+echo "  Batch Jobs:     $INVOKE_URL/fee-calculator/quick-quote/batch/jobs"
+echo "  Seller Net:     $INVOKE_URL/fee-calculator/seller-net-sheet"
+echo "  Cash to Close:  $INVOKE_URL/fee-calculator/cash-to-close"
 echo "  Official Quote: $INVOKE_URL/fee-calculator/official-quote"
+echo "  Sessions:       $INVOKE_URL/fee-calculator/official-quote-v2/sessions/{sessionId}"
+echo "  Locations:      $INVOKE_URL/fee-calculator/locations"
+echo "  Property Types: $INVOKE_URL/fee-calculator/property-types"
+echo "  Transactions:   $INVOKE_URL/fee-calculator/transaction-types"
+echo "  (every path is also served under /v1 and /v2 as listed in index.js)"
 echo ""
 echo "📝 Test with:"
 echo "curl -X POST $INVOKE_URL/fee-calculator/quick-quote \\"
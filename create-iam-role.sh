@@ -8,7 +8,28 @@ export AWS_PROFILE=fnte
 export AWS_REGION=us-east-1
 
 ROLE_NAME="fnte-lambda-execution-role"
+# Batch quote jobs run in an asynchronous invocation of the function itself (see batch-quote/job-manager.js)
+FUNCTION_NAME="${FUNCTION_NAME:-fnte-fee-calculator-prod}"
 POLICY_NAME="fnte-lambda-execution-policy"
+# LVIS request/response archive (see shared/exchange-archive.js)
+EXCHANGE_ARCHIVE_BUCKET="${EXCHANGE_ARCHIVE_BUCKET:-fnte-lvis-exchanges}"
+# FirstAm configuration secret read at cold start (see shared/config.js and deploy.sh)
+CONFIG_SECRET_ID="${CONFIG_SECRET_ID:-fnte/firstam-lvis}"
+# Set when the secret is encrypted with a customer-managed KMS key rather than aws/secretsmanager
+CONFIG_SECRET_KMS_KEY_ARN="${CONFIG_SECRET_KMS_KEY_ARN:-}"
+
+KMS_STATEMENT=""
+if [ -n "$CONFIG_SECRET_KMS_KEY_ARN" ]; then
+    KMS_STATEMENT=',
+    {
+      "Effect": "Allow",
+      "Action": "kms:Decrypt",
+      "Resource": "'"$CONFIG_SECRET_KMS_KEY_ARN"'",
+      "Condition": {
+        "StringLike": { "kms:ViaService": "secretsmanager.*.amazonaws.com" }
+      }
+    }'
+fi
 
 # Create trust policy document
 cat > trust-policy.json << EOF
@@ -54,8 +75,34 @@ cat > execution-policy.json << EOF
         "arn:aws:dynamodb:*:*:table/ZipCodes",
         "arn:aws:dynamodb:*:*:table/FNTEFees",
         "arn:aws:dynamodb:*:*:table/L2Sessions",
-        "arn:aws:dynamodb:*:*:table/QuoteSessionsV2"
+        "arn:aws:dynamodb:*:*:table/QuoteSessionsV2",
+        "arn:aws:dynamodb:*:*:table/BatchQuoteJobs",
+        "arn:aws:dynamodb:*:*:table/BatchQuoteInputs",
+        "arn:aws:dynamodb:*:*:table/BatchQuoteResults"
       ]
+    },
+    {
+      "Effect": "Allow",
+      "Action": "lambda:InvokeFunction",
+      "Resource": "arn:aws:lambda:*:*:function:${FUNCTION_NAME}"
+    },
+    {
+      "Effect": "Allow",
+      "Action": "secretsmanager:GetSecretValue",
+      "Resource": "arn:aws:secretsmanager:*:*:secret:${CONFIG_SECRET_ID}*"
+    }${KMS_STATEMENT},
+    {
+      "Effect": "Allow",
+      "Action": [
+        "s3:PutObject",
+        "s3:GetObject"
+      ],
+      "Resource": "arn:aws:s3:::${EXCHANGE_ARCHIVE_BUCKET}/*"
+    },
+    {
+      "Effect": "Allow",
+      "Action": "s3:ListBucket",
+      "Resource": "arn:aws:s3:::${EXCHANGE_ARCHIVE_BUCKET}"
     }
   ]
 }
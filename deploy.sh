@@ -19,10 +19,20 @@ export AWS_REGION=us-east-1
 # Function name
 FUNCTION_NAME="fnte-fee-calculator-prod"
 
+# FirstAm credentials live in Secrets Manager as a JSON document with the keys
+# FIRSTAM_CLIENT_ID, FIRSTAM_CLIENT_SECRET, FIRSTAM_TENANT_ID, FIRSTAM_SCOPE and
+# LVIS_CLIENT_CUSTOMER_ID (see shared/config.js). The execution role needs
+# secretsmanager:GetSecretValue on it.
+CONFIG_SECRET_ID="${CONFIG_SECRET_ID:-fnte/firstam-lvis}"
+
+# Every LVIS request/response pair is archived here for audit and replay
+# (see shared/exchange-archive.js). Retention is the bucket's lifecycle rules.
+EXCHANGE_ARCHIVE_BUCKET="${EXCHANGE_ARCHIVE_BUCKET:-fnte-lvis-exchanges}"
+
 # Create deployment package
 echo "📦 Creating deployment package..."
 rm -f function.zip
-zip -r function.zip . -x "*.git*" -x "deploy.sh" -x "*.md" -x "test-events/*" -x ".DS_Store" -x "*/\.DS_Store" > /dev/null
+zip -r function.zip . -x "*.git*" -x "deploy.sh" -x "*.md" -x "test-events/*" -x ".DS_Store" -x "*/\.DS_Store" -x "local-lvis/*" -x ".sessions/*" -x ".exchanges/*" > /dev/null
 
 # Check if Lambda function exists
 if aws lambda get-function --function-name $FUNCTION_NAME 2>/dev/null; then
@@ -43,10 +53,9 @@ else
         --memory-size 512 \
         --zip-file fileb://function.zip \
         --environment Variables="{
-            FIRSTAM_CLIENT_ID=REPLACE_WITH_ACTUAL_ID,
-            FIRSTAM_CLIENT_SECRET=REPLACE_WITH_ACTUAL_SECRET,
-            FIRSTAM_USERNAME=REPLACE_WITH_ACTUAL_USERNAME,
-            FIRSTAM_PASSWORD=REPLACE_WITH_ACTUAL_PASSWORD
+            CONFIG_SOURCE=secrets-manager,
+            CONFIG_SECRET_ID=${CONFIG_SECRET_ID},
+            EXCHANGE_ARCHIVE_BUCKET=${EXCHANGE_ARCHIVE_BUCKET}
         }" \
         --query 'FunctionArn' \
         --output text
@@ -59,10 +68,9 @@ aws lambda update-function-configuration \
     --timeout 60 \
     --memory-size 512 \
     --environment Variables="{
-        FIRSTAM_CLIENT_ID=${FIRSTAM_CLIENT_ID:-REPLACE_WITH_ACTUAL_ID},
-        FIRSTAM_CLIENT_SECRET=${FIRSTAM_CLIENT_SECRET:-REPLACE_WITH_ACTUAL_SECRET},
-        FIRSTAM_USERNAME=${FIRSTAM_USERNAME:-REPLACE_WITH_ACTUAL_USERNAME},
-        FIRSTAM_PASSWORD=${FIRSTAM_PASSWORD:-REPLACE_WITH_ACTUAL_PASSWORD}
+        CONFIG_SOURCE=secrets-manager,
+        CONFIG_SECRET_ID=${CONFIG_SECRET_ID},
+        EXCHANGE_ARCHIVE_BUCKET=${EXCHANGE_ARCHIVE_BUCKET}
     }" \
     --query 'LastModified' \
     --output text > /dev/null
@@ -70,8 +78,9 @@ aws lambda update-function-configuration \
 echo "✅ Lambda deployment complete!"
 echo ""
 echo "📋 Next steps:"
-echo "1. Set environment variables in AWS Console or with AWS CLI"
-echo "2. Create API Gateway (run: ./create-api-gateway.sh)"
+echo "1. Make sure secret $CONFIG_SECRET_ID exists and the Lambda role can read it"
+echo "2. Make sure bucket $EXCHANGE_ARCHIVE_BUCKET exists and the Lambda role can write to it (./create-iam-role.sh)"
+echo "3. Create API Gateway (run: ./create-api-gateway.sh)"
 echo ""
 echo "Function ARN:"
 aws lambda get-function --function-name $FUNCTION_NAME --query 'Configuration.FunctionArn' --output text
\ No newline at end of file
@@ -1,95 +1,184 @@
 const { handleQuickQuote } = require('./quick-quote/handler');
+const { handleSellerNetSheet } = require('./seller-net-sheet/handler');
+const { handleCashToClose } = require('./cash-to-close/handler');
+const { handleQuoteComparison } = require('./quote-comparison/handler');
+const { handleBatchQuote, handleCreateBatchQuoteJob, getBatchQuoteJob, runBatchQuoteJob } = require('./batch-quote/handler');
 const { handleOfficialQuote } = require('./official-quote/handler');
-const { handleOfficialQuoteV2 } = require('./official-quote-v2/handler'); // New L2 implementation
+const { handleOfficialQuoteV2, getOfficialQuoteV2Session, getOfficialQuoteV2Exchanges } = require('./official-quote-v2/handler'); // New L2 implementation
+const { handleLocations, handlePropertyTypes, handleTransactionTypes } = require('./reference-data/handler');
+const { loadConfig } = require('./shared/config');
+const { runWithLvisBudget } = require('./shared/lvis-client');
+const { flushExchanges } = require('./shared/exchange-archive');
+const { createRouter } = require('./shared/router');
+const constants = require('./shared/constants');
+const logger = require('./shared/logger');
+
+// Resolve and validate configuration at cold start so a bad deploy shows up immediately
+loadConfig().catch(error => {
+    logger.error('Configuration invalid, refusing requests', { error });
+});
 
 /**
- * Main Lambda handler that routes requests to appropriate quote handlers
- * 
- * @param {Object} event - API Gateway Lambda Proxy Integration event
- * @returns {Object} API Gateway Lambda Proxy Integration response
+ * Route table
+ *
+ * Unversioned paths are kept for existing clients. /v1 serves quick quote and
+ * the original official quote flow; /v2 serves quick quote and the L2 official
+ * quote flow. The API Gateway '/fee-calculator' prefix is stripped before matching.
  */
-exports.handler = async (event) => {
-    console.info('Main handler received event:', JSON.stringify(event, null, 2));
-    
-    // Parse the HTTP method and path
-    const httpMethod = event.httpMethod || event.requestContext?.http?.method || 'POST';
-    const path = event.path || event.rawPath || event.pathParameters?.proxy || '/';
-    
-    console.info(`Processing ${httpMethod} request to ${path}`);
-    
-    // Handle CORS preflight requests
-    if (httpMethod === 'OPTIONS') {
+const routes = [
+    {
+        method: 'POST',
+        paths: ['/', '/quick-quote', '/v1/quick-quote', '/v2/quick-quote'],
+        handler: handleQuickQuote
+    },
+    {
+        method: 'POST',
+        paths: ['/quick-quote/compare', '/v1/quick-quote/compare', '/v2/quick-quote/compare'],
+        handler: handleQuoteComparison
+    },
+    {
+        method: 'POST',
+        paths: ['/quick-quote/batch', '/v1/quick-quote/batch', '/v2/quick-quote/batch'],
+        handler: handleBatchQuote
+    },
+    {
+        method: 'POST',
+        paths: ['/quick-quote/batch/jobs', '/v1/quick-quote/batch/jobs', '/v2/quick-quote/batch/jobs'],
+        handler: handleCreateBatchQuoteJob
+    },
+    {
+        method: 'GET',
+        paths: ['/quick-quote/batch/jobs/{jobId}', '/v1/quick-quote/batch/jobs/{jobId}', '/v2/quick-quote/batch/jobs/{jobId}'],
+        handler: getBatchQuoteJob
+    },
+    {
+        method: 'POST',
+        paths: ['/seller-net-sheet', '/v1/seller-net-sheet', '/v2/seller-net-sheet'],
+        handler: handleSellerNetSheet
+    },
+    {
+        method: 'POST',
+        paths: ['/cash-to-close', '/v1/cash-to-close', '/v2/cash-to-close'],
+        handler: handleCashToClose
+    },
+    {
+        method: 'POST',
+        paths: [
+            '/official-quote', '/official-quote/start', '/official-quote/submit', '/official-quote/status',
+            '/v1/official-quote', '/v1/official-quote/start', '/v1/official-quote/submit', '/v1/official-quote/status'
+        ],
+        handler: handleOfficialQuote
+    },
+    {
+        method: 'POST',
+        paths: ['/official-quote-v2', '/v2/official-quote'],
+        handler: handleOfficialQuoteV2
+    },
+    {
+        method: 'GET',
+        paths: ['/official-quote-v2/sessions/{sessionId}', '/v2/official-quote/sessions/{sessionId}'],
+        handler: getOfficialQuoteV2Session
+    },
+    {
+        method: 'GET',
+        paths: ['/official-quote-v2/sessions/{sessionId}/exchanges', '/v2/official-quote/sessions/{sessionId}/exchanges'],
+        handler: getOfficialQuoteV2Exchanges
+    },
+    {
+        method: 'GET',
+        paths: ['/locations', '/v1/locations', '/v2/locations'],
+        handler: handleLocations
+    },
+    {
+        method: 'GET',
+        paths: ['/property-types', '/v1/property-types', '/v2/property-types'],
+        handler: handlePropertyTypes
+    },
+    {
+        method: 'GET',
+        paths: ['/transaction-types', '/v1/transaction-types', '/v2/transaction-types'],
+        handler: handleTransactionTypes
+    }
+];
+
+/**
+ * Refuse to run without valid configuration (no built-in credentials).
+ * A failed load is retried on the next request.
+ */
+async function requireConfig() {
+    try {
+        await loadConfig();
+    } catch (error) {
         return {
-            statusCode: 200,
-            headers: {
-                'Access-Control-Allow-Origin': '*',
-                'Access-Control-Allow-Headers': 'Content-Type',
-                'Access-Control-Allow-Methods': 'OPTIONS,POST,GET'
-            },
-            body: ''
+            statusCode: 500,
+            headers: constants.CORS_HEADERS,
+            body: JSON.stringify({
+                error: 'Service misconfigured',
+                message: 'The fee calculator is not configured; see the deployment logs'
+            })
         };
     }
-    
-    try {
-        // Route based on path or request type
-        // Handle API Gateway paths
-        if (path === '/fee-calculator/quick-quote' || path === '/' || path === '/quick-quote' || !path.includes('official')) {
-            // Check if the request body indicates an official quote
-            let requestBody = {};
-            try {
-                requestBody = JSON.parse(event.body || '{}');
-            } catch (e) {
-                // If parsing fails, let the handler deal with it
-            }
-
-            // If QuoteType is specified, route accordingly
-            if (requestBody.QuoteType === 'Official') {
-                return await handleOfficialQuote(event);
-            }
+}
 
-            // Default to quick quote for backward compatibility
-            return await handleQuickQuote(event);
-        }
+const route = createRouter(routes, {
+    basePath: '/fee-calculator',
+    // The web app's API Gateway resource already points at the L2 flow
+    aliases: { '/fee-calculator/official-quote': '/official-quote-v2' },
+    middleware: [requireConfig]
+});
 
-        // Handle official quote V2 paths (with L2 support) - API Gateway or direct
-        if (path === '/fee-calculator/official-quote' || path.includes('official-quote-v2')) {
-            return await handleOfficialQuoteV2(event);
-        }
+/**
+ * Main Lambda handler that routes requests to appropriate quote handlers
+ * 
+ * @param {Object} event - API Gateway Lambda Proxy Integration event, or a batch
+ *                         quote job this function invoked itself with (see batch-quote/job-manager.js)
+ * @param {Object} [context] - Lambda context
+ * @returns {Object} API Gateway Lambda Proxy Integration response
+ */
+exports.handler = async (event, context) => {
+    if (event.batchQuoteJobId) {
+        const jobId = event.batchQuoteJobId;
+        return logger.runWithContext({ correlationId: event.correlationId || undefined, jobId }, async () => {
+            await runBatchQuoteJob(jobId, context);
+            await flushExchanges();
+        });
+    }
 
-        // Handle original official quote paths
-        if (path.includes('official-quote')) {
-            return await handleOfficialQuote(event);
+    const correlationId = logger.correlationIdFromEvent(event);
+    
+    return logger.runWithContext({ correlationId }, async () => {
+        const startedAt = Date.now();
+        logger.info('Request received', {
+            method: event.httpMethod || event.requestContext?.http?.method,
+            path: event.path || event.rawPath
+        });
+        
+        let response;
+        try {
+            // Every LVIS call the request makes shares one budget that ends before API Gateway gives up
+            response = await runWithLvisBudget({}, () => route(event));
+        } catch (error) {
+            logger.error('Unhandled error in main handler', { error });
+            response = {
+                statusCode: 500,
+                headers: constants.CORS_HEADERS,
+                body: JSON.stringify({
+                    error: 'Internal server error',
+                    message: error.message
+                })
+            };
         }
         
-        // Unknown path
-        return {
-            statusCode: 404,
-            headers: {
-                'Access-Control-Allow-Origin': '*',
-                'Access-Control-Allow-Headers': 'Content-Type',
-                'Access-Control-Allow-Methods': 'OPTIONS,POST,GET'
-            },
-            body: JSON.stringify({
-                error: 'Not Found',
-                message: `Path ${path} not found. Available endpoints: /, /quick-quote, /official-quote, /official-quote-v2`
-            })
-        };
+        // Archive writes ran alongside the request; the few still going finish before the invocation is frozen
+        await flushExchanges();
+        logger.info('Request completed', { statusCode: response.statusCode, durationMs: Date.now() - startedAt });
         
-    } catch (error) {
-        console.error('Unhandled error in main handler:', error);
+        // Hand the ID back so callers can quote it when reporting a problem
         return {
-            statusCode: 500,
-            headers: {
-                'Access-Control-Allow-Origin': '*',
-                'Access-Control-Allow-Headers': 'Content-Type',
-                'Access-Control-Allow-Methods': 'OPTIONS,POST,GET'
-            },
-            body: JSON.stringify({
-                error: 'Internal server error',
-                message: error.message
-            })
+            ...response,
+            headers: { ...response.headers, 'X-Correlation-Id': correlationId }
         };
-    }
+    });
 };
 
 /**
@@ -112,4 +201,4 @@ exports.handler = async (event) => {
 //     }).catch(error => {
 //         console.error('Error:', error);
 //     });
-// }
\ No newline at end of file
+// }
@@ -0,0 +1,97 @@
+/**
+ * Seed the local LVIS stand-in fixtures from captured traffic
+ *
+ * Reads the request/response pairs logged in the `Simulator` capture and the
+ * parsed RateCalc MISMO response in mismo-xml-ca-90405.json, and writes one
+ * response fixture per LVIS action into local-lvis/fixtures.
+ *
+ * Run with: node local-lvis/seed-fixtures.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const xml2js = require('xml2js');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const SIMULATOR_CAPTURE = path.join(ROOT_DIR, 'Simulator');
+const RATE_CALC_MISMO = path.join(ROOT_DIR, 'mismo-xml-ca-90405.json');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+/**
+ * Split the Simulator capture into { action, request, response } exchanges
+ */
+function parseSimulatorCapture(text) {
+    const exchanges = [];
+
+    text.split(/^=+$/m).forEach(block => {
+        const requestMatch = block.match(/ProcessPOSTRequest - (\w+) Request:\s*\n\s*\n(<\?xml.*)/);
+        const responseMatch = block.match(/ProcessPOSTRequest - \w+ Response:\s*\n\s*\n(<\?xml.*)/);
+
+        if (requestMatch && responseMatch) {
+            exchanges.push({
+                action: requestMatch[1],
+                request: requestMatch[2].trim(),
+                response: responseMatch[1].trim()
+            });
+        }
+    });
+
+    return exchanges;
+}
+
+/**
+ * Fixture name for an exchange. RateCalcNoAutoCalc is a two-round exchange:
+ * the first round returns the L2 questions, the second round (which echoes
+ * CalcRateLevel2Data back) returns the final rates.
+ */
+function fixtureName(exchange) {
+    if (exchange.action === 'RateCalcNoAutoCalc') {
+        return exchange.request.includes('<lvis:CalcRateLevel2Data')
+            ? 'RateCalcNoAutoCalc-L2'
+            : 'RateCalcNoAutoCalc-L1';
+    }
+    return exchange.action;
+}
+
+/**
+ * Wrap the parsed MISMO response in an LVIS RateCalc envelope
+ */
+function buildRateCalcResponse(mismo) {
+    const builder = new xml2js.Builder({
+        headless: true,
+        renderOpts: { pretty: false }
+    });
+
+    const mismoXML = builder.buildObject({ 'lvis:MISMO_XML': mismo });
+
+    return `<?xml version="1.0" encoding="utf-8"?><lvis:LVIS_XML xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xlink="http://www.w3.org/1999/xlink" xmlns:lvis="http://services.firstam.com/lvis/v2.0"><lvis:LVIS_ACK_NACK><lvis:DateTime>2025-09-15T12:56:30.0000000-07:00</lvis:DateTime><lvis:StatusCd>1000</lvis:StatusCd><lvis:StatusDescription>Request Successfully Processed</lvis:StatusDescription></lvis:LVIS_ACK_NACK><lvis:LVIS_HEADER><lvis:LVISActionType>RateCalc</lvis:LVISActionType><lvis:ClientCustomerId>FNTE</lvis:ClientCustomerId><lvis:ClientUniqueRequestId>CALC-LOCAL</lvis:ClientUniqueRequestId></lvis:LVIS_HEADER><lvis:LVIS_CALCULATOR_RESPONSE><lvis:EffectiveDate>2025-09-15</lvis:EffectiveDate><lvis:HasCalcuatedRates>true</lvis:HasCalcuatedRates>${mismoXML}</lvis:LVIS_CALCULATOR_RESPONSE></lvis:LVIS_XML>`;
+}
+
+function seedFixtures() {
+    fs.mkdirSync(FIXTURES_DIR, { recursive: true });
+
+    const exchanges = parseSimulatorCapture(fs.readFileSync(SIMULATOR_CAPTURE, 'utf8'));
+    const written = new Set();
+
+    exchanges.forEach(exchange => {
+        const name = fixtureName(exchange);
+        if (written.has(name)) return;
+
+        fs.writeFileSync(path.join(FIXTURES_DIR, `${name}.xml`), exchange.response);
+        written.add(name);
+        console.info(`Wrote fixture ${name}.xml`);
+    });
+
+    const mismo = JSON.parse(fs.readFileSync(RATE_CALC_MISMO, 'utf8'));
+    fs.writeFileSync(path.join(FIXTURES_DIR, 'RateCalc.xml'), buildRateCalcResponse(mismo));
+    console.info('Wrote fixture RateCalc.xml');
+}
+
+if (require.main === module) {
+    seedFixtures();
+}
+
+module.exports = {
+    parseSimulatorCapture,
+    seedFixtures
+};
@@ -0,0 +1,118 @@
+/**
+ * Local LVIS stand-in server
+ *
+ * Replays captured LVIS responses so quick quote and official quote V2 can run
+ * without live FirstAm credentials. Point the Lambda at it with:
+ *
+ *   LVIS_BASE_URL=http://localhost:4010
+ *   FIRSTAM_OAUTH_URL=http://localhost:4010/oauth2/v2.0/token
+ *
+ * Run with: node local-lvis/server.js
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.LOCAL_LVIS_PORT) || 4010;
+const FIXTURES_DIR = process.env.LOCAL_LVIS_FIXTURES || path.join(__dirname, 'fixtures');
+const LOCAL_TOKEN = 'local-lvis-token';
+
+/**
+ * Pick the fixture that answers an LVIS request body
+ * @param {String} requestXML - Raw LVIS_XML request
+ * @returns {String|null} Fixture name without extension
+ */
+function resolveFixtureName(requestXML) {
+    const action = requestXML.match(/<lvis:LVISActionType>\s*([^<\s]+)\s*<\/lvis:LVISActionType>/)?.[1];
+    if (!action) return null;
+
+    // Second round of the L2 exchange echoes CalcRateLevel2Data back with answers
+    if (action === 'RateCalcNoAutoCalc') {
+        return requestXML.includes('<lvis:CalcRateLevel2Data')
+            ? 'RateCalcNoAutoCalc-L2'
+            : 'RateCalcNoAutoCalc-L1';
+    }
+
+    return action;
+}
+
+/**
+ * Load a fixture and stamp it with the caller's ClientUniqueRequestId
+ */
+function renderFixture(name, requestXML) {
+    const fixturePath = path.join(FIXTURES_DIR, `${name}.xml`);
+    if (!fs.existsSync(fixturePath)) return null;
+
+    const fixture = fs.readFileSync(fixturePath, 'utf8');
+    const requestId = requestXML.match(/<lvis:ClientUniqueRequestId>([^<]*)<\/lvis:ClientUniqueRequestId>/)?.[1];
+
+    return requestId
+        ? fixture.replace(
+            /<lvis:ClientUniqueRequestId>[^<]*<\/lvis:ClientUniqueRequestId>/,
+            `<lvis:ClientUniqueRequestId>${requestId}</lvis:ClientUniqueRequestId>`
+        )
+        : fixture;
+}
+
+function handleRequest(req, res, body) {
+    console.info(`${req.method} ${req.url}`);
+
+    if (req.method !== 'POST') {
+        res.writeHead(405, { 'Content-Type': 'text/plain' });
+        res.end('Only POST is supported');
+        return;
+    }
+
+    // Stand-in for the Azure AD client-credentials token endpoint
+    if (req.url.endsWith('/oauth2/v2.0/token')) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            token_type: 'Bearer',
+            expires_in: 3599,
+            access_token: LOCAL_TOKEN
+        }));
+        return;
+    }
+
+    if (req.headers.authorization !== `Bearer ${LOCAL_TOKEN}`) {
+        res.writeHead(401, { 'Content-Type': 'text/plain' });
+        res.end('Missing or invalid bearer token');
+        return;
+    }
+
+    const name = resolveFixtureName(body);
+    const fixture = name && renderFixture(name, body);
+
+    if (!fixture) {
+        console.warn(`No fixture for LVIS action: ${name || 'unknown'}`);
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end(`No fixture for LVIS action: ${name || 'unknown'}`);
+        return;
+    }
+
+    console.info(`Replaying fixture ${name}.xml`);
+    res.writeHead(200, { 'Content-Type': 'application/xml; charset=utf-8' });
+    res.end(fixture);
+}
+
+function createServer() {
+    return http.createServer((req, res) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => handleRequest(req, res, body));
+    });
+}
+
+if (require.main === module) {
+    createServer().listen(PORT, () => {
+        console.info(`Local LVIS stand-in listening on http://localhost:${PORT}`);
+        console.info(`Serving fixtures from ${FIXTURES_DIR}`);
+    });
+}
+
+module.exports = {
+    createServer,
+    resolveFixtureName
+};
@@ -14,6 +14,13 @@ const {
     storeFinalRates,
     storePageNumbers
 } = require('./session-manager');
+const { describeLvisError } = require('../shared/lvis-client');
+const { listExchanges } = require('../shared/exchange-archive');
+const { validate, validationErrorResponse, ValidationError } = require('../shared/validation');
+const schemas = require('../shared/request-schemas');
+const constants = require('../shared/constants');
+const { getTransactionType, loanPurposeForTransactionType } = require('../shared/xml-builders');
+const logger = require('../shared/logger');
 
 /**
  * Main handler for official quote V2 with L2 support
@@ -23,18 +30,12 @@ const {
  * @returns {Object} API Gateway Lambda Proxy Integration response
  */
 async function handleOfficialQuoteV2(event) {
-    console.info('Official Quote V2 Handler received event');
-    
     let requestBody;
     try {
         requestBody = JSON.parse(event.body);
-        console.info('Parsed body:', { 
-            action: requestBody.action,
-            sessionId: requestBody.sessionId,
-            PostalCode: requestBody.PostalCode 
-        });
+        logger.addContext({ action: requestBody.action || 'start', ...(requestBody.sessionId && { sessionId: requestBody.sessionId }) });
     } catch (e) {
-        console.error('Error parsing JSON:', e);
+        logger.warn('Invalid JSON in official quote V2 request', { error: e });
         return {
             statusCode: 400,
             headers: {
@@ -74,15 +75,8 @@ async function handleOfficialQuoteV2(event) {
                 };
         }
     } catch (error) {
-        console.error('Error in official quote V2 handler:', error);
-        return {
-            statusCode: 500,
-            headers: getCORSHeaders(),
-            body: JSON.stringify({ 
-                error: 'Failed to process official quote',
-                details: error.message 
-            })
-        };
+        logger.error('Error in official quote V2 handler', { error });
+        return buildErrorResponse('Failed to process official quote', error);
     }
 }
 
@@ -90,31 +84,50 @@ async function handleOfficialQuoteV2(event) {
  * Start a new official quote V2 session
  */
 async function startOfficialQuoteV2(requestBody) {
+    const { value: request, errors } = validate(schemas.officialQuoteV2.start, requestBody);
+    if (errors.length) {
+        return validationErrorResponse(errors, getCORSHeaders());
+    }
+    
     const { 
-        PostalCode, 
+        PostalCode = null, 
+        City = null,
+        County = null,
+        StateCode = null,
         SalesContractAmount, 
         NoteAmount, 
-        LoanPurposeType,
-        forceL2Questions = false 
-    } = requestBody;
-    
-    // Validate required fields
-    if (!PostalCode) {
-        return {
-            statusCode: 400,
-            headers: getCORSHeaders(),
-            body: JSON.stringify({ error: 'PostalCode is required' })
-        };
-    }
+        forceL2Questions,
+        Policies = null,
+        Endorsements = null,
+        PriorPolicy = null,
+        Loans = null,
+        PropertyType = null,
+        TransactionType = null,
+        ClosingDate = null,
+        PayerAllocation = null
+    } = request;
+    // Without a LoanPurposeType, the TransactionType decides how the deal is priced
+    const LoanPurposeType = request.LoanPurposeType || loanPurposeForTransactionType(TransactionType);
     
     try {
         // Create session
         const sessionData = {
             PostalCode,
+            City,
+            County,
+            StateCode,
             SalesContractAmount,
             NoteAmount,
             LoanPurposeType,
             forceL2Questions,
+            Policies,
+            Endorsements,
+            PriorPolicy,
+            Loans,
+            PropertyType,
+            TransactionType,
+            ClosingDate,
+            PayerAllocation,
             requestedAt: new Date().toISOString()
         };
         
@@ -123,10 +136,21 @@ async function startOfficialQuoteV2(requestBody) {
         // Handle L1 request
         const l1Result = await handleL1Request({
             PostalCode,
+            City,
+            County,
+            StateCode,
             SalesContractAmount,
             NoteAmount,
             LoanPurposeType,
-            forceL2Questions
+            forceL2Questions,
+            Policies,
+            Endorsements,
+            PriorPolicy,
+            Loans,
+            PropertyType,
+            TransactionType,
+            ClosingDate,
+            PayerAllocation
         });
         
         // Store L1 response in session
@@ -144,9 +168,26 @@ async function startOfficialQuoteV2(requestBody) {
                     sessionId,
                     status: 'completed',
                     message: 'Rates calculated successfully',
+                    transactionType: l1Result.transactionType,
+                    propertyType: l1Result.propertyType,
+                    closingDate: l1Result.closingDate,
+                    rateEffectiveDate: l1Result.rateEffectiveDate,
                     hasCalculatedRates: true,
                     fees: l1Result.fees,
+                    totalBuyerFee: l1Result.totalBuyerFee,
+                    totalSellerFee: l1Result.totalSellerFee,
+                    payerAllocation: l1Result.payerAllocation,
+                    loanCommentText: l1Result.loanCommentText,
                     loanComments: l1Result.loanComments,
+                    policies: l1Result.policies,
+                    availablePolicies: l1Result.availablePolicies,
+                    endorsements: l1Result.endorsements,
+                    availableEndorsements: l1Result.availableEndorsements,
+                    ...(l1Result.priorPolicy && {
+                        priorPolicy: l1Result.priorPolicy,
+                        reissueCredits: l1Result.reissueCredits
+                    }),
+                    ...(l1Result.loans && { loans: l1Result.loans }),
                     locationInfo: l1Result.locationData
                 })
             };
@@ -155,7 +196,7 @@ async function startOfficialQuoteV2(requestBody) {
             const formattedQuestions = formatQuestionsForWebApp(l1Result.questions);
             
             // Add page number and consideration amount questions as a separate step
-            const pageQuestions = [
+            const allPageQuestions = [
                 {
                     id: 'deedPages',
                     question: 'Number of pages in the deed document',
@@ -211,6 +252,10 @@ async function startOfficialQuoteV2(requestBody) {
                     helpText: 'Typically the loan amount'
                 }
             ];
+            // A cash purchase records no mortgage
+            const pageQuestions = LoanPurposeType === constants.LOAN_PURPOSE_TYPES.CASH_PURCHASE
+                ? allPageQuestions.filter(question => !question.id.startsWith('mortgage'))
+                : allPageQuestions;
             
             return {
                 statusCode: 200,
@@ -219,8 +264,15 @@ async function startOfficialQuoteV2(requestBody) {
                     sessionId,
                     status: 'pending_page_numbers',
                     message: 'Page numbers required before proceeding',
+                    transactionType: l1Result.transactionType,
+                    propertyType: l1Result.propertyType,
+                    closingDate: l1Result.closingDate,
                     requiresPageNumbers: true,
                     pageQuestions,
+                    pricedPolicies: l1Result.pricedPolicies,
+                    availablePolicies: l1Result.availablePolicies,
+                    selectedEndorsements: l1Result.selectedEndorsements,
+                    availableEndorsements: l1Result.availableEndorsements,
                     locationInfo: l1Result.locationData,
                     expiresIn: '24 hours',
                     nextStep: 'Use updatePages action with page numbers to continue'
@@ -229,15 +281,11 @@ async function startOfficialQuoteV2(requestBody) {
         }
         
     } catch (error) {
-        console.error('Error starting official quote V2:', error);
-        return {
-            statusCode: 500,
-            headers: getCORSHeaders(),
-            body: JSON.stringify({ 
-                error: 'Failed to start official quote',
-                details: error.message 
-            })
-        };
+        if (error instanceof ValidationError) {
+            return validationErrorResponse(error.errors, getCORSHeaders());
+        }
+        logger.error('Error starting official quote V2', { error });
+        return buildErrorResponse('Failed to start official quote', error);
     }
 }
 
@@ -245,46 +293,14 @@ async function startOfficialQuoteV2(requestBody) {
  * Update page numbers for recording documents
  */
 async function updatePagesV2(requestBody) {
-    const { sessionId, pageNumbers } = requestBody;
-    
-    // Validate required fields
-    if (!sessionId || !pageNumbers) {
-        return {
-            statusCode: 400,
-            headers: getCORSHeaders(),
-            body: JSON.stringify({ 
-                error: 'sessionId and pageNumbers are required' 
-            })
-        };
-    }
-    
-    // Validate page numbers and consideration amounts
-    if (!pageNumbers.deedPages || !pageNumbers.mortgagePages) {
-        return {
-            statusCode: 400,
-            headers: getCORSHeaders(),
-            body: JSON.stringify({ 
-                error: 'Both deedPages and mortgagePages are required',
-                details: 'Provide numeric values for both deed and mortgage page counts'
-            })
-        };
+    const { value: request, errors } = validate(schemas.officialQuoteV2.updatePages, requestBody);
+    if (errors.length) {
+        return validationErrorResponse(errors, getCORSHeaders());
     }
     
-    const deedPages = parseInt(pageNumbers.deedPages);
-    const mortgagePages = parseInt(pageNumbers.mortgagePages);
-    const deedConsideration = pageNumbers.deedConsideration ? parseInt(pageNumbers.deedConsideration) : null;
-    const mortgageConsideration = pageNumbers.mortgageConsideration ? parseInt(pageNumbers.mortgageConsideration) : null;
-    
-    if (isNaN(deedPages) || deedPages < 1 || isNaN(mortgagePages) || mortgagePages < 1) {
-        return {
-            statusCode: 400,
-            headers: getCORSHeaders(),
-            body: JSON.stringify({ 
-                error: 'Invalid page numbers',
-                details: 'Page numbers must be positive integers'
-            })
-        };
-    }
+    const { sessionId, pageNumbers } = request;
+    const { deedPages, deedConsideration = null } = pageNumbers;
+    let { mortgagePages, mortgageConsideration = null } = pageNumbers;
     
     try {
         // Retrieve session
@@ -310,6 +326,16 @@ async function updatePagesV2(requestBody) {
             };
         }
         
+        // Only financed quotes record a mortgage
+        if (session.LoanPurposeType === constants.LOAN_PURPOSE_TYPES.CASH_PURCHASE) {
+            mortgagePages = null;
+            mortgageConsideration = null;
+        } else if (mortgagePages === undefined) {
+            return validationErrorResponse([
+                { field: 'pageNumbers.mortgagePages', message: 'pageNumbers.mortgagePages is required' }
+            ], getCORSHeaders());
+        }
+        
         // Store page numbers and consideration amounts in session
         const { storePageNumbers } = require('./session-manager');
         await storePageNumbers(sessionId, { 
@@ -322,11 +348,22 @@ async function updatePagesV2(requestBody) {
         // Re-run L1 with updated page numbers and consideration amounts
         const l1Result = await handleL1Request({
             PostalCode: session.PostalCode,
+            City: session.City,
+            County: session.County,
+            StateCode: session.StateCode,
             SalesContractAmount: deedConsideration || session.SalesContractAmount,
             NoteAmount: mortgageConsideration || session.NoteAmount,
             LoanPurposeType: session.LoanPurposeType,
             forceL2Questions: session.forceL2Questions || true,
-            pageNumbers: { deedPages, mortgagePages }
+            pageNumbers: { deedPages, mortgagePages },
+            Policies: session.Policies,
+            Endorsements: session.Endorsements,
+            PriorPolicy: session.PriorPolicy,
+            Loans: session.Loans,
+            PropertyType: session.PropertyType,
+            TransactionType: session.TransactionType,
+            ClosingDate: session.ClosingDate,
+            PayerAllocation: session.PayerAllocation
         });
         
         // Store updated L1 response
@@ -342,6 +379,9 @@ async function updatePagesV2(requestBody) {
                 sessionId,
                 status: 'pending_answers',
                 message: 'Page numbers updated, please answer the following questions',
+                transactionType: l1Result.transactionType,
+                propertyType: l1Result.propertyType,
+                closingDate: l1Result.closingDate,
                 questions: formattedQuestions,
                 pageNumbers: { 
                     deedPages, 
@@ -354,15 +394,12 @@ async function updatePagesV2(requestBody) {
         };
         
     } catch (error) {
-        console.error('Error updating page numbers:', error);
-        return {
-            statusCode: 500,
-            headers: getCORSHeaders(),
-            body: JSON.stringify({ 
-                error: 'Failed to update page numbers',
-                details: error.message 
-            })
-        };
+        // Re-running L1 checks the session's closing date, location and selections again
+        if (error instanceof ValidationError) {
+            return validationErrorResponse(error.errors, getCORSHeaders());
+        }
+        logger.error('Error updating page numbers', { error });
+        return buildErrorResponse('Failed to update page numbers', error);
     }
 }
 
@@ -370,20 +407,14 @@ async function updatePagesV2(requestBody) {
  * Submit answers for L2 questions
  */
 async function submitAnswersV2(requestBody) {
-    const { sessionId, answers: originalAnswers } = requestBody;
-    let answers = originalAnswers;
-    
-    // Validate required fields
-    if (!sessionId || !answers) {
-        return {
-            statusCode: 400,
-            headers: getCORSHeaders(),
-            body: JSON.stringify({ 
-                error: 'sessionId and answers are required' 
-            })
-        };
+    const { value: request, errors } = validate(schemas.officialQuoteV2.submit, requestBody);
+    if (errors.length) {
+        return validationErrorResponse(errors, getCORSHeaders());
     }
     
+    const { sessionId } = request;
+    let answers = request.answers;
+    
     try {
         // Retrieve session
         const session = await getL2Session(sessionId);
@@ -450,7 +481,7 @@ async function submitAnswersV2(requestBody) {
                 mortgageConsideration: answers.mortgageConsideration ? parseInt(answers.mortgageConsideration) : null
             };
 
-            console.info('Extracted page numbers from answers:', pageNumbers);
+            logger.info('Extracted page numbers from answers', { pageNumbers });
 
             // Store page numbers in session for future reference
             await storePageNumbers(sessionId, pageNumbers);
@@ -477,16 +508,27 @@ async function submitAnswersV2(requestBody) {
 
         // If we have new page numbers, re-run L1 to get updated MISMO with correct recording fees
         if (needsL1Refresh && pageNumbers) {
-            console.info('Re-running L1 request with page numbers to update recording fees');
+            logger.info('Re-running L1 request with page numbers to update recording fees');
 
             // Re-run L1 with page numbers
             const updatedL1Result = await handleL1Request({
                 PostalCode: session.PostalCode,
+                City: session.City,
+                County: session.County,
+                StateCode: session.StateCode,
                 SalesContractAmount: session.SalesContractAmount,
                 NoteAmount: session.NoteAmount,
                 LoanPurposeType: session.LoanPurposeType,
                 forceL2Questions: session.forceL2Questions || true,
-                pageNumbers: pageNumbers  // Pass the page numbers to L1
+                pageNumbers: pageNumbers,  // Pass the page numbers to L1
+                Policies: session.Policies,
+                Endorsements: session.Endorsements,
+                PriorPolicy: session.PriorPolicy,
+                Loans: session.Loans,
+                PropertyType: session.PropertyType,
+                TransactionType: session.TransactionType,
+                ClosingDate: session.ClosingDate,
+                PayerAllocation: session.PayerAllocation
             });
 
             // Update the L1 response data in session
@@ -501,7 +543,13 @@ async function submitAnswersV2(requestBody) {
             calcRateLevel2Data: l1Response.calcRateLevel2Data,
             originalMISMO: l1Response.originalMISMO,
             userAnswers: answers,
-            pageNumbers: pageNumbers // Pass the page numbers (though L2 doesn't use them directly)
+            pageNumbers: pageNumbers, // Pass the page numbers (though L2 doesn't use them directly)
+            pricedPolicies: l1Response.pricedPolicies,
+            selectedEndorsements: l1Response.selectedEndorsements,
+            priorPolicy: l1Response.priorPolicy,
+            loans: l1Response.loans,
+            recordingDocuments: l1Response.recordingDocuments,
+            payerAllocation: l1Response.payerAllocation
         });
         
         // Store final rates
@@ -517,25 +565,84 @@ async function submitAnswersV2(requestBody) {
                 sessionId,
                 status: 'completed',
                 message: 'Official quote generated successfully',
+                transactionType: l1Response.transactionType || getTransactionType(session.LoanPurposeType),
+                propertyType: l1Response.propertyType,
+                closingDate: l1Response.closingDate,
+                rateEffectiveDate: l2Result.rateEffectiveDate || l1Response.closingDate,
                 fees: l2Result.fees,
                 totalBuyerFee: l2Result.totalBuyerFee,
                 totalSellerFee: l2Result.totalSellerFee,
+                payerAllocation: l2Result.payerAllocation,
                 loanCommentText: l2Result.loanCommentText,
+                policies: l2Result.policies,
+                endorsements: l2Result.endorsements,
+                ...(l2Result.priorPolicy && {
+                    priorPolicy: l2Result.priorPolicy,
+                    reissueCredits: l2Result.reissueCredits
+                }),
+                ...(l2Result.loans && { loans: l2Result.loans }),
                 questionSummary: summary,
                 completedAt: new Date().toISOString()
             })
         };
         
     } catch (error) {
-        console.error('Error submitting answers V2:', error);
+        // Re-running L1 checks the session's closing date, location and selections again
+        if (error instanceof ValidationError) {
+            return validationErrorResponse(error.errors, getCORSHeaders());
+        }
+        logger.error('Error submitting answers V2', { error });
+        return buildErrorResponse('Failed to submit answers', error);
+    }
+}
+
+/**
+ * GET /official-quote-v2/sessions/{sessionId}
+ * Same payload as the status action, without a request body
+ */
+async function getOfficialQuoteV2Session(event) {
+    const sessionId = event.pathParameters?.sessionId;
+    return getQuoteStatusV2({ sessionId });
+}
+
+/**
+ * GET /official-quote-v2/sessions/{sessionId}/exchanges
+ * Archived LVIS request/response pairs for a session, oldest first. Served from
+ * the archive, so it still answers after the session itself has expired.
+ * ?includePayloads=false omits the request and response XML.
+ */
+async function getOfficialQuoteV2Exchanges(event) {
+    const sessionId = event.pathParameters?.sessionId;
+    const includePayloads = event.queryStringParameters?.includePayloads !== 'false';
+    
+    try {
+        const exchanges = await listExchanges(sessionId);
+        
+        if (exchanges.length === 0) {
+            return {
+                statusCode: 404,
+                headers: getCORSHeaders(),
+                body: JSON.stringify({ 
+                    error: 'No archived LVIS exchanges for this session' 
+                })
+            };
+        }
+        
         return {
-            statusCode: 500,
+            statusCode: 200,
             headers: getCORSHeaders(),
-            body: JSON.stringify({ 
-                error: 'Failed to submit answers',
-                details: error.message 
+            body: JSON.stringify({
+                sessionId,
+                count: exchanges.length,
+                exchanges: includePayloads
+                    ? exchanges
+                    : exchanges.map(({ requestXML, responseXML, ...summary }) => summary)
             })
         };
+        
+    } catch (error) {
+        logger.error('Error reading LVIS exchange archive', { error });
+        return buildErrorResponse('Failed to read LVIS exchange archive', error);
     }
 }
 
@@ -543,18 +650,13 @@ async function submitAnswersV2(requestBody) {
  * Get the status of an official quote V2 session
  */
 async function getQuoteStatusV2(requestBody) {
-    const { sessionId } = requestBody;
-    
-    if (!sessionId) {
-        return {
-            statusCode: 400,
-            headers: getCORSHeaders(),
-            body: JSON.stringify({ 
-                error: 'sessionId is required' 
-            })
-        };
+    const { value: request, errors } = validate(schemas.officialQuoteV2.status, requestBody);
+    if (errors.length) {
+        return validationErrorResponse(errors, getCORSHeaders());
     }
     
+    const { sessionId } = request;
+    
     try {
         const session = await getL2Session(sessionId);
         
@@ -571,6 +673,9 @@ async function getQuoteStatusV2(requestBody) {
         const response = {
             sessionId,
             status: session.status,
+            transactionType: session.l1Response?.transactionType || getTransactionType(session.LoanPurposeType),
+            propertyType: session.l1Response?.propertyType || constants.DEFAULT_PROPERTY_TYPE,
+            closingDate: session.l1Response?.closingDate || session.ClosingDate || null,
             createdAt: session.createdAt
         };
         
@@ -584,6 +689,17 @@ async function getQuoteStatusV2(requestBody) {
             response.fees = session.finalRates.fees;
             response.totalBuyerFee = session.finalRates.totalBuyerFee;
             response.totalSellerFee = session.finalRates.totalSellerFee;
+            response.payerAllocation = session.finalRates.payerAllocation;
+            response.policies = session.finalRates.policies;
+            response.endorsements = session.finalRates.endorsements;
+            response.rateEffectiveDate = session.finalRates.rateEffectiveDate || response.closingDate;
+            if (session.finalRates.priorPolicy) {
+                response.priorPolicy = session.finalRates.priorPolicy;
+                response.reissueCredits = session.finalRates.reissueCredits;
+            }
+            if (session.finalRates.loans) {
+                response.loans = session.finalRates.loans;
+            }
             response.completedAt = session.completedAt;
         }
         
@@ -594,18 +710,28 @@ async function getQuoteStatusV2(requestBody) {
         };
         
     } catch (error) {
-        console.error('Error getting quote status V2:', error);
-        return {
-            statusCode: 500,
-            headers: getCORSHeaders(),
-            body: JSON.stringify({ 
-                error: 'Failed to get quote status',
-                details: error.message 
-            })
-        };
+        logger.error('Error getting quote status V2', { error });
+        return buildErrorResponse('Failed to get quote status', error);
     }
 }
 
+/**
+ * Build a 5xx response, surfacing LVIS StatusCd / ExceptionMessage when the
+ * failure came from LVIS
+ */
+function buildErrorResponse(message, error) {
+    const lvisError = describeLvisError(error);
+    return {
+        statusCode: lvisError ? 502 : 500,
+        headers: getCORSHeaders(),
+        body: JSON.stringify({ 
+            error: message,
+            details: error.message,
+            ...(lvisError && { lvis: lvisError })
+        })
+    };
+}
+
 /**
  * Get CORS headers
  */
@@ -618,5 +744,7 @@ function getCORSHeaders() {
 }
 
 module.exports = {
-    handleOfficialQuoteV2
+    handleOfficialQuoteV2,
+    getOfficialQuoteV2Session,
+    getOfficialQuoteV2Exchanges
 };
\ No newline at end of file
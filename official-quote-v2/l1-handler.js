@@ -1,16 +1,34 @@
-const axios = require('axios');
-const xml2js = require('xml2js');
-const { v4: uuidv4 } = require('uuid');
-const { getOAuthToken } = require('../shared/auth');
-const { getZipCodeData, getStateFees } = require('../shared/database');
+const { postProductList, postRateCalc, LvisError } = require('../shared/lvis-client');
+const {
+    parseRateCalcResponse,
+    itemizePolicies,
+    itemizeEndorsements,
+    itemizeReissueCredits,
+    groupFeesByLoan,
+    sumFees
+} = require('../shared/fee-parser');
+const { ValidationError } = require('../shared/validation');
+const logger = require('../shared/logger');
+const constants = require('../shared/constants');
+const { getStateFees } = require('../shared/database');
+const { resolveLocation } = require('../shared/location');
+const { resolveClosingDate } = require('../shared/closing-date');
+const { resolvePayerAllocation, allocatePayers, checkAllocatedLines } = require('../shared/payer-allocation');
+const { assignDisclosureSections } = require('../shared/trid-sections');
 const { 
     buildProductListRequestXML,
     buildRateCalcRequestXML,
     parseProductList,
+    selectPolicies,
+    selectEndorsements,
+    checkPriorPolicy,
+    withoutPriorPolicy,
+    planLoans,
     buildTitleServiceBlock,
     buildSettlementServiceBlock,
     buildRecordingServiceBlock
 } = require('../shared/xml-builders');
+const { resolvePropertyType, resolveTransactionType } = require('../shared/calc-type-data');
 
 /**
  * Handle L1 (initial) RateCalc request for official quotes
@@ -22,41 +40,55 @@ const {
 async function handleL1Request(params) {
     const {
         PostalCode,
+        City = null, // Optional; with County and StateCode, locates a property without a ZIP code
+        County = null, // Optional county, required when the ZIP code spans several
+        StateCode = null,
         SalesContractAmount,
         NoteAmount,
         LoanPurposeType,
         forceL2Questions = false, // Use RateCalcNoAutoCalc to force L2 questions
-        pageNumbers = null // Optional page numbers for recording documents
+        pageNumbers = null, // Optional page numbers for recording documents
+        Policies = null, // Optional { OwnerPolicy, LenderPolicy } policy and rate type choices
+        Endorsements = null, // Optional { OwnerPolicy, LenderPolicy } endorsement IDs
+        PriorPolicy = null, // Optional prior policy for a refinance's reissue credit
+        Loans = null, // Optional liens on a purchase, first lien first
+        PropertyType = null, // Optional property type from PropertyTypes (default Residential)
+        TransactionType = null, // Optional transaction type from TransactionTypes (default from LoanPurposeType)
+        ClosingDate = null, // Optional YYYY-MM-DD whose rates are priced (default today where the property is)
+        PayerAllocation = null // Optional { Categories, Lines } overriding who pays which fees
     } = params;
     
-    console.info('L1 Request for official quote:', { PostalCode, LoanPurposeType, forceL2Questions });
+    logger.info('L1 request for official quote', { LoanPurposeType, forceL2Questions });
     
     try {
-        // Get OAuth token
-        const token = await getOAuthToken();
+        // Throws ValidationError unless this is a refinance with a past prior policy date
+        const priorPolicy = checkPriorPolicy({ LoanPurposeType, PriorPolicy });
         
-        // Get location data
-        const zipCodeData = await getZipCodeData(PostalCode);
-        const { city, county_name: countyName, state_id: stateCode } = zipCodeData;
+        // Throws ValidationError when the location does not add up or the ZIP spans several counties
+        const { city, countyName, stateCode } = await resolveLocation({ PostalCode, City, County, StateCode });
         
         // Get state fees
         const stateFeeData = await getStateFees(stateCode);
         
+        // Throws ValidationError for an unknown fee category
+        const payerAllocation = resolvePayerAllocation({ stateCode, countyName, LoanPurposeType, stateFeeData, PayerAllocation });
+        
+        // Throw ValidationError when LVIS does not offer the property or transaction type in this state
+        const propertyType = await resolvePropertyType({ PropertyType, stateCode });
+        const transactionType = await resolveTransactionType({ TransactionType, LoanPurposeType, stateCode, propertyType });
+        // Throws ValidationError when the closing date has passed where the property is
+        const { closingDate, effectiveDate } = resolveClosingDate({ ClosingDate, stateCode });
+        
         // Prepare transaction details
-        const transactionType = LoanPurposeType === 'Refinance' ? 'Refinance' : 'Sale w/ Mortgage';
+        const isCashPurchase = LoanPurposeType === constants.LOAN_PURPOSE_TYPES.CASH_PURCHASE;
         const salesAmount = LoanPurposeType === 'Refinance' ? NoteAmount : SalesContractAmount;
-        const noteAmount = Number(NoteAmount) === 0 ? 1000 : Number(NoteAmount);
-        
-        const effectiveDate = new Date().toLocaleString('en-US', {
-            timeZone: 'America/Los_Angeles',
-            year: 'numeric',
-            month: 'numeric',
-            day: 'numeric',
-            hour: 'numeric',
-            minute: 'numeric',
-            second: 'numeric',
-            hour12: true
-        });
+        // Cash purchases have no loan; with Loans, the first lien stands in for NoteAmount
+        const noteAmount = isCashPurchase ? 0
+            : Loans && Loans.length ? Loans[0].NoteAmount
+            : Number(NoteAmount);
+        // Throws ValidationError when Loans is given for anything but a purchase
+        const loans = planLoans({ LoanPurposeType, NoteAmount: noteAmount, Loans });
+        const loanAmounts = loans.length > 1 ? loans.map(loan => loan.NoteAmount) : noteAmount;
         
         // Step 1: Get Product List (same as quick quote)
         const productListRequestXML = buildProductListRequestXML({
@@ -67,25 +99,10 @@ async function handleL1Request(params) {
             salesContractAmount: salesAmount,
             noteAmount,
             effectiveDate,
+            propertyType
         });
         
-        console.info('Sending ProductList request...');
-        
-        const productListResponse = await axios.post(
-            'https://calculator.lvis.firstam.com/ProductList',
-            productListRequestXML,
-            {
-                headers: {
-                    Authorization: `Bearer ${token}`,
-                    'Content-Type': 'application/xml',
-                },
-            }
-        );
-        
-        const parsedProductList = await xml2js.parseStringPromise(productListResponse.data, {
-            explicitArray: false,
-            ignoreAttrs: false,
-        });
+        const { parsed: parsedProductList } = await postProductList(productListRequestXML);
         
         const responseBody = parsedProductList?.['lvis:LVIS_XML']?.['lvis:LVIS_CALCULATOR_TYPE_DATA_RESPONSE']?.['lvis:CalcTypeData'];
         const productList = responseBody?.['lvis:ProductsList'];
@@ -95,13 +112,24 @@ async function handleL1Request(params) {
         }
         
         // Parse products
+        const products = parseProductList(productList);
         const {
-            titlePolicies,
-            lenderPolicies,
-            endorsementProducts,
+            availableEndorsements,
             closingProducts,
             recordingProducts
-        } = parseProductList(productList);
+        } = products;
+        
+        // Throws ValidationError when a policy, rate type or endorsement is not offered
+        const policySelection = selectPolicies({ products, LoanPurposeType, selection: Policies, loans });
+        const { titlePolicies, lenderPolicies } = policySelection;
+        const endorsementSelection = selectEndorsements({
+            availableEndorsements,
+            titlePolicies,
+            lenderPolicies,
+            LoanPurposeType,
+            selection: Endorsements,
+            loans
+        });
         
         // Build services block
         let currentSeq = 1;
@@ -111,20 +139,21 @@ async function handleL1Request(params) {
             buildTitleServiceBlock(
                 titlePolicies,
                 lenderPolicies,
-                endorsementProducts,
-                noteAmount,
+                endorsementSelection.selected,
+                loanAmounts,
                 salesAmount,
-                new Date().toISOString().split('T')[0],
+                closingDate,
                 LoanPurposeType,
-                stateCode
+                stateCode,
+                priorPolicy
             )
         );
         
         // Skip settlement services for all states - causes errors with invalid closing product IDs
-        console.info(`Skipping settlement services for ${stateCode} - prevents closing product errors`);
+        logger.debug('Skipping settlement services to prevent closing product errors', { stateCode });
         currentSeq = 2; // Settlement would have been seq 2, so recording starts at 2
         
-        const recordingResult = buildRecordingServiceBlock(recordingProducts, currentSeq, pageNumbers, salesAmount, noteAmount);
+        const recordingResult = buildRecordingServiceBlock(recordingProducts, currentSeq, pageNumbers, salesAmount, loanAmounts, LoanPurposeType);
         if (recordingResult.xml) {
             servicesParts.push(recordingResult.xml);
         }
@@ -143,78 +172,67 @@ async function handleL1Request(params) {
             city,
             countyName,
             stateCode,
-            servicesBlock
+            servicesBlock,
+            loans,
+            propertyType,
+            transactionType
         });
         
-        console.info(`Sending L1 RateCalc request (${actionType})...`);
-        // Log first 500 chars of request for debugging
-        console.info('Request XML (first 500 chars):', requestXML.substring(0, 500));
-        
-        const l1Response = await axios.post(
-            'https://calculator.lvis.firstam.com/',
-            requestXML,
-            {
-                headers: {
-                    Authorization: `Bearer ${token}`,
-                    'Content-Type': 'application/xml'
-                }
-            }
-        );
-        
-        console.info('L1 Response received, parsing...');
-        
-        const parsedL1Response = await xml2js.parseStringPromise(l1Response.data, {
-            explicitArray: false,
-            ignoreAttrs: false,
-        });
-        
-        // Debug: Check top-level structure
-        console.info('Top level keys:', Object.keys(parsedL1Response));
-        if (parsedL1Response['lvis:LVIS_XML']) {
-            console.info('LVIS_XML keys:', Object.keys(parsedL1Response['lvis:LVIS_XML']));
-            // Check for ACK_NACK
-            const ackNack = parsedL1Response['lvis:LVIS_XML']['lvis:LVIS_ACK_NACK'];
-            if (ackNack) {
-                console.info('ACK_NACK Status:', ackNack['lvis:StatusCd'], 'Description:', ackNack['lvis:StatusDescription']);
-                if (ackNack['lvis:StatusCd'] !== '1000') {
-                    // Error occurred - log more details
-                    console.error('Full ACK_NACK:', JSON.stringify(ackNack, null, 2));
-                    const errorDetail = ackNack['lvis:StatusDetail'] || ackNack['lvis:StatusComment'] || ackNack['lvis:Comments'];
-                    if (errorDetail) {
-                        console.error('Error detail:', errorDetail);
-                    }
-                    // Log the echo'd request to see what we sent
-                    const echoedRequest = parsedL1Response['lvis:LVIS_XML']['lvis:LVIS_CALCULATOR_REQUEST'];
-                    if (echoedRequest) {
-                        console.error('FirstAm echoed our request - checking MISMO structure');
-                        const mismo = echoedRequest['lvis:MISMO_XML'];
-                        if (mismo) {
-                            console.info('MISMO present in echoed request');
-                        }
-                    }
-                }
-            }
-        }
+        // The client throws LvisAckNackError when StatusCd is not 1000
+        const { parsed: parsedL1Response } = await postRateCalc(requestXML, { action: actionType });
         
         // Check if rates are calculated or L2 questions are needed
         const calculatorResponse = parsedL1Response['lvis:LVIS_XML']?.['lvis:LVIS_CALCULATOR_RESPONSE'];
-        console.info('Calculator response keys:', calculatorResponse ? Object.keys(calculatorResponse) : 'No calculator response');
-        // Note: FirstAm has a typo in their field name - missing 'l' in Calculated
-        const hasCalculatedRates = calculatorResponse?.['lvis:HasCalcuatedRates'] === 'true' || 
-                                   calculatorResponse?.['lvis:HasCalculatedRates'] === 'true';
+        const rateCalcResult = parseRateCalcResponse(parsedL1Response);
+        const { hasCalculatedRates } = rateCalcResult;
         
         if (hasCalculatedRates) {
-            console.info('Rates calculated in L1 response');
+            logger.info('Rates calculated in L1 response', { feeCount: rateCalcResult.fees.length });
             
-            // Parse and return rates (similar to quick quote)
-            const fees = parseFees(parsedL1Response);
-            const loanComments = parseLoanComments(parsedL1Response);
+            // Split between buyer and seller as the allocation says, placed in Loan Estimate / Closing Disclosure sections
+            const allocate = feeLines => assignDisclosureSections(
+                allocatePayers(feeLines, payerAllocation, { pricedPolicies: policySelection.priced }),
+                { pricedPolicies: policySelection.priced }
+            );
+            const fees = allocate(rateCalcResult.fees);
+            checkAllocatedLines(fees, payerAllocation);
+            const { totalBuyerFee, totalSellerFee } = sumFees(fees);
+            
+            // With a prior policy, the same request without it gives the full-rate premium
+            let reissueCredits = [];
+            if (priorPolicy) {
+                const { parsed: baseline } = await postRateCalc(withoutPriorPolicy(requestXML), { action: actionType });
+                reissueCredits = itemizeReissueCredits(fees, allocate(parseRateCalcResponse(baseline).fees), policySelection.priced);
+            }
             
             return {
                 type: 'rates',
                 hasCalculatedRates: true,
+                transactionType,
+                propertyType,
+                closingDate,
+                rateEffectiveDate: rateCalcResult.effectiveDate || closingDate,
                 fees,
-                loanComments,
+                totalBuyerFee,
+                totalSellerFee,
+                payerAllocation,
+                loanComments: rateCalcResult.loanComments,
+                loanCommentText: rateCalcResult.loanCommentText,
+                policies: itemizePolicies(fees, policySelection.priced),
+                pricedPolicies: policySelection.priced,
+                availablePolicies: policySelection.available,
+                endorsements: itemizeEndorsements(fees, endorsementSelection.selected),
+                selectedEndorsements: endorsementSelection.selected,
+                availableEndorsements: endorsementSelection.available,
+                priorPolicy,
+                reissueCredits,
+                ...(Loans && {
+                    loans: groupFeesByLoan(fees, {
+                        loans,
+                        pricedPolicies: policySelection.priced,
+                        recordingDocuments: recordingResult.documents
+                    })
+                }),
                 locationData: {
                     city,
                     county: countyName,
@@ -222,23 +240,13 @@ async function handleL1Request(params) {
                 }
             };
         } else {
-            console.info('L2 questions required');
-            
             // Parse L2 questions
             const calcRateLevel2Data = calculatorResponse?.['lvis:CalcRateLevel2Data'];
-            console.info('CalcRateLevel2Data present:', !!calcRateLevel2Data);
-            if (calcRateLevel2Data) {
-                console.info('CalcRateLevel2Data keys:', Object.keys(calcRateLevel2Data));
-                // Check for RateCalcRequest
-                const rateCalcRequest = calcRateLevel2Data['lvis:RateCalcRequest'];
-                console.info('RateCalcRequest present:', !!rateCalcRequest);
-                if (rateCalcRequest) {
-                    const qandas = rateCalcRequest['lvis:QandAs'];
-                    console.info('QandAs present:', !!qandas);
-                }
-            }
             const questions = parseL2Questions(calcRateLevel2Data);
-            console.info('Parsed questions count:', questions.length);
+            logger.info('L2 questions required', {
+                hasCalcRateLevel2Data: Boolean(calcRateLevel2Data),
+                questionCount: questions.length
+            });
             
             // Store original MISMO_XML for L2 request
             const originalMISMO = calculatorResponse?.['lvis:MISMO_XML'];
@@ -246,9 +254,19 @@ async function handleL1Request(params) {
             return {
                 type: 'questions',
                 hasCalculatedRates: false,
+                transactionType,
+                propertyType,
+                closingDate, // Rate-effective date comes with the L2 response
                 questions,
                 calcRateLevel2Data, // Store entire L2 data for echoing back
                 originalMISMO, // Store for L2 request
+                pricedPolicies: policySelection.priced, // Itemized from the L2 response
+                availablePolicies: policySelection.available,
+                selectedEndorsements: endorsementSelection.selected, // Priced from the L2 response
+                availableEndorsements: endorsementSelection.available,
+                priorPolicy, // Credit measured from the L2 response
+                payerAllocation, // Applied to the L2 response
+                ...(Loans && { loans, recordingDocuments: recordingResult.documents }), // Fees grouped from the L2 response
                 locationData: {
                     city,
                     county: countyName,
@@ -258,120 +276,13 @@ async function handleL1Request(params) {
         }
         
     } catch (error) {
-        console.error('Error in L1 request:', error);
+        logger.error('Error in L1 request', { error });
+        // Keep StatusCd / ExceptionMessage intact for the caller
+        if (error instanceof LvisError || error instanceof ValidationError) throw error;
         throw new Error(`Failed to process L1 request: ${error.message}`);
     }
 }
 
-/**
- * Build RateCalc request XML for L1 with action type
- */
-function buildRateCalcRequestXMLForL1(params) {
-    const {
-        actionType,
-        PostalCode,
-        SalesContractAmount,
-        NoteAmount,
-        LoanPurposeType,
-        city,
-        countyName,
-        stateCode,
-        servicesBlock
-    } = params;
-    
-    const salesAmount = LoanPurposeType === 'Refinance' ? NoteAmount : SalesContractAmount;
-    const noteAmountToUse = Number(NoteAmount) === 0 ? 1000 : NoteAmount;
-    
-    return `<?xml version="1.0" encoding="utf-8"?>
-<lvis:LVIS_XML xmlns:xlink="http://www.w3.org/1999/xlink" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:lvis="http://services.firstam.com/lvis/v2.0">
-  <lvis:LVIS_HEADER>
-    <lvis:LVISActionType>${actionType}</lvis:LVISActionType>
-    <lvis:ClientCustomerId>FNTE</lvis:ClientCustomerId>
-    <lvis:ClientUniqueRequestId>L1-${uuidv4()}</lvis:ClientUniqueRequestId>
-  </lvis:LVIS_HEADER>
-  <lvis:LVIS_CALCULATOR_REQUEST>
-    <lvis:MISMO_XML>
-      <MESSAGE xlink:label="M1" SequenceNumber="1">
-        <DEAL_SETS>
-          <DEAL_SET xlink:label="DS1" SequenceNumber="1">
-            <DEALS>
-              <DEAL xlink:label="D1" SequenceNumber="1">
-                <PARTIES>
-                  <PARTY xlink:label="Party_ID" SequenceNumber="1">
-                    <INDIVIDUAL>
-                      <NAME>
-                        <FirstName>Test</FirstName>
-                        <LastName>User</LastName>
-                      </NAME>
-                    </INDIVIDUAL>
-                    <ROLES>
-                      <ROLE SequenceNumber="1">
-                        <ROLE_DETAIL>
-                          <PartyRoleType>Borrower</PartyRoleType>
-                        </ROLE_DETAIL>
-                      </ROLE>
-                    </ROLES>
-                  </PARTY>
-                </PARTIES>
-                <COLLATERALS>
-                  <COLLATERAL xlink:label="PropertyLocations" SequenceNumber="1">
-                    <SUBJECT_PROPERTY>
-                      <ADDRESS>
-                        <CityName>${city}</CityName>
-                        <CountyName>${countyName}</CountyName>
-                        <PostalCode>${PostalCode}</PostalCode>
-                        <StateCode>${stateCode}</StateCode>
-                      </ADDRESS>
-                      <SALES_CONTRACTS>
-                        <SALES_CONTRACT>
-                          <SALES_CONTRACT_DETAIL>
-                            <SalesContractAmount>${salesAmount}</SalesContractAmount>
-                          </SALES_CONTRACT_DETAIL>
-                        </SALES_CONTRACT>
-                      </SALES_CONTRACTS>
-                      <SITE>
-                        <SITE_LOCATIONS>
-                          <SITE_LOCATION>
-                            <LocationType>Residential</LocationType>
-                          </SITE_LOCATION>
-                        </SITE_LOCATIONS>
-                      </SITE>
-                    </SUBJECT_PROPERTY>
-                  </COLLATERAL>
-                </COLLATERALS>
-                <LOANS>
-                  <LOAN xlink:label="SubjectLoan" SequenceNumber="1">
-                    <LOAN_IDENTIFIERS>
-                      <LOAN_IDENTIFIER SequenceNumber="1">
-                        <LoanIdentifier>1234567</LoanIdentifier>
-                        <LoanIdentifierType>LenderLoan</LoanIdentifierType>
-                      </LOAN_IDENTIFIER>
-                    </LOAN_IDENTIFIERS>
-                    <TERMS_OF_LOAN>
-                      ${LoanPurposeType === 'Refinance' ? `
-                        <LoanPurposeType>Refinance</LoanPurposeType>
-                        <NoteAmount>${noteAmountToUse}</NoteAmount>
-                      ` : `
-                        <LoanPurposeType>Other</LoanPurposeType>
-                        <LoanPurposeTypeOtherDescription>Sale w/ Mortgage</LoanPurposeTypeOtherDescription>
-                        <NoteAmount>${noteAmountToUse}</NoteAmount>
-                      `}
-                    </TERMS_OF_LOAN>
-                  </LOAN>
-                </LOANS>
-                <SERVICES>
-                ${servicesBlock}
-                </SERVICES>
-              </DEAL>
-            </DEALS>
-          </DEAL_SET>
-        </DEAL_SETS>
-      </MESSAGE>
-    </lvis:MISMO_XML>
-  </lvis:LVIS_CALCULATOR_REQUEST>
-</lvis:LVIS_XML>`;
-}
-
 /**
  * Parse L2 questions from CalcRateLevel2Data
  */
@@ -416,38 +327,6 @@ function parseL2Questions(calcRateLevel2Data) {
     return questions;
 }
 
-/**
- * Parse fees from L1 response (when rates are calculated)
- */
-function parseFees(parsedResponse) {
-    try {
-        const fees = parsedResponse['lvis:LVIS_XML']['lvis:LVIS_CALCULATOR_RESPONSE']['lvis:MISMO_XML']
-            ['MESSAGE']['DEAL_SETS']['DEAL_SET']['DEALS']['DEAL']
-            ['LOANS']['LOAN']['FEE_INFORMATION']['FEES']['FEE'];
-        
-        return Array.isArray(fees) ? fees : [fees];
-    } catch (error) {
-        console.error('Error parsing fees:', error);
-        return [];
-    }
-}
-
-/**
- * Parse loan comments from L1 response
- */
-function parseLoanComments(parsedResponse) {
-    try {
-        const comments = parsedResponse['lvis:LVIS_XML']['lvis:LVIS_CALCULATOR_RESPONSE']['lvis:MISMO_XML']
-            ['MESSAGE']['DEAL_SETS']['DEAL_SET']['DEALS']['DEAL']
-            ['LOANS']['LOAN']['LOAN_COMMENTS']['LOAN_COMMENT'];
-        
-        return Array.isArray(comments) ? comments : [comments];
-    } catch (error) {
-        console.error('Error parsing loan comments:', error);
-        return [];
-    }
-}
-
 module.exports = {
     handleL1Request
 };
\ No newline at end of file
@@ -1,7 +1,19 @@
-const axios = require('axios');
 const xml2js = require('xml2js');
-const { v4: uuidv4 } = require('uuid');
-const { getOAuthToken } = require('../shared/auth');
+const { postRateCalc, LvisError } = require('../shared/lvis-client');
+const {
+    parseRateCalcResponse,
+    itemizePolicies,
+    itemizeEndorsements,
+    itemizeReissueCredits,
+    groupFeesByLoan,
+    sumFees
+} = require('../shared/fee-parser');
+const { withoutPriorPolicy } = require('../shared/xml-builders');
+const { allocatePayers, checkAllocatedLines } = require('../shared/payer-allocation');
+const { assignDisclosureSections } = require('../shared/trid-sections');
+const { getConfig } = require('../shared/config');
+const { ValidationError } = require('../shared/validation');
+const logger = require('../shared/logger');
 const { mapAnswersToL2Format } = require('./question-parser');
 
 /**
@@ -11,6 +23,12 @@ const { mapAnswersToL2Format } = require('./question-parser');
  * @param {Object} params.calcRateLevel2Data - Original L2 data from L1 response
  * @param {Object} params.originalMISMO - Original MISMO XML from L1 request
  * @param {Object} params.userAnswers - User-provided answers to L2 questions
+ * @param {Array} [params.pricedPolicies] - Policies sent with L1, itemized in the result
+ * @param {Array} [params.selectedEndorsements] - Endorsements sent with L1, itemized in the result
+ * @param {Object} [params.priorPolicy] - Refinance prior policy sent with L1; the result then includes reissueCredits
+ * @param {Array} [params.loans] - Loans sent with L1; the result then includes fees grouped per loan
+ * @param {Array} [params.recordingDocuments] - Recording documents sent with L1, to group recording fees by loan
+ * @param {Object} [params.payerAllocation] - L1's buyer/seller allocation, applied to the final fees
  * @returns {Object} Final rates and fees
  */
 async function handleL2Request(params) {
@@ -18,18 +36,18 @@ async function handleL2Request(params) {
         calcRateLevel2Data,
         originalMISMO,
         userAnswers,
-        pageNumbers = null
+        pageNumbers = null,
+        pricedPolicies = [],
+        selectedEndorsements = [],
+        priorPolicy = null,
+        loans = null,
+        recordingDocuments = [],
+        payerAllocation = null
     } = params;
 
-    console.info('Processing L2 request with user answers');
-    if (pageNumbers) {
-        console.info('Page numbers provided for L2 request:', pageNumbers);
-    }
+    logger.info('Processing L2 request with user answers', { answerCount: Object.keys(userAnswers || {}).length, pageNumbers });
     
     try {
-        // Get OAuth token
-        const token = await getOAuthToken();
-        
         // Update CalcRateLevel2Data with user answers
         const updatedL2Data = mapAnswersToL2Format(calcRateLevel2Data, userAnswers);
         
@@ -43,71 +61,59 @@ async function handleL2Request(params) {
             originalMISMO
         });
         
-        console.info('Sending L2 RateCalc request...');
-        
-        // Send L2 request
-        const l2Response = await axios.post(
-            'https://calculator.lvis.firstam.com/',
-            l2RequestXML,
-            {
-                headers: {
-                    Authorization: `Bearer ${token}`,
-                    'Content-Type': 'application/xml'
-                }
-            }
-        );
-        
-        console.info('L2 Response received, parsing final rates...');
-        
-        // Parse L2 response
-        const parsedL2Response = await xml2js.parseStringPromise(l2Response.data, {
-            explicitArray: false,
-            ignoreAttrs: false,
+        // Send L2 request - the client throws LvisAckNackError when StatusCd is not 1000
+        const { parsed: parsedL2Response } = await postRateCalc(l2RequestXML, {
+            action: 'RateCalcNoAutoCalc'
         });
         
-        // Debug log the raw response (first 2000 chars)
-        console.info('L2 Raw Response (first 2000 chars):', l2Response.data.substring(0, 2000));
-        
-        // Extract fees and loan comments
-        const fees = extractFeesFromL2Response(parsedL2Response);
-        const loanComments = extractLoanCommentsFromL2Response(parsedL2Response);
-        
-        // Process fees similar to quick quote
-        const processedFees = processFees(fees);
-        
-        // Calculate totals
-        const totalBuyerFee = processedFees.reduce((sum, fee) => 
-            sum + parseFloat(fee.BuyerFee || 0), 0
-        );
-        const totalSellerFee = processedFees.reduce((sum, fee) => 
-            sum + parseFloat(fee.SellerFee || 0), 0
+        // Normalize fee lines the same way quick quote does, split between buyer and seller as L1 resolved
+        // and placed in Loan Estimate / Closing Disclosure sections
+        const {
+            fees: pricedFees,
+            loanComments,
+            loanCommentText,
+            effectiveDate
+        } = parseRateCalcResponse(parsedL2Response);
+        const allocate = feeLines => assignDisclosureSections(
+            allocatePayers(feeLines, payerAllocation, { pricedPolicies }),
+            { pricedPolicies }
         );
+        const fees = allocate(pricedFees);
+        checkAllocatedLines(fees, payerAllocation);
+        const { totalBuyerFee, totalSellerFee } = sumFees(fees);
         
-        // Extract and clean loan comment text
-        const loanComment = loanComments.find(comment => 
-            comment['$']?.['xlink:label'] === 'RESPONSE_NOTE_1'
-        );
-        let loanCommentText = loanComment ? loanComment.LoanCommentText : '';
-        if (Array.isArray(loanCommentText)) {
-            loanCommentText = loanCommentText[0];
+        logger.info('L2 final rates parsed', { feeCount: fees.length });
+        
+        // With a prior policy, the same request without it gives the full-rate premium
+        let reissueCredits = [];
+        if (priorPolicy) {
+            const { parsed: baseline } = await postRateCalc(withoutPriorPolicy(l2RequestXML), {
+                action: 'RateCalcNoAutoCalc'
+            });
+            reissueCredits = itemizeReissueCredits(fees, allocate(parseRateCalcResponse(baseline).fees), pricedPolicies);
         }
-        loanCommentText = (loanCommentText || '').replace(/<[^>]+>/g, ''); // Remove HTML tags
         
         return {
             type: 'final_rates',
             hasCalculatedRates: true,
-            fees: processedFees,
-            totalBuyerFee: totalBuyerFee.toFixed(2),
-            totalSellerFee: totalSellerFee.toFixed(2),
+            rateEffectiveDate: effectiveDate,
+            fees,
+            totalBuyerFee,
+            totalSellerFee,
+            payerAllocation,
             loanCommentText,
-            rawResponse: {
-                fees,
-                loanComments
-            }
+            loanComments,
+            policies: itemizePolicies(fees, pricedPolicies),
+            endorsements: itemizeEndorsements(fees, selectedEndorsements),
+            priorPolicy,
+            reissueCredits,
+            ...(loans && { loans: groupFeesByLoan(fees, { loans, pricedPolicies, recordingDocuments }) })
         };
         
     } catch (error) {
-        console.error('Error in L2 request:', error);
+        logger.error('Error in L2 request', { error });
+        // Keep StatusCd / ExceptionMessage intact for the caller
+        if (error instanceof LvisError || error instanceof ValidationError) throw error;
         throw new Error(`Failed to process L2 request: ${error.message}`);
     }
 }
@@ -151,8 +157,8 @@ function buildL2RequestXML({ calcRateLevel2Data, originalMISMO }) {
 <lvis:LVIS_XML xmlns:xlink="http://www.w3.org/1999/xlink" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:lvis="http://services.firstam.com/lvis/v2.0">
   <lvis:LVIS_HEADER>
     <lvis:LVISActionType>RateCalcNoAutoCalc</lvis:LVISActionType>
-    <lvis:ClientCustomerId>FNTE</lvis:ClientCustomerId>
-    <lvis:ClientUniqueRequestId>L2-${uuidv4()}</lvis:ClientUniqueRequestId>
+    <lvis:ClientCustomerId>${getConfig().clientCustomerId}</lvis:ClientCustomerId>
+    <lvis:ClientUniqueRequestId>${logger.clientUniqueRequestId('L2')}</lvis:ClientUniqueRequestId>
   </lvis:LVIS_HEADER>
   <lvis:LVIS_CALCULATOR_REQUEST>
     ${l2DataXML}
@@ -161,155 +167,6 @@ function buildL2RequestXML({ calcRateLevel2Data, originalMISMO }) {
 </lvis:LVIS_XML>`;
 }
 
-/**
- * Extract fees from L2 response
- */
-function extractFeesFromL2Response(parsedResponse) {
-    try {
-        // Debug log the structure
-        console.info('L2 Response structure keys:', Object.keys(parsedResponse));
-        
-        // Check if we have the expected structure
-        const lvisXML = parsedResponse['lvis:LVIS_XML'];
-        if (lvisXML) {
-            const calcResponse = lvisXML['lvis:LVIS_CALCULATOR_RESPONSE'];
-            if (calcResponse) {
-                console.info('Calculator response keys:', Object.keys(calcResponse));
-                
-                // The MISMO_XML section doesn't have lvis: namespace
-                const mismoXML = calcResponse['lvis:MISMO_XML'];
-                if (mismoXML) {
-                    console.info('MISMO_XML type:', typeof mismoXML);
-
-                    // Log the raw XML for debugging
-                    console.info('Raw MISMO XML (first 3000 chars):', JSON.stringify(mismoXML).substring(0, 3000));
-                    
-                    // Handle both array and non-array formats
-                    const message = Array.isArray(mismoXML) ? mismoXML[0]['MESSAGE'] : mismoXML['MESSAGE'];
-                    
-                    if (message) {
-                        const messageParsed = Array.isArray(message) ? message[0] : message;
-                        const path = messageParsed?.['DEAL_SETS']?.['DEAL_SET']?.
-                            ['DEALS']?.['DEAL']?.['LOANS']?.['LOAN']?.['FEE_INFORMATION']?.
-                            ['FEES']?.['FEE'];
-                        
-                        if (path) {
-                            console.info(`Found ${Array.isArray(path) ? path.length : 1} fees in L2 response`);
-                            return Array.isArray(path) ? path : [path];
-                        }
-                    }
-                }
-            }
-        }
-        
-        console.warn('No fees found in L2 response - structure not as expected');
-        return [];
-    } catch (error) {
-        console.error('Error extracting fees from L2 response:', error);
-        return [];
-    }
-}
-
-/**
- * Extract loan comments from L2 response
- */
-function extractLoanCommentsFromL2Response(parsedResponse) {
-    try {
-        const lvisXML = parsedResponse['lvis:LVIS_XML'];
-        if (lvisXML) {
-            const calcResponse = lvisXML['lvis:LVIS_CALCULATOR_RESPONSE'];
-            if (calcResponse) {
-                // The MISMO_XML section doesn't have lvis: namespace
-                const mismoXML = calcResponse['lvis:MISMO_XML'];
-                if (mismoXML) {
-                    // Handle both array and non-array formats
-                    const message = Array.isArray(mismoXML) ? mismoXML[0]['MESSAGE'] : mismoXML['MESSAGE'];
-                    
-                    if (message) {
-                        const messageParsed = Array.isArray(message) ? message[0] : message;
-                        const path = messageParsed?.['DEAL_SETS']?.['DEAL_SET']?.
-                            ['DEALS']?.['DEAL']?.['LOANS']?.['LOAN']?.['LOAN_COMMENTS']?.
-                            ['LOAN_COMMENT'];
-                        
-                        if (path) {
-                            console.info(`Found ${Array.isArray(path) ? path.length : 1} loan comments in L2 response`);
-                            return Array.isArray(path) ? path : [path];
-                        }
-                    }
-                }
-            }
-        }
-        
-        console.warn('No loan comments found in L2 response');
-        return [];
-    } catch (error) {
-        console.error('Error extracting loan comments from L2 response:', error);
-        return [];
-    }
-}
-
-/**
- * Process fees to extract buyer/seller amounts
- */
-function processFees(fees) {
-    const processedFees = [];
-    
-    fees.forEach((fee, index) => {
-        try {
-            // Debug first fee structure
-            if (index === 0) {
-                console.info('First fee structure:', JSON.stringify(fee).substring(0, 500));
-            }
-            
-            const feeDetail = fee['FEE_DETAIL'];
-            const feePayments = fee['FEE_PAYMENTS']?.['FEE_PAYMENT'] || [];
-            
-            // Handle both string and array formats - with explicitArray: false, it's a string
-            const feeDescription = feeDetail?.['FeeDescription'] || 'Unknown Fee';
-            
-            const disclosureItemName = feeDetail?.['DisclosureItemName'] || '';
-            
-            // Extract buyer and seller amounts
-            let buyerAmount = 0;
-            let sellerAmount = 0;
-            
-            const payments = Array.isArray(feePayments) ? feePayments : [feePayments];
-            
-            payments.forEach(payment => {
-                // With explicitArray: false, these are direct strings/numbers
-                const paidByType = payment['FeePaymentPaidByType'];
-                
-                const actualAmount = parseFloat(
-                    payment['FeeActualPaymentAmount'] || 0
-                );
-                
-                const estimatedAmount = parseFloat(
-                    payment['FeeEstimatedPaymentAmount'] || 0
-                );
-                
-                const amount = actualAmount || estimatedAmount;
-                
-                if (paidByType === 'Buyer') {
-                    buyerAmount += amount;
-                } else if (paidByType === 'Seller') {
-                    sellerAmount += amount;
-                }
-            });
-            
-            processedFees.push({
-                FeeDescription: feeDescription,
-                DisclosureItemName: disclosureItemName,
-                BuyerFee: buyerAmount.toFixed(2),
-                SellerFee: sellerAmount.toFixed(2)
-            });
-        } catch (error) {
-            console.error('Error processing fee:', error);
-        }
-    });
-    
-    return processedFees;
-}
-
 /**
  * Build summary of L2 transaction
  */
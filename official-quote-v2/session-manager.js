@@ -1,14 +1,16 @@
 const { v4: uuidv4 } = require('uuid');
-const AWS = require('aws-sdk');
-const dynamoDB = new AWS.DynamoDB.DocumentClient();
+const { createSessionStore } = require('../shared/session-store');
+const constants = require('../shared/constants');
+const logger = require('../shared/logger');
 
 /**
  * Session manager for L2 quote flow
- * Uses a separate DynamoDB table to avoid any impact on existing functionality
+ * Uses a separate table to avoid any impact on existing functionality.
+ * The backend (dynamodb, file or memory) is selected by SESSION_STORE.
  */
 
-const TABLE_NAME = 'QuoteSessionsV2'; // Separate table for L2 sessions
-const SESSION_TTL_HOURS = 24;
+const SESSION_TTL_HOURS = constants.SESSION_TTL_HOURS;
+const sessionStore = createSessionStore({ tableName: constants.TABLES.QUOTE_SESSIONS_V2 });
 
 /**
  * Create a new L2 session
@@ -27,24 +29,13 @@ async function createL2Session(sessionData) {
         ttl: Math.floor(Date.now() / 1000) + (SESSION_TTL_HOURS * 60 * 60)
     };
     
-    const params = {
-        TableName: TABLE_NAME,
-        Item: item
-    };
-    
     try {
-        await dynamoDB.put(params).promise();
-        console.info('L2 session created:', sessionId);
+        await sessionStore.put(item);
+        logger.addContext({ sessionId });
+        logger.info('L2 session created', { backend: sessionStore.backend });
         return sessionId;
     } catch (error) {
-        console.error('Failed to create L2 session:', error);
-        
-        // If table doesn't exist, use in-memory storage as fallback
-        if (error.code === 'ResourceNotFoundException') {
-            console.warn('Using in-memory session storage (table not found)');
-            return storeInMemory(sessionId, item);
-        }
-        
+        logger.error('Failed to create L2 session', { error });
         throw error;
     }
 }
@@ -52,45 +43,28 @@ async function createL2Session(sessionData) {
 /**
  * Retrieve an L2 session
  * @param {String} sessionId - Session ID
- * @returns {Object} Session data
+ * @returns {Object|null} Session data, or null when missing or expired
  */
 async function getL2Session(sessionId) {
-    const params = {
-        TableName: TABLE_NAME,
-        Key: { sessionId }
-    };
-    
+    let session;
     try {
-        const result = await dynamoDB.get(params).promise();
-        
-        if (!result.Item) {
-            // Check in-memory storage as fallback
-            const memorySession = getFromMemory(sessionId);
-            if (memorySession) {
-                return memorySession;
-            }
-            
-            throw new Error('Session not found');
-        }
-        
-        // Check if session has expired
-        if (result.Item.ttl && result.Item.ttl < Math.floor(Date.now() / 1000)) {
-            throw new Error('Session has expired');
-        }
-        
-        return result.Item;
+        session = await sessionStore.get(sessionId);
     } catch (error) {
-        if (error.code === 'ResourceNotFoundException') {
-            // Try in-memory storage
-            const memorySession = getFromMemory(sessionId);
-            if (memorySession) {
-                return memorySession;
-            }
-        }
-        
-        console.error('Failed to retrieve L2 session:', error);
+        logger.error('Failed to retrieve L2 session', { sessionId, error });
         throw error;
     }
+    
+    if (!session) {
+        return null;
+    }
+    
+    // Expired sessions are treated as missing (DynamoDB TTL deletion is not immediate)
+    if (session.ttl && session.ttl < Math.floor(Date.now() / 1000)) {
+        logger.info('L2 session has expired', { sessionId });
+        return null;
+    }
+    
+    return session;
 }
 
 /**
@@ -99,41 +73,14 @@ async function getL2Session(sessionId) {
  * @param {Object} updates - Updates to apply
  */
 async function updateL2Session(sessionId, updates) {
-    const updateExpressions = [];
-    const expressionAttributeNames = {};
-    const expressionAttributeValues = {};
-    
     // Always update the updatedAt timestamp
     updates.updatedAt = new Date().toISOString();
     
-    Object.keys(updates).forEach((key, index) => {
-        const attrName = `#attr${index}`;
-        const attrValue = `:val${index}`;
-        updateExpressions.push(`${attrName} = ${attrValue}`);
-        expressionAttributeNames[attrName] = key;
-        expressionAttributeValues[attrValue] = updates[key];
-    });
-    
-    const params = {
-        TableName: TABLE_NAME,
-        Key: { sessionId },
-        UpdateExpression: `SET ${updateExpressions.join(', ')}`,
-        ExpressionAttributeNames: expressionAttributeNames,
-        ExpressionAttributeValues: expressionAttributeValues
-    };
-    
     try {
-        await dynamoDB.update(params).promise();
-        console.info('L2 session updated:', sessionId);
+        await sessionStore.update(sessionId, updates);
+        logger.debug('L2 session updated', { sessionId, fields: Object.keys(updates) });
     } catch (error) {
-        if (error.code === 'ResourceNotFoundException') {
-            // Update in-memory storage
-            console.warn('Updating in-memory session');
-            updateInMemory(sessionId, updates);
-            return;
-        }
-        
-        console.error('Failed to update L2 session:', error);
+        logger.error('Failed to update L2 session', { sessionId, error });
         throw error;
     }
 }
@@ -143,22 +90,11 @@ async function updateL2Session(sessionId, updates) {
  * @param {String} sessionId - Session ID
  */
 async function deleteL2Session(sessionId) {
-    const params = {
-        TableName: TABLE_NAME,
-        Key: { sessionId }
-    };
-    
     try {
-        await dynamoDB.delete(params).promise();
-        console.info('L2 session deleted:', sessionId);
+        await sessionStore.delete(sessionId);
+        logger.info('L2 session deleted', { sessionId });
     } catch (error) {
-        if (error.code === 'ResourceNotFoundException') {
-            // Delete from memory
-            deleteFromMemory(sessionId);
-            return;
-        }
-        
-        console.error('Failed to delete L2 session:', error);
+        logger.error('Failed to delete L2 session', { sessionId, error });
         throw error;
     }
 }
@@ -220,63 +156,27 @@ async function storeFinalRates(sessionId, finalRates) {
     await updateL2Session(sessionId, updates);
 }
 
-// In-memory storage fallback (for development/testing)
-const memoryStorage = new Map();
-
-function storeInMemory(sessionId, data) {
-    memoryStorage.set(sessionId, data);
-    
-    // Auto-cleanup after TTL
-    setTimeout(() => {
-        memoryStorage.delete(sessionId);
-    }, SESSION_TTL_HOURS * 60 * 60 * 1000);
-    
-    return sessionId;
-}
-
-function getFromMemory(sessionId) {
-    return memoryStorage.get(sessionId);
-}
-
-function updateInMemory(sessionId, updates) {
-    const existing = memoryStorage.get(sessionId);
-    if (existing) {
-        memoryStorage.set(sessionId, { ...existing, ...updates });
-    }
-}
-
-function deleteFromMemory(sessionId) {
-    memoryStorage.delete(sessionId);
-}
-
 /**
  * Clean up expired sessions (can be run periodically)
+ * DynamoDB also expires items via the ttl attribute; the file and memory
+ * backends rely on this.
  */
 async function cleanupExpiredSessions() {
     const currentTime = Math.floor(Date.now() / 1000);
     
-    const params = {
-        TableName: TABLE_NAME,
-        FilterExpression: 'ttl < :now',
-        ExpressionAttributeValues: {
-            ':now': currentTime
-        }
-    };
-    
     try {
-        const result = await dynamoDB.scan(params).promise();
+        const sessions = await sessionStore.list();
+        const expired = sessions.filter(session => session.ttl && session.ttl < currentTime);
         
-        if (result.Items && result.Items.length > 0) {
-            console.info(`Cleaning up ${result.Items.length} expired sessions`);
+        if (expired.length > 0) {
+            logger.info('Cleaning up expired sessions', { count: expired.length });
             
-            for (const item of result.Items) {
-                await deleteL2Session(item.sessionId);
+            for (const session of expired) {
+                await deleteL2Session(session.sessionId);
             }
         }
     } catch (error) {
-        if (error.code !== 'ResourceNotFoundException') {
-            console.error('Failed to cleanup expired sessions:', error);
-        }
+        logger.error('Failed to cleanup expired sessions', { error });
     }
 }
 
@@ -285,21 +185,17 @@ async function cleanupExpiredSessions() {
  */
 async function getSessionStats() {
     try {
-        const params = {
-            TableName: TABLE_NAME,
-            Select: 'COUNT'
-        };
-        
-        const result = await dynamoDB.scan(params).promise();
+        const sessions = await sessionStore.list();
         
         return {
-            totalSessions: result.Count || 0,
-            inMemorySessions: memoryStorage.size
+            backend: sessionStore.backend,
+            totalSessions: sessions.length
         };
     } catch (error) {
+        logger.error('Failed to count L2 sessions', { error });
         return {
-            totalSessions: 0,
-            inMemorySessions: memoryStorage.size
+            backend: sessionStore.backend,
+            totalSessions: 0
         };
     }
 }
@@ -3,6 +3,10 @@ const { getQuestions } = require('./questions');
 const { submitOfficialQuote } = require('./submission');
 const { saveQuoteSession, getQuoteSession, updateQuoteSession } = require('../shared/database');
 const constants = require('../shared/constants');
+const { validate, validationErrorResponse, ValidationError } = require('../shared/validation');
+const schemas = require('../shared/request-schemas');
+const { loanPurposeForTransactionType } = require('../shared/xml-builders');
+const logger = require('../shared/logger');
 
 /**
  * Main handler for official quote requests
@@ -14,14 +18,12 @@ const constants = require('../shared/constants');
  * @returns {Object} API Gateway Lambda Proxy Integration response
  */
 async function handleOfficialQuote(event) {
-    console.info('Official Quote Handler received event:', JSON.stringify(event, null, 2));
-    
     let requestBody;
     try {
         requestBody = JSON.parse(event.body);
-        console.info('Parsed body:', requestBody);
+        logger.addContext({ action: requestBody.action, ...(requestBody.sessionId && { sessionId: requestBody.sessionId }) });
     } catch (e) {
-        console.error('Error parsing JSON:', e);
+        logger.warn('Invalid JSON in official quote request', { error: e });
         return {
             statusCode: 400,
             headers: constants.CORS_HEADERS,
@@ -51,7 +53,7 @@ async function handleOfficialQuote(event) {
                 };
         }
     } catch (error) {
-        console.error('Error in official quote handler:', error);
+        logger.error('Error in official quote handler', { error });
         return {
             statusCode: 500,
             headers: constants.CORS_HEADERS,
@@ -68,27 +70,32 @@ async function handleOfficialQuote(event) {
  * Gets location-specific questions from FirstAm API
  */
 async function startOfficialQuote(requestBody) {
-    const { PostalCode, SalesContractAmount, NoteAmount, LoanPurposeType } = requestBody;
-    
-    // Validate required fields
-    if (!PostalCode) {
-        return {
-            statusCode: 400,
-            headers: constants.CORS_HEADERS,
-            body: JSON.stringify({ error: 'PostalCode is required' })
-        };
+    const { value: request, errors } = validate(schemas.officialQuote.start, requestBody);
+    if (errors.length) {
+        return validationErrorResponse(errors, constants.CORS_HEADERS);
     }
     
+    const { PostalCode = null, City, County, StateCode, SalesContractAmount, NoteAmount, PropertyType, TransactionType, ClosingDate } = request;
+    // Without a LoanPurposeType, the TransactionType decides how the deal is priced
+    const LoanPurposeType = request.LoanPurposeType || loanPurposeForTransactionType(TransactionType);
+    
     try {
         // Generate a unique session ID
         const sessionId = uuidv4();
+        logger.addContext({ sessionId });
         
         // Get location-specific questions from FirstAm
         const questionsResponse = await getQuestions({
             PostalCode,
+            City,
+            County,
+            StateCode,
             SalesContractAmount,
             NoteAmount,
-            LoanPurposeType
+            LoanPurposeType,
+            PropertyType,
+            TransactionType,
+            ClosingDate
         });
         
         // Save session data
@@ -97,6 +104,9 @@ async function startOfficialQuote(requestBody) {
             SalesContractAmount,
             NoteAmount,
             LoanPurposeType,
+            propertyType: questionsResponse.propertyType,
+            transactionType: questionsResponse.transactionType,
+            closingDate: questionsResponse.closingDate,
             questions: questionsResponse.questions,
             locationData: questionsResponse.locationData,
             status: 'pending_answers'
@@ -108,6 +118,9 @@ async function startOfficialQuote(requestBody) {
             body: JSON.stringify({
                 sessionId,
                 message: 'Official quote started successfully',
+                propertyType: questionsResponse.propertyType,
+                transactionType: questionsResponse.transactionType,
+                closingDate: questionsResponse.closingDate,
                 questions: questionsResponse.questions,
                 locationInfo: {
                     city: questionsResponse.locationData.city,
@@ -118,7 +131,10 @@ async function startOfficialQuote(requestBody) {
             })
         };
     } catch (error) {
-        console.error('Error starting official quote:', error);
+        if (error instanceof ValidationError) {
+            return validationErrorResponse(error.errors, constants.CORS_HEADERS);
+        }
+        logger.error('Error starting official quote', { error });
         throw error;
     }
 }
@@ -127,19 +143,13 @@ async function startOfficialQuote(requestBody) {
  * Submit answers and generate final official quote
  */
 async function submitQuoteWithAnswers(requestBody) {
-    const { sessionId, answers } = requestBody;
-    
-    // Validate required fields
-    if (!sessionId || !answers) {
-        return {
-            statusCode: 400,
-            headers: constants.CORS_HEADERS,
-            body: JSON.stringify({ 
-                error: 'sessionId and answers are required' 
-            })
-        };
+    const { value: request, errors } = validate(schemas.officialQuote.submit, requestBody);
+    if (errors.length) {
+        return validationErrorResponse(errors, constants.CORS_HEADERS);
     }
     
+    const { sessionId, answers } = request;
+    
     try {
         // Retrieve session data
         const session = await getQuoteSession(sessionId);
@@ -206,7 +216,7 @@ async function submitQuoteWithAnswers(requestBody) {
             })
         };
     } catch (error) {
-        console.error('Error submitting official quote:', error);
+        logger.error('Error submitting official quote', { error });
         
         // Update session status to error
         try {
@@ -215,7 +225,7 @@ async function submitQuoteWithAnswers(requestBody) {
                 errorMessage: error.message
             });
         } catch (updateError) {
-            console.error('Failed to update session status:', updateError);
+            logger.error('Failed to update session status', { error: updateError });
         }
         
         throw error;
@@ -226,18 +236,13 @@ async function submitQuoteWithAnswers(requestBody) {
  * Get the status of an official quote session
  */
 async function getQuoteStatus(requestBody) {
-    const { sessionId } = requestBody;
-    
-    if (!sessionId) {
-        return {
-            statusCode: 400,
-            headers: constants.CORS_HEADERS,
-            body: JSON.stringify({ 
-                error: 'sessionId is required' 
-            })
-        };
+    const { value: request, errors } = validate(schemas.officialQuote.status, requestBody);
+    if (errors.length) {
+        return validationErrorResponse(errors, constants.CORS_HEADERS);
     }
     
+    const { sessionId } = request;
+    
     try {
         const session = await getQuoteSession(sessionId);
         
@@ -273,7 +278,7 @@ async function getQuoteStatus(requestBody) {
             body: JSON.stringify(response)
         };
     } catch (error) {
-        console.error('Error getting quote status:', error);
+        logger.error('Error getting quote status', { error });
         throw error;
     }
 }
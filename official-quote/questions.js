@@ -1,9 +1,14 @@
 const axios = require('axios');
 const xml2js = require('xml2js');
-const { v4: uuidv4 } = require('uuid');
 const { getOAuthToken } = require('../shared/auth');
-const { getZipCodeData } = require('../shared/database');
+const { resolveLocation } = require('../shared/location');
+const { resolveClosingDate } = require('../shared/closing-date');
+const { resolvePropertyType, resolveTransactionType } = require('../shared/calc-type-data');
+const { escapeXML } = require('../shared/xml-builders');
+const { ValidationError } = require('../shared/validation');
 const constants = require('../shared/constants');
+const { getConfig } = require('../shared/config');
+const logger = require('../shared/logger');
 
 /**
  * Get location-specific questions for an official quote
@@ -11,22 +16,33 @@ const constants = require('../shared/constants');
  * for generating an official quote based on the property location
  * 
  * @param {Object} params - Quote parameters
- * @param {string} params.PostalCode - Property zip code
+ * @param {string} [params.PostalCode] - Property zip code
+ * @param {string} [params.City] - Property city (with County and StateCode when there is no zip code)
+ * @param {string} [params.County] - Property county; picks one when the zip code spans several
+ * @param {string} [params.StateCode] - Property state
  * @param {number} params.SalesContractAmount - Sale price
  * @param {number} params.NoteAmount - Loan amount
  * @param {string} params.LoanPurposeType - Purchase, Cash Purchase, or Refinance
- * @returns {Object} Questions and location data
+ * @param {string} [params.PropertyType] - Property type from PropertyTypes (default Residential)
+ * @param {string} [params.TransactionType] - Transaction type from TransactionTypes (default from LoanPurposeType)
+ * @param {string} [params.ClosingDate] - Expected closing date, YYYY-MM-DD (default today where the property is)
+ * @returns {Object} Questions, location data, closing date and the resolved property and transaction types
  */
-async function getQuestions({ PostalCode, SalesContractAmount, NoteAmount, LoanPurposeType }) {
-    console.info('Getting questions for official quote:', { PostalCode, LoanPurposeType });
+async function getQuestions({ PostalCode, City, County, StateCode, SalesContractAmount, NoteAmount, LoanPurposeType, PropertyType, TransactionType, ClosingDate }) {
+    logger.info('Getting questions for official quote', { LoanPurposeType });
     
     try {
         // Get OAuth token
         const token = await getOAuthToken();
         
-        // Get location data from DynamoDB
-        const zipCodeData = await getZipCodeData(PostalCode);
-        const { city, county_name: countyName, state_id: stateCode } = zipCodeData;
+        // Throws ValidationError when the location does not add up or the zip code spans several counties
+        const { city, countyName, stateCode } = await resolveLocation({ PostalCode, City, County, StateCode });
+        
+        // Throw ValidationError when LVIS does not offer the property or transaction type in this state
+        const propertyType = await resolvePropertyType({ PropertyType, stateCode });
+        const transactionType = await resolveTransactionType({ TransactionType, LoanPurposeType, stateCode, propertyType });
+        // Throws ValidationError when the closing date has passed where the property is
+        const { closingDate } = resolveClosingDate({ ClosingDate, stateCode });
         
         // Build request XML for getting questions
         const requestXML = buildQuestionsRequestXML({
@@ -36,10 +52,11 @@ async function getQuestions({ PostalCode, SalesContractAmount, NoteAmount, LoanP
             PostalCode,
             SalesContractAmount,
             NoteAmount,
-            LoanPurposeType
+            transactionType,
+            propertyType
         });
         
-        console.info('Questions Request XML:', requestXML);
+        logger.payload('Official quote questions request', requestXML);
         
         // NOTE: The actual endpoint for getting official quote questions would need to be
         // provided by FirstAm documentation. This is a placeholder implementation.
@@ -51,6 +68,9 @@ async function getQuestions({ PostalCode, SalesContractAmount, NoteAmount, LoanP
         
         return {
             questions,
+            propertyType,
+            transactionType,
+            closingDate,
             locationData: {
                 city,
                 county: countyName,
@@ -89,7 +109,8 @@ async function getQuestions({ PostalCode, SalesContractAmount, NoteAmount, LoanP
         */
         
     } catch (error) {
-        console.error('Error getting questions:', error);
+        if (error instanceof ValidationError) throw error;
+        logger.error('Error getting questions', { error });
         throw new Error('Failed to retrieve questions for official quote');
     }
 }
@@ -97,25 +118,23 @@ async function getQuestions({ PostalCode, SalesContractAmount, NoteAmount, LoanP
 /**
  * Build XML request for getting official quote questions
  */
-function buildQuestionsRequestXML({ stateCode, countyName, city, PostalCode, SalesContractAmount, NoteAmount, LoanPurposeType }) {
-    const transactionType = LoanPurposeType === 'Refinance' ? 'Refinance' : 'Sale w/ Mortgage';
-    
+function buildQuestionsRequestXML({ stateCode, countyName, city, PostalCode, SalesContractAmount, NoteAmount, transactionType, propertyType = constants.DEFAULT_PROPERTY_TYPE }) {
     return `<?xml version="1.0" encoding="utf-8"?>
 <lvis:LVIS_XML xmlns:xlink="http://www.w3.org/1999/xlink" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:lvis="http://services.firstam.com/lvis/v2.0">
   <lvis:LVIS_HEADER>
     <lvis:LVISActionType>OfficialQuoteQuestions</lvis:LVISActionType>
-    <lvis:ClientCustomerId>${constants.CLIENT_CUSTOMER_ID}</lvis:ClientCustomerId>
-    <lvis:ClientUniqueRequestId>OFFICIAL-QUESTIONS-${uuidv4()}</lvis:ClientUniqueRequestId>
+    <lvis:ClientCustomerId>${getConfig().clientCustomerId}</lvis:ClientCustomerId>
+    <lvis:ClientUniqueRequestId>${logger.clientUniqueRequestId('OFFICIAL-QUESTIONS')}</lvis:ClientUniqueRequestId>
   </lvis:LVIS_HEADER>
   <lvis:LVIS_OFFICIAL_QUOTE_QUESTIONS_REQUEST>
-    <lvis:PropertyStateCode>${stateCode}</lvis:PropertyStateCode>
-    <lvis:PropertyCountyName>${countyName}</lvis:PropertyCountyName>
-    <lvis:PropertyCityName>${city}</lvis:PropertyCityName>
-    <lvis:PropertyPostalCode>${PostalCode}</lvis:PropertyPostalCode>
+    <lvis:PropertyStateCode>${escapeXML(stateCode)}</lvis:PropertyStateCode>
+    <lvis:PropertyCountyName>${escapeXML(countyName)}</lvis:PropertyCountyName>
+    <lvis:PropertyCityName>${escapeXML(city)}</lvis:PropertyCityName>
+    <lvis:PropertyPostalCode>${PostalCode || ''}</lvis:PropertyPostalCode>
     <lvis:TransactionType>${transactionType}</lvis:TransactionType>
     <lvis:SalesAmount>${SalesContractAmount || 0}</lvis:SalesAmount>
     <lvis:LoanAmount>${NoteAmount || 0}</lvis:LoanAmount>
-    <lvis:PropertyType>Residential</lvis:PropertyType>
+    <lvis:PropertyType>${propertyType}</lvis:PropertyType>
   </lvis:LVIS_OFFICIAL_QUOTE_QUESTIONS_REQUEST>
 </lvis:LVIS_XML>`;
 }
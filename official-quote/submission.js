@@ -4,6 +4,10 @@ const { v4: uuidv4 } = require('uuid');
 const { getOAuthToken } = require('../shared/auth');
 const { getStateFees } = require('../shared/database');
 const constants = require('../shared/constants');
+const { getTransactionType, escapeXML } = require('../shared/xml-builders');
+const { getConfig } = require('../shared/config');
+const { assignDisclosureSections } = require('../shared/trid-sections');
+const logger = require('../shared/logger');
 
 /**
  * Submit an official quote with answers to location-specific questions
@@ -18,12 +22,14 @@ async function submitOfficialQuote(quoteData) {
         SalesContractAmount,
         NoteAmount,
         LoanPurposeType,
+        propertyType,
+        transactionType,
         locationData,
         questions,
         answers
     } = quoteData;
     
-    console.info('Submitting official quote with answers:', { PostalCode, LoanPurposeType });
+    logger.info('Submitting official quote with answers', { LoanPurposeType });
     
     try {
         // Get OAuth token
@@ -38,12 +44,14 @@ async function submitOfficialQuote(quoteData) {
             SalesContractAmount,
             NoteAmount,
             LoanPurposeType,
+            propertyType,
+            transactionType,
             locationData,
             questions,
             answers
         });
         
-        console.info('Official Quote Submission XML:', requestXML);
+        logger.payload('Official quote submission request', requestXML);
         
         // NOTE: This is a placeholder implementation
         // The actual endpoint and response parsing would need to be
@@ -75,7 +83,7 @@ async function submitOfficialQuote(quoteData) {
             }
         );
         
-        console.info('Official Quote Response:', response.data);
+        logger.payload('Official quote response', response.data);
         
         const parsedResponse = await xml2js.parseStringPromise(response.data, {
             explicitArray: false,
@@ -86,7 +94,7 @@ async function submitOfficialQuote(quoteData) {
         */
         
     } catch (error) {
-        console.error('Error submitting official quote:', error);
+        logger.error('Error submitting official quote', { error });
         throw new Error('Failed to submit official quote');
     }
 }
@@ -94,10 +102,18 @@ async function submitOfficialQuote(quoteData) {
 /**
  * Build XML request for submitting official quote with answers
  */
-function buildOfficialQuoteRequestXML({ PostalCode, SalesContractAmount, NoteAmount, LoanPurposeType, locationData, questions, answers }) {
-    const transactionType = LoanPurposeType === 'Refinance' ? 'Refinance' : 'Sale w/ Mortgage';
+function buildOfficialQuoteRequestXML({
+    PostalCode,
+    SalesContractAmount,
+    NoteAmount,
+    LoanPurposeType,
+    propertyType = constants.DEFAULT_PROPERTY_TYPE,
+    transactionType = getTransactionType(LoanPurposeType),
+    locationData,
+    questions,
+    answers
+}) {
     const salesAmount = LoanPurposeType === 'Refinance' ? NoteAmount : SalesContractAmount;
-    const noteAmountToUse = Number(NoteAmount) === 0 ? constants.DEFAULT_NOTE_AMOUNT : NoteAmount;
     
     // Build answers XML section
     const answersXML = buildAnswersXML(questions, answers);
@@ -106,21 +122,21 @@ function buildOfficialQuoteRequestXML({ PostalCode, SalesContractAmount, NoteAmo
 <lvis:LVIS_XML xmlns:xlink="http://www.w3.org/1999/xlink" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:lvis="http://services.firstam.com/lvis/v2.0">
   <lvis:LVIS_HEADER>
     <lvis:LVISActionType>OfficialQuoteSubmit</lvis:LVISActionType>
-    <lvis:ClientCustomerId>${constants.CLIENT_CUSTOMER_ID}</lvis:ClientCustomerId>
-    <lvis:ClientUniqueRequestId>OFFICIAL-SUBMIT-${uuidv4()}</lvis:ClientUniqueRequestId>
+    <lvis:ClientCustomerId>${getConfig().clientCustomerId}</lvis:ClientCustomerId>
+    <lvis:ClientUniqueRequestId>${logger.clientUniqueRequestId('OFFICIAL-SUBMIT')}</lvis:ClientUniqueRequestId>
   </lvis:LVIS_HEADER>
   <lvis:LVIS_OFFICIAL_QUOTE_SUBMISSION>
     <lvis:PROPERTY_INFO>
-      <lvis:PropertyStateCode>${locationData.state}</lvis:PropertyStateCode>
-      <lvis:PropertyCountyName>${locationData.county}</lvis:PropertyCountyName>
-      <lvis:PropertyCityName>${locationData.city}</lvis:PropertyCityName>
-      <lvis:PropertyPostalCode>${PostalCode}</lvis:PropertyPostalCode>
-      <lvis:PropertyType>Residential</lvis:PropertyType>
+      <lvis:PropertyStateCode>${escapeXML(locationData.state)}</lvis:PropertyStateCode>
+      <lvis:PropertyCountyName>${escapeXML(locationData.county)}</lvis:PropertyCountyName>
+      <lvis:PropertyCityName>${escapeXML(locationData.city)}</lvis:PropertyCityName>
+      <lvis:PropertyPostalCode>${PostalCode || ''}</lvis:PropertyPostalCode>
+      <lvis:PropertyType>${escapeXML(propertyType)}</lvis:PropertyType>
     </lvis:PROPERTY_INFO>
     <lvis:TRANSACTION_INFO>
       <lvis:TransactionType>${transactionType}</lvis:TransactionType>
       <lvis:SalesAmount>${salesAmount}</lvis:SalesAmount>
-      <lvis:LoanAmount>${noteAmountToUse}</lvis:LoanAmount>
+      <lvis:LoanAmount>${NoteAmount}</lvis:LoanAmount>
       <lvis:LoanPurposeType>${LoanPurposeType}</lvis:LoanPurposeType>
     </lvis:TRANSACTION_INFO>
     <lvis:QUESTION_ANSWERS>
@@ -308,7 +324,7 @@ function generateMockOfficialQuoteResponse({ PostalCode, SalesContractAmount, No
     
     return {
         quoteId,
-        fees,
+        fees: assignDisclosureSections(fees),
         totalBuyerFee: totalBuyerFee.toFixed(2),
         totalSellerFee: totalSellerFee.toFixed(2),
         notes,
@@ -1,437 +1,448 @@
-const axios = require('axios');
-const xml2js = require('xml2js');
-const { getOAuthToken } = require('../shared/auth');
-const { getZipCodeData, getStateFees, logAwsIdentity } = require('../shared/database');
+const { postProductList, postRateCalc } = require('../shared/lvis-client');
+const {
+    parseRateCalcResponse,
+    itemizePolicies,
+    itemizeEndorsements,
+    itemizeReissueCredits,
+    groupFeesByLoan,
+    formatAmount
+} = require('../shared/fee-parser');
+const { getStateFees } = require('../shared/database');
+const { resolveLocation } = require('../shared/location');
+const { resolveClosingDate } = require('../shared/closing-date');
+const { resolvePayerAllocation, allocatePayers, checkAllocatedLines } = require('../shared/payer-allocation');
+const { assignDisclosureSections, STATE_FEE_KEYS } = require('../shared/trid-sections');
 const { 
     buildTitleServiceBlock,
     buildSettlementServiceBlock,
     buildRecordingServiceBlock,
     buildProductListRequestXML,
     buildRateCalcRequestXML,
-    parseProductList
+    parseProductList,
+    selectPolicies,
+    selectEndorsements,
+    loanPurposeForTransactionType,
+    checkPriorPolicy,
+    withoutPriorPolicy,
+    planLoans
 } = require('../shared/xml-builders');
+const { resolvePropertyType, resolveTransactionType } = require('../shared/calc-type-data');
 const constants = require('../shared/constants');
+const { validate, validationErrorResponse } = require('../shared/validation');
+const { parseBody, errorResponse } = require('../shared/responses');
+const schemas = require('../shared/request-schemas');
+const logger = require('../shared/logger');
 
 async function handleQuickQuote(event) {
-    console.info('Received event:', JSON.stringify(event, null, 2));
+    const { body, response } = parseBody(event, 'quick quote');
+    if (response) return response;
+
+    // Amounts arrive as numbers; PostalCode as a padded 5-digit string
+    const { value: request, errors } = validate(schemas.quickQuote, body);
+    if (errors.length) {
+        logger.warn('Invalid quick quote request', { errors });
+        return validationErrorResponse(errors, constants.CORS_HEADERS);
+    }
 
-    let requestBody;
     try {
-        requestBody = JSON.parse(event.body);
-        console.info('Parsed body:', requestBody);
-    } catch (e) {
-        console.error('Error parsing JSON:', e);
+        const quote = await priceQuickQuote(request);
         return {
-            statusCode: 400,
+            statusCode: 200,
             headers: constants.CORS_HEADERS,
-            body: JSON.stringify({ error: 'Invalid JSON format' }),
+            body: JSON.stringify(quote),
         };
+    } catch (error) {
+        return errorResponse(error, {
+            description: 'quick quote',
+            message: error.message || 'Failed to process quick quote'
+        });
     }
+}
 
-    const { PostalCode, SalesContractAmount, NoteAmount, LoanPurposeType } = requestBody;
-    
-    if (!PostalCode) {
-        console.error('Missing PostalCode parameter');
-        return {
-            statusCode: 400,
-            headers: constants.CORS_HEADERS,
-            body: JSON.stringify({ error: 'Missing or invalid PostalCode parameter' }),
-        };
+/**
+ * Price a validated quick quote request (see schemas.quickQuote) with ProductList and RateCalc
+ * @param {Object} request - validate() value
+ * @param {Object} [options]
+ * @param {Map} [options.productListCache] - ProductList lookups shared by the quotes of a batch
+ * @param {Object} [options.location] - resolveLocation() result, for quotes priced at one location
+ * @throws {ValidationError} When the request turns out to be invalid once LVIS is asked
+ * @returns {Promise<Object>} Quick quote response body
+ */
+async function priceQuickQuote(request, { productListCache, location } = {}) {
+    const {
+        PostalCode,
+        City,
+        County,
+        StateCode,
+        SalesContractAmount,
+        NoteAmount,
+        TransactionType,
+        PropertyType,
+        ClosingDate,
+        Policies,
+        Endorsements,
+        PriorPolicy,
+        Loans,
+        PayerAllocation
+    } = request;
+    // Without a LoanPurposeType, the TransactionType decides how the deal is priced
+    const LoanPurposeType = request.LoanPurposeType || loanPurposeForTransactionType(TransactionType);
+    const isCashPurchase = LoanPurposeType === constants.LOAN_PURPOSE_TYPES.CASH_PURCHASE;
+    // Cash purchases have no loan; with Loans, the first lien stands in for NoteAmount
+    const noteAmount = isCashPurchase ? 0
+        : Loans && Loans.length ? Loans[0].NoteAmount
+        : Number(NoteAmount);
+    const salesAmount = LoanPurposeType === 'Refinance' ? noteAmount : Number(SalesContractAmount);
+
+    // Throws ValidationError unless this is a refinance with a past prior policy date
+    const priorPolicy = checkPriorPolicy({ LoanPurposeType, PriorPolicy });
+    // Throws ValidationError when Loans is given for anything but a purchase
+    const loans = planLoans({ LoanPurposeType, NoteAmount: noteAmount, Loans });
+    const loanAmounts = loans.length > 1 ? loans.map(loan => loan.NoteAmount) : noteAmount;
+
+    // Throws ValidationError when the location does not add up or the ZIP spans several counties
+    const { city, countyName, stateCode } = location || await resolveLocation({ PostalCode, City, County, StateCode });
+
+    // Get state fees
+    const stateFeeData = await getStateFees(stateCode);
+    logger.info('Quick quote location resolved', { stateCode, county: countyName, hasStateFees: Boolean(stateFeeData) });
+
+    // Throws ValidationError for an unknown fee category
+    const payerAllocation = resolvePayerAllocation({ stateCode, countyName, LoanPurposeType, stateFeeData, PayerAllocation });
+
+    // Throw ValidationError when LVIS does not offer the property or transaction type in this state
+    const propertyType = await resolvePropertyType({ PropertyType, stateCode });
+    const transactionType = await resolveTransactionType({ TransactionType, LoanPurposeType, stateCode, propertyType });
+    // Throws ValidationError when the closing date has passed where the property is
+    const { closingDate, effectiveDate } = resolveClosingDate({ ClosingDate, stateCode });
+
+    // Normalize request fields
+    const salesContractAmount = SalesContractAmount;
+
+    // Build and send ProductList request
+    const productListRequestXML = buildProductListRequestXML({
+        stateCode,
+        countyName,
+        city,
+        transactionType,
+        salesContractAmount,
+        noteAmount,
+        effectiveDate,
+        propertyType
+    });
+
+    const { parsed: parsedProductList } = await lookupProductList(productListRequestXML, {
+        cache: productListCache,
+        key: [stateCode, countyName, transactionType, propertyType, closingDate].join('|')
+    });
+
+    const responseBody = parsedProductList?.['lvis:LVIS_XML']?.['lvis:LVIS_CALCULATOR_TYPE_DATA_RESPONSE']?.['lvis:CalcTypeData'];
+    const productList = responseBody?.['lvis:ProductsList'];
+
+    if (!productList) {
+        logger.error('No valid ProductsList found in ProductList response', { keys: Object.keys(responseBody || {}) });
+        throw new Error('No valid ProductsList found in ProductList response');
     }
 
-    const normalizedZip = PostalCode.toString().padStart(5, '0');
-    let noteAmount = Number(NoteAmount) === 0 ? constants.DEFAULT_NOTE_AMOUNT : Number(NoteAmount);
-    let salesAmount = LoanPurposeType === 'Refinance' ? noteAmount : Number(SalesContractAmount);
-
-    try {
-        // Log AWS identity for debugging
-        await logAwsIdentity();
-
-        // Get OAuth token
-        const token = await getOAuthToken();
-
-        // Query DynamoDB for Zip Code data
-        const zipCodeData = await getZipCodeData(PostalCode);
-        const { city, county_name: countyName, state_id: stateCode } = zipCodeData;
-
-        // Get state fees
-        const stateFeeData = await getStateFees(stateCode);
-        console.info('State Fee Data:', stateFeeData);
-
-        // Normalize request fields
-        const loanPurposeType = LoanPurposeType;
-        const salesContractAmount = SalesContractAmount;
-        const transactionType = LoanPurposeType === 'Refinance' ? 
-            constants.TRANSACTION_TYPES.REFINANCE : 
-            constants.TRANSACTION_TYPES.PURCHASE;
-
-        const effectiveDate = new Date().toLocaleString('en-US', {
-            timeZone: 'America/Los_Angeles',
-            year: 'numeric',
-            month: 'numeric',
-            day: 'numeric',
-            hour: 'numeric',
-            minute: 'numeric',
-            second: 'numeric',
-            hour12: true
-        });
-
-        // Build and send ProductList request
-        const productListRequestXML = buildProductListRequestXML({
-            stateCode,
-            countyName,
-            city,
-            transactionType,
-            salesContractAmount,
-            noteAmount,
-            effectiveDate,
-        });
-
-        console.info('📄 ProductList Request XML:\n', productListRequestXML);
-
-        const productListResponse = await axios.post(
-            constants.PRODUCT_LIST_URL,
-            productListRequestXML,
-            {
-                headers: {
-                    Authorization: `Bearer ${token}`,
-                    'Content-Type': 'application/xml',
-                },
-            }
-        );
-
-        console.info("📦 ProductList raw XML response:\n", productListResponse.data);
-
-        const parsedProductList = await xml2js.parseStringPromise(productListResponse.data, {
-            explicitArray: false,
-            ignoreAttrs: false,
-        });
-
-        const responseBody = parsedProductList?.['lvis:LVIS_XML']?.['lvis:LVIS_CALCULATOR_TYPE_DATA_RESPONSE']?.['lvis:CalcTypeData'];
-        const productList = responseBody?.['lvis:ProductsList'];
-
-        if (!productList) {
-            console.error("❌ No valid ProductsList found in ProductList response. Keys:", Object.keys(responseBody || {}));
-            throw new Error('❌ No valid ProductsList found in ProductList response');
-        }
-
-        // Parse products from the response
-        const {
+    // Parse products from the response
+    const products = parseProductList(productList);
+    const {
+        availableEndorsements,
+        closingProducts,
+        recordingProducts,
+        otherProducts
+    } = products;
+
+    // Throws ValidationError when a policy, rate type or endorsement is not offered
+    const policySelection = selectPolicies({ products, LoanPurposeType, selection: Policies, loans });
+    const { titlePolicies, lenderPolicies } = policySelection;
+    const endorsementSelection = selectEndorsements({
+        availableEndorsements,
+        titlePolicies,
+        lenderPolicies,
+        LoanPurposeType,
+        selection: Endorsements,
+        loans
+    });
+
+    logger.debug('Enabled products', {
+        titlePolicies: titlePolicies.map(p => p['lvis:PolicyName']),
+        endorsements: endorsementSelection.selected.map(e => e.EndorsementId),
+        closingProducts: closingProducts.map(p => p['lvis:ProductName'] || p['lvis:DocName']),
+        recordingProducts: recordingProducts.map(p => p['lvis:ProductName'] || p['lvis:DocName']),
+        otherProducts: otherProducts.map(p => p['lvis:ProductName'])
+    });
+
+    // Build services block
+    let currentSeq = 1;
+    let servicesParts = [];
+
+    // Title block (always Sequence 1)
+    servicesParts.push(
+        buildTitleServiceBlock(
             titlePolicies,
             lenderPolicies,
-            endorsementProducts,
-            closingProducts,
-            recordingProducts,
-            otherProducts
-        } = parseProductList(productList);
-
-        console.log('✅ Enabled Title Policies:', titlePolicies.map(p => p['lvis:PolicyName']));
-        console.log('✅ Enabled Endorsements:', endorsementProducts.map(p => p['lvis:ProductName']));
-        console.log('✅ Enabled Closing Products:', closingProducts.map(p => p['lvis:ProductName'] || p['lvis:DocName']));
-        console.log('✅ Enabled Recording Products:', recordingProducts.map(p => p['lvis:ProductName'] || p['lvis:DocName']));
-        console.log('✅ Enabled Other Products:', otherProducts.map(p => p['lvis:ProductName']));
-
-        // Build services block
-        let currentSeq = 1;
-        let servicesParts = [];
-
-        // Title block (always Sequence 1)
-        servicesParts.push(
-            buildTitleServiceBlock(
-                titlePolicies,
-                lenderPolicies,
-                endorsementProducts,
-                noteAmount,
-                salesAmount,
-                new Date().toISOString().split('T')[0],
-                LoanPurposeType,
-                stateCode
-            )
-        );
-
-        // Settlement/Closing block
-        const settlementResult = buildSettlementServiceBlock(closingProducts, 2, stateCode);
-        if (settlementResult.xml) {
-            servicesParts.push(settlementResult.xml);
-            currentSeq = settlementResult.nextSeq;
-        }
-
-        // Recording blocks
-        const recordingResult = buildRecordingServiceBlock(recordingProducts, currentSeq);
-        if (recordingResult.xml) {
-            servicesParts.push(recordingResult.xml);
-        }
-
-        const servicesBlock = servicesParts.join('\n');
-        console.log('✅ Built Services Block:', servicesBlock.length, 'chars');
-
-        // Build and send RateCalc request
-        const requestXML = buildRateCalcRequestXML({
-            PostalCode,
-            SalesContractAmount: salesAmount,
-            NoteAmount: noteAmount,
+            endorsementSelection.selected,
+            loanAmounts,
+            salesAmount,
+            closingDate,
             LoanPurposeType,
-            city,
-            countyName,
             stateCode,
-            servicesBlock
-        });
-
-        console.log('Generated XML:', requestXML);
-        console.info('XML Request:', requestXML);
-
-        // Call the RateCalcGuide API
-        console.info('Calling RateCalcGuide API...');
-        const rateCalcGuideResponse = await axios.post(constants.RATE_CALC_URL, requestXML, {
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/xml'
-            }
-        });
-
-        // Log the XML response
-        console.info('RateCalcGuide API Response:', rateCalcGuideResponse.data);
-
-        // Parse the XML response
-        const parser = new xml2js.Parser();
-        const parsedResponse = await parser.parseStringPromise(rateCalcGuideResponse.data);
-        
-        // Check for error response
-        const ackNack = parsedResponse['lvis:LVIS_XML']?.['lvis:LVIS_ACK_NACK'];
-        if (ackNack && ackNack.length > 0 && ackNack[0]['lvis:StatusCd']?.[0] !== '1000') {
-            const errorMsg = ackNack[0]['lvis:StatusDescription']?.[0] || 'Unknown error from FirstAm';
-            const errorDetail = ackNack[0]['lvis:ExceptionMessage']?.[0] || '';
-            console.error('FirstAm API Error:', errorMsg, errorDetail);
-            throw new Error(`FirstAm API Error: ${errorMsg}`);
-        }
-        
-        // Extract fees from response - handle both array and non-array formats
-        const calculatorResponse = parsedResponse['lvis:LVIS_XML']['lvis:LVIS_CALCULATOR_RESPONSE'];
-        const response = Array.isArray(calculatorResponse) ? calculatorResponse[0] : calculatorResponse;
-        
-        if (!response || !response['lvis:MISMO_XML']) {
-            throw new Error('Invalid response structure from FirstAm API');
-        }
-        
-        const mismoXML = Array.isArray(response['lvis:MISMO_XML']) ? response['lvis:MISMO_XML'][0] : response['lvis:MISMO_XML'];
-        const message = Array.isArray(mismoXML['MESSAGE']) ? mismoXML['MESSAGE'][0] : mismoXML['MESSAGE'];
-        const dealSets = Array.isArray(message['DEAL_SETS']) ? message['DEAL_SETS'][0] : message['DEAL_SETS'];
-        const dealSet = Array.isArray(dealSets['DEAL_SET']) ? dealSets['DEAL_SET'][0] : dealSets['DEAL_SET'];
-        const deals = Array.isArray(dealSet['DEALS']) ? dealSet['DEALS'][0] : dealSet['DEALS'];
-        const deal = Array.isArray(deals['DEAL']) ? deals['DEAL'][0] : deals['DEAL'];
-        const loans = Array.isArray(deal['LOANS']) ? deal['LOANS'][0] : deal['LOANS'];
-        const loan = Array.isArray(loans['LOAN']) ? loans['LOAN'][0] : loans['LOAN'];
-        const feeInfo = Array.isArray(loan['FEE_INFORMATION']) ? loan['FEE_INFORMATION'][0] : loan['FEE_INFORMATION'];
-        const feesContainer = Array.isArray(feeInfo['FEES']) ? feeInfo['FEES'][0] : feeInfo['FEES'];
-        const fees = feesContainer['FEE'];
-        
-        const loanCommentsContainer = Array.isArray(loan['LOAN_COMMENTS']) ? loan['LOAN_COMMENTS'][0] : loan['LOAN_COMMENTS'];
-        const loanComments = loanCommentsContainer ? loanCommentsContainer['LOAN_COMMENT'] : [];
-
-        // Process fees
-        const extractedFees = extractFees({
-            fees,
-            loanComments,
-            LoanPurposeType,
-            PostalCode,
-            SalesContractAmount,
-            stateFeeData
-        });
-
-        // Calculate total buyer fee
-        const totalBuyerFee = extractedFees.reduce((sum, fee) => sum + parseFloat(fee.BuyerFee), 0);
-
-        // Extract and clean loan comment text
-        const loanComment = loanComments.find(comment => comment['$']['xlink:label'] === 'RESPONSE_NOTE_1');
-        let loanCommentText = loanComment ? loanComment.LoanCommentText[0] : '';
-        loanCommentText = loanCommentText.replace(/<[^>]+>/g, ''); // Remove HTML tags
-
-        console.info('Extracted Fees:', extractedFees);
-        console.info('Total Buyer Fee:', totalBuyerFee);
-        console.info('Loan Comment Text:', loanCommentText);
-
-        console.info('Preparing final response...');
-        return {
-            statusCode: 200,
-            headers: constants.CORS_HEADERS,
-            body: JSON.stringify({
-                message: 'FNTEFees API called successfully',
-                settlementFee: LoanPurposeType === 'Refinance'
-                    ? (stateFeeData?.SettlementFeeRefi || 0)
-                    : (stateFeeData?.SettlementFee || 0),
-                stateCode: stateCode,
-                city: city,
-                county: countyName,
-                rateCalcGuideResponse: extractedFees,
-                totalBuyerFee: totalBuyerFee.toFixed(2),
-                loanCommentText: loanCommentText
-            }),
-        };
-    } catch (error) {
-        console.error('Error:', error.response ? error.response.data : error.message);
-        return {
-            statusCode: error.message === `Zip code ${PostalCode} not found` ? 404 : 500,
-            headers: constants.CORS_HEADERS,
-            body: JSON.stringify({ 
-                error: error.message || 'Failed to process quick quote', 
-                details: error.response ? error.response.data : error.message 
-            }),
-        };
+            priorPolicy
+        )
+    );
+
+    // Settlement/Closing block
+    const settlementResult = buildSettlementServiceBlock(closingProducts, 2, stateCode);
+    if (settlementResult.xml) {
+        servicesParts.push(settlementResult.xml);
+        currentSeq = settlementResult.nextSeq;
     }
-}
-
-function extractFees({ fees, loanComments, LoanPurposeType, PostalCode, SalesContractAmount, stateFeeData }) {
-    // Helper functions for fee extraction
-    const extractFeesByDescription = (feeArray, description) => {
-        const feeObj = feeArray.find(fee => fee['FEE_DETAIL'][0]['FeeDescription'][0] === description);
-        if (!feeObj) return { BuyerFee: '0.0', SellerFee: '0.0' };
-
-        console.info(`Extracting fees for: ${description}`);
-        console.info('Fee Object:', JSON.stringify(feeObj, null, 2));
-
-        const feePayments = feeObj['FEE_PAYMENTS'][0]['FEE_PAYMENT'];
-
-        const getPaymentAmount = (payment, type, useEstimated) => {
-            const amount = useEstimated 
-                ? parseFloat(payment['FeeEstimatedPaymentAmount'][0]) || 0.0
-                : parseFloat(payment['FeeActualPaymentAmount'][0]) || 0.0;
-            console.info(`Payment Amount for ${type} (UseEstimated=${useEstimated}): ${amount}`);
-            return amount;
-        };
 
-        const buyerFee = feePayments.find(payment => payment['$']['SequenceNumber'] === '3')
-            ? getPaymentAmount(feePayments.find(payment => payment['$']['SequenceNumber'] === '3'), 'Buyer', true)
-            : getPaymentAmount(feePayments.find(payment => payment['$']['SequenceNumber'] === '1'), 'Buyer', false);
+    // Recording blocks
+    const recordingResult = buildRecordingServiceBlock(recordingProducts, currentSeq, null, salesAmount, loanAmounts, LoanPurposeType);
+    if (recordingResult.xml) {
+        servicesParts.push(recordingResult.xml);
+    }
 
-        const sellerFee = feePayments.find(payment => payment['$']['SequenceNumber'] === '4')
-            ? getPaymentAmount(feePayments.find(payment => payment['$']['SequenceNumber'] === '4'), 'Seller', true)
-            : getPaymentAmount(feePayments.find(payment => payment['$']['SequenceNumber'] === '2'), 'Seller', false);
+    const servicesBlock = servicesParts.join('\n');
+    logger.debug('Built services block', { length: servicesBlock.length });
+
+    // Build and send RateCalc request
+    const requestXML = buildRateCalcRequestXML({
+        PostalCode,
+        SalesContractAmount: salesAmount,
+        NoteAmount: noteAmount,
+        LoanPurposeType,
+        city,
+        countyName,
+        stateCode,
+        servicesBlock,
+        loans,
+        propertyType,
+        transactionType
+    });
+
+    // Call the RateCalcGuide API
+    // The client throws LvisAckNackError when StatusCd is not 1000
+    // With a prior policy, the same request without it gives the full-rate premium
+    const [{ parsed: parsedResponse }, baseline] = await Promise.all([
+        postRateCalc(requestXML),
+        priorPolicy ? postRateCalc(withoutPriorPolicy(requestXML)) : null
+    ]);
+
+    // Normalize the MISMO fee lines, split between buyer and seller as the allocation says
+    // and placed in their Loan Estimate / Closing Disclosure sections
+    const { fees: pricedFees, loanCommentText, effectiveDate: rateEffectiveDate } = parseRateCalcResponse(parsedResponse);
+    const allocate = feeLines => assignDisclosureSections(
+        allocatePayers(feeLines, payerAllocation, { pricedPolicies: policySelection.priced }),
+        { pricedPolicies: policySelection.priced }
+    );
+    const fees = allocate(pricedFees);
+
+    if (!fees.length) {
+        throw new Error('Invalid response structure from FirstAm API');
+    }
 
-        return {
-            BuyerFee: buyerFee || '0.0',
-            SellerFee: sellerFee || '0.0'
-        };
+    // Product, rate type and premium per policy and per selected endorsement
+    const policies = itemizePolicies(fees, policySelection.priced);
+    const endorsements = itemizeEndorsements(fees, endorsementSelection.selected);
+    const reissueCredits = baseline
+        ? itemizeReissueCredits(fees, allocate(parseRateCalcResponse(baseline.parsed).fees), policySelection.priced)
+        : [];
+
+    // Process fees; FNTE lines are allocated and placed here
+    const extractedFees = allocate(extractFees({
+        fees,
+        endorsements,
+        reissueCredits,
+        pricedPolicies: policySelection.priced,
+        LoanPurposeType,
+        PostalCode,
+        SalesContractAmount,
+        stateFeeData
+    }));
+    checkAllocatedLines(extractedFees, payerAllocation);
+
+    // Calculate total buyer and seller fees
+    const totalBuyerFee = extractedFees.reduce((sum, fee) => sum + parseFloat(fee.BuyerFee), 0);
+    const totalSellerFee = extractedFees.reduce((sum, fee) => sum + parseFloat(fee.SellerFee), 0);
+
+    logger.info('Quick quote calculated', { feeCount: extractedFees.length });
+
+    return {
+        message: 'FNTEFees API called successfully',
+        transactionType,
+        propertyType,
+        closingDate,
+        rateEffectiveDate: rateEffectiveDate || closingDate,
+        settlementFee: LoanPurposeType === 'Refinance'
+            ? (stateFeeData?.SettlementFeeRefi || 0)
+            : (stateFeeData?.SettlementFee || 0),
+        stateCode: stateCode,
+        city: city,
+        county: countyName,
+        rateCalcGuideResponse: extractedFees,
+        policies,
+        availablePolicies: policySelection.available,
+        endorsements,
+        availableEndorsements: endorsementSelection.available,
+        ...(priorPolicy && { priorPolicy, reissueCredits }),
+        ...(Loans && {
+            loans: groupFeesByLoan(fees, {
+                loans,
+                pricedPolicies: policySelection.priced,
+                recordingDocuments: recordingResult.documents
+            })
+        }),
+        payerAllocation,
+        totalBuyerFee: totalBuyerFee.toFixed(2),
+        totalSellerFee: totalSellerFee.toFixed(2),
+        loanCommentText: loanCommentText
     };
+}
 
-    const findSpecificFee = (feeArray, label) => {
-        const feeObj = feeArray.find(fee => fee['$']['xlink:label'] === label);
-        if (!feeObj) return { BuyerFee: '0.0', SellerFee: '0.0' };
-
-        console.info(`Extracting fees for label: ${label}`);
-        console.info('Fee Object:', JSON.stringify(feeObj, null, 2));
-
-        const feePayments = feeObj['FEE_PAYMENTS'][0]['FEE_PAYMENT'];
-
-        const getPaymentAmount = (payment, type, useEstimated) => {
-            const amount = useEstimated 
-                ? parseFloat(payment['FeeEstimatedPaymentAmount'][0]) || 0.0
-                : parseFloat(payment['FeeActualPaymentAmount'][0]) || 0.0;
-            console.info(`Payment Amount for ${type} (UseEstimated=${useEstimated}): ${amount}`);
-            return amount;
-        };
+/**
+ * Send a ProductList request, or share one already sent for the same county and transaction
+ * The products offered do not depend on the amounts, so a batch asks once per key.
+ * @param {String} requestXML - ProductList request
+ * @param {Object} [options]
+ * @param {Map} [options.cache] - key -> pending or settled lookup
+ * @param {String} [options.key] - State, county, transaction type, property type and closing date
+ */
+function lookupProductList(requestXML, { cache, key } = {}) {
+    if (!cache) return postProductList(requestXML);
+
+    if (!cache.has(key)) {
+        const lookup = postProductList(requestXML);
+        // A failed lookup is not kept, so the next quote for the county asks again
+        lookup.catch(() => cache.delete(key));
+        cache.set(key, lookup);
+    }
+    return cache.get(key);
+}
 
-        const buyerFee = feePayments.find(payment => payment['$']['SequenceNumber'] === '3')
-            ? getPaymentAmount(feePayments.find(payment => payment['$']['SequenceNumber'] === '3'), 'Buyer', true)
-            : getPaymentAmount(feePayments.find(payment => payment['$']['SequenceNumber'] === '1'), 'Buyer', false);
+/**
+ * Build the quick quote fee list from normalized LVIS fee lines
+ * (see shared/fee-parser.js) plus FNTE state fees
+ */
+function extractFees({ fees, endorsements, reissueCredits = [], pricedPolicies = [], LoanPurposeType, PostalCode, SalesContractAmount, stateFeeData }) {
+    const NO_FEE = { BuyerFee: '0.00', SellerFee: '0.00' };
 
-        const sellerFee = feePayments.find(payment => payment['$']['SequenceNumber'] === '4')
-            ? getPaymentAmount(feePayments.find(payment => payment['$']['SequenceNumber'] === '4'), 'Seller', true)
-            : getPaymentAmount(feePayments.find(payment => payment['$']['SequenceNumber'] === '2'), 'Seller', false);
+    const findSpecificFee = (feeLines, label) => {
+        const feeLine = feeLines.find(fee => fee.XlinkLabel === label);
+        if (!feeLine) return NO_FEE;
 
-        return {
-            BuyerFee: buyerFee || '0.0',
-            SellerFee: sellerFee || '0.0'
-        };
+        logger.debug('Extracted fee line', { label, BuyerFee: feeLine.BuyerFee, SellerFee: feeLine.SellerFee });
+        return feeLine;
     };
 
-    const extractRecordingFees = (feeArray) => {
-        const recordingFees = feeArray.filter(fee => fee['FEE_DETAIL'][0]['FeeDescription'][0] === 'RecordingFee');
-        return recordingFees.map(fee => {
-            const feePayments = fee['FEE_PAYMENTS'][0]['FEE_PAYMENT'];
-            const buyerFee = feePayments.find(payment => payment['FeePaymentPaidByType'][0] === 'Buyer');
-            const sellerFee = feePayments.find(payment => payment['FeePaymentPaidByType'][0] === 'Seller');
-
-            return {
-                FeeDescription: fee['FEE_DETAIL'][0]['FeeDescription'][0],
-                DisclosureItemName: fee['FEE_DETAIL'][0]['DisclosureItemName'][0],
-                BuyerFee: buyerFee ? buyerFee['FeeActualPaymentAmount'][0] : '0.0',
-                SellerFee: sellerFee ? sellerFee['FeeActualPaymentAmount'][0] : '0.0'
-            };
-        });
-    };
+    const extractRecordingFees = (feeLines) => feeLines.filter(fee => fee.FeeDescription === 'RecordingFee');
 
-    const extractTransferTaxFees = (feeArray) => {
-        const transferTaxFees = feeArray.filter(fee => fee['FEE_DETAIL'][0]['FeeDescription'][0] === 'TransferTax');
-        return transferTaxFees.map(fee => {
-            const feePayments = fee['FEE_PAYMENTS'][0]['FEE_PAYMENT'];
-            const buyerFee = feePayments.find(payment => payment['FeePaymentPaidByType'][0] === 'Buyer');
-            const sellerFee = feePayments.find(payment => payment['FeePaymentPaidByType'][0] === 'Seller');
-
-            return {
-                FeeDescription: fee['FEE_DETAIL'][0]['FeeDescription'][0],
-                DisclosureItemName: fee['FEE_DETAIL'][0]['DisclosureItemName'][0],
-                BuyerFee: buyerFee ? buyerFee['FeeActualPaymentAmount'][0] : '0.0',
-                SellerFee: sellerFee ? sellerFee['FeeActualPaymentAmount'][0] : '0.0'
-            };
-        });
-    };
+    const extractTransferTaxFees = (feeLines) => feeLines.filter(fee => fee.FeeDescription === 'TransferTax');
 
     // Extract required fees
     const eaglePolicyFees = LoanPurposeType === 'Refinance' ? 
-        { BuyerFee: '0.0', SellerFee: '0.0' } : 
+        NO_FEE : 
         findSpecificFee(fees, "FEE_POLICY_1");
 
-    const altaLoanPolicyFees = LoanPurposeType === 'Refinance' ? 
+    let altaLoanPolicyFees = LoanPurposeType === 'Refinance' ? 
         findSpecificFee(fees, "FEE_POLICY_1") : 
         findSpecificFee(fees, "FEE_POLICY_2");
 
+    // A reissue credit is shown as its own line, so the policy line carries the full-rate premium
+    const reissueCredit = reissueCredits.find(credit => credit.Policy === constants.ENDORSEMENT_POLICIES.LENDER &&
+        (Number(credit.BuyerFee) !== 0 || Number(credit.SellerFee) !== 0));
+    const reissueCreditFees = [];
+    if (reissueCredit) {
+        altaLoanPolicyFees = {
+            ...altaLoanPolicyFees,
+            BuyerFee: reissueCredit.FullBuyerFee,
+            SellerFee: reissueCredit.FullSellerFee
+        };
+        reissueCreditFees.push({
+            BuyerFee: reissueCredit.BuyerFee,
+            SellerFee: reissueCredit.SellerFee,
+            FeeDescription: "Title - Reissue Credit - Lender's Title Insurance"
+        });
+    }
+
     const settlementFees = LoanPurposeType === 'Refinance'
         ? {
-            BuyerFee: (stateFeeData?.SettlementFeeRefi || 0).toString(),
-            SellerFee: '0.0'
+            BuyerFee: formatAmount(stateFeeData?.SettlementFeeRefi),
+            SellerFee: NO_FEE.SellerFee,
+            StateFeeKey: 'SettlementFeeRefi'
           }
         : {
-            BuyerFee: (stateFeeData?.SettlementFee || 0).toString(),
-            SellerFee: '0.0'
+            BuyerFee: formatAmount(stateFeeData?.SettlementFee),
+            SellerFee: NO_FEE.SellerFee,
+            StateFeeKey: 'SettlementFee'
           };
 
     const eaglePolicyTaxFees = LoanPurposeType === 'Refinance' ? 
-        { BuyerFee: '0.0', SellerFee: '0.0' } : 
+        NO_FEE : 
         findSpecificFee(fees, "FEE_POLICY_1_SALES_TAX_1");
     
     const altaLoanPolicyTaxFees = findSpecificFee(fees, "FEE_POLICY_2_SALES_TAX_1");
     
+    // Lender's policy and its sales tax for each loan after the first lien
+    const secondLienPolicyFees = pricedPolicies
+        .filter(policy => policy.Loan > 1)
+        .flatMap(policy => [
+            {
+                ...findSpecificFee(fees, `FEE_${policy.PolicyLabel}`),
+                FeeDescription: `Title - Lender's Title Insurance - Loan ${policy.Loan}`
+            },
+            {
+                ...findSpecificFee(fees, `FEE_${policy.PolicyLabel}_SALES_TAX_1`),
+                FeeDescription: `Title - Sales Tax - Lender's Title Insurance - Loan ${policy.Loan}`
+            }
+        ]);
+
+    // One line per endorsement premium, named after the endorsement
+    const endorsementFees = endorsements
+        .filter(endorsement => endorsement.Priced)
+        .map(endorsement => ({
+            ...fees.find(fee => fee.EndorsementLabel === endorsement.EndorsementLabel),
+            BuyerFee: endorsement.BuyerFee,
+            SellerFee: endorsement.SellerFee,
+            FeeDescription: `Title - Endorsement - ${endorsement.EndorsementName}`
+        }));
+
     let recordingFees = extractRecordingFees(fees);
     let transferTaxFees = extractTransferTaxFees(fees);
 
     // Exclude certain fees for Refinance
-    if (LoanPurposeType === 'Refinance' || LoanPurposeType === '$Refinance') {
+    if (LoanPurposeType === 'Refinance') {
         recordingFees = recordingFees.filter(fee => fee.DisclosureItemName !== 'Conveyance Deed - State Transfer NY Tax');
         transferTaxFees = transferTaxFees.filter(fee => fee.DisclosureItemName !== 'Conveyance Deed - State Transfer NY Tax');
     }
 
-    // Prepare the extracted fees array
+    // Prepare the extracted fees array - FNTE naming overrides the LVIS description
     let extractedFees = [
         {
-            FeeDescription: "Title - Owner's Title Insurance",
-            ...eaglePolicyFees
+            ...eaglePolicyFees,
+            FeeDescription: "Title - Owner's Title Insurance"
         },
         {
-            FeeDescription: "Title - Lender's Title Insurance",
-            ...altaLoanPolicyFees
+            ...altaLoanPolicyFees,
+            FeeDescription: "Title - Lender's Title Insurance"
         },
+        ...reissueCreditFees,
         {
-            FeeDescription: 'Title - Settlement Fee',
-            ...settlementFees
+            ...settlementFees,
+            FeeDescription: 'Title - Settlement Fee'
         },
         {
-            FeeDescription: "Title - Sales Tax - Owner's Title Insurance",
-            ...eaglePolicyTaxFees
+            ...eaglePolicyTaxFees,
+            FeeDescription: "Title - Sales Tax - Owner's Title Insurance"
         },
         {
-            FeeDescription: "Title - Sales Tax - Lender's Title Insurance",
-            ...altaLoanPolicyTaxFees
+            ...altaLoanPolicyTaxFees,
+            FeeDescription: "Title - Sales Tax - Lender's Title Insurance"
         },
+        ...secondLienPolicyFees,
+        ...endorsementFees,
         ...recordingFees,
         ...transferTaxFees
     ];
@@ -443,18 +454,17 @@ function extractFees({ fees, loanComments, LoanPurposeType, PostalCode, SalesCon
     ) {
         if (SalesContractAmount > 450000) {
             const agriculturalTax = (SalesContractAmount - 450000) * 0.04;
-            console.info('Calculated Agricultural Tax:', agriculturalTax.toFixed(2));
+            logger.debug('Calculated Agricultural Tax', { agriculturalTax: formatAmount(agriculturalTax) });
             extractedFees.push({
                 FeeDescription: 'Agricultural Tax',
-                BuyerFee: agriculturalTax.toFixed(2),
-                SellerFee: '0.0'
+                BuyerFee: formatAmount(agriculturalTax),
+                SellerFee: NO_FEE.SellerFee
             });
         }
     }
 
     // Add additional state-specific fees from FNTEFees table
     const stateFeeTitles = {
-        SettlementFee: 'Title - Settlement Fee',
         ShortFormPolicy: 'Title - Short Form Policy',
         CountersignLender: 'Title - Countersign Lender',
         CountersignOwner: 'Title - Countersign Owner',
@@ -462,6 +472,7 @@ function extractFees({ fees, loanComments, LoanPurposeType, PostalCode, SalesCon
         JudgementSearch: 'Title - Judgement Search',
         AttorneyFee: 'Title - Attorney Fee',
         AbstractorTitleSearch: 'Title - Abstractor Title Search',
+        AbstractorTitleSearchREFI: 'Title - Abstractor Title Search',
         SearchFee: 'Title - Search Fee',
         ExamFee: 'Title - Exam Fee',
         AbstractCopyFee: 'Title - Abstract Copy Fee',
@@ -476,40 +487,36 @@ function extractFees({ fees, loanComments, LoanPurposeType, PostalCode, SalesCon
         CPLSeller: 'Title - CPL Seller'
     };
 
-    if (stateFeeData) {
-        Object.keys(stateFeeData).forEach(feeKey => {
-            if (
-                feeKey === 'StateCode' ||
-                feeKey === 'State' ||
-                feeKey === 'SettlementFee' ||
-                feeKey === 'SettlementFeeRefi'
-            ) return;
-
-            if (stateFeeData[feeKey] == null || stateFeeData[feeKey] === 0) return;
-
-            // Abstractor Title Search — handle refi version if applicable
-            if (feeKey === 'AbstractorTitleSearchREFI' && LoanPurposeType === 'Refinance') {
-                extractedFees.push({
-                    FeeDescription: 'Title - Abstractor Title Search',
-                    BuyerFee: stateFeeData[feeKey].toString(),
-                    SellerFee: '0.0'
-                });
-                return;
-            }
-
-            // Skip non-refi version of AbstractorTitleSearch on refinance
-            if (feeKey === 'AbstractorTitleSearch' && LoanPurposeType === 'Refinance') return;
+    // Only the fee keys in the catalog are charged, so other FNTEFees attributes
+    // (StateCode, PayerCustoms, ...) never become fee lines. The settlement fee is
+    // added above, and the abstractor search only in its purchase or refinance version.
+    const skippedFeeKeys = LoanPurposeType === 'Refinance'
+        ? ['SettlementFee', 'SettlementFeeRefi', 'AbstractorTitleSearch']
+        : ['SettlementFee', 'SettlementFeeRefi', 'AbstractorTitleSearchREFI'];
 
-            extractedFees.push({
+    if (stateFeeData) {
+        STATE_FEE_KEYS
+            .filter(feeKey => !skippedFeeKeys.includes(feeKey))
+            .filter(feeKey => stateFeeData[feeKey] != null && stateFeeData[feeKey] !== 0)
+            .forEach(feeKey => extractedFees.push({
                 FeeDescription: stateFeeTitles[feeKey] || feeKey,
-                BuyerFee: stateFeeData[feeKey].toString(),
-                SellerFee: '0.0'
-            });
-        });
+                BuyerFee: formatAmount(stateFeeData[feeKey]),
+                SellerFee: NO_FEE.SellerFee,
+                StateFeeKey: feeKey
+            }));
+    }
+
+    // No loan on a cash purchase, so no lender's policy or its sales tax
+    if (LoanPurposeType === constants.LOAN_PURPOSE_TYPES.CASH_PURCHASE) {
+        extractedFees = extractedFees.filter(fee => 
+            fee.FeeDescription !== "Title - Lender's Title Insurance" && 
+            fee.FeeDescription !== "Title - Sales Tax - Lender's Title Insurance" &&
+            fee.FeeDescription !== 'Title - Countersign Lender'
+        );
     }
 
     // Exclude specific fees for Refinance
-    if (LoanPurposeType === 'Refinance' || LoanPurposeType === '$Refinance') {
+    if (LoanPurposeType === 'Refinance') {
         extractedFees = extractedFees.filter(fee => 
             fee.FeeDescription !== "Title - Owner's Title Insurance" && 
             fee.FeeDescription !== "Title - Sales Tax - Owner's Title Insurance" &&
@@ -522,5 +529,6 @@ function extractFees({ fees, loanComments, LoanPurposeType, PostalCode, SalesCon
 }
 
 module.exports = {
-    handleQuickQuote
+    handleQuickQuote,
+    priceQuickQuote
 };
\ No newline at end of file
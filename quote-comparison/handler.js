@@ -0,0 +1,210 @@
+const { formatAmount } = require('../shared/fee-parser');
+const { resolveLocation } = require('../shared/location');
+const { priceQuickQuote } = require('../quick-quote/handler');
+const constants = require('../shared/constants');
+const { validate, validationErrorResponse, ValidationError } = require('../shared/validation');
+const { parseBody, errorResponse } = require('../shared/responses');
+const schemas = require('../shared/request-schemas');
+const logger = require('../shared/logger');
+
+/**
+ * Quote comparison: one property priced under several scenarios side by side
+ *
+ * The location is resolved once and the scenarios share ProductList lookups
+ * (one per transaction type), then each is priced like a quick quote. Fee
+ * lines are matched across scenarios by Loan Estimate section and disclosed
+ * name, so lines disclosed together (recording fees) are one row. Each row
+ * has a column per scenario and its difference from the baseline scenario.
+ */
+
+const LOCATION_FIELDS = ['PostalCode', 'City', 'County', 'StateCode'];
+const SECTION_ORDER = Object.keys(constants.DISCLOSURE_SECTIONS);
+
+function cents(amount) {
+    return Math.round((parseFloat(amount) || 0) * 100);
+}
+
+function withPrefix(errors, prefix) {
+    return errors.map(error => ({ ...error, field: `${prefix}${error.field}` }));
+}
+
+/**
+ * Each scenario laid over the body's shared fields and validated as a quick quote
+ * @returns {Object} { scenarios: [{ name, request }], errors }
+ */
+function buildScenarios({ Scenarios, Baseline, ...shared }) {
+    const location = LOCATION_FIELDS.reduce((acc, field) => (
+        shared[field] === undefined ? acc : { ...acc, [field]: shared[field] }
+    ), {});
+    const errors = [];
+
+    const scenarios = Scenarios.map(({ Name, ...fields }, index) => {
+        const prefix = `Scenarios[${index}].`;
+        LOCATION_FIELDS.filter(field => fields[field] !== undefined).forEach(field => {
+            errors.push({ field: `${prefix}${field}`, message: `${prefix}${field} cannot be set per scenario; the location is shared` });
+        });
+
+        const { value: request, errors: scenarioErrors } = validate(schemas.quickQuote, { ...shared, ...fields, ...location }, prefix);
+        errors.push(...scenarioErrors);
+        return { name: Name || `Scenario ${index + 1}`, request };
+    });
+
+    const names = scenarios.map(scenario => scenario.name);
+    names.forEach((name, index) => {
+        if (names.indexOf(name) !== index) {
+            errors.push({ field: `Scenarios[${index}].Name`, message: `Scenario name ${name} is used more than once` });
+        }
+    });
+
+    return { scenarios, errors };
+}
+
+/**
+ * Position of the baseline scenario, by name or position; -1 when there is no such scenario
+ */
+function findBaseline(Baseline, names) {
+    if (Baseline === undefined) return 0;
+    if (names.includes(Baseline)) return names.indexOf(Baseline);
+    return /^\d+$/.test(Baseline) && Number(Baseline) < names.length ? Number(Baseline) : -1;
+}
+
+/**
+ * Amounts (in cents) per scenario, with their difference from the baseline
+ */
+function compared(amounts, baseline) {
+    return {
+        values: amounts.map(amount => formatAmount(amount / 100)),
+        deltas: amounts.map(amount => formatAmount((amount - amounts[baseline]) / 100))
+    };
+}
+
+function matrixRow(columns, baseline) {
+    const buyer = compared(columns.BuyerFee, baseline);
+    const seller = compared(columns.SellerFee, baseline);
+    const total = compared(columns.BuyerFee.map((amount, i) => amount + columns.SellerFee[i]), baseline);
+
+    return {
+        BuyerFee: buyer.values,
+        SellerFee: seller.values,
+        Total: total.values,
+        DeltaFromBaseline: {
+            BuyerFee: buyer.deltas,
+            SellerFee: seller.deltas,
+            Total: total.deltas
+        }
+    };
+}
+
+/**
+ * Fee rows aligned across scenarios, in Loan Estimate section order
+ * @param {Array} quotes - priceQuickQuote() results, one per scenario
+ * @param {Number} baseline - Position of the baseline scenario
+ * @returns {Object} { fees: [row], totals: row } - every amount is a list with one entry per scenario
+ */
+function buildFeeMatrix(quotes, baseline) {
+    const zeros = () => quotes.map(() => 0);
+    const rows = new Map();
+
+    quotes.forEach((quote, column) => {
+        quote.rateCalcGuideResponse.forEach(fee => {
+            const description = fee.DisclosureFeeName || fee.FeeDescription;
+            const key = `${fee.DisclosureSection}|${description}`;
+            if (!rows.has(key)) {
+                rows.set(key, {
+                    DisclosureSection: fee.DisclosureSection,
+                    DisclosureSectionName: fee.DisclosureSectionName,
+                    Description: description,
+                    BuyerFee: zeros(),
+                    SellerFee: zeros()
+                });
+            }
+            const row = rows.get(key);
+            row.BuyerFee[column] += cents(fee.BuyerFee);
+            row.SellerFee[column] += cents(fee.SellerFee);
+        });
+    });
+
+    // Lines no scenario charges for (a refinance's owner's policy) are left out
+    const fees = Array.from(rows.values())
+        .filter(row => row.BuyerFee.some(Boolean) || row.SellerFee.some(Boolean))
+        .sort((a, b) => SECTION_ORDER.indexOf(a.DisclosureSection) - SECTION_ORDER.indexOf(b.DisclosureSection))
+        .map(({ BuyerFee, SellerFee, ...row }) => ({ ...row, ...matrixRow({ BuyerFee, SellerFee }, baseline) }));
+
+    const totals = matrixRow({
+        BuyerFee: quotes.map(quote => cents(quote.totalBuyerFee)),
+        SellerFee: quotes.map(quote => cents(quote.totalSellerFee))
+    }, baseline);
+
+    return { fees, totals };
+}
+
+/**
+ * POST /quick-quote/compare
+ */
+async function handleQuoteComparison(event) {
+    const { body, response } = parseBody(event, 'quote comparison');
+    if (response) return response;
+
+    const { value: request, errors } = validate(schemas.quoteComparison, body);
+    if (errors.length) {
+        logger.warn('Invalid quote comparison request', { errors });
+        return validationErrorResponse(errors, constants.CORS_HEADERS);
+    }
+
+    const { scenarios, errors: scenarioErrors } = buildScenarios(request);
+    const baseline = findBaseline(request.Baseline, scenarios.map(scenario => scenario.name));
+    if (baseline < 0) {
+        scenarioErrors.push({ field: 'Baseline', message: `Baseline ${request.Baseline} is not a scenario name or position` });
+    }
+    if (scenarioErrors.length) {
+        logger.warn('Invalid quote comparison request', { errors: scenarioErrors });
+        return validationErrorResponse(scenarioErrors, constants.CORS_HEADERS);
+    }
+
+    try {
+        // Throws ValidationError when the location does not add up or the ZIP spans several counties
+        const location = await resolveLocation(request);
+        const productListCache = new Map();
+
+        const quotes = await Promise.all(scenarios.map(({ request: scenario }, index) =>
+            priceQuickQuote(scenario, { productListCache, location }).catch(error => {
+                throw error instanceof ValidationError
+                    ? new ValidationError(withPrefix(error.errors, `Scenarios[${index}].`))
+                    : error;
+            })
+        ));
+        const { fees, totals } = buildFeeMatrix(quotes, baseline);
+
+        logger.info('Quote comparison calculated', { scenarioCount: quotes.length, rowCount: fees.length });
+
+        return {
+            statusCode: 200,
+            headers: constants.CORS_HEADERS,
+            body: JSON.stringify({
+                stateCode: location.stateCode,
+                city: location.city,
+                county: location.countyName,
+                baseline: scenarios[baseline].name,
+                scenarios: scenarios.map(({ name, request: scenario }, index) => ({
+                    name,
+                    transactionType: quotes[index].transactionType,
+                    propertyType: quotes[index].propertyType,
+                    closingDate: quotes[index].closingDate,
+                    rateEffectiveDate: quotes[index].rateEffectiveDate,
+                    salesContractAmount: formatAmount(scenario.SalesContractAmount),
+                    noteAmount: formatAmount(scenario.NoteAmount),
+                    totalBuyerFee: quotes[index].totalBuyerFee,
+                    totalSellerFee: quotes[index].totalSellerFee
+                })),
+                fees,
+                totals
+            }),
+        };
+    } catch (error) {
+        return errorResponse(error, { description: 'quote comparison', message: 'Failed to process quote comparison' });
+    }
+}
+
+module.exports = {
+    handleQuoteComparison
+};
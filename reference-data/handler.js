@@ -0,0 +1,129 @@
+const { getPropertyTypes, getTransactionTypes, resolvePropertyType } = require('../shared/calc-type-data');
+const { findLocation } = require('../shared/location');
+const constants = require('../shared/constants');
+const { validate, validationErrorResponse } = require('../shared/validation');
+const { errorResponse } = require('../shared/responses');
+const schemas = require('../shared/request-schemas');
+
+/**
+ * Reference data endpoints: what LVIS accepts for a location, so clients can
+ * offer valid choices before requesting a quote
+ */
+
+/**
+ * locationInfo for a listing; county is null when a ZIP code spans several (see candidateCounties)
+ */
+function describeLocation({ city, countyName, stateCode }) {
+    return { city, county: countyName, state: stateCode };
+}
+
+/**
+ * GET /locations?PostalCode=06108[&City=...&County=...&StateCode=...]
+ * Where a ZIP code or address is priced. When a ZIP code spans several
+ * counties and nothing picks one, locationInfo is null and candidateCounties
+ * lists them; a quote request then needs County.
+ */
+async function handleLocations(event) {
+    const { value: request, errors } = validate(schemas.locations, event.queryStringParameters || {});
+    if (errors.length) {
+        return validationErrorResponse(errors, constants.CORS_HEADERS);
+    }
+
+    const { PostalCode, City, County, StateCode } = request;
+
+    try {
+        const { postalCode, city, countyName, stateCode, candidateCounties } =
+            await findLocation({ PostalCode, City, County, StateCode });
+
+        return {
+            statusCode: 200,
+            headers: constants.CORS_HEADERS,
+            body: JSON.stringify({
+                postalCode,
+                locationInfo: countyName
+                    ? { city, county: countyName, state: stateCode }
+                    : null,
+                candidateCounties
+            })
+        };
+    } catch (error) {
+        return errorResponse(error, { description: 'location lookup', message: 'Failed to resolve location' });
+    }
+}
+
+/**
+ * GET /property-types?PostalCode=06108 (or City, County and StateCode)
+ * Property types LVIS prices in the location's state; any of them can be
+ * sent as PropertyType on a quote request
+ */
+async function handlePropertyTypes(event) {
+    const { value: request, errors } = validate(schemas.propertyTypes, event.queryStringParameters || {});
+    if (errors.length) {
+        return validationErrorResponse(errors, constants.CORS_HEADERS);
+    }
+
+    const { PostalCode, City, County, StateCode } = request;
+
+    try {
+        // Throws ValidationError when the city, county or state does not match the ZIP or LVIS
+        const location = await findLocation({ PostalCode, City, County, StateCode });
+        const propertyTypes = await getPropertyTypes({ stateCode: location.stateCode });
+
+        return {
+            statusCode: 200,
+            headers: constants.CORS_HEADERS,
+            body: JSON.stringify({
+                postalCode: location.postalCode,
+                locationInfo: describeLocation(location),
+                candidateCounties: location.candidateCounties,
+                defaultPropertyType: constants.DEFAULT_PROPERTY_TYPE,
+                propertyTypes
+            })
+        };
+    } catch (error) {
+        return errorResponse(error, { description: 'property type lookup', message: 'Failed to load property types' });
+    }
+}
+
+/**
+ * GET /transaction-types?PostalCode=06108[&PropertyType=Residential] (or City, County and StateCode)
+ * Transaction types LVIS supports in the location's state; any of them can
+ * be sent as TransactionType on a quote request
+ */
+async function handleTransactionTypes(event) {
+    const { value: request, errors } = validate(schemas.transactionTypes, event.queryStringParameters || {});
+    if (errors.length) {
+        return validationErrorResponse(errors, constants.CORS_HEADERS);
+    }
+
+    const { PostalCode, City, County, StateCode, PropertyType } = request;
+
+    try {
+        // Throws ValidationError when the city, county or state does not match the ZIP or LVIS
+        const location = await findLocation({ PostalCode, City, County, StateCode });
+        const { stateCode } = location;
+        // Throws ValidationError when LVIS does not offer the property type in this state
+        const propertyType = await resolvePropertyType({ PropertyType, stateCode });
+        const transactionTypes = await getTransactionTypes({ stateCode, propertyType });
+
+        return {
+            statusCode: 200,
+            headers: constants.CORS_HEADERS,
+            body: JSON.stringify({
+                postalCode: location.postalCode,
+                locationInfo: describeLocation(location),
+                candidateCounties: location.candidateCounties,
+                propertyType,
+                transactionTypes
+            })
+        };
+    } catch (error) {
+        return errorResponse(error, { description: 'transaction type lookup', message: 'Failed to load transaction types' });
+    }
+}
+
+module.exports = {
+    handleLocations,
+    handlePropertyTypes,
+    handleTransactionTypes
+};
@@ -0,0 +1,109 @@
+const { formatAmount, sumAmounts } = require('../shared/fee-parser');
+const { priceQuickQuote } = require('../quick-quote/handler');
+const { prorate } = require('../shared/proration');
+const constants = require('../shared/constants');
+const { validate, validationErrorResponse } = require('../shared/validation');
+const { parseBody, errorResponse } = require('../shared/responses');
+const schemas = require('../shared/request-schemas');
+const logger = require('../shared/logger');
+
+/**
+ * Seller net sheet: what the seller walks away with
+ *
+ * The sale is priced exactly like a quick quote; its SellerFee lines (title,
+ * transfer taxes, recording) are the seller's closing costs. Payoffs,
+ * commissions, concessions and prorations come from the request. A proration
+ * the buyer owes is a credit to the seller.
+ */
+
+/**
+ * Itemized net-to-seller statement for a priced sale
+ * @param {Object} request - validate() value for schemas.sellerNetSheet
+ * @param {Object} quote - priceQuickQuote() result
+ */
+function buildNetSheet(request, quote) {
+    const { SalesContractAmount, Payoffs = [], Commissions = [], Concessions = [], Prorations = [] } = request;
+
+    const closingCosts = quote.rateCalcGuideResponse
+        .filter(fee => parseFloat(fee.SellerFee))
+        .map(fee => ({
+            Description: fee.DisclosureFeeName || fee.FeeDescription,
+            DisclosureSection: fee.DisclosureSection,
+            Amount: fee.SellerFee
+        }));
+    const payoffs = Payoffs.map(({ Description, Amount }) => ({ Description, Amount: formatAmount(Amount) }));
+    const commissions = Commissions.map(({ Description, Percent }) => ({
+        Description,
+        Percent,
+        Amount: formatAmount(Math.round(SalesContractAmount * Percent) / 100)
+    }));
+    const concessions = Concessions.map(({ Description, Amount }) => ({ Description, Amount: formatAmount(Amount) }));
+    const prorations = Prorations.map(proration => prorate(proration, quote.closingDate));
+
+    const totals = {
+        closingCosts: sumAmounts(closingCosts),
+        payoffs: sumAmounts(payoffs),
+        commissions: sumAmounts(commissions),
+        concessions: sumAmounts(concessions),
+        prorations: sumAmounts(prorations)
+    };
+    const netToSeller = SalesContractAmount - totals.closingCosts - totals.payoffs
+        - totals.commissions - totals.concessions + totals.prorations;
+
+    return {
+        transactionType: quote.transactionType,
+        propertyType: quote.propertyType,
+        closingDate: quote.closingDate,
+        rateEffectiveDate: quote.rateEffectiveDate,
+        stateCode: quote.stateCode,
+        city: quote.city,
+        county: quote.county,
+        salePrice: formatAmount(SalesContractAmount),
+        closingCosts,
+        payoffs,
+        commissions,
+        concessions,
+        prorations,
+        payerAllocation: quote.payerAllocation,
+        totalClosingCosts: formatAmount(totals.closingCosts),
+        totalPayoffs: formatAmount(totals.payoffs),
+        totalCommissions: formatAmount(totals.commissions),
+        totalConcessions: formatAmount(totals.concessions),
+        totalProrations: formatAmount(totals.prorations),
+        netToSeller: formatAmount(netToSeller)
+    };
+}
+
+/**
+ * POST /seller-net-sheet
+ */
+async function handleSellerNetSheet(event) {
+    const { body, response } = parseBody(event, 'seller net sheet');
+    if (response) return response;
+
+    const { value: request, errors } = validate(schemas.sellerNetSheet, body);
+    if (errors.length) {
+        logger.warn('Invalid seller net sheet request', { errors });
+        return validationErrorResponse(errors, constants.CORS_HEADERS);
+    }
+
+    try {
+        const quote = await priceQuickQuote(request);
+        const netSheet = buildNetSheet(request, quote);
+
+        logger.info('Seller net sheet calculated', { closingCostCount: netSheet.closingCosts.length });
+
+        return {
+            statusCode: 200,
+            headers: constants.CORS_HEADERS,
+            body: JSON.stringify(netSheet),
+        };
+    } catch (error) {
+        return errorResponse(error, { description: 'seller net sheet', message: 'Failed to process seller net sheet' });
+    }
+}
+
+module.exports = {
+    buildNetSheet,
+    handleSellerNetSheet
+};
@@ -1,43 +1,129 @@
 const axios = require('axios');
+const { loadConfig } = require('./config');
+const logger = require('./logger');
 
-const clientId = process.env.FIRSTAM_CLIENT_ID || 'ff4f2fdb-fe7d-430b-bb6c-8b95aae52f02';
-const clientSecret = process.env.FIRSTAM_CLIENT_SECRET || 'o4G' + '8Q~Y0rdx8DJfYDDnsIvx8wUfakNwSStNsmcC-';
-const tenantId = process.env.FIRSTAM_TENANT_ID || '4cc65fd6-9c76-4871-a542-eb12a5a7800c';
-const oauthUrl = `https://login.microsoftonline.com/${tenantId}/oauth2/v2.0/token`;
-const scope = '58730ff7-91da-4e84-8155-59967e632e7d/.default';
+/**
+ * OAuth token manager for the FirstAm client-credentials flow
+ *
+ * Tokens are cached until expires_in minus a safety margin, concurrent callers
+ * share one in-flight refresh, and LVIS callers can invalidate a token that
+ * was rejected (see shared/lvis-client.js).
+ */
+
+// Refresh this long before the token actually expires
+const EXPIRY_MARGIN_SECONDS = Number(process.env.OAUTH_TOKEN_EXPIRY_MARGIN_SECONDS) || 60;
+// Used when the token endpoint omits expires_in
+const DEFAULT_EXPIRES_IN_SECONDS = 3600;
+// A hung token endpoint must not use up the request's LVIS budget (see shared/lvis-client.js)
+const TOKEN_TIMEOUT_MS = Number(process.env.OAUTH_TOKEN_TIMEOUT_MS) || 10000;
 
 let cachedToken = null;
 let tokenExpiry = null;
+let inFlightRefresh = null;
 
-async function getOAuthToken() {
-    // Check if we have a valid cached token
-    if (cachedToken && tokenExpiry && new Date() < tokenExpiry) {
-        console.info('Using cached OAuth token');
-        return cachedToken;
-    }
+const tokenStats = {
+    fetchCount: 0,
+    failureCount: 0,
+    lastFetchMs: null,
+    totalFetchMs: 0,
+    lastFetchedAt: null,
+    lastExpiresIn: null
+};
+
+/**
+ * Seconds the token is treated as valid: expires_in less the margin, but never
+ * less than half its lifetime so short-lived tokens are still reused
+ */
+function usableLifetimeSeconds(expiresIn) {
+    return Math.max(expiresIn - EXPIRY_MARGIN_SECONDS, expiresIn / 2);
+}
+
+async function fetchToken() {
+    // Client, tenant and scope come from the config provider (see shared/config.js)
+    const { oauthUrl, clientId, clientSecret, scope } = await loadConfig();
+
+    logger.info('Fetching new OAuth token');
+    const startedAt = Date.now();
 
-    console.info('Fetching new OAuth token...');
-    
     try {
         const tokenResponse = await axios.post(oauthUrl, new URLSearchParams({
             grant_type: 'client_credentials',
             client_id: clientId,
             client_secret: clientSecret,
             scope: scope
-        }));
+        }), { timeout: TOKEN_TIMEOUT_MS });
+
+        const elapsedMs = Date.now() - startedAt;
+        const expiresIn = Number(tokenResponse.data.expires_in) || DEFAULT_EXPIRES_IN_SECONDS;
 
         cachedToken = tokenResponse.data.access_token;
-        // Set token expiry to 50 minutes from now (tokens usually last 60 minutes)
-        tokenExpiry = new Date(Date.now() + 50 * 60 * 1000);
-        
-        console.info('OAuth token obtained successfully');
+        tokenExpiry = new Date(startedAt + usableLifetimeSeconds(expiresIn) * 1000);
+
+        tokenStats.fetchCount++;
+        tokenStats.lastFetchMs = elapsedMs;
+        tokenStats.totalFetchMs += elapsedMs;
+        tokenStats.lastFetchedAt = new Date(startedAt).toISOString();
+        tokenStats.lastExpiresIn = expiresIn;
+
+        logger.info('OAuth token obtained', { durationMs: elapsedMs, expiresIn, refreshAfter: tokenExpiry.toISOString() });
         return cachedToken;
     } catch (error) {
-        console.error('Failed to fetch OAuth token:', error.message);
+        tokenStats.failureCount++;
+        tokenStats.lastFetchMs = Date.now() - startedAt;
+        logger.error('Failed to fetch OAuth token', { durationMs: tokenStats.lastFetchMs, httpStatus: error.response?.status, error });
         throw new Error('Failed to authenticate with FirstAm API');
     }
 }
 
+/**
+ * Get a valid access token, refreshing it if needed
+ * @param {Object} [options]
+ * @param {Boolean} [options.forceRefresh] - Ignore the cached token
+ * @returns {Promise<String>} Access token
+ */
+async function getOAuthToken({ forceRefresh = false } = {}) {
+    // Check if we have a valid cached token
+    if (!forceRefresh && cachedToken && tokenExpiry && new Date() < tokenExpiry) {
+        logger.debug('Using cached OAuth token');
+        return cachedToken;
+    }
+
+    // Concurrent callers wait on the same refresh instead of each requesting a token
+    if (!inFlightRefresh) {
+        inFlightRefresh = fetchToken().finally(() => {
+            inFlightRefresh = null;
+        });
+    }
+    return inFlightRefresh;
+}
+
+/**
+ * Drop a token LVIS rejected so the next call fetches a new one
+ * Only clears the cache if it still holds that token, so a token another
+ * caller already refreshed is kept.
+ * @param {String} token - The rejected access token
+ */
+function invalidateOAuthToken(token) {
+    if (token && token !== cachedToken) return;
+
+    logger.warn('Invalidating cached OAuth token');
+    cachedToken = null;
+    tokenExpiry = null;
+}
+
+/**
+ * Token fetch counters and latency (for monitoring)
+ */
+function getTokenStats() {
+    return {
+        ...tokenStats,
+        averageFetchMs: tokenStats.fetchCount ? Math.round(tokenStats.totalFetchMs / tokenStats.fetchCount) : null,
+        cachedUntil: tokenExpiry ? tokenExpiry.toISOString() : null
+    };
+}
+
 module.exports = {
-    getOAuthToken
-};
\ No newline at end of file
+    getOAuthToken,
+    invalidateOAuthToken,
+    getTokenStats
+};
@@ -0,0 +1,253 @@
+const { postCalcTypeData } = require('./lvis-client');
+const {
+    buildCalcTypeDataRequestXML,
+    getTransactionType,
+    normalizeTransactionType,
+    loanPurposeForTransactionType
+} = require('./xml-builders');
+const { ValidationError } = require('./validation');
+const constants = require('./constants');
+const logger = require('./logger');
+
+/**
+ * LVIS calculator type data lookups
+ *
+ * These actions list what LVIS accepts for a location (counties, cities,
+ * property types, transaction types) and answer with Key/Value lists under CalcTypeData. The
+ * lists change rarely, so each answer is kept in memory for CACHE_SECONDS.
+ */
+
+const CACHE_SECONDS = Number(process.env.CALC_TYPE_DATA_CACHE_SECONDS) || 3600;
+
+const cache = new Map();
+
+function asList(value) {
+    if (!value) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * EffectiveDate as LVIS expects it, e.g. "9/15/2025 12:52:02 PM" (Pacific time)
+ */
+function lvisEffectiveDate(date = new Date()) {
+    return date.toLocaleString('en-US', {
+        timeZone: 'America/Los_Angeles',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+        hour12: true
+    }).replace(',', '');
+}
+
+/**
+ * Key/Value pairs from CalcTypeData, e.g. listName 'PropertyTypes' reads
+ * PropertyTypesList/PropertyTypes/KeyValue. Nested SubKeyValues (CityDetail
+ * lists cities under their county) come back as each pair's SubKeyValues.
+ */
+function parseKeyValueList(parsed, listName) {
+    const calcTypeData = parsed?.['lvis:LVIS_XML']?.['lvis:LVIS_CALCULATOR_TYPE_DATA_RESPONSE']?.['lvis:CalcTypeData'];
+    const list = calcTypeData?.[`lvis:${listName}List`]?.[`lvis:${listName}`];
+
+    return asList(list?.['lvis:KeyValue'])
+        .filter(pair => pair && pair['lvis:Value'])
+        .map(pair => ({
+            Key: String(pair['lvis:Key']),
+            Value: String(pair['lvis:Value']),
+            SubKeyValues: asList(pair['lvis:SubKeyValues']?.['lvis:KeyValue'])
+                .filter(sub => sub && sub['lvis:Value'])
+                .map(sub => ({ Key: String(sub['lvis:Key']), Value: String(sub['lvis:Value']) }))
+        }));
+}
+
+async function cached(key, load) {
+    const entry = cache.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+        return entry.value;
+    }
+
+    const value = await load();
+    cache.set(key, { value, expiresAt: Date.now() + CACHE_SECONDS * 1000 });
+    return value;
+}
+
+/**
+ * Counties LVIS knows in a state (its "Not Applicable" entry is left out)
+ * @param {Object} params
+ * @param {String} params.stateCode - Two-letter state code
+ * @returns {Promise<Array>} [{ CountyId, County }]
+ */
+function getCounties({ stateCode }) {
+    return cached(`CountyDetail:${stateCode}`, async () => {
+        const requestXML = buildCalcTypeDataRequestXML({
+            actionType: 'CountyDetail',
+            values: [['PropertyStateCode', stateCode]]
+        });
+
+        const { parsed } = await postCalcTypeData(requestXML, { action: 'CountyDetail' });
+        const counties = parseKeyValueList(parsed, 'Counties')
+            .filter(pair => pair.Key !== '-1')
+            .map(pair => ({ CountyId: pair.Key, County: pair.Value }));
+
+        logger.info('Counties loaded', { stateCode, count: counties.length });
+        return counties;
+    });
+}
+
+/**
+ * Cities LVIS knows in a county
+ * @param {Object} params
+ * @param {String} params.stateCode - Two-letter state code
+ * @param {String} params.countyName - County name as LVIS spells it
+ * @returns {Promise<Array>} [{ CityId, City }]
+ */
+function getCities({ stateCode, countyName }) {
+    return cached(`CityDetail:${stateCode}:${countyName}`, async () => {
+        const requestXML = buildCalcTypeDataRequestXML({
+            actionType: 'CityDetail',
+            values: [
+                ['PropertyStateCode', stateCode],
+                ['PropertyCountyName', countyName],
+                ['EffectiveDate', lvisEffectiveDate()]
+            ]
+        });
+
+        const { parsed } = await postCalcTypeData(requestXML, { action: 'CityDetail' });
+        // Cities come back under their county's KeyValue
+        const cities = parseKeyValueList(parsed, 'Counties')
+            .flatMap(county => county.SubKeyValues)
+            .map(pair => ({ CityId: pair.Key, City: pair.Value }));
+
+        logger.info('Cities loaded', { stateCode, countyName, count: cities.length });
+        return cities;
+    });
+}
+
+/**
+ * Property types LVIS prices in a state
+ * @param {Object} params
+ * @param {String} params.stateCode - Two-letter state code
+ * @returns {Promise<Array>} [{ PropertyTypeId, PropertyType }]
+ */
+function getPropertyTypes({ stateCode }) {
+    return cached(`PropertyTypes:${stateCode}`, async () => {
+        const requestXML = buildCalcTypeDataRequestXML({
+            actionType: 'PropertyTypes',
+            values: [
+                ['PropertyStateCode', stateCode],
+                ['ClosingStateCode', null],
+                ['EffectiveDate', lvisEffectiveDate()]
+            ]
+        });
+
+        const { parsed } = await postCalcTypeData(requestXML, { action: 'PropertyTypes' });
+        const propertyTypes = parseKeyValueList(parsed, 'PropertyTypes')
+            .map(pair => ({ PropertyTypeId: pair.Key, PropertyType: pair.Value }));
+
+        logger.info('Property types loaded', { stateCode, count: propertyTypes.length });
+        return propertyTypes;
+    });
+}
+
+/**
+ * The property type to quote: the default when none is given, otherwise the
+ * caller's choice matched (by name or ID, case-insensitively) against what LVIS
+ * offers in the state
+ * @throws {ValidationError} When the state does not offer the property type
+ * @returns {Promise<String>} Property type name as LVIS spells it
+ */
+async function resolvePropertyType({ PropertyType, stateCode }) {
+    if (!PropertyType) return constants.DEFAULT_PROPERTY_TYPE;
+
+    const propertyTypes = await getPropertyTypes({ stateCode });
+    const requested = String(PropertyType).toLowerCase();
+    const match = propertyTypes.find(type =>
+        type.PropertyType.toLowerCase() === requested || type.PropertyTypeId === String(PropertyType));
+
+    if (!match) {
+        throw new ValidationError([{
+            field: 'PropertyType',
+            message: `Property type ${PropertyType} is not offered in ${stateCode}; expected one of: ${
+                propertyTypes.map(type => type.PropertyType).join(', ')}`
+        }]);
+    }
+    return match.PropertyType;
+}
+
+/**
+ * Transaction types LVIS supports in a state for a property type
+ * @param {Object} params
+ * @param {String} params.stateCode - Two-letter state code
+ * @param {String} [params.propertyType] - Property type name (default Residential)
+ * @returns {Promise<Array>} [{ TransactionTypeId, TransactionType, LoanPurposeType }], where
+ *                           LoanPurposeType is how the quote endpoints price that transaction type
+ */
+function getTransactionTypes({ stateCode, propertyType = constants.DEFAULT_PROPERTY_TYPE }) {
+    return cached(`TransactionTypes:${stateCode}:${propertyType}`, async () => {
+        const requestXML = buildCalcTypeDataRequestXML({
+            actionType: 'TransactionTypes',
+            values: [
+                ['PropertyStateCode', stateCode],
+                ['PropertyType', propertyType],
+                ['EffectiveDate', lvisEffectiveDate()]
+            ]
+        });
+
+        const { parsed } = await postCalcTypeData(requestXML, { action: 'TransactionTypes' });
+        const transactionTypes = parseKeyValueList(parsed, 'TransactionTypes').map(pair => ({
+            TransactionTypeId: pair.Key,
+            TransactionType: pair.Value,
+            LoanPurposeType: loanPurposeForTransactionType(pair.Value)
+        }));
+
+        logger.info('Transaction types loaded', { stateCode, propertyType, count: transactionTypes.length });
+        return transactionTypes;
+    });
+}
+
+/**
+ * The LVIS transaction type to quote: the one LoanPurposeType implies when none
+ * is given, otherwise the caller's TransactionType matched against what LVIS
+ * supports in the state
+ * @param {Object} params
+ * @param {String} [params.TransactionType] - Requested transaction type name
+ * @param {String} params.LoanPurposeType - Request LoanPurposeType (or the one TransactionType implies)
+ * @throws {ValidationError} When the state does not support the transaction type, or it
+ *                           is priced differently from the request's LoanPurposeType
+ * @returns {Promise<String>} Transaction type name as LVIS spells it
+ */
+async function resolveTransactionType({ TransactionType, LoanPurposeType, stateCode, propertyType }) {
+    if (!TransactionType) return getTransactionType(LoanPurposeType);
+
+    const transactionTypes = await getTransactionTypes({ stateCode, propertyType });
+    const requested = normalizeTransactionType(TransactionType);
+    const match = transactionTypes.find(type => normalizeTransactionType(type.TransactionType) === requested);
+
+    if (!match) {
+        throw new ValidationError([{
+            field: 'TransactionType',
+            message: `Transaction type ${TransactionType} is not supported in ${stateCode}; expected one of: ${
+                transactionTypes.map(type => type.TransactionType).join(', ')}`
+        }]);
+    }
+    if (match.LoanPurposeType !== LoanPurposeType) {
+        throw new ValidationError([{
+            field: 'TransactionType',
+            message: `Transaction type ${match.TransactionType} is quoted as a ${match.LoanPurposeType}, not a ${LoanPurposeType}`
+        }]);
+    }
+    return match.TransactionType;
+}
+
+module.exports = {
+    getCounties,
+    getCities,
+    getPropertyTypes,
+    resolvePropertyType,
+    getTransactionTypes,
+    resolveTransactionType,
+    parseKeyValueList,
+    lvisEffectiveDate
+};
@@ -0,0 +1,61 @@
+const constants = require('./constants');
+const { ValidationError } = require('./validation');
+
+/**
+ * Closing date a quote is priced for
+ *
+ * LVIS prices with the rates filed for a date: ProductList and RateCalc take an
+ * EffectiveDate and each policy a TitlePolicyEffectiveDate. Both follow the
+ * caller's ClosingDate, or today in the property's time zone when none is given.
+ */
+
+function timeZoneFor(stateCode) {
+    return constants.STATE_TIME_ZONES[stateCode] || constants.DEFAULT_TIME_ZONE;
+}
+
+/**
+ * Calendar date (YYYY-MM-DD) of a moment in a time zone
+ */
+function dateIn(timeZone, date = new Date()) {
+    const parts = new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+        .formatToParts(date)
+        .reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+    return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+/**
+ * ProductList / RateCalc EffectiveDate for a closing date, e.g. "9/15/2025 12:00:00 PM".
+ * Noon keeps the day the same whichever US time zone LVIS reads it in.
+ */
+function lvisEffectiveDateFor(closingDate) {
+    const [year, month, day] = closingDate.split('-').map(Number);
+    return `${month}/${day}/${year} 12:00:00 PM`;
+}
+
+/**
+ * The closing date to price, checked against today where the property is
+ * @param {Object} params
+ * @param {String} [params.ClosingDate] - YYYY-MM-DD from the request
+ * @param {String} params.stateCode - Property state
+ * @throws {ValidationError} When the closing date has already passed in the property's time zone
+ * @returns {Object} { closingDate, timeZone, effectiveDate } - effectiveDate as LVIS expects it
+ */
+function resolveClosingDate({ ClosingDate, stateCode }) {
+    const timeZone = timeZoneFor(stateCode);
+    const today = dateIn(timeZone);
+
+    if (ClosingDate && ClosingDate < today) {
+        throw new ValidationError([{
+            field: 'ClosingDate',
+            message: `ClosingDate ${ClosingDate} has passed; it is already ${today} in ${stateCode} (${timeZone})`
+        }]);
+    }
+
+    const closingDate = ClosingDate || today;
+    return { closingDate, timeZone, effectiveDate: lvisEffectiveDateFor(closingDate) };
+}
+
+module.exports = {
+    resolveClosingDate,
+    dateIn
+};
@@ -0,0 +1,248 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const constants = require('./constants');
+const logger = require('./logger');
+
+/**
+ * Runtime configuration for FirstAm / LVIS
+ *
+ * Resolves the OAuth client, tenant, scope, LVIS base URL and ClientCustomerId
+ * from the source named by CONFIG_SOURCE:
+ *
+ *   env             - process environment (default)
+ *   file            - JSON document at CONFIG_FILE
+ *   secrets-manager - JSON SecretString of CONFIG_SECRET_ID in AWS Secrets Manager,
+ *                     or of that id in LOCAL_SECRETS_FILE when running offline
+ *
+ * Every source uses the same keys as the environment variables below. The
+ * configuration is loaded and validated once per cold start; nothing falls back
+ * to built-in credentials.
+ */
+
+const SOURCES = ['env', 'file', 'secrets-manager'];
+
+const KEYS = [
+    'FIRSTAM_CLIENT_ID',
+    'FIRSTAM_CLIENT_SECRET',
+    'FIRSTAM_TENANT_ID',
+    'FIRSTAM_SCOPE',
+    'FIRSTAM_OAUTH_URL',
+    'LVIS_BASE_URL',
+    'LVIS_CLIENT_CUSTOMER_ID'
+];
+
+// Deploy-script and docs placeholders that must never reach FirstAm
+const PLACEHOLDER_PATTERN = /^(REPLACE_WITH_|your-)/i;
+
+// SHA-256 of client secrets that were once committed to this repo
+const RETIRED_SECRET_HASHES = [
+    'ac48b469fc52cc30f07d4e231707d9c2f0da8863a3358cbbf7c44640886fa30f'
+];
+
+class ConfigError extends Error {
+    constructor(message, problems = []) {
+        super(message);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+function pickKeys(source) {
+    const values = {};
+    KEYS.forEach(key => {
+        if (source[key] !== undefined && source[key] !== null && source[key] !== '') {
+            values[key] = String(source[key]);
+        }
+    });
+    return values;
+}
+
+function parseJSONDocument(raw, description) {
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        throw new ConfigError(`${description} is not valid JSON: ${error.message}`);
+    }
+}
+
+async function readEnv() {
+    return pickKeys(process.env);
+}
+
+async function readFile() {
+    const file = process.env.CONFIG_FILE;
+    if (!file) {
+        throw new ConfigError('CONFIG_SOURCE=file requires CONFIG_FILE');
+    }
+
+    let raw;
+    try {
+        raw = await fs.promises.readFile(file, 'utf8');
+    } catch (error) {
+        throw new ConfigError(`Cannot read CONFIG_FILE ${file}: ${error.message}`);
+    }
+    return pickKeys(parseJSONDocument(raw, `CONFIG_FILE ${file}`));
+}
+
+/**
+ * Fetch a SecretString, from LOCAL_SECRETS_FILE ({ "<secretId>": { ... } }) when
+ * set, otherwise from AWS Secrets Manager
+ */
+async function getSecretString(secretId) {
+    const localFile = process.env.LOCAL_SECRETS_FILE;
+
+    if (localFile) {
+        let raw;
+        try {
+            raw = await fs.promises.readFile(localFile, 'utf8');
+        } catch (error) {
+            throw new ConfigError(`Cannot read LOCAL_SECRETS_FILE ${localFile}: ${error.message}`);
+        }
+        const secrets = parseJSONDocument(raw, `LOCAL_SECRETS_FILE ${localFile}`);
+        if (!secrets[secretId]) {
+            throw new ConfigError(`Secret ${secretId} not found in LOCAL_SECRETS_FILE ${localFile}`);
+        }
+        return typeof secrets[secretId] === 'string' ? secrets[secretId] : JSON.stringify(secrets[secretId]);
+    }
+
+    const AWS = require('aws-sdk');
+    const secretsManager = new AWS.SecretsManager();
+    try {
+        const result = await secretsManager.getSecretValue({ SecretId: secretId }).promise();
+        return result.SecretString;
+    } catch (error) {
+        throw new ConfigError(`Cannot read secret ${secretId}: ${error.message}`);
+    }
+}
+
+async function readSecretsManager() {
+    const secretId = process.env.CONFIG_SECRET_ID;
+    if (!secretId) {
+        throw new ConfigError('CONFIG_SOURCE=secrets-manager requires CONFIG_SECRET_ID');
+    }
+
+    const secretString = await getSecretString(secretId);
+    return pickKeys(parseJSONDocument(secretString || '', `Secret ${secretId}`));
+}
+
+const PROVIDERS = {
+    env: readEnv,
+    file: readFile,
+    'secrets-manager': readSecretsManager
+};
+
+/**
+ * Check resolved values and build the config object
+ * @throws {ConfigError} listing every problem found
+ */
+function validate(values, source) {
+    const problems = [];
+
+    ['FIRSTAM_CLIENT_ID', 'FIRSTAM_CLIENT_SECRET', 'FIRSTAM_SCOPE', 'LVIS_CLIENT_CUSTOMER_ID'].forEach(key => {
+        if (!values[key]) problems.push(`${key} is required`);
+    });
+
+    if (!values.FIRSTAM_TENANT_ID && !values.FIRSTAM_OAUTH_URL) {
+        problems.push('FIRSTAM_TENANT_ID is required (or FIRSTAM_OAUTH_URL)');
+    }
+
+    Object.keys(values).forEach(key => {
+        if (PLACEHOLDER_PATTERN.test(values[key])) {
+            problems.push(`${key} still holds a placeholder value`);
+        }
+    });
+
+    if (values.FIRSTAM_CLIENT_SECRET) {
+        const secretHash = crypto.createHash('sha256').update(values.FIRSTAM_CLIENT_SECRET).digest('hex');
+        if (RETIRED_SECRET_HASHES.includes(secretHash)) {
+            problems.push('FIRSTAM_CLIENT_SECRET is a retired secret that was committed to source control');
+        }
+    }
+
+    ['FIRSTAM_OAUTH_URL', 'LVIS_BASE_URL'].forEach(key => {
+        if (!values[key]) return;
+        try {
+            new URL(values[key]);
+        } catch (error) {
+            problems.push(`${key} is not a valid URL`);
+        }
+    });
+
+    if (problems.length > 0) {
+        throw new ConfigError(`Invalid configuration from ${source}: ${problems.join('; ')}`, problems);
+    }
+
+    const lvisBaseUrl = (values.LVIS_BASE_URL || constants.LVIS_DEFAULT_BASE_URL).replace(/\/+$/, '');
+
+    return Object.freeze({
+        source,
+        clientId: values.FIRSTAM_CLIENT_ID,
+        clientSecret: values.FIRSTAM_CLIENT_SECRET,
+        tenantId: values.FIRSTAM_TENANT_ID || null,
+        scope: values.FIRSTAM_SCOPE,
+        // FIRSTAM_OAUTH_URL lets the local LVIS stand-in issue tokens when running offline
+        oauthUrl: values.FIRSTAM_OAUTH_URL || `https://login.microsoftonline.com/${values.FIRSTAM_TENANT_ID}/oauth2/v2.0/token`,
+        lvisBaseUrl,
+        productListUrl: `${lvisBaseUrl}/ProductList`,
+        rateCalcUrl: `${lvisBaseUrl}/`,
+        clientCustomerId: values.LVIS_CLIENT_CUSTOMER_ID
+    });
+}
+
+let loadedConfig = null;
+let loadingPromise = null;
+
+/**
+ * Resolve and validate configuration (once; later calls share the result)
+ * @returns {Promise<Object>} Frozen config
+ * @throws {ConfigError}
+ */
+function loadConfig() {
+    if (!loadingPromise) {
+        const source = process.env.CONFIG_SOURCE || 'env';
+
+        loadingPromise = (async () => {
+            if (!PROVIDERS[source]) {
+                throw new ConfigError(`Unknown CONFIG_SOURCE "${source}" (expected one of: ${SOURCES.join(', ')})`);
+            }
+
+            const config = validate(await PROVIDERS[source](), source);
+            logger.info('Configuration loaded', { source, lvisBaseUrl: config.lvisBaseUrl, clientCustomerId: config.clientCustomerId });
+            loadedConfig = config;
+            return config;
+        })();
+
+        // Let the next call retry, e.g. after a transient Secrets Manager failure
+        loadingPromise.catch(() => {
+            loadingPromise = null;
+        });
+    }
+    return loadingPromise;
+}
+
+/**
+ * Configuration already loaded by loadConfig(), for synchronous callers such as XML builders
+ * @throws {ConfigError} when loadConfig() has not completed
+ */
+function getConfig() {
+    if (!loadedConfig) {
+        throw new ConfigError('Configuration has not been loaded; await loadConfig() first');
+    }
+    return loadedConfig;
+}
+
+/**
+ * Forget the loaded configuration (for tests and local tooling)
+ */
+function resetConfig() {
+    loadedConfig = null;
+    loadingPromise = null;
+}
+
+module.exports = {
+    loadConfig,
+    getConfig,
+    resetConfig,
+    ConfigError,
+    SOURCES
+};
@@ -1,38 +1,147 @@
+// Production LVIS calculator; shared/config.js resolves the URL actually used (LVIS_BASE_URL)
+const FIRSTAM_BASE_URL = 'https://calculator.lvis.firstam.com';
+
 module.exports = {
     // API URLs
-    FIRSTAM_BASE_URL: 'https://calculator.lvis.firstam.com',
-    PRODUCT_LIST_URL: 'https://calculator.lvis.firstam.com/ProductList',
-    RATE_CALC_URL: 'https://calculator.lvis.firstam.com/',
+    LVIS_DEFAULT_BASE_URL: FIRSTAM_BASE_URL,
     
     // For official quotes - these endpoints would be added once we have the documentation
-    OFFICIAL_QUOTE_START_URL: 'https://calculator.lvis.firstam.com/OfficialQuoteStart',
-    OFFICIAL_QUOTE_SUBMIT_URL: 'https://calculator.lvis.firstam.com/OfficialQuoteSubmit',
-    
-    // Client Configuration
-    CLIENT_CUSTOMER_ID: 'FNTE',
+    OFFICIAL_QUOTE_START_URL: `${FIRSTAM_BASE_URL}/OfficialQuoteStart`,
+    OFFICIAL_QUOTE_SUBMIT_URL: `${FIRSTAM_BASE_URL}/OfficialQuoteSubmit`,
     
     // DynamoDB Tables
     TABLES: {
         ZIP_CODES: 'ZipCodes',
         FNTE_FEES: 'FNTEFees',
-        QUOTE_SESSIONS: 'QuoteSessions'
+        QUOTE_SESSIONS: 'QuoteSessions',
+        QUOTE_SESSIONS_V2: 'QuoteSessionsV2',
+        BATCH_QUOTE_JOBS: 'BatchQuoteJobs',
+        BATCH_QUOTE_INPUTS: 'BatchQuoteInputs',
+        BATCH_QUOTE_RESULTS: 'BatchQuoteResults'
     },
     
     // Session Configuration
     SESSION_TTL_HOURS: 24,
     
-    // Transaction Types
+    // Batch quick quotes: a request is answered within the API Gateway timeout,
+    // larger batches go through a job
+    BATCH_QUOTE: {
+        MAX_ITEMS: 12,
+        MAX_JOB_ITEMS: 1000,
+        DEFAULT_CONCURRENCY: 4,
+        MAX_CONCURRENCY: 10,
+        // A request's items run in at most this many rounds of Concurrency items, each
+        // round's items getting an equal share of the request's LVIS budget
+        MAX_SYNC_ROUNDS: 3,
+        // A job's inputs are stored in records of at most this much JSON (DynamoDB items are limited to 400 KB)
+        MAX_INPUT_CHUNK_BYTES: 300 * 1024
+    },
+    BATCH_JOB_STATUSES: {
+        QUEUED: 'queued',
+        RUNNING: 'running',
+        COMPLETED: 'completed',
+        FAILED: 'failed'
+    },
+    
+    // Scenarios one quick quote comparison prices side by side
+    MAX_COMPARISON_SCENARIOS: 6,
+    
+    // Loan purposes accepted from callers
+    LOAN_PURPOSE_TYPES: {
+        PURCHASE: 'Purchase',
+        CASH_PURCHASE: 'Cash Purchase',
+        REFINANCE: 'Refinance'
+    },
+    
+    // LVIS TransactionTypes, keyed like LOAN_PURPOSE_TYPES
     TRANSACTION_TYPES: {
         PURCHASE: 'Sale w/ Mortgage',
-        CASH_PURCHASE: 'Sale w/ Mortgage',
+        CASH_PURCHASE: 'Sale/Cash',
         REFINANCE: 'Refinance'
     },
     
-    // Property Types
-    PROPERTY_TYPE: 'Residential',
+    // ProductList PolicyCategoryId values
+    POLICY_CATEGORIES: {
+        OWNER: '1',
+        LENDER: '2',
+        JUNIOR_LENDER: '5'
+    },
+    
+    // Policies a caller can attach endorsements to
+    ENDORSEMENT_POLICIES: {
+        OWNER: 'OwnerPolicy',
+        LENDER: 'LenderPolicy'
+    },
     
-    // Default Values
-    DEFAULT_NOTE_AMOUNT: 1000,
+    // Loans on one purchase: the first lien plus a simultaneous second (80-10-10, HELOC)
+    MAX_LOANS: 2,
+    LOAN_TYPES: {
+        MORTGAGE: 'Mortgage',
+        HELOC: 'HELOC'
+    },
+    // MISMO LienPriorityType by position in Loans
+    LIEN_PRIORITIES: ['FirstLien', 'SecondLien'],
+    
+    // Kind of policy a refinance's prior policy was (PriorPolicy.PolicyType)
+    PRIOR_POLICY_TYPES: {
+        OWNER: 'Owner',
+        LOAN: 'Loan'
+    },
+    
+    // Who a fee line is allocated to (see shared/payer-allocation.js)
+    PAYERS: {
+        BUYER: 'Buyer',
+        SELLER: 'Seller',
+        SPLIT: 'Split'
+    },
+    // Fee categories a payer allocation can be set for
+    FEE_CATEGORIES: {
+        OWNER_POLICY: 'OwnerPolicy',
+        LENDER_POLICY: 'LenderPolicy',
+        ENDORSEMENTS: 'Endorsements',
+        SETTLEMENT_FEE: 'SettlementFee',
+        TITLE_SERVICES: 'TitleServices',
+        RECORDING: 'Recording',
+        TRANSFER_TAX: 'TransferTax',
+        MORTGAGE_TAX: 'MortgageTax',
+        OTHER: 'Other'
+    },
+    
+    // Loan Estimate / Closing Disclosure sections fee lines are disclosed in (see shared/trid-sections.js)
+    DISCLOSURE_SECTIONS: {
+        B: 'Services You Cannot Shop For',
+        C: 'Services You Can Shop For',
+        E: 'Taxes and Other Government Fees',
+        H: 'Other'
+    },
+    // How much a disclosed fee may grow between the Loan Estimate and closing
+    TOLERANCE_BUCKETS: {
+        ZERO: 'Zero',
+        TEN_PERCENT: 'TenPercent',
+        UNLIMITED: 'Unlimited'
+    },
+    
+    // Property type sent when the caller gives none; others come from the LVIS PropertyTypes action
+    DEFAULT_PROPERTY_TYPE: 'Residential',
+    
+    // Time zone a closing date is judged in, per property state (where most of the state is)
+    STATE_TIME_ZONES: {
+        AL: 'America/Chicago', AK: 'America/Anchorage', AZ: 'America/Phoenix', AR: 'America/Chicago',
+        CA: 'America/Los_Angeles', CO: 'America/Denver', CT: 'America/New_York', DE: 'America/New_York',
+        DC: 'America/New_York', FL: 'America/New_York', GA: 'America/New_York', HI: 'Pacific/Honolulu',
+        ID: 'America/Boise', IL: 'America/Chicago', IN: 'America/Indiana/Indianapolis', IA: 'America/Chicago',
+        KS: 'America/Chicago', KY: 'America/New_York', LA: 'America/Chicago', ME: 'America/New_York',
+        MD: 'America/New_York', MA: 'America/New_York', MI: 'America/Detroit', MN: 'America/Chicago',
+        MS: 'America/Chicago', MO: 'America/Chicago', MT: 'America/Denver', NE: 'America/Chicago',
+        NV: 'America/Los_Angeles', NH: 'America/New_York', NJ: 'America/New_York', NM: 'America/Denver',
+        NY: 'America/New_York', NC: 'America/New_York', ND: 'America/Chicago', OH: 'America/New_York',
+        OK: 'America/Chicago', OR: 'America/Los_Angeles', PA: 'America/New_York', RI: 'America/New_York',
+        SC: 'America/New_York', SD: 'America/Chicago', TN: 'America/Chicago', TX: 'America/Chicago',
+        UT: 'America/Denver', VT: 'America/New_York', VA: 'America/New_York', WA: 'America/Los_Angeles',
+        WV: 'America/New_York', WI: 'America/Chicago', WY: 'America/Denver', PR: 'America/Puerto_Rico'
+    },
+    // LVIS runs on Pacific time; used for a state missing above
+    DEFAULT_TIME_ZONE: 'America/Los_Angeles',
     
     // Product Flags
     PRODUCT_FLAGS: {
@@ -45,7 +154,8 @@ module.exports = {
     // Response Headers
     CORS_HEADERS: {
         'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Headers': 'Content-Type,X-Correlation-Id',
+        'Access-Control-Expose-Headers': 'X-Correlation-Id',
         'Access-Control-Allow-Methods': 'OPTIONS,POST,GET'
     }
 };
\ No newline at end of file
@@ -1,8 +1,28 @@
 const AWS = require('aws-sdk');
-const dynamoDB = new AWS.DynamoDB.DocumentClient();
+// DYNAMODB_ENDPOINT points at DynamoDB Local when running offline
+const dynamoDB = new AWS.DynamoDB.DocumentClient(
+    process.env.DYNAMODB_ENDPOINT ? { endpoint: process.env.DYNAMODB_ENDPOINT } : {}
+);
+const { createSessionStore } = require('./session-store');
+const constants = require('./constants');
+const logger = require('./logger');
+
+// Official quote (v1) sessions; backend selected by SESSION_STORE
+const quoteSessions = createSessionStore({ tableName: constants.TABLES.QUOTE_SESSIONS });
+
+/**
+ * Thrown for a key the table does not have, e.g. an unknown ZIP code;
+ * endpoints answer it with 404
+ */
+class NotFoundError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'NotFoundError';
+    }
+}
 
 async function getZipCodeData(zipCode) {
-    console.info('Querying DynamoDB for Zip Code data...');
+    logger.debug('Querying DynamoDB for Zip Code data', { zipCode });
     
     const params = {
         TableName: 'ZipCodes',
@@ -11,21 +31,20 @@ async function getZipCodeData(zipCode) {
     
     try {
         const result = await dynamoDB.get(params).promise();
-        console.info('Zip Code Data:', result);
         
         if (!result.Item) {
-            throw new Error(`Zip code ${zipCode} not found`);
+            throw new NotFoundError(`Zip code ${zipCode} not found`);
         }
         
         return result.Item;
     } catch (error) {
-        console.error('Failed to fetch zip code data:', error.message);
+        logger.error('Failed to fetch zip code data', { zipCode, error });
         throw error;
     }
 }
 
 async function getStateFees(stateCode) {
-    console.info('Fetching state fees from DynamoDB...');
+    logger.debug('Fetching state fees from DynamoDB', { stateCode });
     
     const params = {
         TableName: 'FNTEFees',
@@ -34,97 +53,58 @@ async function getStateFees(stateCode) {
     
     try {
         const result = await dynamoDB.get(params).promise();
-        console.info('State Fee Data:', result);
         return result.Item || null;
     } catch (error) {
-        console.error('Failed to fetch state fees:', error.message);
+        logger.error('Failed to fetch state fees', { stateCode, error });
         return null;
     }
 }
 
 async function saveQuoteSession(sessionId, sessionData) {
-    const params = {
-        TableName: 'QuoteSessions',
-        Item: {
-            sessionId,
-            ...sessionData,
-            createdAt: new Date().toISOString(),
-            ttl: Math.floor(Date.now() / 1000) + (24 * 60 * 60) // Expire after 24 hours
-        }
+    const item = {
+        sessionId,
+        ...sessionData,
+        createdAt: new Date().toISOString(),
+        ttl: Math.floor(Date.now() / 1000) + (constants.SESSION_TTL_HOURS * 60 * 60) // Expire after 24 hours
     };
     
     try {
-        await dynamoDB.put(params).promise();
-        console.info('Quote session saved:', sessionId);
+        await quoteSessions.put(item);
+        logger.info('Quote session saved', { sessionId });
         return sessionId;
     } catch (error) {
-        console.error('Failed to save quote session:', error.message);
+        logger.error('Failed to save quote session', { sessionId, error });
         throw error;
     }
 }
 
 async function getQuoteSession(sessionId) {
-    const params = {
-        TableName: 'QuoteSessions',
-        Key: { sessionId }
-    };
-    
     try {
-        const result = await dynamoDB.get(params).promise();
-        return result.Item || null;
+        return await quoteSessions.get(sessionId);
     } catch (error) {
-        console.error('Failed to fetch quote session:', error.message);
+        logger.error('Failed to fetch quote session', { sessionId, error });
         throw error;
     }
 }
 
 async function updateQuoteSession(sessionId, updates) {
-    const updateExpressions = [];
-    const expressionAttributeNames = {};
-    const expressionAttributeValues = {};
-    
-    Object.keys(updates).forEach((key, index) => {
-        const attrName = `#attr${index}`;
-        const attrValue = `:val${index}`;
-        updateExpressions.push(`${attrName} = ${attrValue}`);
-        expressionAttributeNames[attrName] = key;
-        expressionAttributeValues[attrValue] = updates[key];
-    });
-    
-    const params = {
-        TableName: 'QuoteSessions',
-        Key: { sessionId },
-        UpdateExpression: `SET ${updateExpressions.join(', ')}, updatedAt = :updatedAt`,
-        ExpressionAttributeNames: expressionAttributeNames,
-        ExpressionAttributeValues: {
-            ...expressionAttributeValues,
-            ':updatedAt': new Date().toISOString()
-        }
-    };
-    
     try {
-        await dynamoDB.update(params).promise();
-        console.info('Quote session updated:', sessionId);
+        await quoteSessions.update(sessionId, {
+            ...updates,
+            updatedAt: new Date().toISOString()
+        });
+        logger.info('Quote session updated', { sessionId });
     } catch (error) {
-        console.error('Failed to update quote session:', error.message);
+        logger.error('Failed to update quote session', { sessionId, error });
         throw error;
     }
 }
 
-async function logAwsIdentity() {
-    const sts = new AWS.STS();
-    const identity = await sts.getCallerIdentity().promise();
-    
-    console.info('🔐 AWS Account ID:', identity.Account);
-    console.info('👤 Caller ARN:', identity.Arn);
-    console.info('📍 AWS Region:', AWS.config.region);
-}
-
 module.exports = {
+    NotFoundError,
     getZipCodeData,
     getStateFees,
     saveQuoteSession,
     getQuoteSession,
-    updateQuoteSession,
-    logAwsIdentity
+    updateQuoteSession
 };
\ No newline at end of file
@@ -0,0 +1,280 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./logger');
+
+/**
+ * Archive of LVIS request/response pairs, for audit and replay
+ *
+ * Every ProductList, RateCalc and RateCalcNoAutoCalc call made by
+ * shared/lvis-client.js is stored as one entry under the ID of the quote it
+ * belongs to: the session ID for official quotes, otherwise the request's
+ * correlation ID. Backends:
+ *
+ *   s3     - one object per exchange in EXCHANGE_ARCHIVE_BUCKET (default when a bucket is set)
+ *   file   - one JSON file per exchange under EXCHANGE_ARCHIVE_DIR (local development)
+ *   memory - process-local Map, for tests
+ *   none   - archiving disabled (default when no bucket is set)
+ *
+ * Select with EXCHANGE_ARCHIVE or the `backend` option. Entries are kept
+ * until the bucket's lifecycle rules (or whoever owns the directory) remove
+ * them; they are not tied to the 24-hour session TTL.
+ *
+ * Party data is redacted from entries the way it is from logs (see
+ * shared/logger.js). Writes run alongside the request instead of holding up
+ * each LVIS call; flushExchanges() waits for them before the Lambda answers.
+ */
+
+const BACKENDS = ['s3', 'file', 'memory', 'none'];
+const DEFAULT_FILE_DIR = path.join(process.cwd(), '.exchanges');
+const DEFAULT_S3_PREFIX = 'lvis-exchanges/';
+
+// Archive keys become object keys and file names, so keep them to a safe character set
+function safeKey(key) {
+    return encodeURIComponent(String(key));
+}
+
+// Sortable, unique name for one exchange within a quote
+function entryName(exchange) {
+    return `${exchange.startedAt.replace(/[:.]/g, '-')}-${exchange.exchangeId}.json`;
+}
+
+function byStartTime(a, b) {
+    return a.startedAt.localeCompare(b.startedAt);
+}
+
+/**
+ * Shared S3 client, created on first use so other backends never load aws-sdk
+ */
+let s3Client;
+function getS3Client() {
+    if (!s3Client) {
+        const AWS = require('aws-sdk');
+        // EXCHANGE_ARCHIVE_S3_ENDPOINT points at a local S3 stand-in when running offline
+        s3Client = new AWS.S3(process.env.EXCHANGE_ARCHIVE_S3_ENDPOINT
+            ? { endpoint: process.env.EXCHANGE_ARCHIVE_S3_ENDPOINT, s3ForcePathStyle: true }
+            : {});
+    }
+    return s3Client;
+}
+
+function createS3Backend({ bucket, prefix }) {
+    if (!bucket) {
+        throw new Error('The s3 exchange archive requires EXCHANGE_ARCHIVE_BUCKET');
+    }
+    const s3 = getS3Client();
+
+    return {
+        async put(key, exchange) {
+            await s3.putObject({
+                Bucket: bucket,
+                Key: `${prefix}${safeKey(key)}/${entryName(exchange)}`,
+                Body: JSON.stringify(exchange),
+                ContentType: 'application/json'
+            }).promise();
+        },
+
+        async list(key) {
+            const objectKeys = [];
+            let ContinuationToken;
+            do {
+                const result = await s3.listObjectsV2({
+                    Bucket: bucket,
+                    Prefix: `${prefix}${safeKey(key)}/`,
+                    ContinuationToken
+                }).promise();
+                objectKeys.push(...(result.Contents || []).map(object => object.Key));
+                ContinuationToken = result.NextContinuationToken;
+            } while (ContinuationToken);
+
+            return Promise.all(objectKeys.map(async objectKey => {
+                const object = await s3.getObject({ Bucket: bucket, Key: objectKey }).promise();
+                return JSON.parse(object.Body.toString('utf8'));
+            }));
+        }
+    };
+}
+
+function createFileBackend({ directory }) {
+    return {
+        async put(key, exchange) {
+            const keyDir = path.join(directory, safeKey(key));
+            await fs.promises.mkdir(keyDir, { recursive: true });
+            await fs.promises.writeFile(path.join(keyDir, entryName(exchange)), JSON.stringify(exchange, null, 2));
+        },
+
+        async list(key) {
+            const keyDir = path.join(directory, safeKey(key));
+            let files;
+            try {
+                files = await fs.promises.readdir(keyDir);
+            } catch (error) {
+                if (error.code === 'ENOENT') return [];
+                throw error;
+            }
+            return Promise.all(files.filter(file => file.endsWith('.json')).map(async file =>
+                JSON.parse(await fs.promises.readFile(path.join(keyDir, file), 'utf8'))
+            ));
+        }
+    };
+}
+
+// Shared across archives so separate instances see the same entries
+const memoryEntries = new Map();
+
+function createMemoryBackend() {
+    return {
+        async put(key, exchange) {
+            if (!memoryEntries.has(key)) memoryEntries.set(key, []);
+            memoryEntries.get(key).push(JSON.parse(JSON.stringify(exchange)));
+        },
+
+        async list(key) {
+            return JSON.parse(JSON.stringify(memoryEntries.get(key) || []));
+        }
+    };
+}
+
+function createDisabledBackend() {
+    return {
+        async put() {},
+        async list() {
+            return [];
+        }
+    };
+}
+
+/**
+ * Create an exchange archive
+ *
+ * @param {Object} [options]
+ * @param {String} [options.backend] - s3 | file | memory | none (default EXCHANGE_ARCHIVE, else s3 when a bucket is set, else none)
+ * @param {String} [options.bucket] - S3 bucket (default EXCHANGE_ARCHIVE_BUCKET)
+ * @param {String} [options.prefix] - S3 key prefix (default EXCHANGE_ARCHIVE_PREFIX or 'lvis-exchanges/')
+ * @param {String} [options.directory] - Root directory for the file backend (default EXCHANGE_ARCHIVE_DIR or ./.exchanges)
+ * @returns {Object} Archive with put(key, exchange) and list(key)
+ */
+function createExchangeArchive({
+    bucket = process.env.EXCHANGE_ARCHIVE_BUCKET,
+    backend = process.env.EXCHANGE_ARCHIVE || (bucket ? 's3' : 'none'),
+    prefix = process.env.EXCHANGE_ARCHIVE_PREFIX || DEFAULT_S3_PREFIX,
+    directory = process.env.EXCHANGE_ARCHIVE_DIR || DEFAULT_FILE_DIR
+} = {}) {
+    if (!BACKENDS.includes(backend)) {
+        throw new Error(`Unknown exchange archive backend "${backend}" (expected one of: ${BACKENDS.join(', ')})`);
+    }
+
+    const impl = backend === 's3' ? createS3Backend({ bucket, prefix })
+        : backend === 'file' ? createFileBackend({ directory })
+        : backend === 'memory' ? createMemoryBackend()
+        : createDisabledBackend();
+
+    return {
+        backend,
+
+        put(key, exchange) {
+            if (!key) {
+                throw new Error('Exchange archive entries need a quote or session ID');
+            }
+            return impl.put(key, exchange);
+        },
+
+        /**
+         * Every exchange archived for a quote or session, oldest first
+         */
+        async list(key) {
+            const entries = await impl.list(key);
+            return entries.sort(byStartTime);
+        }
+    };
+}
+
+let defaultArchive;
+const pendingWrites = new Set();
+function getDefaultArchive() {
+    if (!defaultArchive) {
+        defaultArchive = createExchangeArchive();
+    }
+    return defaultArchive;
+}
+
+/**
+ * ClientUniqueRequestId of an LVIS_XML request, if present
+ */
+function extractClientUniqueRequestId(requestXML) {
+    const match = typeof requestXML === 'string'
+        && requestXML.match(/<(?:\w+:)?ClientUniqueRequestId>([^<]*)<\/(?:\w+:)?ClientUniqueRequestId>/);
+    return match ? match[1].trim() : null;
+}
+
+async function writeExchange(archive, archiveKey, entry) {
+    try {
+        await archive.put(archiveKey, entry);
+        logger.debug('LVIS exchange archived', { archiveKey, exchangeId: entry.exchangeId, backend: archive.backend });
+    } catch (error) {
+        logger.warn('Failed to archive LVIS exchange', { action: entry.action, archiveKey, error });
+    }
+}
+
+/**
+ * Archive one LVIS exchange under the current session (or correlation) ID
+ * Returns without waiting for the write (see flushExchanges) and never throws:
+ * an archive failure is logged and the quote carries on.
+ *
+ * @param {Object} exchange - action, url, startedAt, durationMs, attempts, outcome,
+ *                            httpStatus, statusCd, statusDescription, exceptionMessage,
+ *                            requestXML, responseXML
+ */
+function recordExchange(exchange) {
+    const sessionId = logger.getContext().sessionId || null;
+    const correlationId = logger.getCorrelationId();
+    const archiveKey = sessionId || correlationId;
+
+    let archive;
+    try {
+        archive = getDefaultArchive();
+    } catch (error) {
+        logger.warn('Failed to archive LVIS exchange', { action: exchange.action, archiveKey, error });
+        return;
+    }
+    if (archive.backend === 'none' || !archiveKey) return;
+
+    const entry = logger.redact({
+        exchangeId: uuidv4(),
+        archiveKey,
+        sessionId,
+        correlationId,
+        clientUniqueRequestId: extractClientUniqueRequestId(exchange.requestXML),
+        ...exchange
+    });
+
+    const write = writeExchange(archive, archiveKey, entry);
+    pendingWrites.add(write);
+    write.finally(() => pendingWrites.delete(write));
+}
+
+/**
+ * Wait for archive writes still in flight (called before a Lambda invocation returns,
+ * since work left running may never finish once the invocation is frozen)
+ */
+async function flushExchanges() {
+    await Promise.all(Array.from(pendingWrites));
+}
+
+/**
+ * Archived exchanges for a quote or session ID, oldest first
+ * @param {String} key - Session ID, or the correlation ID of a quick quote
+ * @returns {Promise<Array>} Archive entries
+ */
+function listExchanges(key) {
+    return getDefaultArchive().list(key);
+}
+
+module.exports = {
+    createExchangeArchive,
+    recordExchange,
+    flushExchanges,
+    listExchanges,
+    extractClientUniqueRequestId,
+    BACKENDS
+};
@@ -0,0 +1,342 @@
+/**
+ * Unified parser for LVIS MISMO_XML fee responses
+ *
+ * Turns any RateCalc / RateCalcNoAutoCalc response into one normalized fee-line
+ * model so quick quote and official quote V2 price the same deal the same way.
+ * Accepts xml2js output parsed with either explicitArray: true or false.
+ */
+
+const constants = require('./constants');
+
+/**
+ * Read a value that may be wrapped in an array (xml2js explicitArray: true)
+ */
+function unwrap(value) {
+    return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Always return an array, whether xml2js produced one node or many
+ */
+function asArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Text content of a node, including elements that also carry attributes
+ */
+function text(value) {
+    const node = unwrap(value);
+    if (node === undefined || node === null) return '';
+    if (typeof node === 'object') return node._ || '';
+    return String(node);
+}
+
+function amount(value) {
+    const parsed = parseFloat(text(value));
+    return Number.isFinite(parsed) ? parsed : 0;
+}
+
+function formatAmount(value) {
+    return (Number(value) || 0).toFixed(2);
+}
+
+/**
+ * Walk LVIS_XML down to the MISMO DEAL
+ */
+function getDeal(parsedResponse) {
+    const lvisXML = unwrap(parsedResponse?.['lvis:LVIS_XML']);
+    const calculatorResponse = unwrap(lvisXML?.['lvis:LVIS_CALCULATOR_RESPONSE']);
+    const mismoXML = unwrap(calculatorResponse?.['lvis:MISMO_XML']);
+    const message = unwrap(mismoXML?.['MESSAGE']);
+    const dealSets = unwrap(message?.['DEAL_SETS']);
+    const dealSet = unwrap(dealSets?.['DEAL_SET']);
+    const deals = unwrap(dealSet?.['DEALS']);
+    return unwrap(deals?.['DEAL']);
+}
+
+function getLoans(parsedResponse) {
+    const deal = getDeal(parsedResponse);
+    return asArray(unwrap(deal?.['LOANS'])?.['LOAN']);
+}
+
+/**
+ * Split an xlink label into its policy / endorsement / recording linkage
+ * e.g. FEE_POLICY_2_ENDR_1 -> POLICY_2 / POLICY_2_ENDR_1
+ *      FEE_RECORDING_1_TRANSFER_TAX_2 -> RECORDING_1
+ */
+function parseLabelLinkage(label) {
+    const policyMatch = label.match(/^FEE_(POLICY_\d+)(?:_(ENDR_\d+))?/);
+    const recordingMatch = label.match(/^FEE_(RECORDING_[A-Z0-9]+?)(?:_TRANSFER_TAX_\d+|_NOTE_\d+)?$/);
+
+    return {
+        PolicyLabel: policyMatch ? policyMatch[1] : null,
+        EndorsementLabel: policyMatch && policyMatch[2] ? `${policyMatch[1]}_${policyMatch[2]}` : null,
+        RecordingLabel: recordingMatch ? recordingMatch[1] : null
+    };
+}
+
+/**
+ * Normalize one MISMO FEE node
+ *
+ * LVIS sends actual payments (sequence 1/2) and, for premiums, TRID-disclosed
+ * estimated payments (sequence 3/4). When estimated payments are present they
+ * are the disclosed amounts and are used for BuyerFee/SellerFee; otherwise the
+ * actual payments are used. Both are kept on the line.
+ *
+ * @param {Object} fee - FEE node
+ * @returns {Object} Normalized fee line
+ */
+function normalizeFee(fee) {
+    const attributes = unwrap(fee['$']) || fee['$'] || {};
+    const label = attributes['xlink:label'] || '';
+    const feeDetail = unwrap(fee['FEE_DETAIL']) || {};
+    const payments = asArray(unwrap(fee['FEE_PAYMENTS'])?.['FEE_PAYMENT']);
+
+    const totals = {
+        Buyer: { actual: 0, estimated: 0 },
+        Seller: { actual: 0, estimated: 0 }
+    };
+    let hasEstimates = false;
+
+    payments.forEach(payment => {
+        const paidBy = text(payment['FeePaymentPaidByType']);
+        if (!totals[paidBy]) return;
+
+        if (unwrap(payment['FeeEstimatedPaymentAmount']) !== undefined) {
+            hasEstimates = true;
+            totals[paidBy].estimated += amount(payment['FeeEstimatedPaymentAmount']);
+        } else {
+            totals[paidBy].actual += amount(payment['FeeActualPaymentAmount']);
+        }
+    });
+
+    const buyerAmount = hasEstimates ? totals.Buyer.estimated : totals.Buyer.actual;
+    const sellerAmount = hasEstimates ? totals.Seller.estimated : totals.Seller.actual;
+
+    let payer = 'None';
+    if (buyerAmount && sellerAmount) payer = 'Split';
+    else if (buyerAmount) payer = 'Buyer';
+    else if (sellerAmount) payer = 'Seller';
+
+    return {
+        XlinkLabel: label || null,
+        FeeType: text(feeDetail['FeeType']) || null,
+        FeeDescription: text(feeDetail['FeeDescription']) || 'Unknown Fee',
+        DisclosureItemName: text(feeDetail['DisclosureItemName']),
+        DisclosureSectionNumber: text(feeDetail['DisclosureSectionNumber']) || null,
+        Payer: payer,
+        BuyerFee: formatAmount(buyerAmount),
+        SellerFee: formatAmount(sellerAmount),
+        BuyerActualAmount: formatAmount(totals.Buyer.actual),
+        SellerActualAmount: formatAmount(totals.Seller.actual),
+        BuyerEstimatedAmount: hasEstimates ? formatAmount(totals.Buyer.estimated) : null,
+        SellerEstimatedAmount: hasEstimates ? formatAmount(totals.Seller.estimated) : null,
+        ...parseLabelLinkage(label)
+    };
+}
+
+/**
+ * Parse every fee line out of an LVIS RateCalc response
+ * @param {Object} parsedResponse - xml2js parse of the LVIS_XML response
+ * @returns {Array} Normalized fee lines (empty when no rates were calculated)
+ */
+function parseFees(parsedResponse) {
+    return getLoans(parsedResponse).flatMap(loan => {
+        const feeInformation = unwrap(loan['FEE_INFORMATION']);
+        const fees = asArray(unwrap(feeInformation?.['FEES'])?.['FEE']);
+        return fees.map(normalizeFee);
+    });
+}
+
+/**
+ * Parse loan comments as { label, text } pairs
+ */
+function parseLoanComments(parsedResponse) {
+    return getLoans(parsedResponse).flatMap(loan => {
+        const comments = asArray(unwrap(loan['LOAN_COMMENTS'])?.['LOAN_COMMENT']);
+        return comments.map(comment => ({
+            label: (unwrap(comment['$']) || {})['xlink:label'] || null,
+            text: text(comment['LoanCommentText'])
+        }));
+    });
+}
+
+/**
+ * Parse a RateCalc response into fee lines, comments and totals
+ * @param {Object} parsedResponse - xml2js parse of the LVIS_XML response
+ * @returns {Object} { hasCalculatedRates, effectiveDate, fees, loanComments, loanCommentText, totalBuyerFee, totalSellerFee }
+ */
+function parseRateCalcResponse(parsedResponse) {
+    const lvisXML = unwrap(parsedResponse?.['lvis:LVIS_XML']);
+    const calculatorResponse = unwrap(lvisXML?.['lvis:LVIS_CALCULATOR_RESPONSE']) || {};
+
+    // Note: FirstAm has a typo in their field name - missing 'l' in Calculated
+    const hasCalculatedRates = text(calculatorResponse['lvis:HasCalcuatedRates']) === 'true' ||
+                               text(calculatorResponse['lvis:HasCalculatedRates']) === 'true';
+
+    const fees = parseFees(parsedResponse);
+    const loanComments = parseLoanComments(parsedResponse);
+    const responseNote = loanComments.find(comment => comment.label === 'RESPONSE_NOTE_1');
+
+    return {
+        hasCalculatedRates,
+        effectiveDate: text(calculatorResponse['lvis:EffectiveDate']) || null,
+        fees,
+        loanComments,
+        loanCommentText: (responseNote?.text || '').replace(/<[^>]+>/g, ''), // Remove HTML tags
+        ...sumFees(fees)
+    };
+}
+
+/**
+ * Total Amount across statement lines (closing costs, payoffs, prorations, ...)
+ * @returns {Number} Unrounded total
+ */
+function sumAmounts(lines) {
+    return lines.reduce((sum, line) => sum + parseFloat(line.Amount), 0);
+}
+
+/**
+ * Total BuyerFee / SellerFee across fee lines
+ */
+function sumFees(fees) {
+    const totalBuyerFee = fees.reduce((sum, fee) => sum + (parseFloat(fee.BuyerFee) || 0), 0);
+    const totalSellerFee = fees.reduce((sum, fee) => sum + (parseFloat(fee.SellerFee) || 0), 0);
+
+    return {
+        totalBuyerFee: formatAmount(totalBuyerFee),
+        totalSellerFee: formatAmount(totalSellerFee)
+    };
+}
+
+/**
+ * Premium for each priced policy (its FEE_POLICY_n line, without taxes or endorsements)
+ * @param {Array} fees - Normalized fee lines
+ * @param {Array} pricedPolicies - Policies sent in the request (see selectPolicies in xml-builders)
+ * @returns {Array} One entry per policy with the product and rate type priced, BuyerFee and SellerFee
+ */
+function itemizePolicies(fees, pricedPolicies = []) {
+    return pricedPolicies.map(policy => {
+        const feeLines = fees.filter(fee => fee.XlinkLabel === `FEE_${policy.PolicyLabel}`);
+        const { totalBuyerFee, totalSellerFee } = sumFees(feeLines);
+
+        return {
+            ...policy,
+            Priced: feeLines.length > 0,
+            BuyerFee: totalBuyerFee,
+            SellerFee: totalSellerFee
+        };
+    });
+}
+
+/**
+ * Premium for each selected endorsement, from the fee lines LVIS linked to it
+ * @param {Array} fees - Normalized fee lines
+ * @param {Array} selectedEndorsements - Endorsements sent in the request (see selectEndorsements in xml-builders)
+ * @returns {Array} One entry per endorsement with BuyerFee / SellerFee; Priced is false when LVIS returned no fee for it
+ */
+function itemizeEndorsements(fees, selectedEndorsements = []) {
+    return selectedEndorsements.map(endorsement => {
+        const feeLines = fees.filter(fee => fee.EndorsementLabel === endorsement.EndorsementLabel);
+        const { totalBuyerFee, totalSellerFee } = sumFees(feeLines);
+
+        return {
+            EndorsementId: endorsement.EndorsementId,
+            EndorsementName: endorsement.EndorsementName,
+            Policy: endorsement.Policy,
+            EndorsementLabel: endorsement.EndorsementLabel,
+            Priced: feeLines.length > 0,
+            BuyerFee: totalBuyerFee,
+            SellerFee: totalSellerFee
+        };
+    });
+}
+
+/**
+ * Reissue credit per priced policy: its full-rate premium (priced without the
+ * prior policy) less the premium LVIS charged with it
+ * @param {Array} fees - Fee lines priced with the prior policy
+ * @param {Array} baselineFees - Fee lines for the same request without it
+ * @param {Array} pricedPolicies - Policies sent in the request (see selectPolicies in xml-builders)
+ * @returns {Array} One entry per policy: FullBuyerFee / FullSellerFee, and the credit as
+ *                  negative BuyerFee / SellerFee ('0.00' when no credit applied)
+ */
+function itemizeReissueCredits(fees, baselineFees, pricedPolicies = []) {
+    const premiums = itemizePolicies(fees, pricedPolicies);
+    const fullPremiums = itemizePolicies(baselineFees, pricedPolicies);
+
+    return premiums.map((premium, index) => {
+        const full = fullPremiums[index];
+        const creditBuyer = Math.max(amount(full.BuyerFee) - amount(premium.BuyerFee), 0);
+        const creditSeller = Math.max(amount(full.SellerFee) - amount(premium.SellerFee), 0);
+
+        return {
+            Policy: premium.Policy,
+            PolicyId: premium.PolicyId,
+            PolicyName: premium.PolicyName,
+            PolicyLabel: premium.PolicyLabel,
+            FullBuyerFee: full.BuyerFee,
+            FullSellerFee: full.SellerFee,
+            BuyerFee: formatAmount(-creditBuyer),
+            SellerFee: formatAmount(-creditSeller)
+        };
+    });
+}
+
+/**
+ * Fee lines grouped by the loan they belong to: each loan's lender's policy
+ * (premium, sales tax, endorsements) and its mortgage recording
+ * @param {Array} fees - Normalized fee lines
+ * @param {Object} params
+ * @param {Array} params.loans - planLoans() result (see xml-builders)
+ * @param {Array} params.pricedPolicies - selectPolicies().priced
+ * @param {Array} [params.recordingDocuments] - buildRecordingServiceBlock().documents
+ * @returns {Array} One entry per loan with its fees and BuyerFee / SellerFee totals
+ */
+function groupFeesByLoan(fees, { loans, pricedPolicies, recordingDocuments = [] }) {
+    const lenderPolicies = pricedPolicies.filter(policy => policy.Policy === constants.ENDORSEMENT_POLICIES.LENDER);
+    const mortgages = recordingDocuments.filter(document => document.DocumentType === 'MORTGAGE');
+
+    return loans.map((loan, i) => {
+        const policy = lenderPolicies.find(p => p.Loan === loan.Loan) || lenderPolicies[i] || null;
+        // A single loan's mortgage is not tagged with its loan
+        const documents = mortgages.filter(document => document.Loan === loan.Loan
+            || (document.Loan === undefined && loans.length === 1));
+        // LVIS labels recording fees by our label (FEE_RECORDING_2), or by document type
+        // (FEE_RECORDING_MORTGAGE) when there is only one mortgage
+        const recordingLabels = documents.map(document => document.RecordingLabel);
+        if (mortgages.length === 1 && documents.length === 1) recordingLabels.push('RECORDING_MORTGAGE');
+
+        const loanFees = fees.filter(fee => (policy && fee.PolicyLabel === policy.PolicyLabel)
+            || (fee.RecordingLabel && recordingLabels.includes(fee.RecordingLabel)));
+        const { totalBuyerFee, totalSellerFee } = sumFees(loanFees);
+
+        return {
+            Loan: loan.Loan,
+            LienPriorityType: loan.LienPriorityType,
+            LoanType: loan.LoanType,
+            NoteAmount: loan.NoteAmount,
+            PolicyLabel: policy ? policy.PolicyLabel : null,
+            RecordingLabels: documents.map(document => document.RecordingLabel),
+            fees: loanFees,
+            totalBuyerFee,
+            totalSellerFee
+        };
+    });
+}
+
+module.exports = {
+    parseRateCalcResponse,
+    groupFeesByLoan,
+    itemizePolicies,
+    itemizeEndorsements,
+    itemizeReissueCredits,
+    parseFees,
+    parseLoanComments,
+    normalizeFee,
+    sumFees,
+    sumAmounts,
+    formatAmount
+};
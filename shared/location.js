@@ -0,0 +1,188 @@
+const { getZipCodeData, NotFoundError } = require('./database');
+const { getCounties, getCities } = require('./calc-type-data');
+const { ValidationError } = require('./validation');
+const logger = require('./logger');
+
+/**
+ * Property location for a quote: city, county and state as LVIS prices them
+ *
+ * A ZIP code is looked up in the ZipCodes table. A ZIP that straddles counties
+ * lists all of them in county_names_all ("Hartford|Tolland"); the caller's
+ * County (or a City that LVIS CityDetail places in only one of them) picks
+ * one, otherwise the candidate counties are handed back instead of a guess.
+ * A caller's City is only used when LVIS places it in the ZIP's county, and
+ * is sent in LVIS's spelling. The table's city belongs to the primary county,
+ * so a County that picks another one needs LVIS to place that city there too,
+ * or a City from the caller. Without a ZIP, or for a ZIP the table does not know, City, County and
+ * StateCode are checked against the LVIS CountyDetail and CityDetail actions.
+ */
+
+// Case, punctuation and a trailing "County" / "Parish" do not matter when matching names
+function normalizeName(name) {
+    return String(name)
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .replace(/\s(county|parish)$/, '')
+        .trim();
+}
+
+function findByName(names, requested) {
+    return names.find(name => normalizeName(name) === normalizeName(requested));
+}
+
+/**
+ * Counties a ZipCodes item covers, primary county first
+ */
+function zipCounties(zipCodeData) {
+    const all = String(zipCodeData.county_names_all || '')
+        .split('|')
+        .map(name => name.trim())
+        .filter(Boolean);
+    return [...new Set([zipCodeData.county_name, ...all].filter(Boolean))];
+}
+
+/**
+ * Counties among candidates whose LVIS city list includes the city
+ * @returns {Promise<Array>} [{ countyName, city }], city as LVIS spells it
+ */
+async function countiesWithCity({ stateCode, candidates, city }) {
+    const matches = await Promise.all(candidates.map(async countyName => {
+        const cities = await getCities({ stateCode, countyName });
+        const match = findByName(cities.map(entry => entry.City), city);
+        return match ? { countyName, city: match } : null;
+    }));
+    return matches.filter(Boolean);
+}
+
+async function findZipLocation({ PostalCode, City, County, StateCode }) {
+    const zipCodeData = await getZipCodeData(PostalCode);
+    const stateCode = zipCodeData.state_id;
+    const candidates = zipCounties(zipCodeData);
+
+    if (StateCode && StateCode.toUpperCase() !== stateCode) {
+        throw new ValidationError([{
+            field: 'StateCode',
+            message: `ZIP code ${PostalCode} is in ${stateCode}, not ${StateCode}`
+        }]);
+    }
+
+    let candidateCounties = candidates;
+    if (County) {
+        const countyName = findByName(candidates, County);
+        if (!countyName) {
+            throw new ValidationError([{
+                field: 'County',
+                message: `ZIP code ${PostalCode} is not in ${County}; expected one of: ${candidates.join(', ')}`
+            }]);
+        }
+        candidateCounties = [countyName];
+    }
+
+    // A caller-supplied city must be in the ZIP's county, and can settle which county of a straddling ZIP is meant
+    let city = zipCodeData.city;
+    if (City) {
+        const matches = await countiesWithCity({ stateCode, candidates: candidateCounties, city: City });
+        if (!matches.length) {
+            throw new ValidationError([{
+                field: 'City',
+                message: `City ${City} is not in ${candidateCounties.join(' or ')} County, ${stateCode} (ZIP code ${PostalCode})`
+            }]);
+        }
+        candidateCounties = matches.map(match => match.countyName);
+        city = matches[0].city;
+    } else if (County && candidateCounties[0] !== zipCodeData.county_name) {
+        const [match] = await countiesWithCity({ stateCode, candidates: candidateCounties, city: zipCodeData.city });
+        if (!match) {
+            throw new ValidationError([{
+                field: 'City',
+                message: `ZIP code ${PostalCode} is listed under ${zipCodeData.city}, which is not in ${candidateCounties[0]} County; send the property's City`
+            }]);
+        }
+        city = match.city;
+    }
+
+    return {
+        postalCode: PostalCode,
+        city,
+        countyName: candidateCounties.length === 1 ? candidateCounties[0] : null,
+        stateCode,
+        candidateCounties
+    };
+}
+
+async function findAddressLocation({ PostalCode = null, City, County, StateCode }) {
+    const stateCode = StateCode.toUpperCase();
+
+    const counties = (await getCounties({ stateCode })).map(entry => entry.County);
+    if (!counties.length) {
+        throw new ValidationError([{ field: 'StateCode', message: `LVIS has no counties for state ${StateCode}` }]);
+    }
+
+    const countyName = findByName(counties, County);
+    if (!countyName) {
+        throw new ValidationError([{
+            field: 'County',
+            message: `County ${County} is not in ${stateCode}; expected one of: ${counties.join(', ')}`
+        }]);
+    }
+
+    const city = findByName((await getCities({ stateCode, countyName })).map(entry => entry.City), City);
+    if (!city) {
+        throw new ValidationError([{ field: 'City', message: `City ${City} is not in ${countyName} County, ${stateCode}` }]);
+    }
+
+    return { postalCode: PostalCode, city, countyName, stateCode, candidateCounties: [countyName] };
+}
+
+/**
+ * Look up a location without insisting on a single county
+ * @param {Object} params
+ * @param {String} [params.PostalCode] - 5-digit ZIP code
+ * @param {String} [params.City] - City name
+ * @param {String} [params.County] - County name, with or without "County"
+ * @param {String} [params.StateCode] - Two-letter state code
+ * @throws {ValidationError} When the city, county or state does not match the ZIP or LVIS
+ * @throws {NotFoundError} For an unknown ZIP without City, County and StateCode
+ * @returns {Promise<Object>} { postalCode, city, countyName, stateCode, candidateCounties },
+ *                            countyName null when the ZIP spans several candidateCounties
+ */
+async function findLocation({ PostalCode, City, County, StateCode }) {
+    if (!PostalCode) {
+        return findAddressLocation({ City, County, StateCode });
+    }
+
+    try {
+        return await findZipLocation({ PostalCode, City, County, StateCode });
+    } catch (error) {
+        // An address fills in for a ZIP code the table does not have yet
+        if (error instanceof NotFoundError && City && County && StateCode) {
+            logger.info('Unknown ZIP code, locating by address', { PostalCode, StateCode });
+            return findAddressLocation({ PostalCode, City, County, StateCode });
+        }
+        throw error;
+    }
+}
+
+/**
+ * The one location a quote is priced at
+ * @throws {ValidationError} On County, listing the candidates, when the ZIP spans several counties
+ * @returns {Promise<Object>} { postalCode, city, countyName, stateCode }
+ * @see findLocation
+ */
+async function resolveLocation(params) {
+    const { candidateCounties, ...location } = await findLocation(params);
+
+    if (!location.countyName) {
+        throw new ValidationError([{
+            field: 'County',
+            message: `ZIP code ${params.PostalCode} spans several counties; send County as one of: ${candidateCounties.join(', ')}`,
+            candidates: candidateCounties
+        }]);
+    }
+    return location;
+}
+
+module.exports = {
+    findLocation,
+    resolveLocation
+};
@@ -0,0 +1,205 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Structured JSON logger
+ *
+ * Every entry is one JSON line with level, message, timestamp and the
+ * correlation ID of the request being handled. The correlation ID comes from
+ * the caller's X-Correlation-Id header (or the API Gateway request ID) and is
+ * also used for the ClientUniqueRequestId sent to LVIS, so one ID ties an API
+ * request to its LVIS traffic.
+ *
+ * Fields are redacted before they are written: bearer tokens, secrets and
+ * party data (names, street addresses, contact details). Raw XML payloads are
+ * only written for a sample of requests (LOG_XML_SAMPLE_RATE) or at debug level.
+ *
+ * Environment:
+ *   LOG_LEVEL            - debug | info | warn | error (default info)
+ *   LOG_XML_SAMPLE_RATE  - 0..1 share of requests whose XML payloads are logged (default 0)
+ *   LOG_XML_MAX_CHARS    - truncate logged payloads to this length (default 20000)
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = '[REDACTED]';
+
+const CORRELATION_HEADER = 'x-correlation-id';
+
+// Keys whose values are never logged
+const SECRET_KEY_PATTERN = /^(authorization|access_token|client_secret|clientsecret|password|secret|token|x-api-key)$/i;
+// Party data: who the parties are and where they live (not fees, not city/county/state)
+const PARTY_KEY_PATTERN = /(^|_)(fullname|firstname|lastname|middlename|partyname|borrowername|sellername|buyername|email|emailaddress|phone|phonenumber|ssn|taxpayeridentifier|addresslinetext|streetaddress|addressline\d?|street)$/i;
+// Same party data as MISMO / LVIS XML elements
+const PARTY_XML_ELEMENTS = [
+    'FullName', 'FirstName', 'LastName', 'MiddleName', 'AddressLineText', 'AddressUnitIdentifier',
+    'StreetName', 'StreetPrimaryNumberText', 'ContactPointTelephoneValue', 'ContactPointEmailValue',
+    'TaxpayerIdentifierValue'
+];
+const PARTY_XML_PATTERN = new RegExp(`<((?:\\w+:)?(?:${PARTY_XML_ELEMENTS.join('|')}))(\\s[^>]*)?>[^<]*</\\1>`, 'g');
+const BEARER_PATTERN = /Bearer\s+[A-Za-z0-9\-._~+/]+=*/g;
+
+const storage = new AsyncLocalStorage();
+
+function currentLevel() {
+    return LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+}
+
+function redactString(value) {
+    return value
+        .replace(BEARER_PATTERN, `Bearer ${REDACTED}`)
+        .replace(PARTY_XML_PATTERN, (match, tag, attributes = '') => `<${tag}${attributes}>${REDACTED}</${tag}>`);
+}
+
+/**
+ * Deep-copy a value with secrets and party data replaced
+ */
+function redact(value, depth = 0) {
+    if (value === null || value === undefined) return value;
+    if (typeof value === 'string') return redactString(value);
+    if (typeof value !== 'object') return value;
+    if (depth > 8) return '[Truncated]';
+
+    if (value instanceof Error) {
+        return {
+            name: value.name,
+            message: redactString(value.message || ''),
+            ...(value.code && { code: value.code }),
+            ...(value.statusCd && { statusCd: value.statusCd }),
+            ...(currentLevel() <= LEVELS.debug && value.stack && { stack: redactString(value.stack) })
+        };
+    }
+
+    if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+    const copy = {};
+    Object.keys(value).forEach(key => {
+        if (SECRET_KEY_PATTERN.test(key) || PARTY_KEY_PATTERN.test(key)) {
+            copy[key] = REDACTED;
+        } else {
+            copy[key] = redact(value[key], depth + 1);
+        }
+    });
+    return copy;
+}
+
+function write(level, message, fields) {
+    if (LEVELS[level] < currentLevel()) return;
+
+    const context = storage.getStore();
+    const entry = {
+        timestamp: new Date().toISOString(),
+        level,
+        message,
+        ...(context && { correlationId: context.correlationId, ...context.fields }),
+        ...(fields && redact(fields instanceof Error ? { error: fields } : fields))
+    };
+
+    let line;
+    try {
+        line = JSON.stringify(entry);
+    } catch (error) {
+        line = JSON.stringify({ timestamp: entry.timestamp, level, message, logError: 'Unserializable fields' });
+    }
+    process.stdout.write(`${line}\n`);
+}
+
+/**
+ * Pull a usable correlation ID from an API Gateway event
+ * Caller-supplied IDs are restricted to a safe character set and length because
+ * they are forwarded to LVIS.
+ */
+function correlationIdFromEvent(event) {
+    const headers = event?.headers || {};
+    const headerKey = Object.keys(headers).find(key => key.toLowerCase() === CORRELATION_HEADER);
+    const supplied = headerKey && String(headers[headerKey]).replace(/[^A-Za-z0-9\-_]/g, '').slice(0, 64);
+
+    return supplied || event?.requestContext?.requestId || uuidv4();
+}
+
+/**
+ * Run fn with a correlation ID (and optional extra fields) attached to every log entry
+ */
+function runWithContext({ correlationId = uuidv4(), ...fields }, fn) {
+    return storage.run({ correlationId, fields }, fn);
+}
+
+/**
+ * Add fields (e.g. sessionId) to every later entry for the current request
+ */
+function addContext(fields) {
+    const context = storage.getStore();
+    if (context) Object.assign(context.fields, fields);
+}
+
+function getCorrelationId() {
+    return storage.getStore()?.correlationId || null;
+}
+
+/**
+ * Fields added for the current request (e.g. { sessionId })
+ */
+function getContext() {
+    return { ...storage.getStore()?.fields };
+}
+
+/**
+ * ClientUniqueRequestId for an LVIS request, tied to the current correlation ID
+ * A request makes several LVIS calls (ProductList, RateCalc, batch items), so
+ * each ID ends in a short random suffix that tells them apart.
+ * @param {String} prefix - e.g. 'CALC', 'L1', 'L2'
+ */
+function clientUniqueRequestId(prefix) {
+    const correlationId = getCorrelationId();
+    return correlationId
+        ? `${prefix}-${correlationId}-${uuidv4().slice(0, 8)}`
+        : `${prefix}-${uuidv4()}`;
+}
+
+/**
+ * Decide once per request whether raw payloads are logged
+ */
+function payloadSampled() {
+    if (currentLevel() <= LEVELS.debug) return true;
+
+    const context = storage.getStore();
+    const rate = Number(process.env.LOG_XML_SAMPLE_RATE) || 0;
+    if (!context) return Math.random() < rate;
+
+    if (context.payloadSampled === undefined) {
+        context.payloadSampled = Math.random() < rate;
+    }
+    return context.payloadSampled;
+}
+
+/**
+ * Log a raw XML (or other text) payload when this request is sampled
+ * @param {String} label - What the payload is, e.g. 'LVIS RateCalc request'
+ * @param {String} payload - Raw text
+ * @param {Object} [fields] - Extra fields
+ */
+function payload(label, text, fields = {}) {
+    if (!payloadSampled() || typeof text !== 'string') return;
+
+    const maxChars = Number(process.env.LOG_XML_MAX_CHARS) || 20000;
+    write('info', label, {
+        ...fields,
+        payloadLength: text.length,
+        payload: text.length > maxChars ? `${text.slice(0, maxChars)}...[truncated]` : text
+    });
+}
+
+module.exports = {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+    payload,
+    redact,
+    runWithContext,
+    addContext,
+    getCorrelationId,
+    getContext,
+    correlationIdFromEvent,
+    clientUniqueRequestId,
+    CORRELATION_HEADER
+};
@@ -0,0 +1,315 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const axios = require('axios');
+const xml2js = require('xml2js');
+const { getOAuthToken, invalidateOAuthToken } = require('./auth');
+const { loadConfig } = require('./config');
+const logger = require('./logger');
+const { recordExchange } = require('./exchange-archive');
+
+/**
+ * Shared client for LVIS calculator calls
+ * Owns auth headers, timeouts, bounded retries and LVIS_ACK_NACK error mapping
+ * so every handler talks to LVIS the same way. A 401 is answered by refreshing
+ * the OAuth token and replaying the request once. Every call, successful or
+ * not, is archived with its request and response (see shared/exchange-archive.js).
+ *
+ * Calls share a time budget (runWithLvisBudget): an API request's LVIS calls,
+ * retries included, must finish before API Gateway's 29s integration timeout,
+ * so attempts are cut short at the deadline and a timed-out attempt is only
+ * retried by background work that asks for it.
+ */
+
+const DEFAULT_TIMEOUT_MS = Number(process.env.LVIS_TIMEOUT_MS) || 30000;
+const DEFAULT_MAX_RETRIES = Number(process.env.LVIS_MAX_RETRIES) || 2;
+// Total time for a request's LVIS calls, kept under the 29s API Gateway integration timeout
+const DEFAULT_BUDGET_MS = Number(process.env.LVIS_BUDGET_MS) || 25000;
+const RETRY_BASE_DELAY_MS = 250;
+const ACK_SUCCESS_STATUS_CD = '1000';
+
+// Network failures worth retrying (axios reports its own timeout as ECONNABORTED)
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+const TIMEOUT_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+const budgets = new AsyncLocalStorage();
+
+/**
+ * Base error for anything that goes wrong talking to LVIS
+ */
+class LvisError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'LvisError';
+        this.action = details.action;
+        this.httpStatus = details.httpStatus;
+        this.statusCd = details.statusCd;
+        this.statusDescription = details.statusDescription;
+        this.exceptionMessage = details.exceptionMessage;
+    }
+}
+
+/**
+ * LVIS answered, but LVIS_ACK_NACK carried a non-success StatusCd
+ */
+class LvisAckNackError extends LvisError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'LvisAckNackError';
+    }
+}
+
+/**
+ * LVIS could not be reached, timed out, or answered with a non-2xx status
+ */
+class LvisTransportError extends LvisError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'LvisTransportError';
+    }
+}
+
+/**
+ * Read a value that may be wrapped in an array (xml2js explicitArray: true)
+ */
+function unwrap(value) {
+    return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Extract LVIS_ACK_NACK from a parsed LVIS response
+ * Works with both explicitArray: true and explicitArray: false parses
+ * @param {Object} parsedResponse - xml2js parse of an LVIS_XML document
+ * @returns {Object|null} StatusCd, StatusDescription and ExceptionMessage
+ */
+function getAckNack(parsedResponse) {
+    const lvisXML = unwrap(parsedResponse?.['lvis:LVIS_XML']);
+    const ackNack = unwrap(lvisXML?.['lvis:LVIS_ACK_NACK']);
+
+    if (!ackNack) return null;
+
+    return {
+        statusCd: unwrap(ackNack['lvis:StatusCd']),
+        statusDescription: unwrap(ackNack['lvis:StatusDescription']),
+        exceptionMessage: unwrap(ackNack['lvis:ExceptionMessage'])
+            || unwrap(ackNack['lvis:StatusDetail'])
+            || unwrap(ackNack['lvis:StatusComment'])
+    };
+}
+
+function isRetryable(error) {
+    if (error.response) {
+        return error.response.status >= 500;
+    }
+    return RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run fn with a time budget shared by every LVIS call it makes
+ * A budget already in force is only ever shortened, never extended.
+ * @param {Object} budget
+ * @param {Number} [budget.timeoutMs] - Time from now the calls must finish within
+ * @param {Boolean} [budget.retryTimeouts] - Retry attempts that timed out (background work, not API requests)
+ * @param {Function} fn
+ */
+function runWithLvisBudget({ timeoutMs = DEFAULT_BUDGET_MS, retryTimeouts = false }, fn) {
+    const outer = budgets.getStore();
+    const deadline = Math.min(Date.now() + timeoutMs, outer?.deadline ?? Infinity);
+    return budgets.run({ deadline, retryTimeouts }, fn);
+}
+
+/**
+ * Time left in the budget in force (the default budget outside runWithLvisBudget)
+ * @returns {Number} Milliseconds
+ */
+function remainingLvisBudgetMs() {
+    const budget = budgets.getStore();
+    return budget ? Math.max(budget.deadline - Date.now(), 0) : DEFAULT_BUDGET_MS;
+}
+
+/**
+ * POST an LVIS_XML request and return the raw and parsed response
+ *
+ * @param {Object} params
+ * @param {String} params.requestXML - LVIS_XML request body
+ * @param {String} [params.url] - Endpoint (defaults to the configured RateCalc URL)
+ * @param {String} [params.action] - LVISActionType, used in errors and logs
+ * @param {Number} [params.timeoutMs] - Per-attempt timeout, cut short by the call's budget
+ * @param {Number} [params.maxRetries] - Retries on 5xx and network errors that fit in the budget
+ * @param {Object} [params.parseOptions] - xml2js options for the response
+ * @returns {Object} { raw, parsed, ackNack }
+ * @throws {LvisTransportError|LvisAckNackError}
+ */
+async function callLvis({
+    requestXML,
+    url,
+    action = 'RateCalc',
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    parseOptions = { explicitArray: false, ignoreAttrs: false }
+}) {
+    // Outside runWithLvisBudget (scripts, tests) each call gets the default budget to itself
+    const budget = budgets.getStore() || { deadline: Date.now() + DEFAULT_BUDGET_MS, retryTimeouts: false };
+    const config = await loadConfig();
+    url = url || config.rateCalcUrl;
+    let token = await getOAuthToken();
+    let tokenReplayed = false;
+
+    logger.payload(`LVIS ${action} request`, requestXML, { action });
+    const startedAt = Date.now();
+    let attempts = 0;
+
+    // Archive what happened on every exit path, including failures
+    const archive = (outcome, details = {}) => recordExchange({
+        action,
+        url,
+        startedAt: new Date(startedAt).toISOString(),
+        durationMs: Date.now() - startedAt,
+        attempts,
+        outcome,
+        ...details,
+        requestXML
+    });
+
+    const transportError = (message, error = {}) => {
+        logger.error('LVIS request failed', { action, httpStatus: error.response?.status, code: error.code, error });
+        archive('transport_error', {
+            httpStatus: error.response?.status,
+            errorCode: error.code,
+            errorMessage: error.message || message,
+            responseXML: typeof error.response?.data === 'string' ? error.response.data : undefined
+        });
+        return new LvisTransportError(`LVIS ${action} request failed: ${message}`, {
+            action,
+            httpStatus: error.response?.status,
+            exceptionMessage: typeof error.response?.data === 'string' ? error.response.data : undefined
+        });
+    };
+
+    let response;
+    for (let attempt = 0; ; attempt++) {
+        const remainingMs = budget.deadline - Date.now();
+        if (remainingMs <= 0) {
+            throw transportError('time budget exhausted before the request could be sent', { code: 'BUDGET_EXHAUSTED' });
+        }
+
+        attempts++;
+        try {
+            response = await axios.post(url, requestXML, {
+                timeout: Math.min(timeoutMs, remainingMs),
+                headers: {
+                    Authorization: `Bearer ${token}`,
+                    'Content-Type': 'application/xml'
+                }
+            });
+            break;
+        } catch (error) {
+            // Rejected token (revoked or expired early): refresh and replay once, outside the retry budget
+            if (error.response?.status === 401 && !tokenReplayed) {
+                tokenReplayed = true;
+                logger.warn('LVIS rejected the OAuth token, refreshing and replaying', { action });
+                invalidateOAuthToken(token);
+                token = await getOAuthToken();
+                attempt--;
+                continue;
+            }
+
+            const delay = RETRY_BASE_DELAY_MS * 2 ** attempt;
+            const timedOut = !error.response && TIMEOUT_ERROR_CODES.includes(error.code);
+            const fitsBudget = Date.now() + delay < budget.deadline;
+            if (attempt < maxRetries && isRetryable(error) && (!timedOut || budget.retryTimeouts) && fitsBudget) {
+                logger.warn('LVIS attempt failed, retrying', { action, attempt: attempt + 1, httpStatus: error.response?.status, code: error.code, delayMs: delay });
+                await sleep(delay);
+                continue;
+            }
+
+            throw transportError(error.message, error);
+        }
+    }
+
+    logger.info('LVIS response received', { action, httpStatus: response.status, durationMs: Date.now() - startedAt });
+    logger.payload(`LVIS ${action} response`, response.data, { action });
+
+    let parsed;
+    try {
+        parsed = await xml2js.parseStringPromise(response.data, parseOptions);
+    } catch (error) {
+        archive('parse_error', { httpStatus: response.status, errorMessage: error.message, responseXML: response.data });
+        throw new LvisTransportError(`LVIS ${action} returned unparseable XML: ${error.message}`, {
+            action,
+            httpStatus: response.status
+        });
+    }
+
+    const ackNack = getAckNack(parsed);
+    if (ackNack && ackNack.statusCd !== ACK_SUCCESS_STATUS_CD) {
+        logger.error('LVIS ACK_NACK error', { action, ...ackNack });
+        archive('ack_nack', { httpStatus: response.status, ...ackNack, responseXML: response.data });
+        throw new LvisAckNackError(`FirstAm API Error: ${ackNack.statusDescription || 'Unknown error from FirstAm'}`, {
+            action,
+            httpStatus: response.status,
+            ...ackNack
+        });
+    }
+
+    archive('success', { httpStatus: response.status, ...ackNack, responseXML: response.data });
+    return { raw: response.data, parsed, ackNack };
+}
+
+/**
+ * Send a ProductList request
+ */
+async function postProductList(requestXML, options = {}) {
+    const { productListUrl } = await loadConfig();
+    return callLvis({ ...options, requestXML, url: productListUrl, action: 'ProductList' });
+}
+
+/**
+ * Send a calculator type data request (PropertyTypes, TransactionTypes, ...)
+ * Each action has its own path, like ProductList.
+ * @param {Object} options - Must include action, the request's LVISActionType
+ */
+async function postCalcTypeData(requestXML, options) {
+    const { lvisBaseUrl } = await loadConfig();
+    return callLvis({ ...options, requestXML, url: `${lvisBaseUrl}/${options.action}` });
+}
+
+/**
+ * Send a RateCalc / RateCalcNoAutoCalc request
+ */
+async function postRateCalc(requestXML, options = {}) {
+    const { rateCalcUrl } = await loadConfig();
+    return callLvis({ action: 'RateCalc', ...options, requestXML, url: rateCalcUrl });
+}
+
+/**
+ * Summarise an LVIS error for an API error response body
+ * @returns {Object|null} null when the error did not come from LVIS
+ */
+function describeLvisError(error) {
+    if (!(error instanceof LvisError)) return null;
+
+    return {
+        action: error.action,
+        httpStatus: error.httpStatus,
+        statusCd: error.statusCd,
+        statusDescription: error.statusDescription,
+        exceptionMessage: error.exceptionMessage
+    };
+}
+
+module.exports = {
+    callLvis,
+    runWithLvisBudget,
+    remainingLvisBudgetMs,
+    postProductList,
+    postCalcTypeData,
+    postRateCalc,
+    getAckNack,
+    describeLvisError,
+    LvisError,
+    LvisAckNackError,
+    LvisTransportError
+};
@@ -0,0 +1,231 @@
+const constants = require('./constants');
+const { formatAmount } = require('./fee-parser');
+const { ValidationError } = require('./validation');
+
+/**
+ * Who pays each fee line: buyer, seller or a split
+ *
+ * LVIS prices policies, recording and transfer taxes with its own split and
+ * FNTE fees are charged to the buyer. On top of that, an allocation moves a
+ * line's total between BuyerFee and SellerFee, by category (see
+ * constants.FEE_CATEGORIES) or by line name. Later sources win:
+ *
+ *   1. state custom   - PAYER_CUSTOMS below, or the FNTEFees item's PayerCustoms
+ *   2. county custom  - the state's `counties` entry for the property's county
+ *   3. request        - PayerAllocation.Categories, then PayerAllocation.Lines
+ *
+ * A refinance has no seller, so it gets no customs. Customs move TransferTax,
+ * the taxes on the deed; taxes on the mortgage (MortgageTax) stay with the
+ * borrower unless the request moves them.
+ *
+ * A rule is { Payer: Buyer | Seller | Split, SellerPercent } (SellerPercent
+ * only for Split, default 50). Allocating is idempotent, so already allocated
+ * lines can be allocated again.
+ */
+
+const { BUYER, SELLER, SPLIT } = constants.PAYERS;
+const {
+    OWNER_POLICY,
+    LENDER_POLICY,
+    ENDORSEMENTS,
+    SETTLEMENT_FEE,
+    TITLE_SERVICES,
+    RECORDING,
+    TRANSFER_TAX,
+    MORTGAGE_TAX,
+    OTHER
+} = constants.FEE_CATEGORIES;
+
+const SELLER_PAYS = { Payer: SELLER };
+const BUYER_PAYS = { Payer: BUYER };
+const EVEN_SPLIT = { Payer: SPLIT, SellerPercent: 50 };
+
+// Customs where they differ from how the line is priced; counties override their state
+const PAYER_CUSTOMS = {
+    CA: {
+        [TRANSFER_TAX]: SELLER_PAYS,
+        // Southern California sellers buy the owner's policy; the north leaves it with the buyer
+        counties: {
+            'Los Angeles': { [OWNER_POLICY]: SELLER_PAYS },
+            'Orange': { [OWNER_POLICY]: SELLER_PAYS },
+            'Riverside': { [OWNER_POLICY]: SELLER_PAYS },
+            'San Bernardino': { [OWNER_POLICY]: SELLER_PAYS },
+            'San Diego': { [OWNER_POLICY]: SELLER_PAYS },
+            'Ventura': { [OWNER_POLICY]: SELLER_PAYS }
+        }
+    },
+    DE: { [TRANSFER_TAX]: EVEN_SPLIT },
+    FL: {
+        [OWNER_POLICY]: SELLER_PAYS,
+        [TRANSFER_TAX]: SELLER_PAYS,
+        counties: {
+            'Broward': { [OWNER_POLICY]: BUYER_PAYS },
+            'Collier': { [OWNER_POLICY]: BUYER_PAYS },
+            'Miami-Dade': { [OWNER_POLICY]: BUYER_PAYS },
+            'Sarasota': { [OWNER_POLICY]: BUYER_PAYS }
+        }
+    },
+    NY: { [TRANSFER_TAX]: SELLER_PAYS },
+    PA: { [TRANSFER_TAX]: EVEN_SPLIT },
+    TX: { [OWNER_POLICY]: SELLER_PAYS }
+};
+
+const CATEGORY_NAMES = Object.values(constants.FEE_CATEGORIES);
+
+function normalizeName(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9']+/g, ' ').trim();
+}
+
+function sameCounty(a, b) {
+    const county = name => normalizeName(name).replace(/ (county|parish)$/, '');
+    return county(a) === county(b);
+}
+
+function withSource(rules = {}, source) {
+    return Object.keys(rules)
+        .filter(category => category !== 'counties')
+        .reduce((acc, category) => ({ ...acc, [category]: { ...rules[category], Source: source } }), {});
+}
+
+/**
+ * The allocation for a quote: state and county customs plus the caller's overrides
+ * @param {Object} params
+ * @param {String} params.stateCode - Property state
+ * @param {String} [params.countyName] - Property county
+ * @param {String} [params.LoanPurposeType] - A Refinance gets no state or county custom
+ * @param {Object} [params.stateFeeData] - FNTEFees item; its PayerCustoms replace the built-in state custom
+ * @param {Object} [params.PayerAllocation] - Request { Categories: { <category>: rule }, Lines: [{ Line, ...rule }] }
+ * @throws {ValidationError} For a category that does not exist
+ * @returns {Object} { categories: { <category>: { Payer, SellerPercent, Source } }, lines: [{ Line, Payer, SellerPercent, Source }] }
+ */
+function resolvePayerAllocation({ stateCode, countyName, LoanPurposeType, stateFeeData, PayerAllocation }) {
+    const requested = PayerAllocation?.Categories || {};
+    const unknown = Object.keys(requested).filter(category => !CATEGORY_NAMES.includes(category));
+    if (unknown.length) {
+        throw new ValidationError(unknown.map(category => ({
+            field: `PayerAllocation.Categories.${category}`,
+            message: `Unknown fee category ${category}; expected one of: ${CATEGORY_NAMES.join(', ')}`
+        })));
+    }
+
+    const custom = LoanPurposeType === constants.LOAN_PURPOSE_TYPES.REFINANCE
+        ? {}
+        : stateFeeData?.PayerCustoms || PAYER_CUSTOMS[stateCode] || {};
+    const countyKey = Object.keys(custom.counties || {})
+        .find(county => sameCounty(county, countyName));
+
+    return {
+        categories: {
+            ...withSource(custom, 'StateCustom'),
+            ...withSource(countyKey && custom.counties[countyKey], 'CountyCustom'),
+            ...withSource(requested, 'Request')
+        },
+        lines: (PayerAllocation?.Lines || []).map(line => ({ ...line, Source: 'Request' }))
+    };
+}
+
+// A tax LVIS levies on recording the mortgage rather than the deed: mortgage
+// recording and intangible taxes, mortgage tax stamps
+function isMortgageTax(fee) {
+    const name = `${fee.FeeDescription || ''} ${fee.DisclosureItemName || ''}`;
+    if (fee.FeeDescription !== 'TransferTax' && !/\btax\b|stamp/i.test(name)) return false;
+
+    return fee.RecordingLabel === 'RECORDING_MORTGAGE'
+        || /Mortgage$/.test(fee.FeeType || '')
+        || /^mortgage\b/i.test(fee.DisclosureItemName || '')
+        || /mortgage (recording )?tax|intangible tax/i.test(name);
+}
+
+/**
+ * Category of a fee line, from the policy it belongs to or its name
+ * @param {Object} fee - Fee line
+ * @param {Array} [pricedPolicies] - selectPolicies().priced, to tell owner's from lender's lines
+ */
+function feeCategory(fee, pricedPolicies = []) {
+    const description = fee.FeeDescription || '';
+    const name = `${description} ${fee.DisclosureItemName || ''}`;
+
+    if (fee.EndorsementLabel || /^Title - Endorsement/.test(description)) return ENDORSEMENTS;
+
+    const policy = fee.PolicyLabel && pricedPolicies.find(p => p.PolicyLabel === fee.PolicyLabel);
+    if (policy) return policy.Policy === constants.ENDORSEMENT_POLICIES.OWNER ? OWNER_POLICY : LENDER_POLICY;
+
+    if (fee.FeeType === 'TitleOwnersCoveragePremium' || /owner's title insurance/i.test(name)) return OWNER_POLICY;
+    if (fee.FeeType === 'TitleLendersCoveragePremium' || /lender's title insurance/i.test(name)) return LENDER_POLICY;
+    if (isMortgageTax(fee)) return MORTGAGE_TAX;
+    if (description === 'TransferTax' || /transfer tax/i.test(name)) return TRANSFER_TAX;
+    if (description === 'RecordingFee' || fee.RecordingLabel) return RECORDING;
+    if (/settlement fee/i.test(description)) return SETTLEMENT_FEE;
+    if (/^Title - /.test(description)) return TITLE_SERVICES;
+    return OTHER;
+}
+
+function matchesLine(fee, rule) {
+    return [fee.FeeDescription, fee.DisclosureItemName]
+        .some(name => name && normalizeName(name) === normalizeName(rule.Line));
+}
+
+function sellerPercent(rule) {
+    if (rule.Payer === SELLER) return 100;
+    if (rule.Payer === SPLIT) return rule.SellerPercent === undefined ? 50 : rule.SellerPercent;
+    return 0;
+}
+
+/**
+ * Move each fee line's total between BuyerFee and SellerFee as the allocation says
+ * @param {Array} fees - Fee lines with BuyerFee / SellerFee
+ * @param {Object} allocation - resolvePayerAllocation() result
+ * @param {Object} [options]
+ * @param {Array} [options.pricedPolicies] - selectPolicies().priced
+ * @returns {Array} Fee lines; reallocated ones carry AllocatedBy (the rule's Source)
+ */
+function allocatePayers(fees, allocation, { pricedPolicies = [] } = {}) {
+    if (!allocation) return fees;
+
+    return fees.map(fee => {
+        const line = allocation.lines.find(rule => matchesLine(fee, rule));
+        const rule = line || allocation.categories[feeCategory(fee, pricedPolicies)];
+        const total = (parseFloat(fee.BuyerFee) || 0) + (parseFloat(fee.SellerFee) || 0);
+        if (!rule || !total) return fee;
+
+        const sellerFee = Math.round(total * sellerPercent(rule)) / 100;
+        const buyerFee = Math.round((total - sellerFee) * 100) / 100;
+
+        return {
+            ...fee,
+            Payer: sellerFee && buyerFee ? SPLIT : (sellerFee ? SELLER : BUYER),
+            BuyerFee: formatAmount(buyerFee),
+            SellerFee: formatAmount(sellerFee),
+            AllocatedBy: rule.Source
+        };
+    });
+}
+
+/**
+ * Check that every PayerAllocation.Lines entry names a line of the quote
+ * allocatePayers() runs on parts of a quote (LVIS lines, then FNTE lines), so
+ * this runs once on the fee lines the quote returns.
+ * @param {Array} fees - The quote's fee lines
+ * @param {Object} allocation - resolvePayerAllocation() result
+ * @throws {ValidationError} For a line name no fee line has
+ */
+function checkAllocatedLines(fees, allocation) {
+    const errors = (allocation?.lines || [])
+        .map((rule, index) => ({ rule, index }))
+        .filter(({ rule }) => !fees.some(fee => matchesLine(fee, rule)))
+        .map(({ rule, index }) => ({
+            field: `PayerAllocation.Lines[${index}].Line`,
+            message: `No fee line is named ${rule.Line}; use a FeeDescription or DisclosureItemName from the quote`
+        }));
+
+    if (errors.length) {
+        throw new ValidationError(errors);
+    }
+}
+
+module.exports = {
+    resolvePayerAllocation,
+    allocatePayers,
+    checkAllocatedLines,
+    feeCategory
+};
@@ -0,0 +1,42 @@
+const { formatAmount } = require('./fee-parser');
+
+/**
+ * Annual charges (property taxes, HOA dues) split between seller and buyer at closing
+ *
+ * The buyer owns the property from the closing date. Whoever paid for days on
+ * the other side of it is paid back: a seller who has paid past closing is
+ * credited by the buyer, and unpaid days before closing are charged to the
+ * seller and credited to the buyer.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Days between two YYYY-MM-DD dates (later minus earlier)
+ */
+function daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Prorate one annual charge at the closing date
+ * @param {Object} proration - { Description, AnnualAmount, PaidThrough } from the request
+ * @param {String} closingDate - YYYY-MM-DD
+ * @returns {Object} { Description, AnnualAmount, PaidThrough, Days, Amount } - Amount is positive when
+ *                   the buyer owes the seller, negative when the seller owes the buyer
+ */
+function prorate({ Description, AnnualAmount, PaidThrough }, closingDate) {
+    const days = daysBetween(closingDate, PaidThrough) + 1;
+    return {
+        Description,
+        AnnualAmount: formatAmount(AnnualAmount),
+        PaidThrough,
+        Days: days,
+        Amount: formatAmount(Math.round(AnnualAmount / 365 * days * 100) / 100)
+    };
+}
+
+module.exports = {
+    prorate,
+    daysBetween
+};
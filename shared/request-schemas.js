@@ -0,0 +1,382 @@
+const constants = require('./constants');
+const { loanPurposeForTransactionType } = require('./xml-builders');
+
+/**
+ * Request schemas for every endpoint (see shared/validation.js for the rule format)
+ */
+
+const { PURCHASE, CASH_PURCHASE, REFINANCE } = constants.LOAN_PURPOSE_TYPES;
+
+// LoanPurposeType, or the one a TransactionType name implies, lowercased for comparison
+function pricedAs(body) {
+    const purpose = body.LoanPurposeType || (body.TransactionType && loanPurposeForTransactionType(body.TransactionType));
+    return String(purpose).toLowerCase();
+}
+
+// A purchase or refinance priced on NoteAmount rather than on Loans
+function financedByNoteAmount(body) {
+    return pricedAs(body) !== CASH_PURCHASE.toLowerCase() && !body.Loans;
+}
+
+// A net sheet's sale is financed when it says Purchase, or gives a NoteAmount without a LoanPurposeType
+function financedSale(body) {
+    return body.LoanPurposeType
+        ? pricedAs(body) === PURCHASE.toLowerCase()
+        : ![undefined, null, ''].includes(body.NoteAmount);
+}
+
+// Located by City, County and StateCode instead of a ZIP code
+function byAddress(body) {
+    return !body.PostalCode && Boolean(body.City || body.County || body.StateCode);
+}
+
+// A ZIP code, or City, County and StateCode; with a ZIP they are optional and only
+// pick among the counties a ZIP spans (see shared/location.js)
+const location = {
+    PostalCode: { type: 'postalCode', required: body => !byAddress(body) },
+    City: { type: 'string', required: byAddress },
+    County: { type: 'string', required: byAddress },
+    StateCode: { type: 'string', required: byAddress }
+};
+
+// Property and loan fields shared by quick quote and both official quote flows
+const quoteRequest = {
+    ...location,
+    // Optional when TransactionType names the deal
+    LoanPurposeType: { type: 'enum', values: [PURCHASE, CASH_PURCHASE, REFINANCE], required: body => !body.TransactionType },
+    // Name from GET /transaction-types; omitted means the one LoanPurposeType implies
+    TransactionType: { type: 'string' },
+    // A refinance has no sale; the note amount is used as the sales amount
+    SalesContractAmount: {
+        type: 'currency',
+        min: 0,
+        required: body => pricedAs(body) !== REFINANCE.toLowerCase(),
+        default: 0
+    },
+    // A cash purchase has no loan; with Loans, the first loan's amount is used
+    NoteAmount: {
+        type: 'currency',
+        min: body => (financedByNoteAmount(body) ? 1 : 0),
+        required: financedByNoteAmount,
+        default: 0
+    },
+    // Name or ID from GET /property-types; omitted means Residential
+    PropertyType: { type: 'string' },
+    // Prices with the rates in effect that day; omitted means today where the property is
+    ClosingDate: { type: 'date' }
+};
+
+// Endorsement IDs from ProductList per policy; omit to use ProductList's defaults
+const { OWNER, LENDER } = constants.ENDORSEMENT_POLICIES;
+const endorsementSelection = {
+    Endorsements: {
+        type: 'object',
+        schema: {
+            [OWNER]: { type: 'array', items: { type: 'string', required: true } },
+            [LENDER]: { type: 'array', items: { type: 'string', required: true } }
+        }
+    }
+};
+
+// Policy product (ProductList PolicyId) and rate type (ID or name) per policy; omit for ProductList's defaults
+const policyChoice = {
+    type: 'object',
+    schema: {
+        PolicyId: { type: 'string' },
+        RateType: { type: 'string' }
+    }
+};
+const policySelection = {
+    Policies: {
+        type: 'object',
+        schema: {
+            [OWNER]: policyChoice,
+            [LENDER]: policyChoice
+        }
+    }
+};
+
+// Policy issued at the last purchase or refinance; refinances only, for the reissue credit
+const priorPolicy = {
+    PriorPolicy: {
+        type: 'object',
+        schema: {
+            Amount: { type: 'currency', min: 1, required: true },
+            EffectiveDate: { type: 'date', required: true },
+            Underwriter: { type: 'string', required: true },
+            PolicyType: {
+                type: 'enum',
+                values: Object.values(constants.PRIOR_POLICY_TYPES),
+                default: constants.PRIOR_POLICY_TYPES.LOAN
+            }
+        }
+    }
+};
+
+// Every lien on a purchase, first lien first; each gets its own lender's policy and mortgage recording
+const loans = {
+    Loans: {
+        type: 'array',
+        maxItems: constants.MAX_LOANS,
+        items: {
+            type: 'object',
+            required: true,
+            schema: {
+                NoteAmount: { type: 'currency', min: 1, required: true },
+                LoanType: {
+                    type: 'enum',
+                    values: Object.values(constants.LOAN_TYPES),
+                    default: constants.LOAN_TYPES.MORTGAGE
+                },
+                PolicyId: { type: 'string' },
+                RateType: { type: 'string' },
+                Endorsements: { type: 'array', items: { type: 'string', required: true } }
+            }
+        }
+    }
+};
+
+// Who pays: a whole payer, or a split giving the seller's share in percent (default 50)
+const payerRule = {
+    Payer: { type: 'enum', values: Object.values(constants.PAYERS), required: true },
+    SellerPercent: { type: 'integer', min: 0, max: 100 }
+};
+// Overrides of the state and county customs, per fee category or per fee line (see shared/payer-allocation.js)
+const payerAllocation = {
+    PayerAllocation: {
+        type: 'object',
+        schema: {
+            Categories: {
+                type: 'object',
+                schema: Object.values(constants.FEE_CATEGORIES).reduce((schema, category) => ({
+                    ...schema,
+                    [category]: { type: 'object', schema: payerRule }
+                }), {})
+            },
+            Lines: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: true,
+                    schema: {
+                        Line: { type: 'string', required: true },
+                        ...payerRule
+                    }
+                }
+            }
+        }
+    }
+};
+
+// Annual charges (property taxes, HOA dues) prorated at closing; PaidThrough is the last day the seller has paid for
+const prorations = {
+    Prorations: {
+        type: 'array',
+        items: {
+            type: 'object',
+            required: true,
+            schema: {
+                Description: { type: 'string', required: true },
+                AnnualAmount: { type: 'currency', min: 0, required: true },
+                PaidThrough: { type: 'date', required: true }
+            }
+        }
+    }
+};
+
+// Named seller-side amount on a net sheet: a payoff or a concession
+const sellerAmount = {
+    type: 'object',
+    required: true,
+    schema: {
+        Description: { type: 'string', required: true },
+        Amount: { type: 'currency', min: 0, required: true }
+    }
+};
+// What the seller pays or is credited outside the title quote (see seller-net-sheet/handler.js)
+const sellerNetSheet = {
+    Payoffs: { type: 'array', items: sellerAmount },
+    // Percent of the sale price, e.g. listing and buyer's agent commissions
+    Commissions: {
+        type: 'array',
+        items: {
+            type: 'object',
+            required: true,
+            schema: {
+                Description: { type: 'string', required: true },
+                Percent: { type: 'percent', min: 0, max: 100, required: true }
+            }
+        }
+    },
+    Concessions: { type: 'array', items: sellerAmount },
+    ...prorations
+};
+
+// What the buyer brings to closing besides the title quote (see cash-to-close/handler.js)
+const cashToClose = {
+    // Annual rate on the first lien, for interest from closing through the end of the month
+    InterestRate: { type: 'percent', min: 0, max: 100 },
+    // Initial escrow (impound) deposit: Months of each annual charge
+    Escrows: {
+        type: 'array',
+        items: {
+            type: 'object',
+            required: true,
+            schema: {
+                Description: { type: 'string', required: true },
+                AnnualAmount: { type: 'currency', min: 0, required: true },
+                Months: { type: 'integer', min: 0, max: 24, required: true }
+            }
+        }
+    },
+    ...prorations,
+    EarnestMoney: { type: 'currency', min: 0, default: 0 }
+};
+
+// Items are validated one by one as quick quotes, so one bad file does not fail the batch
+const batchQuote = {
+    Concurrency: {
+        type: 'integer',
+        min: 1,
+        max: constants.BATCH_QUOTE.MAX_CONCURRENCY,
+        default: constants.BATCH_QUOTE.DEFAULT_CONCURRENCY
+    }
+};
+
+const sessionRequest = {
+    sessionId: { type: 'string', required: true }
+};
+
+module.exports = {
+    locations: location,
+
+    propertyTypes: location,
+
+    transactionTypes: {
+        ...location,
+        PropertyType: { type: 'string' }
+    },
+
+    quickQuote: {
+        ...quoteRequest,
+        ...policySelection,
+        ...endorsementSelection,
+        ...priorPolicy,
+        ...loans,
+        ...payerAllocation
+    },
+
+    // A sale priced like a quick quote; the buyer's financing only decides which policies are quoted,
+    // and a sale without a NoteAmount is priced as a cash purchase
+    sellerNetSheet: {
+        ...location,
+        SalesContractAmount: { type: 'currency', min: 1, required: true },
+        LoanPurposeType: {
+            type: 'enum',
+            values: [PURCHASE, CASH_PURCHASE],
+            default: body => (financedSale(body) ? PURCHASE : CASH_PURCHASE)
+        },
+        NoteAmount: {
+            type: 'currency',
+            min: body => (financedSale(body) ? 1 : 0),
+            required: financedSale,
+            default: 0
+        },
+        PropertyType: quoteRequest.PropertyType,
+        ClosingDate: quoteRequest.ClosingDate,
+        ...policySelection,
+        ...endorsementSelection,
+        ...payerAllocation,
+        ...sellerNetSheet
+    },
+
+    // A purchase priced like a quick quote; NoteAmount (or Loans) is the buyer's actual financing
+    cashToClose: {
+        ...location,
+        SalesContractAmount: { type: 'currency', min: 1, required: true },
+        LoanPurposeType: { type: 'enum', values: [PURCHASE, CASH_PURCHASE], default: PURCHASE },
+        NoteAmount: {
+            type: 'currency',
+            min: 1,
+            required: body => pricedAs(body) !== CASH_PURCHASE.toLowerCase() && !body.Loans
+        },
+        PropertyType: quoteRequest.PropertyType,
+        ClosingDate: quoteRequest.ClosingDate,
+        ...policySelection,
+        ...endorsementSelection,
+        ...loans,
+        ...payerAllocation,
+        ...cashToClose
+    },
+
+    batchQuote: {
+        Items: { type: 'array', required: true, maxItems: constants.BATCH_QUOTE.MAX_ITEMS },
+        ...batchQuote
+    },
+
+    batchQuoteJob: {
+        Items: { type: 'array', required: true, maxItems: constants.BATCH_QUOTE.MAX_JOB_ITEMS },
+        ...batchQuote
+    },
+
+    // Query string of GET .../jobs/{jobId}: the page of results to include
+    batchQuoteJobResults: {
+        offset: { type: 'integer', min: 0, default: 0 },
+        limit: { type: 'integer', min: 1, max: 100, default: 25 }
+    },
+
+    // One location priced under several scenarios; each scenario is a quick quote request
+    // without the location, laid over the body's other fields (see quote-comparison/handler.js)
+    quoteComparison: {
+        ...location,
+        Scenarios: {
+            type: 'array',
+            required: true,
+            minItems: 2,
+            maxItems: constants.MAX_COMPARISON_SCENARIOS,
+            items: { type: 'object', required: true, schema: { Name: { type: 'string' } } }
+        },
+        // Name or position (from 0) of the scenario the others are compared with; default the first
+        Baseline: { type: 'string' }
+    },
+
+    officialQuoteV2: {
+        start: {
+            ...quoteRequest,
+            ...policySelection,
+            ...endorsementSelection,
+            ...priorPolicy,
+            ...loans,
+            ...payerAllocation,
+            forceL2Questions: { type: 'boolean', default: false }
+        },
+        updatePages: {
+            ...sessionRequest,
+            pageNumbers: {
+                type: 'object',
+                required: true,
+                schema: {
+                    deedPages: { type: 'integer', min: 1, required: true },
+                    // Required unless the session is a cash purchase (checked once the session is loaded)
+                    mortgagePages: { type: 'integer', min: 1 },
+                    deedConsideration: { type: 'currency', min: 0 },
+                    mortgageConsideration: { type: 'currency', min: 0 }
+                }
+            }
+        },
+        submit: {
+            ...sessionRequest,
+            answers: { type: 'object', required: true }
+        },
+        status: sessionRequest
+    },
+
+    officialQuote: {
+        start: quoteRequest,
+        submit: {
+            ...sessionRequest,
+            answers: { type: 'object', required: true }
+        },
+        status: sessionRequest
+    }
+};
@@ -0,0 +1,83 @@
+const { describeLvisError } = require('./lvis-client');
+const { NotFoundError } = require('./database');
+const constants = require('./constants');
+const { validationErrorResponse, ValidationError } = require('./validation');
+const logger = require('./logger');
+
+/**
+ * Request and response handling shared by the JSON endpoints
+ *
+ * An endpoint parses its body with parseBody() and answers anything its
+ * pipeline throws with errorResponse(): a ValidationError is 400, an unknown
+ * ZIP code (NotFoundError) 404, an LVIS failure 502 and anything else 500.
+ */
+
+/**
+ * Parse a JSON request body
+ * @param {Object} event - API Gateway event
+ * @param {String} description - What the request is, for the log, e.g. 'quick quote'
+ * @returns {Object} { body }, or { response } answering a body that is not JSON
+ */
+function parseBody(event, description) {
+    try {
+        return { body: JSON.parse(event.body) };
+    } catch (e) {
+        logger.warn(`Invalid JSON in ${description} request`, { error: e });
+        return {
+            response: {
+                statusCode: 400,
+                headers: constants.CORS_HEADERS,
+                body: JSON.stringify({ error: 'Invalid JSON format' }),
+            }
+        };
+    }
+}
+
+/**
+ * Status code and body for a request that could not be answered
+ * @param {Error} error - What the pipeline threw
+ * @param {String} message - The body's error for anything but a ValidationError
+ * @returns {Object} { statusCode, error } - error is the response body
+ */
+function describeError(error, message) {
+    if (error instanceof ValidationError) {
+        return { statusCode: 400, error: { error: 'Invalid request', errors: error.errors } };
+    }
+    const lvisError = describeLvisError(error);
+    return {
+        statusCode: error instanceof NotFoundError ? 404 : (lvisError ? 502 : 500),
+        error: {
+            error: message,
+            details: error.message,
+            ...(lvisError && { lvis: lvisError })
+        }
+    };
+}
+
+/**
+ * Log a failed request and answer it (see describeError)
+ * @param {Error} error - What the pipeline threw
+ * @param {Object} options
+ * @param {String} options.description - What the request is, for the log, e.g. 'seller net sheet'
+ * @param {String} options.message - The body's error for anything but a ValidationError
+ */
+function errorResponse(error, { description, message }) {
+    if (error instanceof ValidationError) {
+        logger.warn(`Invalid ${description} request`, { errors: error.errors });
+        return validationErrorResponse(error.errors, constants.CORS_HEADERS);
+    }
+
+    logger.error(`${description[0].toUpperCase()}${description.slice(1)} failed`, { error });
+    const { statusCode, error: body } = describeError(error, message);
+    return {
+        statusCode,
+        headers: constants.CORS_HEADERS,
+        body: JSON.stringify(body)
+    };
+}
+
+module.exports = {
+    parseBody,
+    describeError,
+    errorResponse
+};
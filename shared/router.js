@@ -0,0 +1,144 @@
+const constants = require('./constants');
+const logger = require('./logger');
+
+/**
+ * Declarative router for API Gateway proxy events
+ *
+ * Routes are explicit method + path pairs. Paths may contain {param} segments,
+ * which are copied into event.pathParameters. Before matching, the router
+ * applies exact-path aliases, strips the API Gateway base path and trailing
+ * slashes. An unknown path gets 404, a known path with the wrong method gets
+ * 405, and CORS headers are applied to every response here.
+ */
+
+/**
+ * Compile '/official-quote-v2/sessions/{sessionId}' into a matcher
+ */
+function compilePath(path) {
+    const paramNames = [];
+    const pattern = path.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{(\w+)\}/g, (match, name) => {
+        paramNames.push(name);
+        return '([^/]+)';
+    });
+    const regex = new RegExp(`^${pattern}$`);
+
+    return requestPath => {
+        const match = requestPath.match(regex);
+        if (!match) return null;
+
+        const params = {};
+        paramNames.forEach((name, index) => {
+            params[name] = decodeURIComponent(match[index + 1]);
+        });
+        return params;
+    };
+}
+
+function normalizePath(rawPath, { basePath, aliases }) {
+    let path = rawPath || '/';
+    if (!path.startsWith('/')) path = `/${path}`;
+    if (path.length > 1) path = path.replace(/\/+$/, '');
+
+    // Aliases are matched on the full path, before the base path is removed
+    if (aliases[path]) return aliases[path];
+
+    if (basePath && (path === basePath || path.startsWith(`${basePath}/`))) {
+        path = path.slice(basePath.length) || '/';
+    }
+    return path;
+}
+
+function withCors(response, allowedMethods) {
+    return {
+        ...response,
+        headers: {
+            ...(response && response.headers),
+            ...constants.CORS_HEADERS,
+            'Access-Control-Allow-Methods': allowedMethods.join(',')
+        }
+    };
+}
+
+function jsonResponse(statusCode, body, headers = {}) {
+    return {
+        statusCode,
+        headers,
+        body: JSON.stringify(body)
+    };
+}
+
+/**
+ * Build a Lambda handler from a route table
+ *
+ * @param {Array} routes - [{ method, paths: [String], handler: async (event) => response }]
+ * @param {Object} [options]
+ * @param {String} [options.basePath] - API Gateway resource prefix to strip (e.g. '/fee-calculator')
+ * @param {Object} [options.aliases] - Exact full-path rewrites applied before base path stripping
+ * @param {Array} [options.middleware] - async (event) => response|undefined, run in order before the
+ *                                        handler; returning a response short-circuits the request
+ * @returns {Function} async (event) => response
+ */
+function createRouter(routes, { basePath = '', aliases = {}, middleware = [] } = {}) {
+    const compiled = routes.flatMap(route => route.paths.map(path => ({
+        method: route.method.toUpperCase(),
+        path,
+        match: compilePath(path),
+        handler: route.handler
+    })));
+
+    const listPaths = () => Array.from(new Set(compiled.map(route => `${route.method} ${route.path}`)));
+
+    return async function route(event) {
+        const method = (event.httpMethod || event.requestContext?.http?.method || 'POST').toUpperCase();
+        const rawPath = event.path || event.rawPath || event.pathParameters?.proxy || '/';
+        const path = normalizePath(rawPath, { basePath, aliases });
+
+        const candidates = compiled
+            .map(route => ({ route, params: route.match(path) }))
+            .filter(candidate => candidate.params);
+
+        if (candidates.length === 0) {
+            logger.warn('No route', { method, path: rawPath });
+            return withCors(jsonResponse(404, {
+                error: 'Not Found',
+                message: `Path ${rawPath} not found`,
+                availableRoutes: listPaths()
+            }), ['OPTIONS', 'GET', 'POST']);
+        }
+
+        const allowedMethods = ['OPTIONS', ...new Set(candidates.map(candidate => candidate.route.method))];
+
+        // CORS preflight for any known path
+        if (method === 'OPTIONS') {
+            return withCors({ statusCode: 200, headers: {}, body: '' }, allowedMethods);
+        }
+
+        const matched = candidates.find(candidate => candidate.route.method === method);
+        if (!matched) {
+            return withCors(jsonResponse(405, {
+                error: 'Method Not Allowed',
+                message: `${method} is not supported for ${rawPath}`
+            }, { Allow: allowedMethods.join(',') }), allowedMethods);
+        }
+
+        const routedEvent = {
+            ...event,
+            httpMethod: method,
+            routePath: path,
+            pathParameters: { ...event.pathParameters, ...matched.params }
+        };
+
+        for (const step of middleware) {
+            const earlyResponse = await step(routedEvent);
+            if (earlyResponse) return withCors(earlyResponse, allowedMethods);
+        }
+
+        logger.info('Routing request', { method, path: rawPath, route: matched.route.path });
+        return withCors(await matched.route.handler(routedEvent), allowedMethods);
+    };
+}
+
+module.exports = {
+    createRouter,
+    normalizePath
+};
@@ -0,0 +1,354 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Session store with config-selected backends
+ *
+ *   dynamodb - DynamoDB table (default; DYNAMODB_ENDPOINT for DynamoDB Local)
+ *   file     - one JSON file per session under SESSION_STORE_DIR, for local development
+ *   memory   - process-local Map, for tests
+ *
+ * Select with SESSION_STORE or the `backend` option. Every store exposes the
+ * same async interface: put, get, getMany, update, increment, delete, list.
+ */
+
+const BACKENDS = ['dynamodb', 'file', 'memory'];
+const DEFAULT_FILE_DIR = path.join(process.cwd(), '.sessions');
+// BatchGetItem reads at most 100 keys per call
+const BATCH_GET_KEYS = 100;
+
+// Counters after adding to them; a missing counter starts at 0, like DynamoDB ADD
+function added(item, counters) {
+    return Object.keys(counters)
+        .reduce((acc, field) => ({ ...acc, [field]: (Number(item[field]) || 0) + counters[field] }), {});
+}
+
+/**
+ * Shared DocumentClient, created on first use so file/memory stores never load aws-sdk
+ */
+let documentClient;
+function getDocumentClient() {
+    if (!documentClient) {
+        const AWS = require('aws-sdk');
+        // DYNAMODB_ENDPOINT points at DynamoDB Local when running offline
+        documentClient = new AWS.DynamoDB.DocumentClient(
+            process.env.DYNAMODB_ENDPOINT ? { endpoint: process.env.DYNAMODB_ENDPOINT } : {}
+        );
+    }
+    return documentClient;
+}
+
+function createDynamoDBBackend({ tableName, keyName }) {
+    const dynamoDB = getDocumentClient();
+
+    return {
+        async put(item) {
+            await dynamoDB.put({ TableName: tableName, Item: item }).promise();
+        },
+
+        async get(key) {
+            const result = await dynamoDB.get({ TableName: tableName, Key: { [keyName]: key } }).promise();
+            return result.Item || null;
+        },
+
+        async getMany(keys, attributes) {
+            // Reserved words (status, index) are read through attribute names
+            const projection = attributes && {
+                ProjectionExpression: [keyName, ...attributes].map((name, index) => `#p${index}`).join(', '),
+                ExpressionAttributeNames: [keyName, ...attributes]
+                    .reduce((acc, name, index) => ({ ...acc, [`#p${index}`]: name }), {})
+            };
+            const found = new Map();
+
+            // Pages are read one after another; keys DynamoDB leaves unprocessed are asked for again
+            for (let start = 0; start < keys.length; start += BATCH_GET_KEYS) {
+                let requestItems = {
+                    [tableName]: {
+                        Keys: keys.slice(start, start + BATCH_GET_KEYS).map(key => ({ [keyName]: key })),
+                        ...projection
+                    }
+                };
+                for (let attempt = 0; requestItems && Object.keys(requestItems).length; attempt++) {
+                    if (attempt) await new Promise(resolve => setTimeout(resolve, 50 * 2 ** Math.min(attempt, 5)));
+                    const result = await dynamoDB.batchGet({ RequestItems: requestItems }).promise();
+                    (result.Responses?.[tableName] || []).forEach(item => found.set(item[keyName], item));
+                    requestItems = result.UnprocessedKeys;
+                }
+            }
+            return keys.map(key => found.get(key) || null);
+        },
+
+        async update(key, updates) {
+            const updateExpressions = [];
+            const expressionAttributeNames = {};
+            const expressionAttributeValues = {};
+
+            Object.keys(updates).forEach((field, index) => {
+                const attrName = `#attr${index}`;
+                const attrValue = `:val${index}`;
+                updateExpressions.push(`${attrName} = ${attrValue}`);
+                expressionAttributeNames[attrName] = field;
+                expressionAttributeValues[attrValue] = updates[field];
+            });
+
+            await dynamoDB.update({
+                TableName: tableName,
+                Key: { [keyName]: key },
+                UpdateExpression: `SET ${updateExpressions.join(', ')}`,
+                ExpressionAttributeNames: expressionAttributeNames,
+                ExpressionAttributeValues: expressionAttributeValues
+            }).promise();
+        },
+
+        async increment(key, counters, updates) {
+            const names = {};
+            const values = {};
+            const adds = Object.keys(counters).map((field, index) => {
+                names[`#add${index}`] = field;
+                values[`:add${index}`] = counters[field];
+                return `#add${index} :add${index}`;
+            });
+            const sets = Object.keys(updates).map((field, index) => {
+                names[`#attr${index}`] = field;
+                values[`:val${index}`] = updates[field];
+                return `#attr${index} = :val${index}`;
+            });
+
+            await dynamoDB.update({
+                TableName: tableName,
+                Key: { [keyName]: key },
+                UpdateExpression: [`ADD ${adds.join(', ')}`, ...(sets.length ? [`SET ${sets.join(', ')}`] : [])].join(' '),
+                ExpressionAttributeNames: names,
+                ExpressionAttributeValues: values
+            }).promise();
+        },
+
+        async delete(key) {
+            await dynamoDB.delete({ TableName: tableName, Key: { [keyName]: key } }).promise();
+        },
+
+        async list() {
+            const items = [];
+            let ExclusiveStartKey;
+            do {
+                const result = await dynamoDB.scan({ TableName: tableName, ExclusiveStartKey }).promise();
+                items.push(...(result.Items || []));
+                ExclusiveStartKey = result.LastEvaluatedKey;
+            } while (ExclusiveStartKey);
+            return items;
+        }
+    };
+}
+
+function createFileBackend({ tableName, directory }) {
+    const tableDir = path.join(directory, tableName);
+    const increments = new Map();
+
+    // Keys become file names, so keep them to a safe character set
+    const fileFor = key => path.join(tableDir, `${encodeURIComponent(String(key))}.json`);
+
+    async function read(file) {
+        try {
+            return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async function write(file, item) {
+        await fs.promises.mkdir(tableDir, { recursive: true });
+        // Write then rename so a crashed write never leaves a half-written session
+        const tmpFile = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmpFile, JSON.stringify(item, null, 2));
+        await fs.promises.rename(tmpFile, file);
+    }
+
+    return {
+        async put(item, key) {
+            await write(fileFor(key), item);
+        },
+
+        async get(key) {
+            return read(fileFor(key));
+        },
+
+        async getMany(keys) {
+            return Promise.all(keys.map(key => read(fileFor(key))));
+        },
+
+        async update(key, updates, keyName) {
+            const existing = await read(fileFor(key));
+            await write(fileFor(key), { ...(existing || { [keyName]: key }), ...updates });
+        },
+
+        async increment(key, counters, updates, keyName) {
+            const file = fileFor(key);
+            // Increments of one file run one at a time, so none reads a count another is about to write
+            const previous = increments.get(file) || Promise.resolve();
+            const next = previous.catch(() => {}).then(async () => {
+                const existing = await read(file) || { [keyName]: key };
+                await write(file, { ...existing, ...updates, ...added(existing, counters) });
+            });
+            increments.set(file, next);
+            try {
+                await next;
+            } finally {
+                if (increments.get(file) === next) increments.delete(file);
+            }
+        },
+
+        async delete(key) {
+            await fs.promises.rm(fileFor(key), { force: true });
+        },
+
+        async list() {
+            let files;
+            try {
+                files = await fs.promises.readdir(tableDir);
+            } catch (error) {
+                if (error.code === 'ENOENT') return [];
+                throw error;
+            }
+            const items = await Promise.all(
+                files.filter(file => file.endsWith('.json')).map(file => read(path.join(tableDir, file)))
+            );
+            return items.filter(Boolean);
+        }
+    };
+}
+
+// Memory tables are shared per table name so separate stores see the same sessions
+const memoryTables = new Map();
+
+function createMemoryBackend({ tableName }) {
+    if (!memoryTables.has(tableName)) {
+        memoryTables.set(tableName, new Map());
+    }
+    const table = memoryTables.get(tableName);
+
+    // Copy in and out so callers cannot mutate stored sessions by reference,
+    // matching what the persistent backends do
+    const clone = item => (item ? JSON.parse(JSON.stringify(item)) : null);
+
+    return {
+        async put(item, key) {
+            table.set(key, clone(item));
+        },
+
+        async get(key) {
+            return clone(table.get(key));
+        },
+
+        async getMany(keys) {
+            return keys.map(key => clone(table.get(key)));
+        },
+
+        async update(key, updates, keyName) {
+            table.set(key, clone({ ...(table.get(key) || { [keyName]: key }), ...updates }));
+        },
+
+        async increment(key, counters, updates, keyName) {
+            const existing = table.get(key) || { [keyName]: key };
+            table.set(key, clone({ ...existing, ...updates, ...added(existing, counters) }));
+        },
+
+        async delete(key) {
+            table.delete(key);
+        },
+
+        async list() {
+            return Array.from(table.values()).map(clone);
+        }
+    };
+}
+
+/**
+ * Create a session store for one table
+ *
+ * @param {Object} options
+ * @param {String} options.tableName - DynamoDB table name (also names the file/memory table)
+ * @param {String} [options.keyName] - Partition key attribute (default sessionId)
+ * @param {String} [options.backend] - dynamodb | file | memory (default SESSION_STORE or dynamodb)
+ * @param {String} [options.directory] - Root directory for the file backend (default SESSION_STORE_DIR or ./.sessions)
+ * @returns {Object} Store with put(item), get(key), getMany(keys, options), update(key, updates),
+ *          increment(key, counters, updates), delete(key), list()
+ */
+function createSessionStore({
+    tableName,
+    keyName = 'sessionId',
+    backend = process.env.SESSION_STORE || 'dynamodb',
+    directory = process.env.SESSION_STORE_DIR || DEFAULT_FILE_DIR
+}) {
+    if (!tableName) {
+        throw new Error('createSessionStore requires a tableName');
+    }
+    if (!BACKENDS.includes(backend)) {
+        throw new Error(`Unknown session store backend "${backend}" (expected one of: ${BACKENDS.join(', ')})`);
+    }
+
+    const options = { tableName, keyName, directory };
+    const impl = backend === 'file' ? createFileBackend(options)
+        : backend === 'memory' ? createMemoryBackend(options)
+        : createDynamoDBBackend(options);
+
+    return {
+        backend,
+        tableName,
+
+        put(item) {
+            if (item?.[keyName] === undefined) {
+                throw new Error(`Session item is missing its ${keyName}`);
+            }
+            return impl.put(item, item[keyName]);
+        },
+
+        get(key) {
+            return impl.get(key);
+        },
+
+        /**
+         * Several sessions at once (DynamoDB BatchGetItem, 100 keys a call)
+         * @param {Array} keys
+         * @param {Object} [options]
+         * @param {Array} [options.attributes] - Only these attributes (and the key) are read from DynamoDB
+         * @returns {Promise<Array>} One entry per key, in key order; null for a missing session
+         */
+        getMany(keys, { attributes } = {}) {
+            return impl.getMany(keys, attributes);
+        },
+
+        /**
+         * Set fields on a session (creates it if missing, like a DynamoDB update)
+         */
+        update(key, updates) {
+            return impl.update(key, updates, keyName);
+        },
+
+        /**
+         * Add to numeric fields in one write (DynamoDB ADD), so concurrent increments all count
+         * @param {*} key
+         * @param {Object} counters - { field: amount to add }
+         * @param {Object} [updates] - Fields set in the same write
+         */
+        increment(key, counters, updates = {}) {
+            return impl.increment(key, counters, updates, keyName);
+        },
+
+        delete(key) {
+            return impl.delete(key);
+        },
+
+        /**
+         * All sessions in the table (full scan; for cleanup and monitoring only)
+         */
+        list() {
+            return impl.list();
+        }
+    };
+}
+
+module.exports = {
+    createSessionStore,
+    BACKENDS
+};
@@ -0,0 +1,186 @@
+const constants = require('./constants');
+
+/**
+ * Where each fee line goes on the Loan Estimate / Closing Disclosure
+ *
+ * Every line is tagged with its TRID section (B, C, E or H), its tolerance
+ * bucket and the name it is disclosed under: title services as "Title - ...",
+ * government fees under their LVIS disclosure name. The catalog below is looked
+ * up in order:
+ *
+ *   1. FNTEFees key     - StateFeeKey on lines quick quote adds from the state's FNTEFees item
+ *   2. priced policy    - lines LVIS links to a policy (premium, sales tax, endorsement)
+ *   3. xlink label      - LABELS
+ *   4. MISMO FeeType    - FEE_TYPES
+ *   5. fee name         - DESCRIPTIONS, for lines without a label or FeeType
+ *   6. LVIS section     - the line's DisclosureSectionNumber
+ *
+ * Title services are placed in C with a 10% tolerance, as for a borrower who
+ * shops from the lender's written list of providers. The owner's policy is
+ * optional for the borrower, so it and what comes with it go in H.
+ */
+
+const { ZERO, TEN_PERCENT, UNLIMITED } = constants.TOLERANCE_BUCKETS;
+
+// Title: true names the line "Title - ..."; others keep their LVIS disclosure name
+const OWNER_POLICY = { Section: 'H', Tolerance: UNLIMITED, Title: true, Optional: true };
+const OWNER_TITLE_SERVICE = { Section: 'H', Tolerance: UNLIMITED, Title: true };
+const LENDER_POLICY = { Section: 'C', Tolerance: TEN_PERCENT, Title: true };
+const TITLE_SERVICE = { Section: 'C', Tolerance: TEN_PERCENT, Title: true };
+const RECORDING = { Section: 'E', Tolerance: TEN_PERCENT, Name: 'Recording Fees' };
+const TRANSFER_TAX = { Section: 'E', Tolerance: ZERO };
+const GOVERNMENT_FEE = { Section: 'E', Tolerance: ZERO };
+const NOT_SHOPPABLE = { Section: 'B', Tolerance: ZERO };
+const OTHER = { Section: 'H', Tolerance: UNLIMITED };
+
+// FNTEFees attributes that are fees; quick quote adds a line for each one a state sets
+const STATE_FEES = {
+    SettlementFee: TITLE_SERVICE,
+    SettlementFeeRefi: TITLE_SERVICE,
+    ShortFormPolicy: TITLE_SERVICE,
+    CountersignLender: TITLE_SERVICE,
+    CountersignOwner: OWNER_TITLE_SERVICE,
+    NotaryFee: TITLE_SERVICE,
+    JudgementSearch: TITLE_SERVICE,
+    AttorneyFee: TITLE_SERVICE,
+    AbstractorTitleSearch: TITLE_SERVICE,
+    AbstractorTitleSearchREFI: TITLE_SERVICE,
+    SearchFee: TITLE_SERVICE,
+    ExamFee: TITLE_SERVICE,
+    AbstractCopyFee: TITLE_SERVICE,
+    AbstractStorageFee: TITLE_SERVICE,
+    TitleInsuranceBinderFee: TITLE_SERVICE,
+    TitleCertFee: TITLE_SERVICE,
+    ErecordingFee: TITLE_SERVICE,
+    'Rec/SvcFee': TITLE_SERVICE,
+    TaxReview: TITLE_SERVICE,
+    TitleCertOpinion: TITLE_SERVICE,
+    CPLBuyer: TITLE_SERVICE,
+    CPLSeller: TITLE_SERVICE
+};
+
+// Policy-linked lines, by the policy they belong to
+const POLICY_LINES = {
+    [constants.ENDORSEMENT_POLICIES.OWNER]: { premium: OWNER_POLICY, other: OWNER_TITLE_SERVICE },
+    [constants.ENDORSEMENT_POLICIES.LENDER]: { premium: LENDER_POLICY, other: TITLE_SERVICE }
+};
+
+const LABELS = [
+    [/^FEE_POLICY_CPL_\d+$/, TITLE_SERVICE],
+    [/^FEE_RECORDING_\w+_TRANSFER_TAX_\d+$/, TRANSFER_TAX],
+    [/^FEE_RECORDING_/, RECORDING]
+];
+
+const FEE_TYPES = {
+    TitleOwnersCoveragePremium: OWNER_POLICY,
+    TitleLendersCoveragePremium: LENDER_POLICY,
+    TitleClosingFee: TITLE_SERVICE,
+    TitleClosingProtectionLetterFee: TITLE_SERVICE,
+    TitleEndorsementFee: TITLE_SERVICE,
+    TitleExaminationFee: TITLE_SERVICE,
+    TitleInsuranceBinderFee: TITLE_SERVICE,
+    TitleNotaryFee: TITLE_SERVICE,
+    TitleCertificationFee: TITLE_SERVICE,
+    TitleFinalPolicyShortFormFee: TITLE_SERVICE,
+    RecordingFeeForDeed: RECORDING,
+    RecordingFeeForMortgage: RECORDING,
+    RecordingFeeForAssignment: RECORDING,
+    RecordingFeeForRelease: RECORDING,
+    RecordingFeeForSubordination: RECORDING,
+    RecordingFeeTotal: RECORDING,
+    TaxStampForCityDeed: TRANSFER_TAX,
+    TaxStampForCountyDeed: TRANSFER_TAX,
+    TaxStampForStateDeed: TRANSFER_TAX,
+    TaxStampForCityMortgage: TRANSFER_TAX,
+    TaxStampForCountyMortgage: TRANSFER_TAX,
+    TaxStampForStateMortgage: TRANSFER_TAX
+};
+
+const DESCRIPTIONS = [
+    [/owner's title insurance/i, OWNER_POLICY],
+    [/lender's title insurance/i, LENDER_POLICY],
+    [/^TransferTax$|transfer tax|conveyance tax|mansion tax|documentary stamp|agricultural tax/i, TRANSFER_TAX],
+    [/^Title - /, TITLE_SERVICE],
+    [/^RecordingFee$|^Recording - /, RECORDING]
+];
+
+// LVIS's own DisclosureSectionNumber, when nothing else places the line
+const LVIS_SECTIONS = {
+    'B': NOT_SHOPPABLE,
+    'B or C': { Section: 'C', Tolerance: TEN_PERCENT },
+    'E': GOVERNMENT_FEE,
+    'H': OTHER
+};
+
+function find(patterns, value) {
+    const match = value && patterns.find(([pattern]) => pattern.test(value));
+    return match ? match[1] : null;
+}
+
+/**
+ * Catalog entry for a fee line
+ * @param {Object} fee - Fee line
+ * @param {Array} [pricedPolicies] - selectPolicies().priced, to tell owner's from lender's lines
+ * @returns {Object} { Section, Tolerance, Title, Optional, Name }
+ */
+function disclosureFor(fee, pricedPolicies = []) {
+    if (fee.StateFeeKey) return STATE_FEES[fee.StateFeeKey] || TITLE_SERVICE;
+
+    const policy = fee.PolicyLabel && pricedPolicies.find(p => p.PolicyLabel === fee.PolicyLabel);
+    if (policy && POLICY_LINES[policy.Policy]) {
+        const lines = POLICY_LINES[policy.Policy];
+        return fee.XlinkLabel === `FEE_${policy.PolicyLabel}` ? lines.premium : lines.other;
+    }
+
+    return find(LABELS, fee.XlinkLabel)
+        || FEE_TYPES[fee.FeeType]
+        || find(DESCRIPTIONS, fee.FeeDescription)
+        || LVIS_SECTIONS[fee.DisclosureSectionNumber]
+        || OTHER;
+}
+
+/**
+ * "Title - ..." name: the FNTE or LVIS name when it already has the prefix
+ */
+function titleName(fee) {
+    return [fee.FeeDescription, fee.DisclosureItemName].find(name => /^Title - /.test(name || ''))
+        || `Title - ${fee.FeeDescription}`;
+}
+
+function disclosedName(fee, entry) {
+    if (entry.Name) return entry.Name;
+    if (!entry.Title) return fee.DisclosureItemName || fee.FeeDescription;
+
+    const name = titleName(fee);
+    // The owner's policy is disclosed as optional for the borrower
+    return entry.Optional && !/\(optional\)/.test(name)
+        ? name.replace(/^(Title - Owner's Title Insurance)/, '$1 (optional)')
+        : name;
+}
+
+/**
+ * Tag fee lines with their Loan Estimate / Closing Disclosure placement
+ * @param {Array} fees - Fee lines
+ * @param {Object} [options]
+ * @param {Array} [options.pricedPolicies] - selectPolicies().priced
+ * @returns {Array} Fee lines with DisclosureSection (B, C, E or H), DisclosureSectionName,
+ *                  ToleranceBucket (see constants.TOLERANCE_BUCKETS) and DisclosureFeeName
+ */
+function assignDisclosureSections(fees, { pricedPolicies = [] } = {}) {
+    return fees.map(fee => {
+        const entry = disclosureFor(fee, pricedPolicies);
+        return {
+            ...fee,
+            DisclosureSection: entry.Section,
+            DisclosureSectionName: constants.DISCLOSURE_SECTIONS[entry.Section],
+            ToleranceBucket: entry.Tolerance,
+            DisclosureFeeName: disclosedName(fee, entry)
+        };
+    });
+}
+
+module.exports = {
+    assignDisclosureSections,
+    disclosureFor,
+    STATE_FEE_KEYS: Object.keys(STATE_FEES)
+};
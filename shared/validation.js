@@ -0,0 +1,222 @@
+/**
+ * Schema-based request validation
+ *
+ * A schema maps field names to rules:
+ *   type        - string | postalCode | currency | percent | integer | boolean | date | enum | object | array
+ *   required    - true, or (body) => Boolean for fields required only in some cases
+ *   default     - value used when the field is missing and not required, or (body) => value
+ *   values      - allowed values for enum (matched case-insensitively, returned canonical)
+ *   min / max   - numeric bounds for currency, percent and integer, or (body) => bound
+ *   schema      - nested schema for object fields
+ *   items       - rule applied to each element of an array field
+ *   minItems / maxItems - fewest / most elements an array field may have
+ *
+ * validate() coerces what it can (e.g. "$500,000" -> 500000) and reports every
+ * problem as { field, message }. Fields not in the schema are passed through.
+ */
+
+function isMissing(value) {
+    return value === undefined || value === null || value === '';
+}
+
+function describe(value) {
+    return typeof value === 'string' ? `"${value}"` : String(value);
+}
+
+const COERCERS = {
+    string(value) {
+        if (typeof value !== 'string' && typeof value !== 'number') {
+            return { error: 'must be a string' };
+        }
+        return { value: String(value).trim() };
+    },
+
+    // 5-digit ZIP; numbers lose leading zeros in JSON, so pad; ZIP+4 keeps the first five
+    postalCode(value) {
+        const text = String(value).trim();
+        if (!/^\d{1,5}(-\d{4})?$/.test(text)) {
+            return { error: 'must be a 5-digit ZIP code' };
+        }
+        return { value: text.split('-')[0].padStart(5, '0') };
+    },
+
+    // Accepts 500000, "500000", "$500,000.00"
+    currency(value) {
+        if (typeof value === 'boolean' || typeof value === 'object') {
+            return { error: 'must be a dollar amount' };
+        }
+        const text = String(value).trim().replace(/^\$/, '').replace(/,/g, '');
+        if (!/^-?\d+(\.\d+)?$/.test(text)) {
+            return { error: `must be a dollar amount, got ${describe(value)}` };
+        }
+        return { value: Math.round(parseFloat(text) * 100) / 100 };
+    },
+
+    // Accepts 6, "2.5", "2.5%"
+    percent(value) {
+        if (typeof value === 'boolean' || typeof value === 'object') {
+            return { error: 'must be a percentage' };
+        }
+        const text = String(value).trim().replace(/%$/, '');
+        if (!/^-?\d+(\.\d+)?$/.test(text)) {
+            return { error: `must be a percentage, got ${describe(value)}` };
+        }
+        return { value: parseFloat(text) };
+    },
+
+    integer(value) {
+        const text = String(value).trim();
+        if (typeof value === 'boolean' || !/^-?\d+$/.test(text)) {
+            return { error: `must be a whole number, got ${describe(value)}` };
+        }
+        return { value: parseInt(text, 10) };
+    },
+
+    boolean(value) {
+        if (value === true || value === 'true') return { value: true };
+        if (value === false || value === 'false') return { value: false };
+        return { error: 'must be true or false' };
+    },
+
+    // Calendar date as YYYY-MM-DD; a full ISO timestamp keeps only its date
+    date(value) {
+        const text = String(value).trim().slice(0, 10);
+        const parsed = new Date(`${text}T00:00:00Z`);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || isNaN(parsed) || parsed.toISOString().slice(0, 10) !== text) {
+            return { error: `must be a date (YYYY-MM-DD), got ${describe(value)}` };
+        }
+        return { value: text };
+    },
+
+    enum(value, rule) {
+        const match = rule.values.find(allowed => allowed.toLowerCase() === String(value).trim().toLowerCase());
+        if (!match) {
+            return { error: `must be one of: ${rule.values.join(', ')}` };
+        }
+        return { value: match };
+    },
+
+    object(value) {
+        if (typeof value !== 'object' || Array.isArray(value)) {
+            return { error: 'must be an object' };
+        }
+        return { value };
+    },
+
+    array(value) {
+        if (!Array.isArray(value)) {
+            return { error: 'must be a list' };
+        }
+        return { value };
+    }
+};
+
+/**
+ * Thrown when a request is only found to be invalid after looking something up
+ * (e.g. an endorsement that ProductList does not offer); handlers answer it
+ * with validationErrorResponse
+ */
+class ValidationError extends Error {
+    constructor(errors) {
+        super(errors.map(error => error.message).join('; '));
+        this.name = 'ValidationError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Check one value against its rule
+ * @returns {Object} { value, errors } - value is undefined when the field is dropped
+ */
+function validateField(rule, raw, field, input) {
+    const required = typeof rule.required === 'function' ? rule.required(input) : rule.required;
+
+    if (isMissing(raw)) {
+        if (required) return { errors: [{ field, message: `${field} is required` }] };
+        return { value: typeof rule.default === 'function' ? rule.default(input) : rule.default, errors: [] };
+    }
+
+    const coerced = COERCERS[rule.type](raw, rule);
+    if (coerced.error) {
+        return { errors: [{ field, message: `${field} ${coerced.error}` }] };
+    }
+
+    const min = typeof rule.min === 'function' ? rule.min(input) : rule.min;
+    const max = typeof rule.max === 'function' ? rule.max(input) : rule.max;
+    if (min !== undefined && coerced.value < min) {
+        return { errors: [{ field, message: `${field} must be at least ${min}` }] };
+    }
+    if (max !== undefined && coerced.value > max) {
+        return { errors: [{ field, message: `${field} must be at most ${max}` }] };
+    }
+
+    if (rule.type === 'object' && rule.schema) {
+        return validate(rule.schema, coerced.value, `${field}.`);
+    }
+
+    if (rule.minItems !== undefined && coerced.value.length < rule.minItems) {
+        return { errors: [{ field, message: `${field} needs at least ${rule.minItems} entries` }] };
+    }
+    if (rule.maxItems !== undefined && coerced.value.length > rule.maxItems) {
+        return { errors: [{ field, message: `${field} can have at most ${rule.maxItems} entries` }] };
+    }
+
+    if (rule.type === 'array' && rule.items) {
+        const elements = coerced.value.map((item, index) => validateField(rule.items, item, `${field}[${index}]`, input));
+        return {
+            value: elements.map(element => element.value),
+            errors: elements.flatMap(element => element.errors)
+        };
+    }
+
+    return { value: coerced.value, errors: [] };
+}
+
+/**
+ * Validate and coerce a request body against a schema
+ * @param {Object} schema - Field rules (see above)
+ * @param {Object} body - Parsed request body
+ * @param {String} [prefix] - Field path prefix for nested objects
+ * @returns {Object} { value, errors: [{ field, message }] }
+ */
+function validate(schema, body, prefix = '') {
+    const input = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+    const value = { ...input };
+    const errors = [];
+
+    Object.keys(schema).forEach(name => {
+        const result = validateField(schema[name], input[name], `${prefix}${name}`, input);
+        errors.push(...result.errors);
+
+        if (result.errors.length) return;
+        if (result.value === undefined) {
+            delete value[name];
+        } else {
+            value[name] = result.value;
+        }
+    });
+
+    return { value, errors };
+}
+
+/**
+ * 400 response listing every field error
+ * @param {Array} errors - [{ field, message }]
+ * @param {Object} headers - Response headers
+ */
+function validationErrorResponse(errors, headers) {
+    return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+            error: 'Invalid request',
+            errors
+        })
+    };
+}
+
+module.exports = {
+    validate,
+    validationErrorResponse,
+    ValidationError
+};
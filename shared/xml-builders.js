@@ -1,16 +1,415 @@
-const { v4: uuidv4 } = require('uuid');
+const { getConfig } = require('./config');
+const logger = require('./logger');
+const constants = require('./constants');
+const { ValidationError } = require('./validation');
 
+function asList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * ValidRateTypes of a ProductList policy as [{ RateTypeId, RateType }]
+ */
+function parseRateTypes(policy) {
+    return asList(policy['lvis:ValidRateTypes']?.['lvis:KeyValue']).map(rateType => ({
+        RateTypeId: String(rateType['lvis:Key']),
+        RateType: rateType['lvis:Value']
+    }));
+}
+
+/**
+ * Rate type priced for a policy: its DefaultRateTypeId, else its Basic rate type,
+ * else its first valid one (non-default policies carry DefaultRateTypeId 0)
+ */
+function resolveRateType(policy) {
+    const rateTypes = parseRateTypes(policy);
+    return rateTypes.find(rateType => rateType.RateTypeId === String(policy['lvis:DefaultRateTypeId']))
+        || rateTypes.find(rateType => rateType.RateType === 'Basic')
+        || rateTypes[0]
+        || { RateTypeId: null, RateType: 'Basic' };
+}
+
+/**
+ * Policy choices offered to callers
+ */
+function describePolicy(policy) {
+    return {
+        PolicyId: String(policy['lvis:PolicyId']),
+        PolicyName: policy['lvis:PolicyName'] || policy['lvis:ProductName'],
+        PolicyCoverageName: policy['lvis:PolicyCoverageName'] || null,
+        IsDefault: policy['lvis:IsDefault'] === 'true',
+        DefaultRateType: resolveRateType(policy).RateType,
+        RateTypes: parseRateTypes(policy)
+    };
+}
+
+/**
+ * Loans being quoted, first lien first
+ *
+ * Without Loans there is one loan of NoteAmount (none for a cash purchase).
+ * Loans is accepted on a purchase only; its first entry is the first lien.
+ *
+ * @param {Object} params
+ * @param {String} params.LoanPurposeType - Purchase, Cash Purchase or Refinance
+ * @param {Number} params.NoteAmount - Loan amount used when Loans is not given
+ * @param {Array} [params.Loans] - [{ NoteAmount, LoanType, PolicyId, RateType, Endorsements }]
+ * @returns {Array} [{ Loan, NoteAmount, LoanType, LienPriorityType, PolicyId, RateType, Endorsements }]
+ * @throws {ValidationError} When Loans is empty or given for anything but a purchase
+ */
+function planLoans({ LoanPurposeType, NoteAmount, Loans = null }) {
+    const { LOAN_PURPOSE_TYPES, LOAN_TYPES, LIEN_PRIORITIES } = constants;
+
+    if (!Loans) {
+        if (LoanPurposeType === LOAN_PURPOSE_TYPES.CASH_PURCHASE) return [];
+        return [{ Loan: 1, NoteAmount, LoanType: LOAN_TYPES.MORTGAGE, LienPriorityType: LIEN_PRIORITIES[0] }];
+    }
+    if (LoanPurposeType !== LOAN_PURPOSE_TYPES.PURCHASE) {
+        throw new ValidationError([{ field: 'Loans', message: 'Loans is only accepted for a Purchase' }]);
+    }
+    if (!Loans.length) {
+        throw new ValidationError([{ field: 'Loans', message: 'Loans must list at least one loan' }]);
+    }
+
+    return Loans.map((loan, i) => ({
+        Loan: i + 1,
+        NoteAmount: loan.NoteAmount,
+        LoanType: loan.LoanType || LOAN_TYPES.MORTGAGE,
+        LienPriorityType: LIEN_PRIORITIES[i],
+        ...(loan.PolicyId && { PolicyId: loan.PolicyId }),
+        ...(loan.RateType && { RateType: loan.RateType }),
+        ...(loan.Endorsements && { Endorsements: loan.Endorsements })
+    }));
+}
+
+/**
+ * Resolve the caller's policy product and rate type choices against ProductList
+ *
+ * Without a choice for a side, ProductList's IsDefault policy and its
+ * DefaultRateTypeId are used, as before. A chosen rate type is priced by
+ * making it the DefaultRateTypeId of a copy of the policy.
+ *
+ * Each loan after the first gets its own lender's policy: the loan's PolicyId,
+ * else ProductList's first junior loan policy, else the first lien's product.
+ *
+ * @param {Object} params
+ * @param {Object} params.products - parseProductList() result
+ * @param {String} params.LoanPurposeType - Purchase, Cash Purchase or Refinance
+ * @param {Object} [params.selection] - { OwnerPolicy: { PolicyId, RateType }, LenderPolicy: { PolicyId, RateType } };
+ *                                      RateType is a rate type ID or name
+ * @param {Array} [params.loans] - planLoans() result; a loan's PolicyId / RateType override the LenderPolicy choice
+ * @returns {Object} { titlePolicies, lenderPolicies (one per loan), available: { OwnerPolicy, LenderPolicy,
+ *                   SecondLienPolicy (with a second loan) }, priced: [{ Policy, PolicyId, PolicyName, RateTypeId,
+ *                   RateType, PolicyLabel, Loan (lender's policies) }] }
+ * @throws {ValidationError} When a policy or rate type is not offered
+ */
+function selectPolicies({ products, LoanPurposeType, selection = {}, loans = [] }) {
+    const { OWNER, LENDER } = constants.ENDORSEMENT_POLICIES;
+    const isOwnerPolicy = policy => !policy['lvis:PolicyCategoryId'] || policy['lvis:PolicyCategoryId'] === constants.POLICY_CATEGORIES.OWNER;
+    const isJuniorPolicy = policy => policy['lvis:PolicyCategoryId'] === constants.POLICY_CATEGORIES.JUNIOR_LENDER;
+
+    const choices = {
+        [OWNER]: products.allTitlePolicies.filter(isOwnerPolicy),
+        [LENDER]: products.allSecondPolicies.length
+            ? products.allSecondPolicies
+            : products.allTitlePolicies.filter(policy => !isOwnerPolicy(policy))
+    };
+    // A second lien may use a junior loan policy as well as any lender's policy
+    const secondLienChoices = [
+        ...products.allTitlePolicies.filter(isJuniorPolicy),
+        ...choices[LENDER].filter(policy => !isJuniorPolicy(policy))
+    ];
+    const current = {
+        [OWNER]: products.titlePolicies,
+        [LENDER]: products.lenderPolicies
+    };
+    const errors = [];
+
+    // The policy (and rate type) a choice names, or undefined after recording an error
+    const resolveChoice = (choice, { offered, fallback, field, description }) => {
+        let policy = fallback;
+        if (choice.PolicyId) {
+            policy = offered.find(p => String(p['lvis:PolicyId']) === String(choice.PolicyId));
+            if (!policy) {
+                errors.push({ field: `${field}.PolicyId`, message: `Policy ${choice.PolicyId} is not offered as the ${description} here` });
+                return undefined;
+            }
+        }
+        if (!policy) {
+            errors.push({ field, message: `${field} cannot be used: ProductList has no ${description} here` });
+            return undefined;
+        }
+
+        if (!choice.RateType) return policy;
+
+        const wanted = String(choice.RateType).toLowerCase();
+        const rateTypes = parseRateTypes(policy);
+        const rateType = rateTypes.find(rt => rt.RateTypeId === wanted || rt.RateType.toLowerCase() === wanted);
+        if (!rateType) {
+            errors.push({
+                field: `${field}.RateType`,
+                message: `Rate type "${choice.RateType}" is not valid for the ${policy['lvis:PolicyName']} (valid: ${rateTypes.map(rt => rt.RateType).join(', ')})`
+            });
+            return undefined;
+        }
+        return { ...policy, 'lvis:DefaultRateTypeId': rateType.RateTypeId };
+    };
+
+    [OWNER, LENDER].forEach(role => {
+        // The first loan's own PolicyId / RateType take the place of Policies.LenderPolicy
+        const firstLoan = role === LENDER && loans[0] && (loans[0].PolicyId || loans[0].RateType) ? loans[0] : null;
+        const choice = firstLoan || selection?.[role];
+        if (!choice || (!choice.PolicyId && !choice.RateType)) return;
+
+        const chosen = resolveChoice(choice, {
+            offered: choices[role],
+            fallback: current[role][0],
+            field: firstLoan ? 'Loans[0]' : `Policies.${role}`,
+            description: role === OWNER ? "owner's policy" : "lender's policy"
+        });
+        if (chosen) current[role] = [chosen];
+    });
+
+    // One more lender's policy per subordinate loan
+    const firstLienPolicy = current[LENDER][0];
+    const defaultSecondLienPolicy = secondLienChoices.find(isJuniorPolicy) || firstLienPolicy;
+    loans.slice(1).forEach((loan, i) => {
+        const chosen = resolveChoice(loan, {
+            offered: secondLienChoices,
+            fallback: defaultSecondLienPolicy,
+            field: `Loans[${i + 1}]`,
+            description: 'second lien policy'
+        });
+        if (chosen) current[LENDER] = [...current[LENDER], chosen];
+    });
+
+    if (errors.length) {
+        throw new ValidationError(errors);
+    }
+
+    const priced = planTitlePolicies(current[OWNER], current[LENDER], LoanPurposeType).map(({ policy, label, role, loan }) => ({
+        Policy: role,
+        PolicyId: String(policy['lvis:PolicyId']),
+        PolicyName: policy['lvis:PolicyName'] || policy['lvis:ProductName'],
+        ...resolveRateType(policy),
+        PolicyLabel: label,
+        ...(loan && loans.length > 1 && { Loan: loan })
+    }));
+
+    return {
+        titlePolicies: current[OWNER],
+        lenderPolicies: current[LENDER],
+        available: {
+            [OWNER]: choices[OWNER].map(describePolicy),
+            [LENDER]: LoanPurposeType === constants.LOAN_PURPOSE_TYPES.CASH_PURCHASE ? [] : choices[LENDER].map(describePolicy),
+            ...(loans.length > 1 && { SecondLienPolicy: secondLienChoices.map(describePolicy) })
+        },
+        priced
+    };
+}
+
+/**
+ * Title policies in request order with their xlink labels and whose policy they are
+ * Owner's policies are POLICY_1.., lender's policies (one per loan) start at
+ * POLICY_2 and are left out of a cash purchase.
+ */
+function planTitlePolicies(titlePolicies, secondPolicies, LoanPurposeType) {
+    const { OWNER, LENDER } = constants.ENDORSEMENT_POLICIES;
+    const roleOf = (policy, fallback) => {
+        const categoryId = policy['lvis:PolicyCategoryId'];
+        if (!categoryId) return fallback;
+        return categoryId === constants.POLICY_CATEGORIES.OWNER ? OWNER : LENDER;
+    };
+
+    return [
+        ...titlePolicies.map((policy, i) => ({ policy, label: `POLICY_${i + 1}`, role: roleOf(policy, OWNER) })),
+        ...(LoanPurposeType === constants.LOAN_PURPOSE_TYPES.CASH_PURCHASE ? [] :
+            secondPolicies.map((policy, i) => ({ policy, label: `POLICY_${i + 2}`, role: roleOf(policy, LENDER), loan: i + 1 })))
+    ];
+}
+
+/**
+ * Whether ProductList offers an endorsement on a policy
+ * Current ProductLists list the policy categories an endorsement is valid for;
+ * older ones tied it to a single ParentPolicyId.
+ */
+function endorsementFitsPolicy(endorsement, plannedPolicy) {
+    if (endorsement.ParentPolicyId) {
+        return endorsement.ParentPolicyId === plannedPolicy.policy['lvis:PolicyId'];
+    }
+    const categoryId = plannedPolicy.policy['lvis:PolicyCategoryId']
+        || (plannedPolicy.role === constants.ENDORSEMENT_POLICIES.OWNER
+            ? constants.POLICY_CATEGORIES.OWNER
+            : constants.POLICY_CATEGORIES.LENDER);
+    return endorsement.PolicyCategoryIds.includes(categoryId);
+}
+
+/**
+ * Resolve the caller's endorsement selection against ProductList
+ *
+ * @param {Object} params
+ * @param {Array} params.availableEndorsements - parseProductList().availableEndorsements
+ * @param {Array} params.titlePolicies - Owner's policies being quoted
+ * @param {Array} params.lenderPolicies - Lender's policies being quoted
+ * @param {String} params.LoanPurposeType - Purchase, Cash Purchase or Refinance
+ * @param {Object} [params.selection] - { OwnerPolicy: [EndorsementId], LenderPolicy: [EndorsementId] };
+ *                                      without one, ProductList's IsDefault endorsements are used
+ * @param {Array} [params.loans] - planLoans() result; a loan's Endorsements are used for its own lender's policy
+ * @returns {Object} { available: { OwnerPolicy, LenderPolicy, SecondLienPolicy (with a second loan) },
+ *                   selected: [{ EndorsementId, EndorsementName, Policy, PolicyLabel, EndorsementLabel, Loan }] }
+ * @throws {ValidationError} When a selected endorsement is not offered on that policy
+ */
+function selectEndorsements({ availableEndorsements, titlePolicies, lenderPolicies, LoanPurposeType, selection, loans = [] }) {
+    const { OWNER, LENDER } = constants.ENDORSEMENT_POLICIES;
+    const plan = planTitlePolicies(titlePolicies, lenderPolicies, LoanPurposeType);
+    const available = {};
+    const selected = [];
+    const errors = [];
+
+    // Owner's endorsements attach to the first owner's policy; lender's ones to each loan's policy
+    const lenderPlan = plan.filter(entry => entry.role === LENDER);
+    const targets = [
+        { role: OWNER, availableAs: OWNER, plannedPolicy: plan.find(entry => entry.role === OWNER), field: `Endorsements.${OWNER}`, ids: selection?.[OWNER], useDefaults: !selection },
+        ...(lenderPlan.length ? lenderPlan : [undefined]).map((plannedPolicy, i) => {
+            const loan = loans[i];
+            const ownSelection = loan && loan.Endorsements;
+            return {
+                role: LENDER,
+                availableAs: i === 0 ? LENDER : 'SecondLienPolicy',
+                plannedPolicy,
+                loan: loans.length > 1 ? loan?.Loan : undefined,
+                field: ownSelection ? `Loans[${i}].Endorsements` : `Endorsements.${LENDER}`,
+                ids: ownSelection || (i === 0 ? selection?.[LENDER] : undefined),
+                // Without any selection ProductList's defaults apply; a selection elsewhere means none here
+                useDefaults: !ownSelection && !selection
+            };
+        })
+    ];
+
+    targets.forEach(({ role, availableAs, plannedPolicy, loan, field, ids, useDefaults }) => {
+        const offered = plannedPolicy ? availableEndorsements.filter(e => endorsementFitsPolicy(e, plannedPolicy)) : [];
+        available[availableAs] = offered.map(({ EndorsementId, EndorsementName }) => ({ EndorsementId, EndorsementName }));
+
+        const requestedIds = useDefaults
+            ? offered.filter(e => e.IsDefault).map(e => e.EndorsementId)
+            : Array.from(new Set(asList(ids).map(String)));
+
+        if (requestedIds.length && !plannedPolicy) {
+            errors.push({ field, message: `${field} cannot be used: this quote has no ${role === OWNER ? "owner's" : "lender's"} policy` });
+            return;
+        }
+
+        const chosen = [];
+        requestedIds.forEach(id => {
+            const endorsement = offered.find(e => e.EndorsementId === id);
+            if (!endorsement) {
+                errors.push({ field, message: `Endorsement ${id} is not available on the ${plannedPolicy.policy['lvis:PolicyName']}` });
+                return;
+            }
+            const conflict = chosen.find(other => other.ExcludedEndorsementIds.includes(id) || endorsement.ExcludedEndorsementIds.includes(other.EndorsementId));
+            if (conflict) {
+                errors.push({ field, message: `Endorsement ${id} cannot be combined with endorsement ${conflict.EndorsementId}` });
+                return;
+            }
+            chosen.push(endorsement);
+        });
+
+        chosen.forEach((endorsement, j) => selected.push({
+            EndorsementId: endorsement.EndorsementId,
+            EndorsementName: endorsement.EndorsementName,
+            Policy: role,
+            PolicyLabel: plannedPolicy.label,
+            EndorsementLabel: `${plannedPolicy.label}_ENDR_${j + 1}`,
+            ...(loan && { Loan: loan })
+        }));
+    });
+
+    if (errors.length) {
+        throw new ValidationError(errors);
+    }
+
+    return { available, selected };
+}
+
+function buildEndorsementsXML(endorsements) {
+    const endorsementsXML = endorsements.map((e, j) => `
+        <TITLE_ENDORSEMENT xlink:label="${e.EndorsementLabel}" SequenceNumber="${j + 1}">
+          <TitleEndorsementFormIdentifier>${e.EndorsementId}</TitleEndorsementFormIdentifier>
+          <TitleEndorsementFormName>${escapeXML(e.EndorsementName)}</TitleEndorsementFormName>
+          <Concurrent_Endoresements />
+        </TITLE_ENDORSEMENT>`).join('');
+
+    return endorsementsXML ? `<TITLE_ENDORSEMENTS>${endorsementsXML}</TITLE_ENDORSEMENTS>` : '';
+}
+
+function escapeXML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Check a refinance's prior policy (request field PriorPolicy)
+ * @returns {Object|null} The prior policy, or null when none was given
+ * @throws {ValidationError} On a non-refinance or a prior policy dated in the future
+ */
+function checkPriorPolicy({ LoanPurposeType, PriorPolicy }) {
+    if (!PriorPolicy) return null;
+
+    if (LoanPurposeType !== constants.LOAN_PURPOSE_TYPES.REFINANCE) {
+        throw new ValidationError([
+            { field: 'PriorPolicy', message: 'PriorPolicy is only accepted for a Refinance' }
+        ]);
+    }
+    if (PriorPolicy.EffectiveDate > new Date().toISOString().split('T')[0]) {
+        throw new ValidationError([
+            { field: 'PriorPolicy.EffectiveDate', message: 'PriorPolicy.EffectiveDate cannot be in the future' }
+        ]);
+    }
+    return PriorPolicy;
+}
+
+// Prior policy fields of a TITLE_POLICY_DETAIL_EXTENSION, which LVIS uses for the reissue rate
+function buildPriorPolicyXML(priorPolicy) {
+    if (!priorPolicy) return '';
+
+    return `
+              <lvis:PriorPolicyType>${priorPolicy.PolicyType}</lvis:PriorPolicyType>
+              <lvis:PriorPolicyAmount>${priorPolicy.Amount}</lvis:PriorPolicyAmount>
+              <lvis:PriorPolicyEffectiveDate>${priorPolicy.EffectiveDate}</lvis:PriorPolicyEffectiveDate>
+              <lvis:PriorPolicyUnderwriter>${escapeXML(priorPolicy.Underwriter)}</lvis:PriorPolicyUnderwriter>`;
+}
+
+/**
+ * The same request with every prior policy field removed, priced at full rate
+ * to measure the reissue credit
+ */
+function withoutPriorPolicy(requestXML) {
+    return requestXML.replace(/\s*<lvis:PriorPolicy\w+>[^<]*<\/lvis:PriorPolicy\w+>/g, '');
+}
+
+/**
+ * Title service block: owner's and lender's policies with their endorsements
+ * @param {Array} selectedEndorsements - selectEndorsements().selected
+ * @param {Number|Array} noteAmount - Loan amount, or one per lender's policy (see planLoans)
+ * @param {Object} [priorPolicy] - checkPriorPolicy() result, sent with each policy
+ */
 function buildTitleServiceBlock(
     titlePolicies,
     secondPolicies,
-    endorsementProducts,
+    selectedEndorsements,
     noteAmount,
     salesAmount,
     effectiveDate,
     LoanPurposeType,
-    stateCode
+    stateCode,
+    priorPolicy = null
 ) {
     let seq = 1;
+    const priorPolicyXML = buildPriorPolicyXML(priorPolicy);
+    const insuredLoanAmount = i => Array.isArray(noteAmount) ? noteAmount[i] : noteAmount;
     let xml = `<SERVICE SequenceNumber="${seq++}"><TITLE><TITLE_RESPONSE><TITLE_PRODUCTS><TITLE_PRODUCT><TITLE_POLICIES>`;
 
     // Owner's Policy – uses salesAmount
@@ -19,26 +418,21 @@ function buildTitleServiceBlock(
             const id = p['lvis:PolicyId'];
             const name = p['lvis:PolicyName'] || p['lvis:ProductName'];
 
-            const defaultRateTypeId = p['lvis:DefaultRateTypeId'];
-            const validRateTypes = p['lvis:ValidRateTypes']?.['lvis:KeyValue'];
-            let rateType = 'Basic'; // fallback
+            const { RateType: rateType } = resolveRateType(p);
 
-            if (Array.isArray(validRateTypes)) {
-                const match = validRateTypes.find(rt => rt['lvis:Key'] === defaultRateTypeId);
-                if (match) rateType = match['lvis:Value'];
-            } else if (validRateTypes?.['lvis:Key'] === defaultRateTypeId) {
-                rateType = validRateTypes['lvis:Value'];
-            }
+            const label = `POLICY_${i + 1}`;
+            const endorsementsXML = buildEndorsementsXML(selectedEndorsements.filter(e => e.PolicyLabel === label));
 
             return `
-        <TITLE_POLICY xlink:label="POLICY_${i + 1}" SequenceNumber="${i + 1}">
+        <TITLE_POLICY xlink:label="${label}" SequenceNumber="${i + 1}">
+          ${endorsementsXML}
           <TITLE_POLICY_DETAIL>
             <TitleInsuranceAmount>${salesAmount}</TitleInsuranceAmount>
             <TitlePolicyEffectiveDate>${effectiveDate}</TitlePolicyEffectiveDate>
             <TitlePolicyIdentifier>${id}</TitlePolicyIdentifier>
             <EXTENSION><OTHER><lvis:TITLE_POLICY_DETAIL_EXTENSION>
               <lvis:ProductName>${name}</lvis:ProductName>
-              <lvis:RateType>${rateType}</lvis:RateType>
+              <lvis:RateType>${rateType}</lvis:RateType>${priorPolicyXML}
             </lvis:TITLE_POLICY_DETAIL_EXTENSION></OTHER></EXTENSION>
           </TITLE_POLICY_DETAIL>
         </TITLE_POLICY>`;
@@ -46,40 +440,26 @@ function buildTitleServiceBlock(
     }
 
     // Lender's Policy – uses noteAmount — SKIP if Cash Purchase
-    if (secondPolicies.length && LoanPurposeType !== 'Cash Purchase') {
+    if (secondPolicies.length && LoanPurposeType !== constants.LOAN_PURPOSE_TYPES.CASH_PURCHASE) {
         xml += secondPolicies.map((p, i) => {
             const id = p['lvis:PolicyId'];
             const name = p['lvis:PolicyName'] || p['lvis:ProductName'];
 
-            const defaultRateTypeId = p['lvis:DefaultRateTypeId'];
-            const validRateTypes = p['lvis:ValidRateTypes']?.['lvis:KeyValue'];
-            let rateType = 'Basic'; // fallback
+            const { RateType: rateType } = resolveRateType(p);
 
-            if (Array.isArray(validRateTypes)) {
-                const match = validRateTypes.find(rt => rt['lvis:Key'] === defaultRateTypeId);
-                if (match) rateType = match['lvis:Value'];
-            } else if (validRateTypes?.['lvis:Key'] === defaultRateTypeId) {
-                rateType = validRateTypes['lvis:Value'];
-            }
-
-            const matchingEndorsements = endorsementProducts.filter(e => e['lvis:ParentPolicyId'] === id);
-            const endorsementsXML = matchingEndorsements.map((e, j) => `
-        <TITLE_ENDORSEMENT xlink:label="POLICY_2_ENDR_${j + 1}" SequenceNumber="${j + 1}">
-          <TitleEndorsementFormIdentifier>${e['lvis:ProductId']}</TitleEndorsementFormIdentifier>
-          <TitleEndorsementFormName>${e['lvis:ProductName']}</TitleEndorsementFormName>
-          <Concurrent_Endoresements />
-        </TITLE_ENDORSEMENT>`).join('');
+            const label = `POLICY_${i + 2}`;
+            const endorsementsXML = buildEndorsementsXML(selectedEndorsements.filter(e => e.PolicyLabel === label));
 
             return `
-        <TITLE_POLICY xlink:label="POLICY_${i + 2}" SequenceNumber="${i + 2}">
-          ${endorsementsXML ? `<TITLE_ENDORSEMENTS>${endorsementsXML}</TITLE_ENDORSEMENTS>` : ''}
+        <TITLE_POLICY xlink:label="${label}" SequenceNumber="${i + 2}">
+          ${endorsementsXML}
           <TITLE_POLICY_DETAIL>
-            <TitleInsuranceAmount>${noteAmount}</TitleInsuranceAmount>
+            <TitleInsuranceAmount>${insuredLoanAmount(i)}</TitleInsuranceAmount>
             <TitlePolicyEffectiveDate>${effectiveDate}</TitlePolicyEffectiveDate>
             <TitlePolicyIdentifier>${id}</TitlePolicyIdentifier>
             <EXTENSION><OTHER><lvis:TITLE_POLICY_DETAIL_EXTENSION>
               <lvis:ProductName>${name}</lvis:ProductName>
-              <lvis:RateType>${rateType}</lvis:RateType>
+              <lvis:RateType>${rateType}</lvis:RateType>${priorPolicyXML}
             </lvis:TITLE_POLICY_DETAIL_EXTENSION></OTHER></EXTENSION>
           </TITLE_POLICY_DETAIL>
         </TITLE_POLICY>`;
@@ -134,15 +514,36 @@ function buildSettlementServiceBlock(settlementProducts, currentSeq, stateCode)
     return { xml, nextSeq: seq };
 }
 
-function buildRecordingServiceBlock(recordingProducts, currentSeq, pageNumbers = null, salesContractAmount = null, noteAmount = null) {
+// "Mortgage (Deed of Trust)" and the like; checked before deed since the name contains both words
+function isMortgageDocument(name) {
+    return Boolean(name) && (name.toLowerCase().includes('mortgage') || name.toLowerCase().includes('trust'));
+}
+
+// Our default MORTGAGE entry, or a ProductList document named like a mortgage
+function isMortgageProduct(product) {
+    return product.identifier
+        ? product.identifier === 'MORTGAGE'
+        : isMortgageDocument(product['lvis:DocName'] || product['lvis:Name']);
+}
+
+/**
+ * Recording services: the deed and, when there is a loan, the mortgage
+ * Cash purchases record no mortgage, so MORTGAGE documents are dropped for them.
+ * With one amount per loan, each loan records its own mortgage.
+ *
+ * @param {Number|Array} [noteAmount] - Loan amount, or one per loan (see planLoans)
+ * @returns {Object} { xml, nextSeq, documents: [{ RecordingLabel, DocumentType, DocumentName, Loan }] }
+ */
+function buildRecordingServiceBlock(recordingProducts, currentSeq, pageNumbers = null, salesContractAmount = null, noteAmount = null, LoanPurposeType = null) {
     let seq = currentSeq;
+    const isCashPurchase = LoanPurposeType === constants.LOAN_PURPOSE_TYPES.CASH_PURCHASE;
     
     // Log page numbers if provided
     if (pageNumbers) {
-        console.info('Page numbers provided:', JSON.stringify(pageNumbers));
+        logger.debug('Page numbers provided', { pageNumbers });
     }
     
-    console.info(`Recording products from ProductList: ${recordingProducts ? recordingProducts.length : 0}`);
+    logger.debug('Recording products from ProductList', { count: recordingProducts ? recordingProducts.length : 0 });
     
     // For CT and other states where ProductList doesn't return recording products,
     // use standard recording documents based on the simulator
@@ -152,7 +553,7 @@ function buildRecordingServiceBlock(recordingProducts, currentSeq, pageNumbers =
         const deedPages = pageNumbers?.deedPages || 3;
         const mortgagePages = pageNumbers?.mortgagePages || 15;
         
-        console.info(`Using recording page counts: deed=${deedPages}, mortgage=${mortgagePages}`);
+        logger.debug('Using recording page counts', { deedPages, mortgagePages });
         
         recordingProducts = [
             { name: 'Conveyance Deed', identifier: 'DEED', pages: deedPages, consideration: null },
@@ -160,7 +561,20 @@ function buildRecordingServiceBlock(recordingProducts, currentSeq, pageNumbers =
         ];
     }
 
-    console.info(`Building recording services for ${recordingProducts.length} products`);
+    if (isCashPurchase) {
+        recordingProducts = recordingProducts.filter(product => !isMortgageProduct(product));
+    }
+
+    // One mortgage per loan, each with its own loan amount as consideration
+    const loanAmounts = Array.isArray(noteAmount) ? noteAmount : [noteAmount];
+    if (loanAmounts.length > 1) {
+        recordingProducts = recordingProducts.flatMap(product => isMortgageProduct(product)
+            ? loanAmounts.map((amount, loanIndex) => ({ ...product, loanIndex }))
+            : [product]);
+    }
+    const documents = [];
+
+    logger.debug('Building recording services', { count: recordingProducts.length, isCashPurchase });
     const xml = recordingProducts.map((product, index) => {
         // Determine the identifier and name
         let identifier, name, pages, labelPrefix;
@@ -189,8 +603,7 @@ function buildRecordingServiceBlock(recordingProducts, currentSeq, pageNumbers =
             const defaultPages = product['lvis:Pages'] || product['lvis:DefaultPages'] || 1;
 
             // Map the name to the correct identifier
-            // Check mortgage first since "Mortgage (Deed of Trust)" contains both words
-            if (name && (name.toLowerCase().includes('mortgage') || name.toLowerCase().includes('trust'))) {
+            if (isMortgageDocument(name)) {
                 identifier = 'MORTGAGE';
                 // Use user-provided page numbers if available
                 pages = pageNumbers?.mortgagePages || defaultPages;
@@ -209,9 +622,15 @@ function buildRecordingServiceBlock(recordingProducts, currentSeq, pageNumbers =
         // Use actual amounts if provided, otherwise use defaults
         const considerationAmount = identifier === 'DEED' 
             ? (salesContractAmount || '500000')
-            : (noteAmount || '400000');
+            : (loanAmounts[product.loanIndex || 0] || '400000');
         
-        console.info(`Building recording service ${index + 1}: ${identifier} - ${name}, pages: ${pages}, consideration: ${considerationAmount}`);
+        logger.debug('Building recording service', { sequence: index + 1, identifier, name, pages });
+        documents.push({
+            RecordingLabel: labelPrefix,
+            DocumentType: identifier,
+            DocumentName: name,
+            ...(product.loanIndex !== undefined && { Loan: product.loanIndex + 1 })
+        });
 
         return `
 <SERVICE SequenceNumber="${seq++}">
@@ -245,7 +664,70 @@ function buildRecordingServiceBlock(recordingProducts, currentSeq, pageNumbers =
 </SERVICE>`;
     }).join('');
 
-    return { xml, nextSeq: seq };
+    return { xml, nextSeq: seq, documents };
+}
+
+/**
+ * Calculator type data request (PropertyTypes, TransactionTypes, CityDetail, CountyDetail)
+ * @param {String} params.actionType - LVISActionType
+ * @param {Array} params.values - [name, value] pairs for LVIS_REQUEST_PARAMS; empty values are sent as <lvis:Value />
+ */
+function buildCalcTypeDataRequestXML({
+    actionType,
+    values,
+    clientCustomerId = getConfig().clientCustomerId
+}) {
+    const paramsXML = values.map(([name, value]) => (value === null || value === undefined || value === ''
+        ? `<lvis:LVIS_NAME_VALUE><lvis:Name>${name}</lvis:Name><lvis:Value /></lvis:LVIS_NAME_VALUE>`
+        : `<lvis:LVIS_NAME_VALUE><lvis:Name>${name}</lvis:Name><lvis:Value>${escapeXML(value)}</lvis:Value></lvis:LVIS_NAME_VALUE>`
+    )).join('\n      ');
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<lvis:LVIS_XML xmlns:xlink="http://www.w3.org/1999/xlink" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:lvis="http://services.firstam.com/lvis/v2.0">
+  <lvis:LVIS_HEADER>
+    <lvis:LVISActionType>${actionType}</lvis:LVISActionType>
+    <lvis:ClientCustomerId>${clientCustomerId}</lvis:ClientCustomerId>
+    <lvis:ClientUniqueRequestId>${logger.clientUniqueRequestId('CALC')}</lvis:ClientUniqueRequestId>
+  </lvis:LVIS_HEADER>
+  <lvis:LVIS_CALCULATOR_TYPE_DATA_REQUEST>
+    <lvis:LVIS_REQUEST_PARAMS>
+      ${paramsXML}
+    </lvis:LVIS_REQUEST_PARAMS>
+  </lvis:LVIS_CALCULATOR_TYPE_DATA_REQUEST>
+</lvis:LVIS_XML>`;
+}
+
+/**
+ * LVIS TransactionType for a caller's LoanPurposeType
+ * Purchase -> 'Sale w/ Mortgage', Cash Purchase -> 'Sale/Cash', Refinance -> 'Refinance'
+ */
+function getTransactionType(LoanPurposeType) {
+    const { LOAN_PURPOSE_TYPES, TRANSACTION_TYPES } = constants;
+    if (LoanPurposeType === LOAN_PURPOSE_TYPES.REFINANCE) return TRANSACTION_TYPES.REFINANCE;
+    if (LoanPurposeType === LOAN_PURPOSE_TYPES.CASH_PURCHASE) return TRANSACTION_TYPES.CASH_PURCHASE;
+    return TRANSACTION_TYPES.PURCHASE;
+}
+
+/**
+ * Transaction type name for comparison: case, spacing and punctuation are
+ * ignored, so 'Sale Cash' matches 'Sale/Cash'
+ */
+function normalizeTransactionType(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * LoanPurposeType an LVIS transaction type is priced as
+ * 'Sale/Cash' is a Cash Purchase, any other sale a Purchase, and everything
+ * else (Refinance, Equity Loan, Construction Loan, ...) is a loan without a
+ * sale, priced like a Refinance.
+ */
+function loanPurposeForTransactionType(transactionType) {
+    const { LOAN_PURPOSE_TYPES, TRANSACTION_TYPES } = constants;
+    const name = normalizeTransactionType(transactionType);
+    if (name === normalizeTransactionType(TRANSACTION_TYPES.CASH_PURCHASE)) return LOAN_PURPOSE_TYPES.CASH_PURCHASE;
+    if (name.startsWith('sale')) return LOAN_PURPOSE_TYPES.PURCHASE;
+    return LOAN_PURPOSE_TYPES.REFINANCE;
 }
 
 function buildProductListRequestXML({
@@ -256,6 +738,8 @@ function buildProductListRequestXML({
     salesContractAmount,
     noteAmount,
     effectiveDate,
+    propertyType = constants.DEFAULT_PROPERTY_TYPE,
+    clientCustomerId = getConfig().clientCustomerId
 }) {
     // Fix EffectiveDate format: remove commas if present
     const cleanEffectiveDate = effectiveDate.replace(',', '');
@@ -264,14 +748,14 @@ function buildProductListRequestXML({
 <lvis:LVIS_XML xmlns:xlink="http://www.w3.org/1999/xlink" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:lvis="http://services.firstam.com/lvis/v2.0">
   <lvis:LVIS_HEADER>
     <lvis:LVISActionType>ProductList</lvis:LVISActionType>
-    <lvis:ClientCustomerId>FNTE</lvis:ClientCustomerId>
-    <lvis:ClientUniqueRequestId>CALC-${uuidv4()}</lvis:ClientUniqueRequestId>
+    <lvis:ClientCustomerId>${clientCustomerId}</lvis:ClientCustomerId>
+    <lvis:ClientUniqueRequestId>${logger.clientUniqueRequestId('CALC')}</lvis:ClientUniqueRequestId>
   </lvis:LVIS_HEADER>
   <lvis:LVIS_CALCULATOR_TYPE_DATA_REQUEST>
     <lvis:LVIS_REQUEST_PARAMS>
-      <lvis:LVIS_NAME_VALUE><lvis:Name>PropertyStateCode</lvis:Name><lvis:Value>${stateCode}</lvis:Value></lvis:LVIS_NAME_VALUE>
-      <lvis:LVIS_NAME_VALUE><lvis:Name>PropertyCountyName</lvis:Name><lvis:Value>${countyName}</lvis:Value></lvis:LVIS_NAME_VALUE>
-      <lvis:LVIS_NAME_VALUE><lvis:Name>PropertyCityName</lvis:Name><lvis:Value>${city}</lvis:Value></lvis:LVIS_NAME_VALUE>
+      <lvis:LVIS_NAME_VALUE><lvis:Name>PropertyStateCode</lvis:Name><lvis:Value>${escapeXML(stateCode)}</lvis:Value></lvis:LVIS_NAME_VALUE>
+      <lvis:LVIS_NAME_VALUE><lvis:Name>PropertyCountyName</lvis:Name><lvis:Value>${escapeXML(countyName)}</lvis:Value></lvis:LVIS_NAME_VALUE>
+      <lvis:LVIS_NAME_VALUE><lvis:Name>PropertyCityName</lvis:Name><lvis:Value>${escapeXML(city)}</lvis:Value></lvis:LVIS_NAME_VALUE>
       
       <lvis:LVIS_NAME_VALUE><lvis:Name>ClosingStateCode</lvis:Name><lvis:Value /></lvis:LVIS_NAME_VALUE>
       <lvis:LVIS_NAME_VALUE><lvis:Name>ClosingCountyName</lvis:Name><lvis:Value /></lvis:LVIS_NAME_VALUE>
@@ -281,7 +765,7 @@ function buildProductListRequestXML({
       <lvis:LVIS_NAME_VALUE><lvis:Name>SalesAmount</lvis:Name><lvis:Value>${salesContractAmount}</lvis:Value></lvis:LVIS_NAME_VALUE>
       <lvis:LVIS_NAME_VALUE><lvis:Name>LoanAmount</lvis:Name><lvis:Value>${noteAmount}</lvis:Value></lvis:LVIS_NAME_VALUE>
       <lvis:LVIS_NAME_VALUE><lvis:Name>EffectiveDate</lvis:Name><lvis:Value>${cleanEffectiveDate}</lvis:Value></lvis:LVIS_NAME_VALUE>
-      <lvis:LVIS_NAME_VALUE><lvis:Name>PropertyType</lvis:Name><lvis:Value>Residential</lvis:Value></lvis:LVIS_NAME_VALUE>
+      <lvis:LVIS_NAME_VALUE><lvis:Name>PropertyType</lvis:Name><lvis:Value>${escapeXML(propertyType)}</lvis:Value></lvis:LVIS_NAME_VALUE>
       
       <lvis:LVIS_NAME_VALUE><lvis:Name>IsTitle</lvis:Name><lvis:Value>True</lvis:Value></lvis:LVIS_NAME_VALUE>
       <lvis:LVIS_NAME_VALUE><lvis:Name>IsClosing</lvis:Name><lvis:Value>True</lvis:Value></lvis:LVIS_NAME_VALUE>
@@ -292,6 +776,48 @@ function buildProductListRequestXML({
 </lvis:LVIS_XML>`;
 }
 
+/**
+ * One MISMO LOAN; lien priority and HELOC flag are only sent when quoting several loans
+ * @param {Object} loan - { Loan, NoteAmount, LoanType, LienPriorityType } (see planLoans)
+ * @param {String} options.transactionType - LVIS transaction type, sent as the loan purpose
+ */
+function buildLoanXML(loan, { transactionType }) {
+    const loanDetailXML = loan.LoanType === constants.LOAN_TYPES.HELOC
+        ? `
+                    <LOAN_DETAIL>
+                      <HELOCIndicator>true</HELOCIndicator>
+                    </LOAN_DETAIL>`
+        : '';
+    const lienPriorityXML = loan.LienPriorityType
+        ? `<LienPriorityType>${loan.LienPriorityType}</LienPriorityType>`
+        : '';
+
+    return `
+                  <LOAN SequenceNumber="${loan.Loan}">${loanDetailXML}
+                    <LOAN_IDENTIFIERS>
+                      <LOAN_IDENTIFIER SequenceNumber="1">
+                        <LoanIdentifier>${loan.Loan === 1 ? '1234567' : `1234567-${loan.Loan}`}</LoanIdentifier>
+                        <LoanIdentifierType>LenderLoan</LoanIdentifierType>
+                      </LOAN_IDENTIFIER>
+                    </LOAN_IDENTIFIERS>
+                    <TERMS_OF_LOAN>
+                      ${lienPriorityXML}${transactionType === constants.TRANSACTION_TYPES.REFINANCE ? `
+                        <LoanPurposeType>Refinance</LoanPurposeType>
+                        <NoteAmount>${loan.NoteAmount}</NoteAmount>
+                      ` : `
+                        <LoanPurposeType>Other</LoanPurposeType>
+                        <LoanPurposeTypeOtherDescription>${escapeXML(transactionType)}</LoanPurposeTypeOtherDescription>
+                        <NoteAmount>${loan.NoteAmount}</NoteAmount>
+                      `}
+                    </TERMS_OF_LOAN>
+                  </LOAN>`;
+}
+
+/**
+ * RateCalc / RateCalcNoAutoCalc request around a services block
+ * @param {Array} [params.loans] - planLoans() result; with more than one loan, one LOAN is sent per loan
+ * @param {String} [params.transactionType] - LVIS transaction type (default from LoanPurposeType)
+ */
 function buildRateCalcRequestXML({
     actionType = 'RateCalc',  // Default to RateCalc if not specified
     PostalCode,
@@ -301,17 +827,23 @@ function buildRateCalcRequestXML({
     city,
     countyName,
     stateCode,
-    servicesBlock
+    servicesBlock,
+    loans = null,
+    propertyType = constants.DEFAULT_PROPERTY_TYPE,
+    transactionType = getTransactionType(LoanPurposeType),
+    clientCustomerId = getConfig().clientCustomerId
 }) {
     const salesAmount = LoanPurposeType === 'Refinance' ? NoteAmount : SalesContractAmount;
-    const noteAmountToUse = Number(NoteAmount) === 0 ? 1000 : NoteAmount;
+    // A cash purchase has no loan to price; purchases and refinances always have one
+    const isCashPurchase = LoanPurposeType === constants.LOAN_PURPOSE_TYPES.CASH_PURCHASE;
+    const noteAmountToUse = isCashPurchase ? 0 : NoteAmount;
 
     return `<?xml version="1.0" encoding="utf-8"?>
 <lvis:LVIS_XML xmlns:xlink="http://www.w3.org/1999/xlink" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:lvis="http://services.firstam.com/lvis/v2.0">
   <lvis:LVIS_HEADER>
     <lvis:LVISActionType>${actionType}</lvis:LVISActionType>
-    <lvis:ClientCustomerId>FNTE</lvis:ClientCustomerId>
-    <lvis:ClientUniqueRequestId>CALC-${uuidv4()}</lvis:ClientUniqueRequestId>
+    <lvis:ClientCustomerId>${clientCustomerId}</lvis:ClientCustomerId>
+    <lvis:ClientUniqueRequestId>${logger.clientUniqueRequestId('CALC')}</lvis:ClientUniqueRequestId>
   </lvis:LVIS_HEADER>
   <lvis:LVIS_CALCULATOR_REQUEST>
     <lvis:MISMO_XML>
@@ -341,10 +873,10 @@ function buildRateCalcRequestXML({
                   <COLLATERAL SequenceNumber="1">
                     <SUBJECT_PROPERTY>
                       <ADDRESS>
-                        <CityName>${city}</CityName>
-                        <CountyName>${countyName}</CountyName>
-                        <PostalCode>${PostalCode}</PostalCode>
-                        <StateCode>${stateCode}</StateCode>
+                        <CityName>${escapeXML(city)}</CityName>
+                        <CountyName>${escapeXML(countyName)}</CountyName>
+                        <PostalCode>${PostalCode || ''}</PostalCode>
+                        <StateCode>${escapeXML(stateCode)}</StateCode>
                       </ADDRESS>
                       <SALES_CONTRACTS>
                         <SALES_CONTRACT>
@@ -356,7 +888,7 @@ function buildRateCalcRequestXML({
                       <SITE>
                         <SITE_LOCATIONS>
                           <SITE_LOCATION>
-                            <LocationType>Residential</LocationType>
+                            <LocationType>${escapeXML(propertyType)}</LocationType>
                           </SITE_LOCATION>
                         </SITE_LOCATIONS>
                       </SITE>
@@ -364,24 +896,9 @@ function buildRateCalcRequestXML({
                   </COLLATERAL>
                 </COLLATERALS>
                 <LOANS>
-                  <LOAN SequenceNumber="1">
-                    <LOAN_IDENTIFIERS>
-                      <LOAN_IDENTIFIER SequenceNumber="1">
-                        <LoanIdentifier>1234567</LoanIdentifier>
-                        <LoanIdentifierType>LenderLoan</LoanIdentifierType>
-                      </LOAN_IDENTIFIER>
-                    </LOAN_IDENTIFIERS>
-                    <TERMS_OF_LOAN>
-                      ${LoanPurposeType === 'Refinance' ? `
-                        <LoanPurposeType>Refinance</LoanPurposeType>
-                        <NoteAmount>${noteAmountToUse}</NoteAmount>
-                      ` : `
-                        <LoanPurposeType>Other</LoanPurposeType>
-                        <LoanPurposeTypeOtherDescription>Sale w/ Mortgage</LoanPurposeTypeOtherDescription>
-                        <NoteAmount>${noteAmountToUse}</NoteAmount>
-                      `}
-                    </TERMS_OF_LOAN>
-                  </LOAN>
+                  ${loans && loans.length > 1
+                    ? loans.map(loan => buildLoanXML(loan, { transactionType })).join('')
+                    : buildLoanXML({ Loan: 1, NoteAmount: noteAmountToUse }, { transactionType })}
                 </LOANS>
                 <SERVICES>
                 ${servicesBlock}
@@ -396,6 +913,24 @@ function buildRateCalcRequestXML({
 </lvis:LVIS_XML>`;
 }
 
+/**
+ * Every endorsement ProductList offers, normalized
+ * Handles both the current shape (EndorsementId / ValidPolicyCategoryIds) and
+ * the older ProductId / ParentPolicyId one.
+ */
+function parseEndorsements(rawEndorsements) {
+    return asList(rawEndorsements)
+        .filter(e => e && (e['lvis:EndorsementId'] || e['lvis:ProductId']))
+        .map(e => ({
+            EndorsementId: String(e['lvis:EndorsementId'] || e['lvis:ProductId']),
+            EndorsementName: e['lvis:EndorsementName'] || e['lvis:ProductName'],
+            PolicyCategoryIds: asList(e['lvis:ValidPolicyCategoryIds']?.['lvis:string']).map(String),
+            ParentPolicyId: e['lvis:ParentPolicyId'] || null,
+            ExcludedEndorsementIds: asList(e['lvis:excluded_Endorsements']?.['lvis:string']).map(String),
+            IsDefault: e['lvis:IsDefault'] === 'true'
+        }));
+}
+
 function parseProductList(productList) {
     const getEnabledProducts = (group) => {
         if (!group) return [];
@@ -409,13 +944,13 @@ function parseProductList(productList) {
         const closingCosts = Array.isArray(closingCostsRaw) ? closingCostsRaw : [closingCostsRaw];
         const defaultClosingCost = closingCosts.find(c => c['lvis:IsDefault'] === 'true');
         if (!defaultClosingCost) {
-            console.warn('⚠️ No default ClosingCost found in ProductList.');
+            logger.warn('No default ClosingCost found in ProductList');
             return [];
         }
         
         const includedFees = defaultClosingCost['lvis:IncludedFees']?.['lvis:ClosingFee'];
         if (!includedFees) {
-            console.warn('⚠️ No IncludedFees found in default ClosingCost.');
+            logger.warn('No IncludedFees found in default ClosingCost');
             return [];
         }
         
@@ -430,11 +965,12 @@ function parseProductList(productList) {
             }));
     };
 
-    const titlePolicies = getEnabledProducts(productList['lvis:PolicyProducts']?.['lvis:PolicyProduct']);
-    const rawSecondPolicies = productList['lvis:SecondPolicyProducts']?.['lvis:PolicyProduct'];
-    const secondPolicies = getEnabledProducts(rawSecondPolicies);
+    const allTitlePolicies = asList(productList['lvis:PolicyProducts']?.['lvis:PolicyProduct']);
+    const allSecondPolicies = asList(productList['lvis:SecondPolicyProducts']?.['lvis:PolicyProduct']);
+    const titlePolicies = getEnabledProducts(allTitlePolicies);
+    const secondPolicies = getEnabledProducts(allSecondPolicies);
     const lenderPolicies = secondPolicies.length > 0 ? secondPolicies : titlePolicies;
-    const endorsementProducts = getEnabledProducts(productList['lvis:Endorsements']?.['lvis:Endorsement']);
+    const availableEndorsements = parseEndorsements(productList['lvis:Endorsements']?.['lvis:Endorsement']);
     
     const closingCostsRaw = productList['lvis:ClosingCosts']?.['lvis:ClosingCost'];
     const closingProducts = parseSettlementProducts(closingCostsRaw);
@@ -450,7 +986,9 @@ function parseProductList(productList) {
     return {
         titlePolicies,
         lenderPolicies,
-        endorsementProducts,
+        allTitlePolicies,
+        allSecondPolicies,
+        availableEndorsements,
         closingProducts,
         recordingProducts,
         otherProducts
@@ -462,6 +1000,16 @@ module.exports = {
     buildSettlementServiceBlock,
     buildRecordingServiceBlock,
     buildProductListRequestXML,
+    buildCalcTypeDataRequestXML,
     buildRateCalcRequestXML,
-    parseProductList
+    escapeXML,
+    parseProductList,
+    selectPolicies,
+    selectEndorsements,
+    getTransactionType,
+    normalizeTransactionType,
+    loanPurposeForTransactionType,
+    checkPriorPolicy,
+    withoutPriorPolicy,
+    planLoans
 };
\ No newline at end of file
@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const auth = require('../shared/auth');
+const quickQuote = require('../quick-quote/handler');
+const { runWithLvisBudget, remainingLvisBudgetMs } = require('../shared/lvis-client');
+
+// Items are priced without LVIS; each records how much of the LVIS budget it was given
+const budgets = [];
+auth.getOAuthToken = async () => 'token';
+quickQuote.priceQuickQuote = async () => {
+    budgets.push(remainingLvisBudgetMs());
+    return { totalBuyerFee: '0.00' };
+};
+
+const { handleBatchQuote } = require('../batch-quote/handler');
+
+const item = { PostalCode: '06108', SalesContractAmount: 500000, LoanPurposeType: 'Cash Purchase' };
+const batch = body => ({ body: JSON.stringify(body) });
+
+test('each round of items gets an equal share of the request budget', async () => {
+    const response = await runWithLvisBudget({ timeoutMs: 24000 }, () =>
+        handleBatchQuote(batch({ Items: Array(9).fill(item), Concurrency: 3 })));
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(JSON.parse(response.body).succeeded, 9);
+    assert.equal(budgets.length, 9);
+    assert.ok(budgets.every(budget => budget <= 8000 && budget > 7000), budgets.join(', '));
+});
+
+test('more rounds than fit in one request is a 400 on Items', async () => {
+    const response = await handleBatchQuote(batch({ Items: Array(4).fill(item), Concurrency: 1 }));
+
+    assert.equal(response.statusCode, 400);
+    assert.equal(JSON.parse(response.body).errors[0].field, 'Items');
+});
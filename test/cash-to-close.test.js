@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCashToClose } = require('../cash-to-close/handler');
+
+// A priceQuickQuote() result reduced to what cash to close reads
+const quote = {
+    transactionType: 'Sale w/ Mortgage',
+    closingDate: '2026-11-01',
+    stateCode: 'CT',
+    rateCalcGuideResponse: [
+        { FeeDescription: "Title - Owner's Title Insurance", DisclosureSection: 'H', BuyerFee: '0.00', SellerFee: '3097.00' },
+        { FeeDescription: 'Title - Settlement Fee', DisclosureSection: 'C', BuyerFee: '650.00', SellerFee: '0.00' },
+        { FeeDescription: 'TransferTax', DisclosureFeeName: 'Conveyance Deed - Town Transfer Tax', DisclosureSection: 'E', BuyerFee: '0.00', SellerFee: '1500.00' },
+        { FeeDescription: 'RecordingFee', DisclosureFeeName: 'Recording Fees', DisclosureSection: 'E', BuyerFee: '146.00', SellerFee: '0.00' }
+    ]
+};
+
+test('cash to close: down payment, closing costs, prepaid interest and escrows, less earnest money', () => {
+    const breakdown = buildCashToClose({
+        SalesContractAmount: 500000,
+        NoteAmount: 400000,
+        LoanPurposeType: 'Purchase',
+        InterestRate: 6.5,
+        Escrows: [{ Description: 'Property taxes', AnnualAmount: 7300, Months: 3 }],
+        Prorations: [{ Description: 'Property taxes', AnnualAmount: 7300, PaidThrough: '2026-12-31' }],
+        EarnestMoney: 10000
+    }, quote);
+
+    assert.equal(breakdown.downPayment, '100000.00');
+    assert.equal(breakdown.totalClosingCosts, '796.00');
+    // 400000 * 6.5% / 365 = 71.23 a day, for the 30 days of November
+    assert.deepEqual(
+        [breakdown.prepaidInterest.DailyInterest, breakdown.prepaidInterest.Days, breakdown.totalPrepaidInterest],
+        ['71.23', 30, '2136.90']
+    );
+    assert.equal(breakdown.totalEscrowDeposits, '1825.00');
+    // 100000 + 796 + 2136.90 + 1825 + 1220 - 10000
+    assert.equal(breakdown.cashToClose, '95977.90');
+});
+
+test('a cash purchase brings the whole price and has no prepaid interest', () => {
+    const breakdown = buildCashToClose({
+        SalesContractAmount: 500000,
+        NoteAmount: 0,
+        LoanPurposeType: 'Cash Purchase',
+        InterestRate: 6.5
+    }, quote);
+
+    assert.equal(breakdown.loanAmount, '0.00');
+    assert.equal(breakdown.prepaidInterest, null);
+    assert.equal(breakdown.cashToClose, '500796.00');
+});
+
+test('loans replace NoteAmount; the first lien carries the prepaid interest', () => {
+    const breakdown = buildCashToClose({
+        SalesContractAmount: 500000,
+        LoanPurposeType: 'Purchase',
+        Loans: [{ NoteAmount: 400000 }, { NoteAmount: 50000 }],
+        InterestRate: 6.5
+    }, quote);
+
+    assert.equal(breakdown.loanAmount, '450000.00');
+    assert.equal(breakdown.downPayment, '50000.00');
+    assert.equal(breakdown.prepaidInterest.LoanAmount, '400000.00');
+});
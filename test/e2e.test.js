@@ -0,0 +1,82 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const { createServer } = require('../local-lvis/server');
+const database = require('../shared/database');
+
+// ZIP codes and FNTEFees come from DynamoDB; everything else is replayed from the local LVIS fixtures
+database.getZipCodeData = async zipCode => {
+    if (zipCode !== '06108') {
+        throw new database.NotFoundError(`Zip code ${zipCode} not found`);
+    }
+    return { zip: zipCode, city: 'East Hartford', county_name: 'Hartford', state_id: 'CT' };
+};
+database.getStateFees = async () => ({ StateCode: 'CT', SettlementFee: 650, SettlementFeeRefi: 450 });
+
+let server;
+let handler;
+
+before(async () => {
+    server = createServer().listen(0);
+    await once(server, 'listening');
+    const baseUrl = `http://localhost:${server.address().port}`;
+
+    Object.assign(process.env, {
+        CONFIG_SOURCE: 'env',
+        FIRSTAM_CLIENT_ID: 'local-client',
+        FIRSTAM_CLIENT_SECRET: 'local-secret',
+        FIRSTAM_SCOPE: 'local-lvis/.default',
+        FIRSTAM_OAUTH_URL: `${baseUrl}/oauth2/v2.0/token`,
+        LVIS_BASE_URL: baseUrl,
+        LVIS_CLIENT_CUSTOMER_ID: 'FNTE',
+        SESSION_STORE: 'memory',
+        EXCHANGE_ARCHIVE: 'none',
+        LOG_LEVEL: process.env.LOG_LEVEL || 'error'
+    });
+    ({ handler } = require('../index'));
+});
+
+after(() => server.close());
+
+const post = async (path, body) => {
+    const response = await handler({ httpMethod: 'POST', path, headers: {}, body: JSON.stringify(body) });
+    return { ...response, body: JSON.parse(response.body) };
+};
+
+test('quick quote is priced from the replayed ProductList and RateCalc', async () => {
+    const response = await post('/fee-calculator/v2/quick-quote', {
+        PostalCode: '06108',
+        SalesContractAmount: 500000,
+        NoteAmount: 400000,
+        LoanPurposeType: 'Purchase'
+    });
+
+    assert.equal(response.statusCode, 200);
+    assert.ok(response.headers['X-Correlation-Id']);
+
+    const quote = response.body;
+    assert.equal(quote.stateCode, 'CT');
+    assert.ok(quote.rateCalcGuideResponse.length > 0);
+    const buyerTotal = quote.rateCalcGuideResponse.reduce((sum, fee) => sum + Number(fee.BuyerFee), 0);
+    assert.equal(quote.totalBuyerFee, buyerTotal.toFixed(2));
+});
+
+test('an unknown ZIP code is 404', async () => {
+    const response = await post('/quick-quote', { PostalCode: '00000', SalesContractAmount: 500000, LoanPurposeType: 'Cash Purchase' });
+
+    assert.equal(response.statusCode, 404);
+});
+
+test('an official quote with L2 questions waits for page numbers', async () => {
+    const response = await post('/v2/official-quote', {
+        PostalCode: '06108',
+        SalesContractAmount: 500000,
+        NoteAmount: 400000,
+        LoanPurposeType: 'Purchase',
+        forceL2Questions: true
+    });
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.body.status, 'pending_page_numbers');
+    assert.ok(response.body.sessionId);
+});
@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const xml2js = require('xml2js');
+const { parseRateCalcResponse, normalizeFee, sumFees, sumAmounts, formatAmount } = require('../shared/fee-parser');
+
+// Parsed the way shared/lvis-client.js parses LVIS responses
+function parseFixture(name) {
+    const xml = fs.readFileSync(path.join(__dirname, '..', 'local-lvis', 'fixtures', name), 'utf8');
+    return xml2js.parseStringPromise(xml, { explicitArray: false, ignoreAttrs: false });
+}
+
+function fee(payments, { label = 'FEE_POLICY_1', description = 'Eagle Owner\'s Policy' } = {}) {
+    return {
+        $: { 'xlink:label': label },
+        FEE_DETAIL: { FeeDescription: description, FeeType: 'TitleOwnersCoveragePremium' },
+        FEE_PAYMENTS: { FEE_PAYMENT: payments }
+    };
+}
+
+test('parses a calculated RateCalc response into fee lines and totals', async () => {
+    const result = parseRateCalcResponse(await parseFixture('RateCalc.xml'));
+
+    assert.equal(result.hasCalculatedRates, true);
+    assert.equal(result.fees.length, 7);
+    assert.equal(result.totalBuyerFee, '2245.00');
+    assert.equal(result.totalSellerFee, '5147.00');
+
+    const ownerPolicy = result.fees.find(line => line.XlinkLabel === 'FEE_POLICY_1');
+    assert.equal(ownerPolicy.FeeType, 'TitleOwnersCoveragePremium');
+    assert.equal(ownerPolicy.Payer, 'Seller');
+    assert.equal(ownerPolicy.SellerFee, '3097.00');
+    assert.equal(ownerPolicy.PolicyLabel, 'POLICY_1');
+
+    const deedRecording = result.fees.find(line => line.XlinkLabel === 'FEE_RECORDING_DEED');
+    assert.equal(deedRecording.RecordingLabel, 'RECORDING_DEED');
+    assert.equal(deedRecording.BuyerFee, '42.00');
+});
+
+test('an L1 response with questions has no calculated rates', async () => {
+    const result = parseRateCalcResponse(await parseFixture('RateCalcNoAutoCalc-L1.xml'));
+
+    assert.equal(result.hasCalculatedRates, false);
+});
+
+test('estimated payments are the disclosed amounts; actual payments are kept', () => {
+    const line = normalizeFee(fee([
+        { FeePaymentPaidByType: 'Buyer', FeeActualPaymentAmount: '100' },
+        { FeePaymentPaidByType: 'Buyer', FeeEstimatedPaymentAmount: '120' },
+        { FeePaymentPaidByType: 'Seller', FeeEstimatedPaymentAmount: '30.5' }
+    ]));
+
+    assert.equal(line.BuyerFee, '120.00');
+    assert.equal(line.SellerFee, '30.50');
+    assert.equal(line.BuyerActualAmount, '100.00');
+    assert.equal(line.BuyerEstimatedAmount, '120.00');
+    assert.equal(line.Payer, 'Split');
+});
+
+test('actual payments are summed by payer when there are no estimates', () => {
+    const line = normalizeFee(fee([
+        { FeePaymentPaidByType: 'Seller', FeeActualPaymentAmount: '40' },
+        { FeePaymentPaidByType: 'Seller', FeeActualPaymentAmount: '2.25' },
+        { FeePaymentPaidByType: 'Lender', FeeActualPaymentAmount: '999' }
+    ], { label: 'FEE_POLICY_2_ENDR_1', description: 'ALTA 9' }));
+
+    assert.equal(line.SellerFee, '42.25');
+    assert.equal(line.BuyerFee, '0.00');
+    assert.equal(line.BuyerEstimatedAmount, null);
+    assert.equal(line.Payer, 'Seller');
+    assert.equal(line.PolicyLabel, 'POLICY_2');
+    assert.equal(line.EndorsementLabel, 'POLICY_2_ENDR_1');
+});
+
+test('totals', () => {
+    assert.deepEqual(sumFees([{ BuyerFee: '10.10', SellerFee: '1' }, { BuyerFee: '0.20', SellerFee: 'n/a' }]), {
+        totalBuyerFee: '10.30',
+        totalSellerFee: '1.00'
+    });
+    assert.equal(sumAmounts([{ Amount: '12.50' }, { Amount: '-2.25' }]), 10.25);
+    assert.equal(formatAmount(undefined), '0.00');
+    assert.equal(formatAmount('7'), '7.00');
+});
@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const database = require('../shared/database');
+const calcTypeData = require('../shared/calc-type-data');
+const { ValidationError } = require('../shared/validation');
+
+// 06076 straddles Tolland (primary, where the table's city is) and Hartford
+database.getZipCodeData = async zip => ({ zip, city: 'Stafford Springs', county_name: 'Tolland', county_names_all: 'Tolland|Hartford', state_id: 'CT' });
+const cityLookups = [];
+const cities = { Tolland: ['Stafford Springs', 'Stafford'], Hartford: ['Enfield', 'Somers'] };
+calcTypeData.getCities = async ({ countyName }) => {
+    cityLookups.push(countyName);
+    return cities[countyName].map(City => ({ City }));
+};
+
+const { resolveLocation } = require('../shared/location');
+
+test("the table's city is sent for the primary county without asking LVIS", async () => {
+    cityLookups.length = 0;
+    const location = await resolveLocation({ PostalCode: '06076', County: 'Tolland County' });
+
+    assert.deepEqual([location.city, location.countyName], ['Stafford Springs', 'Tolland']);
+    assert.deepEqual(cityLookups, []);
+});
+
+test("another county needs the table's city placed in it, or a City", async () => {
+    await assert.rejects(
+        resolveLocation({ PostalCode: '06076', County: 'Hartford' }),
+        error => error instanceof ValidationError && error.errors[0].field === 'City'
+    );
+
+    const location = await resolveLocation({ PostalCode: '06076', County: 'Hartford', City: 'enfield' });
+    assert.deepEqual([location.city, location.countyName], ['Enfield', 'Hartford']);
+
+    cities.Hartford.push('Stafford Springs');
+    const listed = await resolveLocation({ PostalCode: '06076', County: 'Hartford' });
+    assert.deepEqual([listed.city, listed.countyName], ['Stafford Springs', 'Hartford']);
+});
+
+test('a ZIP spanning counties without County or City is a 400 listing them', async () => {
+    await assert.rejects(
+        resolveLocation({ PostalCode: '06076' }),
+        error => error instanceof ValidationError && error.errors[0].candidates.join() === 'Tolland,Hartford'
+    );
+});
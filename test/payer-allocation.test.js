@@ -0,0 +1,121 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolvePayerAllocation, allocatePayers, checkAllocatedLines, feeCategory } = require('../shared/payer-allocation');
+const { ValidationError } = require('../shared/validation');
+
+const ownerPolicy = {
+    FeeDescription: "Title - Owner's Title Insurance",
+    FeeType: 'TitleOwnersCoveragePremium',
+    BuyerFee: '1000.00',
+    SellerFee: '0.00'
+};
+const transferTax = {
+    FeeDescription: 'TransferTax',
+    DisclosureItemName: 'Conveyance Deed - State Transfer Tax',
+    BuyerFee: '0.00',
+    SellerFee: '801.00'
+};
+const notaryFee = { FeeDescription: 'Title - Notary Fee', StateFeeKey: 'NotaryFee', BuyerFee: '50.00', SellerFee: '0.00' };
+
+test('county custom overrides the state custom, and the request overrides both', () => {
+    const miami = resolvePayerAllocation({ stateCode: 'FL', countyName: 'Miami-Dade County' });
+    assert.deepEqual(miami.categories.OwnerPolicy, { Payer: 'Buyer', Source: 'CountyCustom' });
+    assert.deepEqual(miami.categories.TransferTax, { Payer: 'Seller', Source: 'StateCustom' });
+
+    const requested = resolvePayerAllocation({
+        stateCode: 'FL',
+        countyName: 'Miami-Dade',
+        PayerAllocation: { Categories: { OwnerPolicy: { Payer: 'Seller' } } }
+    });
+    assert.deepEqual(requested.categories.OwnerPolicy, { Payer: 'Seller', Source: 'Request' });
+});
+
+test("an FNTEFees item's PayerCustoms replace the built-in state custom", () => {
+    const allocation = resolvePayerAllocation({
+        stateCode: 'FL',
+        stateFeeData: { PayerCustoms: { Recording: { Payer: 'Seller' } } }
+    });
+
+    assert.deepEqual(Object.keys(allocation.categories), ['Recording']);
+});
+
+test('an unknown category is a ValidationError on its field', () => {
+    assert.throws(
+        () => resolvePayerAllocation({ stateCode: 'CT', PayerAllocation: { Categories: { Taxes: { Payer: 'Seller' } } } }),
+        error => error instanceof ValidationError && error.errors[0].field === 'PayerAllocation.Categories.Taxes'
+    );
+});
+
+test('lines move between buyer and seller by category, split and line name', () => {
+    const allocation = resolvePayerAllocation({
+        stateCode: 'CT',
+        PayerAllocation: {
+            Categories: { TransferTax: { Payer: 'Split', SellerPercent: 25 } },
+            Lines: [{ Line: 'title - notary fee', Payer: 'Seller' }]
+        }
+    });
+    const [owner, tax, notary] = allocatePayers([ownerPolicy, transferTax, notaryFee], allocation);
+
+    assert.equal(owner, ownerPolicy);
+    assert.deepEqual([tax.BuyerFee, tax.SellerFee, tax.Payer, tax.AllocatedBy], ['600.75', '200.25', 'Split', 'Request']);
+    assert.deepEqual([notary.BuyerFee, notary.SellerFee, notary.Payer], ['0.00', '50.00', 'Seller']);
+
+    // Allocating again gives the same lines
+    assert.deepEqual(allocatePayers([tax, notary], allocation), [tax, notary]);
+});
+
+test('a line name that matches no fee line is a ValidationError', () => {
+    const allocation = resolvePayerAllocation({
+        stateCode: 'CT',
+        PayerAllocation: { Lines: [{ Line: 'Title - Notary Fee', Payer: 'Seller' }, { Line: 'Title - Courier', Payer: 'Seller' }] }
+    });
+
+    assert.doesNotThrow(() => checkAllocatedLines([notaryFee], { ...allocation, lines: allocation.lines.slice(0, 1) }));
+    assert.throws(
+        () => checkAllocatedLines([ownerPolicy, notaryFee], allocation),
+        error => error instanceof ValidationError
+            && error.errors.length === 1
+            && error.errors[0].field === 'PayerAllocation.Lines[1].Line'
+    );
+});
+
+test('fee categories', () => {
+    assert.equal(feeCategory(ownerPolicy), 'OwnerPolicy');
+    assert.equal(feeCategory(transferTax), 'TransferTax');
+    assert.equal(feeCategory({ FeeDescription: 'RecordingFee' }), 'Recording');
+    assert.equal(feeCategory({ FeeDescription: 'Title - Settlement Fee' }), 'SettlementFee');
+    assert.equal(feeCategory(notaryFee), 'TitleServices');
+    assert.equal(feeCategory({ FeeDescription: 'Agricultural Tax' }), 'Other');
+});
+
+test('taxes on the mortgage are not transfer taxes, so seller customs leave them with the borrower', () => {
+    const mortgageTax = {
+        FeeDescription: 'TransferTax',
+        DisclosureItemName: 'Mortgage - Mortgage Recording Tax',
+        BuyerFee: '8000.00',
+        SellerFee: '0.00'
+    };
+    const allocation = resolvePayerAllocation({ stateCode: 'NY' });
+    const [tax, deedTax] = allocatePayers([mortgageTax, transferTax], allocation);
+
+    assert.equal(feeCategory(mortgageTax), 'MortgageTax');
+    assert.equal(feeCategory({ FeeDescription: 'TransferTax', RecordingLabel: 'RECORDING_MORTGAGE' }), 'MortgageTax');
+    assert.equal(feeCategory({ FeeDescription: 'Intangible Tax', FeeType: 'TaxStampForStateMortgage' }), 'MortgageTax');
+    assert.equal(tax, mortgageTax);
+    assert.deepEqual([deedTax.SellerFee, deedTax.AllocatedBy], ['801.00', 'StateCustom']);
+});
+
+test('a refinance gets no state or county custom', () => {
+    const refinance = resolvePayerAllocation({ stateCode: 'FL', countyName: 'Miami-Dade', LoanPurposeType: 'Refinance' });
+    assert.deepEqual(refinance.categories, {});
+
+    const [tax] = allocatePayers([{ ...transferTax, BuyerFee: '801.00', SellerFee: '0.00' }], refinance);
+    assert.deepEqual([tax.BuyerFee, tax.SellerFee], ['801.00', '0.00']);
+
+    const requested = resolvePayerAllocation({
+        stateCode: 'FL',
+        LoanPurposeType: 'Refinance',
+        PayerAllocation: { Categories: { Recording: { Payer: 'Split' } } }
+    });
+    assert.deepEqual(Object.keys(requested.categories), ['Recording']);
+});
@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { prorate, daysBetween } = require('../shared/proration');
+
+test('days between dates', () => {
+    assert.equal(daysBetween('2026-11-01', '2026-12-31'), 60);
+    assert.equal(daysBetween('2026-12-31', '2026-11-01'), -60);
+    // A DST change does not shorten the day count
+    assert.equal(daysBetween('2026-03-01', '2026-04-01'), 31);
+});
+
+test('a seller paid past closing is credited by the buyer', () => {
+    assert.deepEqual(prorate({ Description: 'Property taxes', AnnualAmount: 7300, PaidThrough: '2026-12-31' }, '2026-11-01'), {
+        Description: 'Property taxes',
+        AnnualAmount: '7300.00',
+        PaidThrough: '2026-12-31',
+        Days: 61,
+        Amount: '1220.00'
+    });
+});
+
+test('unpaid days before closing are charged to the seller', () => {
+    const proration = prorate({ Description: 'HOA dues', AnnualAmount: 1200, PaidThrough: '2026-09-30' }, '2026-11-01');
+
+    assert.equal(proration.Days, -31);
+    assert.equal(proration.Amount, '-101.92');
+});
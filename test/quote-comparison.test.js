@@ -0,0 +1,79 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const xml2js = require('xml2js');
+const { createServer } = require('../local-lvis/server');
+const database = require('../shared/database');
+const lvisClient = require('../shared/lvis-client');
+const { loadConfig } = require('../shared/config');
+
+database.getZipCodeData = async zipCode => ({ zip: zipCode, city: 'East Hartford', county_name: 'Hartford', state_id: 'CT' });
+database.getStateFees = async () => ({ StateCode: 'CT', SettlementFee: 650 });
+
+// The replayed RateCalc prices its transfer taxes on a $500,000 deed; scale them to
+// the consideration the request sends for the deed, the way LVIS would
+const FIXTURE_CONSIDERATION = 500000;
+const postRateCalc = lvisClient.postRateCalc;
+const considerations = [];
+
+lvisClient.postRateCalc = async (requestXML, options) => {
+    const deed = requestXML.split('<SERVICE ').find(service => service.includes('<ServiceProductNameIdentifier>DEED<'));
+    const consideration = Number(deed.match(/ConsiderationAmount<\/ServiceProductNameDescription>\s*<ServiceProductNameIdentifier>([^<]+)</)[1]);
+    considerations.push(consideration);
+
+    const { raw, ackNack } = await postRateCalc(requestXML, options);
+    const scaled = raw.replace(/<FEE [^>]*>(?:(?!<\/FEE>)[\s\S])*<\/FEE>/g, fee => (
+        fee.includes('<FeeDescription>TransferTax</FeeDescription>')
+            ? fee.replace(/(Amount>)([\d.]+)(<)/g, (match, open, amount, close) =>
+                `${open}${(Number(amount) * consideration / FIXTURE_CONSIDERATION).toFixed(2)}${close}`)
+            : fee
+    ));
+    const parsed = await xml2js.parseStringPromise(scaled, { explicitArray: false, ignoreAttrs: false });
+    return { raw: scaled, parsed, ackNack };
+};
+
+const { handleQuoteComparison } = require('../quote-comparison/handler');
+let server;
+
+before(async () => {
+    server = createServer().listen(0);
+    await once(server, 'listening');
+    const baseUrl = `http://localhost:${server.address().port}`;
+
+    Object.assign(process.env, {
+        CONFIG_SOURCE: 'env',
+        FIRSTAM_CLIENT_ID: 'local-client',
+        FIRSTAM_CLIENT_SECRET: 'local-secret',
+        FIRSTAM_SCOPE: 'local-lvis/.default',
+        FIRSTAM_OAUTH_URL: `${baseUrl}/oauth2/v2.0/token`,
+        LVIS_BASE_URL: baseUrl,
+        LVIS_CLIENT_CUSTOMER_ID: 'FNTE',
+        EXCHANGE_ARCHIVE: 'none',
+        LOG_LEVEL: process.env.LOG_LEVEL || 'error'
+    });
+    await loadConfig();
+});
+
+after(() => server.close());
+
+test('each scenario is priced on its own sale price, so transfer taxes differ from the baseline', async () => {
+    const response = await handleQuoteComparison({
+        body: JSON.stringify({
+            PostalCode: '06108',
+            LoanPurposeType: 'Purchase',
+            Scenarios: [
+                { Name: 'Asking', SalesContractAmount: 500000, NoteAmount: 400000 },
+                { Name: 'Offer', SalesContractAmount: 400000, NoteAmount: 320000 }
+            ]
+        })
+    });
+    const body = JSON.parse(response.body);
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(considerations.sort(), [400000, 500000]);
+
+    const townTax = body.fees.find(row => row.Description === 'Conveyance Deed - Town Transfer Tax');
+    assert.deepEqual(townTax.SellerFee, ['1500.00', '1200.00']);
+    assert.deepEqual(townTax.DeltaFromBaseline.SellerFee, ['0.00', '-300.00']);
+    assert.equal(body.totals.DeltaFromBaseline.SellerFee[1], '-410.00');
+});
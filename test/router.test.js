@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRouter } = require('../shared/router');
+
+const echo = async event => ({
+    statusCode: 200,
+    headers: {},
+    body: JSON.stringify({ routePath: event.routePath, pathParameters: event.pathParameters })
+});
+
+const route = createRouter([
+    { method: 'POST', paths: ['/quick-quote', '/v1/quick-quote'], handler: echo },
+    { method: 'GET', paths: ['/jobs/{jobId}'], handler: echo }
+], {
+    basePath: '/fee-calculator',
+    aliases: { '/': '/quick-quote' },
+    middleware: [async event => (event.headers?.blocked ? { statusCode: 429, headers: {}, body: '{}' } : undefined)]
+});
+
+test('matches a route below the base path and copies path parameters', async () => {
+    const response = await route({ httpMethod: 'GET', path: '/fee-calculator/jobs/abc%20123/' });
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(JSON.parse(response.body), { routePath: '/jobs/abc%20123', pathParameters: { jobId: 'abc 123' } });
+    assert.equal(response.headers['Access-Control-Allow-Origin'], '*');
+});
+
+test('applies aliases to the full path', async () => {
+    const response = await route({ httpMethod: 'POST', path: '/' });
+
+    assert.equal(JSON.parse(response.body).routePath, '/quick-quote');
+});
+
+test('an unknown path is 404 and a wrong method is 405', async () => {
+    const notFound = await route({ httpMethod: 'POST', path: '/nowhere' });
+    assert.equal(notFound.statusCode, 404);
+    assert.ok(JSON.parse(notFound.body).availableRoutes.includes('POST /v1/quick-quote'));
+
+    const wrongMethod = await route({ httpMethod: 'GET', path: '/v1/quick-quote' });
+    assert.equal(wrongMethod.statusCode, 405);
+    assert.equal(wrongMethod.headers.Allow, 'OPTIONS,POST');
+});
+
+test('answers preflight for a known path', async () => {
+    const response = await route({ httpMethod: 'OPTIONS', path: '/jobs/1' });
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.headers['Access-Control-Allow-Methods'], 'OPTIONS,GET');
+});
+
+test('middleware can answer before the handler', async () => {
+    const response = await route({ httpMethod: 'POST', path: '/quick-quote', headers: { blocked: true } });
+
+    assert.equal(response.statusCode, 429);
+});
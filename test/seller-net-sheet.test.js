@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildNetSheet } = require('../seller-net-sheet/handler');
+
+// A priceQuickQuote() result reduced to what the net sheet reads
+const quote = {
+    transactionType: 'Sale w/ Mortgage',
+    closingDate: '2026-11-01',
+    stateCode: 'CT',
+    rateCalcGuideResponse: [
+        { FeeDescription: "Title - Owner's Title Insurance", DisclosureSection: 'H', BuyerFee: '0.00', SellerFee: '3097.00' },
+        { FeeDescription: 'Title - Settlement Fee', DisclosureSection: 'C', BuyerFee: '650.00', SellerFee: '0.00' },
+        { FeeDescription: 'TransferTax', DisclosureFeeName: 'Conveyance Deed - Town Transfer Tax', DisclosureSection: 'E', BuyerFee: '0.00', SellerFee: '1500.00' },
+        { FeeDescription: 'RecordingFee', DisclosureFeeName: 'Recording Fees', DisclosureSection: 'E', BuyerFee: '146.00', SellerFee: '0.00' }
+    ]
+};
+
+test('net to seller: sale price less closing costs, payoffs, commissions and concessions, plus prorations', () => {
+    const netSheet = buildNetSheet({
+        SalesContractAmount: 500000,
+        Payoffs: [{ Description: 'First mortgage', Amount: 210000 }],
+        Commissions: [{ Description: 'Listing agent', Percent: 2.5 }, { Description: "Buyer's agent", Percent: 2.5 }],
+        Concessions: [{ Description: 'Repair credit', Amount: 2000 }],
+        Prorations: [{ Description: 'Property taxes', AnnualAmount: 7300, PaidThrough: '2026-12-31' }]
+    }, quote);
+
+    assert.deepEqual(netSheet.closingCosts.map(cost => cost.Description), [
+        "Title - Owner's Title Insurance",
+        'Conveyance Deed - Town Transfer Tax'
+    ]);
+    assert.equal(netSheet.totalClosingCosts, '4597.00');
+    assert.equal(netSheet.totalCommissions, '25000.00');
+    assert.equal(netSheet.totalProrations, '1220.00');
+    // 500000 - 4597 - 210000 - 25000 - 2000 + 1220
+    assert.equal(netSheet.netToSeller, '259623.00');
+});
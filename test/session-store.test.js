@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AWS = require('aws-sdk');
+const { createSessionStore } = require('../shared/session-store');
+
+// A DocumentClient that keeps one table in memory and records the calls made to it
+const calls = [];
+const rows = new Map();
+AWS.DynamoDB.DocumentClient = class {
+    batchGet({ RequestItems }) {
+        calls.push({ batchGet: RequestItems });
+        const [[tableName, { Keys }]] = Object.entries(RequestItems);
+        // The first page is answered in two goes, as DynamoDB does when it is throttled
+        const answered = calls.length === 1 ? Keys.slice(0, 10) : Keys;
+        const unprocessed = Keys.slice(answered.length);
+        return {
+            promise: async () => ({
+                Responses: { [tableName]: answered.map(key => rows.get(key.resultId)).filter(Boolean) },
+                UnprocessedKeys: unprocessed.length ? { [tableName]: { ...RequestItems[tableName], Keys: unprocessed } } : {}
+            })
+        };
+    }
+
+    update(params) {
+        calls.push({ update: params });
+        return { promise: async () => ({}) };
+    }
+};
+
+test('getMany reads DynamoDB in pages of 100 keys, in key order', async () => {
+    const store = createSessionStore({ tableName: 'Results', keyName: 'resultId', backend: 'dynamodb' });
+    const keys = Array.from({ length: 250 }, (_, index) => `job:${index}`);
+    keys.filter((key, index) => index % 2 === 0).forEach(key => rows.set(key, { resultId: key, status: 'succeeded' }));
+
+    const items = await store.getMany(keys, { attributes: ['index', 'status'] });
+
+    assert.equal(items.length, 250);
+    assert.deepEqual(items[0], { resultId: 'job:0', status: 'succeeded' });
+    assert.equal(items[1], null);
+    assert.deepEqual(calls.map(call => call.batchGet.Results.Keys.length), [100, 90, 100, 50]);
+    assert.deepEqual(calls[0].batchGet.Results.ExpressionAttributeNames, { '#p0': 'resultId', '#p1': 'index', '#p2': 'status' });
+});
+
+test('the memory backend answers getMany like DynamoDB', async () => {
+    const store = createSessionStore({ tableName: 'MemoryResults', keyName: 'resultId', backend: 'memory' });
+    await store.put({ resultId: 'a', status: 'failed' });
+
+    assert.deepEqual(await store.getMany(['b', 'a']), [null, { resultId: 'a', status: 'failed' }]);
+});
+
+test('increment adds to counters with ADD and sets fields in the same write', async () => {
+    const store = createSessionStore({ tableName: 'Jobs', keyName: 'jobId', backend: 'dynamodb' });
+    await store.increment('job', { completed: 1, failed: 1 }, { updatedAt: 'now' });
+
+    const { update } = calls[calls.length - 1];
+    assert.equal(update.UpdateExpression, 'ADD #add0 :add0, #add1 :add1 SET #attr0 = :val0');
+    assert.deepEqual(update.ExpressionAttributeNames, { '#add0': 'completed', '#add1': 'failed', '#attr0': 'updatedAt' });
+    assert.deepEqual(update.ExpressionAttributeValues, { ':add0': 1, ':add1': 1, ':val0': 'now' });
+});
+
+test('concurrent increments all count on the memory and file backends', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'session-store-'));
+    try {
+        for (const backend of ['memory', 'file']) {
+            const store = createSessionStore({ tableName: 'CountedJobs', keyName: 'jobId', backend, directory });
+            await store.put({ jobId: 'job', completed: 2 });
+
+            await Promise.all(Array.from({ length: 10 }, (_, index) =>
+                store.increment('job', { completed: 1, [index % 2 ? 'failed' : 'succeeded']: 1 })));
+
+            assert.deepEqual(await store.get('job'), { jobId: 'job', completed: 12, succeeded: 5, failed: 5 }, backend);
+        }
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { assignDisclosureSections, disclosureFor, STATE_FEE_KEYS } = require('../shared/trid-sections');
+const constants = require('../shared/constants');
+
+test('policies, recording fees and transfer taxes go to their Loan Estimate sections', () => {
+    const pricedPolicies = [
+        { PolicyLabel: 'POLICY_1', Policy: constants.ENDORSEMENT_POLICIES.OWNER },
+        { PolicyLabel: 'POLICY_2', Policy: constants.ENDORSEMENT_POLICIES.LENDER }
+    ];
+    const [owner, lender, salesTax, recording, transferTax] = assignDisclosureSections([
+        { XlinkLabel: 'FEE_POLICY_1', PolicyLabel: 'POLICY_1', FeeDescription: "Title - Owner's Title Insurance" },
+        { XlinkLabel: 'FEE_POLICY_2', PolicyLabel: 'POLICY_2', FeeDescription: 'ALTA Loan Policy' },
+        { XlinkLabel: 'FEE_POLICY_2_SALES_TAX_1', PolicyLabel: 'POLICY_2', FeeDescription: 'Sales Tax' },
+        { XlinkLabel: 'FEE_RECORDING_DEED', FeeDescription: 'RecordingFee', DisclosureItemName: 'Conveyance Deed - Recording Fee' },
+        { FeeDescription: 'TransferTax', DisclosureItemName: 'Conveyance Deed - Town Transfer Tax' }
+    ], { pricedPolicies });
+
+    assert.deepEqual(
+        [owner.DisclosureSection, owner.ToleranceBucket, owner.DisclosureFeeName],
+        ['H', 'Unlimited', "Title - Owner's Title Insurance (optional)"]
+    );
+    assert.deepEqual(
+        [lender.DisclosureSection, lender.ToleranceBucket, lender.DisclosureFeeName],
+        ['C', 'TenPercent', 'Title - ALTA Loan Policy']
+    );
+    assert.deepEqual([salesTax.DisclosureSection, salesTax.DisclosureFeeName], ['C', 'Title - Sales Tax']);
+    assert.deepEqual([recording.DisclosureSection, recording.DisclosureFeeName], ['E', 'Recording Fees']);
+    assert.deepEqual(
+        [transferTax.DisclosureSection, transferTax.ToleranceBucket, transferTax.DisclosureFeeName],
+        ['E', 'Zero', 'Conveyance Deed - Town Transfer Tax']
+    );
+});
+
+test('FNTEFees lines are placed by their key', () => {
+    assert.equal(disclosureFor({ StateFeeKey: 'CountersignOwner' }).Section, 'H');
+    assert.equal(disclosureFor({ StateFeeKey: 'NotaryFee' }).Section, 'C');
+    assert.ok(STATE_FEE_KEYS.includes('Rec/SvcFee'));
+    assert.ok(!STATE_FEE_KEYS.includes('PayerCustoms'));
+});
+
+test("LVIS's own section places a line nothing else recognizes", () => {
+    assert.equal(disclosureFor({ FeeDescription: 'Flood Cert', DisclosureSectionNumber: 'B' }).Section, 'B');
+    assert.equal(disclosureFor({ FeeDescription: 'Courier' }).Section, 'H');
+});
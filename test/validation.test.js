@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validate, validationErrorResponse } = require('../shared/validation');
+const schemas = require('../shared/request-schemas');
+
+test('coerces amounts, ZIP codes and enums', () => {
+    const { value, errors } = validate(schemas.quickQuote, {
+        PostalCode: 6108,
+        SalesContractAmount: '$500,000.00',
+        NoteAmount: '400000',
+        LoanPurposeType: 'purchase'
+    });
+
+    assert.deepEqual(errors, []);
+    assert.equal(value.PostalCode, '06108');
+    assert.equal(value.SalesContractAmount, 500000);
+    assert.equal(value.NoteAmount, 400000);
+    assert.equal(value.LoanPurposeType, 'Purchase');
+});
+
+test('reports every field problem', () => {
+    const { errors } = validate(schemas.quickQuote, { PostalCode: 'abc', SalesContractAmount: 'lots', LoanPurposeType: 'Lease' });
+    const fields = errors.map(error => error.field).sort();
+
+    assert.deepEqual(fields, ['LoanPurposeType', 'NoteAmount', 'PostalCode', 'SalesContractAmount']);
+});
+
+test('a financed quote needs a NoteAmount of at least 1; a cash purchase does not', () => {
+    const financed = validate(schemas.quickQuote, { PostalCode: '06108', SalesContractAmount: 1, LoanPurposeType: 'Purchase', NoteAmount: 0 });
+    assert.deepEqual(financed.errors, [{ field: 'NoteAmount', message: 'NoteAmount must be at least 1' }]);
+
+    const cash = validate(schemas.quickQuote, { PostalCode: '06108', SalesContractAmount: 1, LoanPurposeType: 'Cash Purchase' });
+    assert.deepEqual(cash.errors, []);
+    assert.equal(cash.value.NoteAmount, 0);
+});
+
+test('a net sheet without NoteAmount defaults to a cash purchase', () => {
+    const cash = validate(schemas.sellerNetSheet, { PostalCode: '06108', SalesContractAmount: 500000 });
+    assert.deepEqual(cash.errors, []);
+    assert.equal(cash.value.LoanPurposeType, 'Cash Purchase');
+
+    const financed = validate(schemas.sellerNetSheet, { PostalCode: '06108', SalesContractAmount: 500000, NoteAmount: 400000 });
+    assert.equal(financed.value.LoanPurposeType, 'Purchase');
+
+    const purchase = validate(schemas.sellerNetSheet, { PostalCode: '06108', SalesContractAmount: 500000, LoanPurposeType: 'Purchase' });
+    assert.deepEqual(purchase.errors, [{ field: 'NoteAmount', message: 'NoteAmount is required' }]);
+});
+
+test('nested objects report their full field path', () => {
+    const { errors } = validate(schemas.officialQuoteV2.updatePages, {
+        sessionId: 'abc',
+        pageNumbers: { deedPages: 3, mortgagePages: 0 }
+    });
+
+    assert.deepEqual(errors, [{ field: 'pageNumbers.mortgagePages', message: 'pageNumbers.mortgagePages must be at least 1' }]);
+});
+
+test('array items report their full field path', () => {
+    const { errors } = validate(schemas.sellerNetSheet, {
+        PostalCode: '06108',
+        SalesContractAmount: 500000,
+        Commissions: [{ Description: 'Listing agent', Percent: 2.5 }, { Description: 'Buyer agent', Percent: 150 }]
+    });
+
+    assert.deepEqual(errors, [{ field: 'Commissions[1].Percent', message: 'Commissions[1].Percent must be at most 100' }]);
+});
+
+test('field errors become a 400', () => {
+    const errors = [{ field: 'PostalCode', message: 'PostalCode is required' }];
+    const response = validationErrorResponse(errors, { 'Access-Control-Allow-Origin': '*' });
+
+    assert.equal(response.statusCode, 400);
+    assert.deepEqual(JSON.parse(response.body), { error: 'Invalid request', errors });
+});